@@ -47,6 +47,7 @@ UUPSUpgradeable
     event EmergencyRecoveryCompleted(address indexed recoveryAdmin, uint64 timestamp);
     event EmergencyWithdrawalProcessed(address indexed user, uint256 amount);
     event CrowdsaleSet(address indexed crowdsale);
+    event RegistrySet(address indexed registry);
     event RecoveryRequirementsUpdated(uint8 requiredApprovals);
     event EmergencyOverrideActivated(bytes32 contractId, address overrideAddress, string reason);
     
@@ -102,6 +103,15 @@ UUPSUpgradeable
         emit CrowdsaleSet(_crowdsale);
     }
 
+    /**
+     * @dev Sets the registry contract address
+     * @param _registry Address of the registry contract
+     */
+    function setRegistry(address _registry) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setRegistry(_registry, Constants.EMERGENCY_MANAGER);
+        emit RegistrySet(_registry);
+    }
+
     /**
      * @dev Get the current emergency state
      * @return Current emergency state
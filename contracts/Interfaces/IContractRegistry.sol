@@ -10,6 +10,7 @@ interface IContractRegistry {
     // Events
     event ContractRegistered(bytes32 indexed contractName, address indexed contractAddress, uint256 version);
     event ContractUpdated(bytes32 indexed contractName, address indexed oldAddress, address indexed newAddress, uint256 newVersion);
+    event ContractUpgraded(bytes32 indexed contractName, address indexed newImplementation, uint256 newVersion);
     event ContractStatusChanged(bytes32 indexed contractName, bool isActive);
     event SystemPaused(address indexed by);
     event SystemResumed(address indexed by);
@@ -35,6 +36,13 @@ interface IContractRegistry {
      */
     function updateContract(bytes32 _name, address _newAddress, bytes4 _interfaceId) external;
 
+    /**
+     * @dev Record a new implementation behind the proxy registered under a name
+     * @param _name Name of the contract (as bytes32)
+     * @param _newImplementation Address of the new implementation
+     */
+    function recordUpgrade(bytes32 _name, address _newImplementation) external;
+
     /**
      * @dev Set the active status of a contract
      * @param _name Name of the contract (as bytes32)
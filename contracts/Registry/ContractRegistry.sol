@@ -167,6 +167,26 @@ contract ContractRegistry is
         emit ContractUpdated(_name, oldAddress, _newAddress, contractVersions[_name]);
     }
 
+    /**
+     * @dev Record an in-place (UUPS) upgrade of a registered proxy. The registered
+     * address stays the proxy; the version and implementation history move on.
+     * @param _name Name of the contract (as bytes32)
+     * @param _newImplementation Address of the new implementation
+     */
+    function recordUpgrade(bytes32 _name, address _newImplementation) external onlyRole(Constants.UPGRADER_ROLE) nonReentrant {
+        if(_newImplementation == address(0)) revert ZeroAddress();
+        if(contracts[_name] == address(0)) revert NotRegistered();
+        if (_newImplementation.code.length == 0) revert NotAContract();
+
+        address[] storage history = implementationHistory[_name];
+        if(history[history.length - 1] == _newImplementation) revert SameAddress();
+
+        contractVersions[_name]++;
+        history.push(_newImplementation);
+
+        emit ContractUpgraded(_name, _newImplementation, contractVersions[_name]);
+    }
+
     /**
      * @dev Set the active status of a contract
      * @param _name Name of the contract (as bytes32)
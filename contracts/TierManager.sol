@@ -71,6 +71,7 @@ UUPSUpgradeable
     event TierAdvanced(uint8 indexed newTier);
     event TierExtended(uint8 indexed tier, uint64 newDeadline);
     event CrowdsaleSet(address indexed crowdsale);
+    event RegistrySet(address indexed registry);
 
     // Errors
     error InvalidTierId(uint8 tierId);
@@ -134,6 +135,15 @@ UUPSUpgradeable
         emit CrowdsaleSet(_crowdsale);
     }
 
+    /**
+     * @dev Sets the registry contract address
+     * @param _registry Address of the registry contract
+     */
+    function setRegistry(address _registry) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _setRegistry(_registry, Constants.TIER_MANAGER);
+        emit RegistrySet(_registry);
+    }
+
     /**
      * @dev Creates standard tier configurations for token presale
      */
@@ -345,7 +345,7 @@ UUPSUpgradeable
         BeneficiaryGroup _group,
         bool _revocable
     ) external onlyRole(Constants.CREATOR_ROLE) returns (uint256) {
-        if(_beneficiary != address(0)) revert ZeroAddress();
+        if(_beneficiary == address(0)) revert ZeroAddress();
         if(_totalAmount == 0) revert ZeroAmount();
         if(_tgePercentage > 100) revert AboveMaxTGEPercentage();
 
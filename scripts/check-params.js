@@ -0,0 +1,45 @@
+// check-params.js - Validates the per-network parameter profiles in scripts/params/ against the schema
+const fs = require('fs');
+const dotenv = require('dotenv');
+const { PARAMS_DIR, SCHEMA, readProfile, validateProfile } = require('./lib/params');
+
+dotenv.config();
+
+// node scripts/check-params.js [profile ...], all profiles by default
+function main() {
+    const names = process.argv.length > 2
+        ? process.argv.slice(2)
+        : fs.readdirSync(PARAMS_DIR).filter(file => file.endsWith('.json')).map(file => file.replace(/\.json$/, '')).sort();
+
+    let failed = 0;
+    names.forEach(name => {
+        let result;
+        try {
+            result = validateProfile(readProfile(name));
+        } catch (error) {
+            result = { values: {}, problems: [error.message] };
+        }
+
+        // Addresses read from .env without a default can only be resolved where that .env exists
+        const unresolved = [];
+        Object.entries(result.values).forEach(([section, values]) => {
+            Object.entries(values)
+                .filter(([field]) => SCHEMA[section][field].type === 'address')
+                .filter(([, spec]) => 'env' in spec && spec.default === undefined && !process.env[spec.env])
+                .forEach(([field, spec]) => unresolved.push(`${section}.${field} needs ${spec.env}`));
+        });
+
+        if (result.problems.length > 0) {
+            failed++;
+            console.log(`\x1b[31m✗ ${name}\x1b[0m`);
+            result.problems.forEach(problem => console.log(`   - ${problem}`));
+        } else {
+            console.log(`\x1b[32m✓ ${name}\x1b[0m`);
+        }
+        unresolved.forEach(note => console.log(`\x1b[33m   ! ${note}\x1b[0m`));
+    });
+
+    return failed > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
@@ -1,54 +1,35 @@
 // scripts/deploy-dex-registry.js
-const { ethers, upgrades } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const deployments = require("./lib/deployments");
+const { createDeployment } = require("./lib/deploy-helpers");
 require("dotenv").config();
 
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying DexRegistry with the account:", deployer.address);
 
-    let totalGas = 0n;
-    const registryAddress = process.env.REGISTRY_ADDRESS;
+    const registryAddress = deployments.getAddress(network.name, "ContractRegistry");
 
     // Deploy the DexRegistry
     console.log("Deploying DexRegistry...");
-    const DexRegistry = await ethers.getContractFactory("DexRegistry");
-    const dexRegistry = await upgrades.deployProxy(DexRegistry, [], { initializer: 'initialize' });
-
-    await dexRegistry.waitForDeployment();
-    const deploymentTx = await ethers.provider.getTransactionReceipt(dexRegistry.deploymentTransaction().hash);
-    totalGas += deploymentTx.gasUsed;
-    const dexRegistryAddress = await dexRegistry.getAddress();
+    const deployment = createDeployment("DexRegistry", { registryAddress, registryKey: "DEX_REGISTRY" });
+    const { contract: dexRegistry, address: dexRegistryAddress } = await deployment.deploy();
     console.log("DexRegistry deployed to:", dexRegistryAddress);
 
-    // Set main registry if available
-    if (registryAddress) {
-        console.log("Setting Registry for DexRegistry...");
-        const setRegistryTx = await dexRegistry.setRegistry(registryAddress);
-        const setRegistryReceipt = await setRegistryTx.wait();
-        totalGas += setRegistryReceipt.gasUsed;
-        console.log("Registry set for DexRegistry");
-
-        // Register in registry
-        const ContractRegistry = await ethers.getContractFactory("ContractRegistry");
-        const registry = ContractRegistry.attach(registryAddress);
+    // Point at the registry and register (skipped when no ContractRegistry is deployed)
+    await deployment.setRegistry(dexRegistry);
+    await deployment.register(dexRegistryAddress);
 
-        const DEX_REGISTRY_NAME = ethers.keccak256(ethers.toUtf8Bytes("DEX_REGISTRY"));
-
-        console.log("Registering DexRegistry in Registry...");
-        const registerTx = await registry.registerContract(DEX_REGISTRY_NAME, dexRegistryAddress, "0x00000000");
-        const registerReceipt = await registerTx.wait();
-        totalGas += registerReceipt.gasUsed;
-        console.log("DexRegistry registered in Registry");
-    }
+    return deployment.finish();
+}
 
-    console.log("Gas used:", totalGas.toString());
-    console.log("\n--- IMPORTANT: Update your .env file with these values ---");
-    console.log(`DEX_REGISTRY_ADDRESS=${dexRegistryAddress}`);
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
\ No newline at end of file
+module.exports = { main };
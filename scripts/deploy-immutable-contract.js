@@ -1,5 +1,6 @@
-// scripts/deploy-immutable-and-token.js
-const { ethers, upgrades } = require("hardhat");
+// scripts/deploy-immutable-contract.js
+const { ethers } = require("hardhat");
+const { createDeployment } = require("./lib/deploy-helpers");
 require("dotenv").config();
 
 async function main() {
@@ -8,11 +9,8 @@ async function main() {
 
     // STEP 1: Deploy the Immutable Token Contract
     console.log("\n🔒 Deploying ImmutableTokenContract...");
-    const ImmutableTokenContract = await ethers.getContractFactory("ImmutableTokenContract");
-    const immutableContract = await ImmutableTokenContract.deploy();
-    await immutableContract.waitForDeployment();
-
-    const immutableContractAddress = await immutableContract.getAddress();
+    const deployment = createDeployment("ImmutableTokenContract");
+    const { contract: immutableContract, address: immutableContractAddress } = await deployment.deploy([], { proxy: false });
     console.log("ImmutableTokenContract deployed to:", immutableContractAddress);
 
     // Verify the ImmutableTokenContract constants are correctly set
@@ -23,16 +21,17 @@ async function main() {
     const validAllocations = await immutableContract.validateAllocations();
     console.log(`Allocations valid: ${validAllocations}`);
 
-    // 3. Save the addresses to the .env file
-    console.log("\n📝 Updating .env file...");
-    console.log(`IMMUTABLE_TOKEN_CONTRACT=${immutableContractAddress}`);
-
     console.log("\n✅ Deployment complete! The max supply of 5 billion tokens is now immutably set.");
+    return deployment.finish();
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
\ No newline at end of file
+module.exports = { main };
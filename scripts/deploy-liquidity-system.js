@@ -1,167 +1,118 @@
 // scripts/deploy-liquidity-system.js
-const { ethers, upgrades } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const deployments = require("./lib/deployments");
+const { createDeployment } = require("./lib/deploy-helpers");
+const { loadParams } = require("./lib/params");
 require("dotenv").config();
 
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying Liquidity System with the account:", deployer.address);
 
-    let totalGas = 0n;
-    const teachTokenAddress = process.env.TOKEN_ADDRESS;
-    const stableCoinAddress = process.env.STABLE_COIN_ADDRESS;
-    const registryAddress = process.env.REGISTRY_ADDRESS;
-
-    if (!teachTokenAddress || !stableCoinAddress) {
-        console.error("Please set TOKEN_ADDRESS and STABLE_COIN_ADDRESS in your .env file");
-        return;
-    }
+    const {
+        TeachToken: teachTokenAddress,
+        StableCoin: stableCoinAddress
+    } = deployments.requireAddresses(network.name, ["TeachToken", "StableCoin"]);
+    const registryAddress = deployments.getAddress(network.name, "ContractRegistry");
+    const { initialPrice } = loadParams(network.name, "pricing", deployer.address);
+    const { externalPriceOracle } = loadParams(network.name, "priceFeed", deployer.address);
 
     // Step 1: Deploy DexRegistry
     console.log("Deploying DexRegistry...");
-    const DexRegistry = await ethers.getContractFactory("DexRegistry");
-    const dexRegistry = await upgrades.deployProxy(DexRegistry, [], { initializer: 'initialize' });
-
-    await dexRegistry.waitForDeployment();
-    const dexRegDeploymentTx = await ethers.provider.getTransactionReceipt(dexRegistry.deploymentTransaction().hash);
-    totalGas += dexRegDeploymentTx.gasUsed;
-    const dexRegistryAddress = await dexRegistry.getAddress();
+    const dexRegistryDeployment = createDeployment("DexRegistry", { registryAddress, registryKey: "DEX_REGISTRY" });
+    const { contract: dexRegistry, address: dexRegistryAddress } = await dexRegistryDeployment.deploy();
     console.log("DexRegistry deployed to:", dexRegistryAddress);
 
     // Step 2: Deploy TokenPriceFeed
     console.log("Deploying TokenPriceFeed...");
-    const TokenPriceFeed = await ethers.getContractFactory("TokenPriceFeed");
-    const tokenPriceFeed = await upgrades.deployProxy(TokenPriceFeed, [
+    const priceFeedDeployment = createDeployment("TokenPriceFeed", { registryAddress, registryKey: "TOKEN_PRICE_FEED" });
+    const { contract: tokenPriceFeed, address: tokenPriceFeedAddress } = await priceFeedDeployment.deploy([
         dexRegistryAddress, // dexRegistry
-        deployer.address    // externalPriceOracle - set to deployer for now
-    ], { initializer: 'initialize' });
-
-    await tokenPriceFeed.waitForDeployment();
-    const priceFeedDeploymentTx = await ethers.provider.getTransactionReceipt(tokenPriceFeed.deploymentTransaction().hash);
-    totalGas += priceFeedDeploymentTx.gasUsed;
-    const tokenPriceFeedAddress = await tokenPriceFeed.getAddress();
+        externalPriceOracle
+    ]);
     console.log("TokenPriceFeed deployed to:", tokenPriceFeedAddress);
 
     // Step 3: Deploy LiquidityProvisioner
     console.log("Deploying LiquidityProvisioner...");
-    const LiquidityProvisioner = await ethers.getContractFactory("LiquidityProvisioner");
-    const liquidityProvisioner = await upgrades.deployProxy(LiquidityProvisioner, [
+    const provisionerDeployment = createDeployment("LiquidityProvisioner", { registryAddress, registryKey: "LIQUIDITY_PROVISIONER" });
+    const { contract: liquidityProvisioner, address: liquidityProvisionerAddress } = await provisionerDeployment.deploy([
         teachTokenAddress,
         stableCoinAddress,
         dexRegistryAddress,
-        ethers.parseUnits("0.12", 6) // Initial target price $0.12
-    ], { initializer: 'initialize' });
-
-    await liquidityProvisioner.waitForDeployment();
-    const provisionerDeploymentTx = await ethers.provider.getTransactionReceipt(liquidityProvisioner.deploymentTransaction().hash);
-    totalGas += provisionerDeploymentTx.gasUsed;
-    const liquidityProvisionerAddress = await liquidityProvisioner.getAddress();
+        initialPrice // Initial target price
+    ]);
     console.log("LiquidityProvisioner deployed to:", liquidityProvisionerAddress);
 
     // Step 4: Deploy LiquidityRebalancer
     console.log("Deploying LiquidityRebalancer...");
-    const LiquidityRebalancer = await ethers.getContractFactory("LiquidityRebalancer");
-    const liquidityRebalancer = await upgrades.deployProxy(LiquidityRebalancer, [
+    const rebalancerDeployment = createDeployment("LiquidityRebalancer", { registryAddress, registryKey: "LIQUIDITY_REBALANCER" });
+    const { contract: liquidityRebalancer, address: liquidityRebalancerAddress } = await rebalancerDeployment.deploy([
         dexRegistryAddress,
         liquidityProvisionerAddress
-    ], { initializer: 'initialize' });
-
-    await liquidityRebalancer.waitForDeployment();
-    const rebalancerDeploymentTx = await ethers.provider.getTransactionReceipt(liquidityRebalancer.deploymentTransaction().hash);
-    totalGas += rebalancerDeploymentTx.gasUsed;
-    const liquidityRebalancerAddress = await liquidityRebalancer.getAddress();
+    ]);
     console.log("LiquidityRebalancer deployed to:", liquidityRebalancerAddress);
 
     // Step 5: Deploy LiquidityManager as the main coordinator
     console.log("Deploying LiquidityManager...");
-    const LiquidityManager = await ethers.getContractFactory("LiquidityManager");
-    const liquidityManager = await upgrades.deployProxy(LiquidityManager, [
+    const managerDeployment = createDeployment("LiquidityManager", { registryAddress, registryKey: "LIQUIDITY_MANAGER" });
+    const { contract: liquidityManager } = await managerDeployment.deploy([
         teachTokenAddress,
         stableCoinAddress,
-        ethers.parseUnits("0.12", 6) // Initial target price $0.12
-    ], { initializer: 'initialize' });
-
-    await liquidityManager.waitForDeployment();
-    const managerDeploymentTx = await ethers.provider.getTransactionReceipt(liquidityManager.deploymentTransaction().hash);
-    totalGas += managerDeploymentTx.gasUsed;
-    const liquidityManagerAddress = await liquidityManager.getAddress();
-    console.log("LiquidityManager deployed to:", liquidityManagerAddress);
+        initialPrice // Initial target price
+    ]);
+    console.log("LiquidityManager deployed to:", await liquidityManager.getAddress());
 
     // Step 6: Configure cross-component references
     console.log("Setting component references...");
-
-    // Set DexRegistry in LiquidityManager
-    const setDexRegistryTx = await liquidityManager.setDexRegistry(dexRegistryAddress);
-    const setDexRegistryReceipt = await setDexRegistryTx.wait();
-    totalGas += setDexRegistryReceipt.gasUsed;
-
-    // Set LiquidityProvisioner in LiquidityManager
-    const setProvisionerTx = await liquidityManager.setLiquidityProvisioner(liquidityProvisionerAddress);
-    const setProvisionerReceipt = await setProvisionerTx.wait();
-    totalGas += setProvisionerReceipt.gasUsed;
-
-    // Set LiquidityRebalancer in LiquidityManager
-    const setRebalancerTx = await liquidityManager.setLiquidityRebalancer(liquidityRebalancerAddress);
-    const setRebalancerReceipt = await setRebalancerTx.wait();
-    totalGas += setRebalancerReceipt.gasUsed;
-
-    // Set TokenPriceFeed in LiquidityManager
-    const setPriceFeedTx = await liquidityManager.setTokenPriceFeed(tokenPriceFeedAddress);
-    const setPriceFeedReceipt = await setPriceFeedTx.wait();
-    totalGas += setPriceFeedReceipt.gasUsed;
-
-    // Set LiquidityManager as the manager in DexRegistry
-    const setManagerTx = await dexRegistry.setLiquidityManager(liquidityManagerAddress);
-    const setManagerReceipt = await setManagerTx.wait();
-    totalGas += setManagerReceipt.gasUsed;
-
-    // Step 7: Register all components in the main registry if available
-    if (registryAddress) {
-        console.log("Registering components in main platform registry...");
-        const ContractRegistry = await ethers.getContractFactory("ContractRegistry");
-        const registry = ContractRegistry.attach(registryAddress);
-
-        // Register DexRegistry
-        const DEX_REGISTRY_NAME = ethers.keccak256(ethers.toUtf8Bytes("DEX_REGISTRY"));
-        await (await registry.registerContract(DEX_REGISTRY_NAME, dexRegistryAddress, "0x00000000")).wait();
-
-        // Register TokenPriceFeed
-        const TOKEN_PRICE_FEED_NAME = ethers.keccak256(ethers.toUtf8Bytes("TOKEN_PRICE_FEED"));
-        await (await registry.registerContract(TOKEN_PRICE_FEED_NAME, tokenPriceFeedAddress, "0x00000000")).wait();
-
-        // Register LiquidityProvisioner
-        const LIQUIDITY_PROVISIONER_NAME = ethers.keccak256(ethers.toUtf8Bytes("LIQUIDITY_PROVISIONER"));
-        await (await registry.registerContract(LIQUIDITY_PROVISIONER_NAME, liquidityProvisionerAddress, "0x00000000")).wait();
-
-        // Register LiquidityRebalancer
-        const LIQUIDITY_REBALANCER_NAME = ethers.keccak256(ethers.toUtf8Bytes("LIQUIDITY_REBALANCER"));
-        await (await registry.registerContract(LIQUIDITY_REBALANCER_NAME, liquidityRebalancerAddress, "0x00000000")).wait();
-
-        // Register LiquidityManager
-        const LIQUIDITY_MANAGER_NAME = ethers.keccak256(ethers.toUtf8Bytes("LIQUIDITY_MANAGER"));
-        await (await registry.registerContract(LIQUIDITY_MANAGER_NAME, liquidityManagerAddress, "0x00000000")).wait();
-
-        // Connect components to main registry
-        await (await dexRegistry.setRegistry(registryAddress)).wait();
-        await (await tokenPriceFeed.setRegistry(registryAddress)).wait();
-        await (await liquidityProvisioner.setRegistry(registryAddress)).wait();
-        await (await liquidityRebalancer.setRegistry(registryAddress)).wait();
-        await (await liquidityManager.setRegistry(registryAddress)).wait();
-
-        console.log("All liquidity components registered in main registry");
+    await managerDeployment.linkBoth(
+        { label: "LiquidityManager", contract: liquidityManager, getter: "getDexRegistry", setter: "setDexRegistry" },
+        { label: "DexRegistry", contract: dexRegistry, getter: "getLiquidityManager", setter: "setLiquidityManager" }
+    );
+    await managerDeployment.link({
+        label: "LiquidityManager",
+        contract: liquidityManager,
+        getter: "getLiquidityProvisioner",
+        setter: "setLiquidityProvisioner",
+        target: liquidityProvisionerAddress
+    });
+    await managerDeployment.link({
+        label: "LiquidityManager",
+        contract: liquidityManager,
+        getter: "getLiquidityRebalancer",
+        setter: "setLiquidityRebalancer",
+        target: liquidityRebalancerAddress
+    });
+    await managerDeployment.link({
+        label: "LiquidityManager",
+        contract: liquidityManager,
+        getter: "getTokenPriceFeed",
+        setter: "setTokenPriceFeed",
+        target: tokenPriceFeedAddress
+    });
+
+    // Step 7: Connect every component to the main registry and register it (skipped without a registry)
+    const components = [
+        [dexRegistryDeployment, dexRegistry],
+        [priceFeedDeployment, tokenPriceFeed],
+        [provisionerDeployment, liquidityProvisioner],
+        [rebalancerDeployment, liquidityRebalancer],
+        [managerDeployment, liquidityManager]
+    ];
+    for (const [deployment, contract] of components) {
+        await deployment.setRegistry(contract);
+        await deployment.register(await contract.getAddress());
     }
 
-    console.log("Gas used:", totalGas.toString());
-    console.log("\n--- IMPORTANT: Update your .env file with these values ---");
-    console.log(`DEX_REGISTRY_ADDRESS=${dexRegistryAddress}`);
-    console.log(`TOKEN_PRICE_FEED_ADDRESS=${tokenPriceFeedAddress}`);
-    console.log(`LIQUIDITY_PROVISIONER_ADDRESS=${liquidityProvisionerAddress}`);
-    console.log(`LIQUIDITY_REBALANCER_ADDRESS=${liquidityRebalancerAddress}`);
-    console.log(`LIQUIDITY_MANAGER_ADDRESS=${liquidityManagerAddress}`);
+    return components.map(([deployment]) => deployment.finish());
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
\ No newline at end of file
+module.exports = { main };
@@ -1,75 +1,45 @@
 // scripts/deploy-marketplace.js
-const { ethers,upgrades } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const deployments = require("./lib/deployments");
+const { createDeployment } = require("./lib/deploy-helpers");
+const { loadParams } = require("./lib/params");
 require("dotenv").config();
 
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying PlatformMarketplace with the account:", deployer.address);
 
-    let totalGas = 0n;
-    const teachTokenAddress = process.env.TOKEN_ADDRESS;
-    const registryAddress = process.env.REGISTRY_ADDRESS;
+    const { TeachToken: teachTokenAddress } = deployments.requireAddresses(network.name, ["TeachToken"]);
+    const registryAddress = deployments.getAddress(network.name, "ContractRegistry");
 
-    if (!teachTokenAddress) {
-        console.error("Please set TOKEN_ADDRESS in your .env file");
-        return;
-    }
+    // Initialize the marketplace contract with the parameters of the network's profile
+    const { feePercent, feeRecipient } = loadParams(network.name, "marketplace", deployer.address);
 
-    // Initialize the marketplace contract with parameters
-    const feePercent = 300; // 3% platform fee
-    
-    // Deploy the PlatformMarketplace contract
-    const PlatformMarketplace = await ethers.getContractFactory("PlatformMarketplace");
-    const marketplace = await upgrades.deployProxy(PlatformMarketplace,[teachTokenAddress,
+    const initArgs = [teachTokenAddress,
         feePercent,
-        deployer.address], { initializer: 'initialize' });
+        feeRecipient];
 
-    await marketplace.waitForDeployment();
-    const deploymentTx = await ethers.provider.getTransactionReceipt(marketplace.deploymentTransaction().hash);
-    totalGas += deploymentTx.gasUsed;
-    const marketplaceAddress = await marketplace.getAddress();
+    // Deploy the PlatformMarketplace contract
+    const deployment = createDeployment("PlatformMarketplace", { registryAddress, registryKey: "PLATFORM_MARKETPLACE" });
+    const { contract: marketplace, address: marketplaceAddress } = await deployment.deploy(initArgs);
     console.log("PlatformMarketplace deployed to:", marketplaceAddress);
 
-
-
-    //console.log("Initializing PlatformMarketplace...");
-    //const initTx = await marketplace.initialize(
-    //    teachTokenAddress,
-    //    feePercent,
-     //   deployer.address // Fee recipient (for now)
-    //);
-    //await initTx.wait();
     console.log("PlatformMarketplace initialized");
 
-    // Set registry
-    if (registryAddress) {
-        console.log("Setting Registry for PlatformMarketplace...");
-        const setRegistryTx = await marketplace.setRegistry(registryAddress);
-        const setRegistryReceipt = await setRegistryTx.wait();
-        totalGas += setRegistryReceipt.gasUsed;
-        console.log("Registry set for PlatformMarketplace");
+    // Point at the registry and register (skipped when no ContractRegistry is deployed)
+    await deployment.setRegistry(marketplace);
+    await deployment.register(marketplaceAddress);
 
-        // Register in registry
-        const ContractRegistry = await ethers.getContractFactory("ContractRegistry");
-        const registry = ContractRegistry.attach(registryAddress);
-
-        const MARKETPLACE_NAME = ethers.keccak256(ethers.toUtf8Bytes("PLATFORM_MARKETPLACE"));
-
-        console.log("Registering PlatformMarketplace in Registry...");
-        const registerTx = await registry.registerContract(MARKETPLACE_NAME, marketplaceAddress, "0x00000000");
-        const registerReceipt = await registerTx.wait();
-        totalGas += registerReceipt.gasUsed;
-        console.log("PlatformMarketplace registered in Registry");
-    }
+    return deployment.finish();
+}
 
-    console.log("Gas used:",totalGas.toString());
-    console.log("\n--- IMPORTANT: Update your .env file with these values ---");
-    console.log(`PLATFORM_MARKETPLACE_ADDRESS=${marketplaceAddress}`);
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
\ No newline at end of file
+module.exports = { main };
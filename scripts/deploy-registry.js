@@ -1,28 +1,23 @@
 // scripts/deploy-registry.js
-const { ethers,upgrades } = require("hardhat");
+const { createDeployment } = require("./lib/deploy-helpers");
 
 async function main() {
     console.log("Deploying ContractRegistry...");
 
-    const ContractRegistry = await ethers.getContractFactory("ContractRegistry");
-    console.log("deployProxy exists:", upgrades);
-    const registry = await upgrades.deployProxy(ContractRegistry, [], { initializer: 'initialize' });
-
-    await registry.waitForDeployment();
-    const deploymentTx = await ethers.provider.getTransactionReceipt(registry.deploymentTransaction().hash);
-    console.log("Gas used:", deploymentTx.gasUsed.toString());
-    const registryAddress = await registry.getAddress();
+    const deployment = createDeployment("ContractRegistry");
+    const { address: registryAddress } = await deployment.deploy();
     console.log("ContractRegistry deployed to:", registryAddress);
 
-    // Initialize the registry
-    //const initTx = await registry.initialize();
-    //await initTx.wait();
-    //console.log("ContractRegistry initialized");
+    return deployment.finish();
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
\ No newline at end of file
+module.exports = { main };
@@ -1,98 +1,62 @@
 // scripts/deploy-stability-fund.js
-const { ethers,upgrades } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const deployments = require("./lib/deployments");
+const { createDeployment } = require("./lib/deploy-helpers");
+const { loadParams } = require("./lib/params");
 require("dotenv").config();
 
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying PlatformStabilityFund with the account:", deployer.address);
 
-    let totalGas = 0n;
-    const teachTokenAddress = process.env.TOKEN_ADDRESS;
-    const stableCoinAddress = process.env.STABLE_COIN_ADDRESS;
-    const registryAddress = process.env.REGISTRY_ADDRESS;
+    const {
+        TeachToken: teachTokenAddress,
+        StableCoin: stableCoinAddress
+    } = deployments.requireAddresses(network.name, ["TeachToken", "StableCoin"]);
+    const registryAddress = deployments.getAddress(network.name, "ContractRegistry");
 
-    if (!teachTokenAddress || !stableCoinAddress) {
-        console.error("Please set TOKEN_ADDRESS and STABLE_COIN_ADDRESS in your .env file");
-        return;
-    }
+    // Initialize the stability fund with the parameters of the network's profile
+    const { initialPrice } = loadParams(network.name, "pricing", deployer.address);
+    const {
+        priceOracle,
+        reserveRatio,
+        minReserveRatio,
+        platformFeePercent,
+        lowValueFeePercent,
+        valueThreshold
+    } = loadParams(network.name, "stabilityFund", deployer.address);
 
-    // Initialize the stability fund with parameters
-    const initialPrice = ethers.parseUnits("0.12", 6); // Initial token price ($0.12)
-    const reserveRatio = 5000; // 50%
-    const minReserveRatio = 2000; // 20%
-    const platformFeePercent = 300; // 3%
-    const lowValueFeePercent = 150; // 1.5%
-    const valueThreshold = 1000; // 10% below baseline
-    
-    // Deploy the PlatformStabilityFund
-    const PlatformStabilityFund = await ethers.getContractFactory("PlatformStabilityFund");
-    const stabilityFund = await upgrades.deployProxy(PlatformStabilityFund,[teachTokenAddress,
+    const initArgs = [teachTokenAddress,
         stableCoinAddress,
-        deployer.address, // Set deployer as initial price oracle
+        priceOracle,
         initialPrice,
         reserveRatio,
         minReserveRatio,
         platformFeePercent,
         lowValueFeePercent,
-        valueThreshold], {initializer: 'initialize'});
+        valueThreshold];
 
-    await stabilityFund.waitForDeployment();
-    const deploymentTx = await ethers.provider.getTransactionReceipt(stabilityFund.deploymentTransaction().hash);
-    totalGas += deploymentTx.gasUsed;
-    const stabilityFundAddress = await stabilityFund.getAddress();
+    // Deploy the PlatformStabilityFund
+    const deployment = createDeployment("PlatformStabilityFund", { registryAddress, registryKey: "PLATFORM_STABILITY_FUND" });
+    const { contract: stabilityFund, address: stabilityFundAddress } = await deployment.deploy(initArgs);
     console.log("PlatformStabilityFund deployed to:", stabilityFundAddress);
 
-    
-
-   // console.log("Initializing PlatformStabilityFund...");
-    //const initTx = await stabilityFund.initialize(
-   //     teachTokenAddress,
-   //     stableCoinAddress,
-   //     deployer.address, // Set deployer as initial price oracle
-   //     initialPrice,
-   //     reserveRatio,
-  //      minReserveRatio,
-   //     platformFeePercent,
-  //      lowValueFeePercent,
-  //      valueThreshold
-   // );
- //   await initTx.wait();
     console.log("PlatformStabilityFund initialized");
 
-    // Set registry
-    if (registryAddress) {
-        console.log("Setting Registry for StabilityFund...");
-        const setRegistryTx = await stabilityFund.setRegistry(registryAddress);
-        const setRegistryReceipt = await setRegistryTx.wait();
-        totalGas += setRegistryReceipt.gasUsed;
-        console.log("Registry set for StabilityFund");
-    }
-
-    // Register in the registry
-    if (registryAddress) {
-        const ContractRegistry = await ethers.getContractFactory("ContractRegistry");
-        const registry = ContractRegistry.attach(registryAddress);
+    // Point at the registry and register (skipped when no ContractRegistry is deployed)
+    await deployment.setRegistry(stabilityFund);
+    await deployment.register(stabilityFundAddress);
 
-        const STABILITY_FUND_NAME = ethers.keccak256(ethers.toUtf8Bytes("PLATFORM_STABILITY_FUND"));
-        console.log("Registry:" + registry);
-        
-        console.log("Registering StabilityFund in Registry...");
-        const registerTx = await registry.registerContract(STABILITY_FUND_NAME, stabilityFundAddress, "0x00000000");
-        console.log("Await");
-        const registerReceipt = await registerTx.wait();
-        totalGas += registerReceipt.gasUsed;
-
-        console.log("StabilityFund registered in Registry");
-    }
+    return deployment.finish();
+}
 
-    console.log("Gas used:",totalGas.toString());
-    console.log("\n--- IMPORTANT: Update your .env file with these values ---");
-    console.log(`STABILITY_FUND_ADDRESS=${stabilityFundAddress}`);
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
\ No newline at end of file
+module.exports = { main };
@@ -1,83 +1,66 @@
 // scripts/deploy-teach-token.js
-const { ethers,upgrades } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const deployments = require("./lib/deployments");
+const { createDeployment } = require("./lib/deploy-helpers");
+const { loadParams } = require("./lib/params");
 require("dotenv").config();
 
 async function main() {
     // Get the deployer account
-    const immutableAddress = process.env.IMMUTABLE_TOKEN_CONTRACT;
+    const { ImmutableTokenContract: immutableAddress } = deployments.requireAddresses(network.name, ["ImmutableTokenContract"]);
+    const registryAddress = deployments.getAddress(network.name, "ContractRegistry");
     
     const [deployer] = await ethers.getSigners();
 
-    let totalGas = 0n;
-
-    if (!immutableAddress) {
-        console.error("Please set IMMUTABLE_TOKEN_CONTRACT in your .env file");
-        return;
-    }
-    
     console.log("Deploying contracts with the account:", deployer.address);
     console.log("Account balance:", (await deployer.provider.getBalance(deployer.address)).toString());
 
     // Deploy the TEACH token contract
     console.log("Deploying TeachToken...");
-    const TeachToken = await ethers.getContractFactory("TeachToken");
-    const teachToken = await upgrades.deployProxy(
-        TeachToken,
-        [immutableAddress],
-        { initializer: 'initialize' }
-    );
-
-    await teachToken.waitForDeployment();
-    const deploymentTx = await ethers.provider.getTransactionReceipt(teachToken.deploymentTransaction().hash);
-    totalGas += deploymentTx.gasUsed;
-    const teachTokenAddress = await teachToken.getAddress();
+    const deployment = createDeployment("TeachToken", { registryAddress, registryKey: "TEACH_TOKEN" });
+    const { contract: teachToken, address: teachTokenAddress } = await deployment.deploy([immutableAddress]);
     console.log("TeachToken deployed to:", teachTokenAddress);
 
     const tokenMaxSupply = await teachToken.immutableContract();
     console.log("TeachToken references constants at:", tokenMaxSupply);
     console.log("TeachToken initialized");
 
-    // Get wallet addresses for initial distribution
-    const platformEcosystemAddress = process.env.PLATFORM_ECOSYSTEM_ADDRESS || deployer.address;
-    const communityIncentivesAddress = process.env.COMMUNITY_INCENTIVES_ADDRESS || deployer.address;
-    const initialLiquidityAddress = process.env.INITIAL_LIQUIDITY_ADDRESS || deployer.address;
-    const publicPresaleAddress = process.env.PUBLIC_PRESALE_ADDRESS || deployer.address;
-    const teamAndDevAddress = process.env.TEAM_DEV_ADDRESS || deployer.address;
-    const educationalPartnersAddress = process.env.EDUCATIONAL_PARTNERS_ADDRESS || deployer.address;
-    const reserveAddress = process.env.RESERVE_ADDRESS || deployer.address;
+    // Wallet addresses for the initial distribution, from the network's parameter profile
+    const distribution = loadParams(network.name, "distribution", deployer.address);
 
     // Perform initial token distribution
-    console.log("Performing initial token distribution...");
-
-    const tx = await teachToken.performInitialDistribution(
-        platformEcosystemAddress,
-        communityIncentivesAddress,
-        initialLiquidityAddress,
-        publicPresaleAddress,
-        teamAndDevAddress,
-        educationalPartnersAddress,
-        reserveAddress
+    const receipt = await deployment.step(
+        "Performing initial token distribution",
+        () => teachToken.isInitialDistributionComplete(),
+        () => teachToken.performInitialDistribution(
+            distribution.platformEcosystem,
+            distribution.communityIncentives,
+            distribution.initialLiquidity,
+            distribution.publicPresale,
+            distribution.teamAndDev,
+            distribution.educationalPartners,
+            distribution.reserve
+        )
     );
-
-    console.log("Initial distribution transaction hash:", tx.hash);
-    const receipt = await tx.wait();
-    console.log("Initial distribution complete!");
-    totalGas += receipt.gasUsed;
+    if (receipt) {
+        console.log("Initial distribution transaction hash:", receipt.hash);
+        console.log("Initial distribution complete!");
+    }
 
     // Verify initial distribution
     const totalSupply = await teachToken.totalSupply();
     console.log("Total supply:", ethers.formatEther(totalSupply), "TEACH");
 
-    console.log("Gas used:",totalGas.toString());
-    
-    // Save this address for later use
-    console.log("\n--- IMPORTANT: Update your .env file with these values ---");
-    console.log(`TEACH_TOKEN_ADDRESS=${teachTokenAddress}`);
+    return deployment.finish();
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
\ No newline at end of file
+module.exports = { main };
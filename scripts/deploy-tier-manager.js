@@ -1,71 +1,65 @@
 // scripts/deploy-tier-manager.js
-const { ethers, upgrades } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const deployments = require("./lib/deployments");
+const { createDeployment } = require("./lib/deploy-helpers");
+const { loadParams } = require("./lib/params");
+const { tierCalendar, checkCalendar, calendarSteps } = require("./lib/tiers");
 require("dotenv").config();
 
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying TierManager with the account:", deployer.address);
 
-    let totalGas = 0n;
-    const registryAddress = process.env.REGISTRY_ADDRESS;
-    const crowdsaleAddress = process.env.TOKEN_CROWDSALE_ADDRESS;
+    const registryAddress = deployments.getAddress(network.name, "ContractRegistry");
+    const crowdsaleAddress = deployments.getAddress(network.name, "TokenCrowdSale");
 
     // Deploy the TierManager
     console.log("Deploying TierManager...");
-    const TierManager = await ethers.getContractFactory("TierManager");
-    const tierManager = await upgrades.deployProxy(TierManager, [], { initializer: 'initialize' });
-
-    await tierManager.waitForDeployment();
-    const deploymentTx = await ethers.provider.getTransactionReceipt(tierManager.deploymentTransaction().hash);
-    totalGas += deploymentTx.gasUsed;
-    const tierManagerAddress = await tierManager.getAddress();
+    const deployment = createDeployment("TierManager", { registryAddress, registryKey: "TIER_MANAGER" });
+    const { contract: tierManager, address: tierManagerAddress } = await deployment.deploy();
     console.log("TierManager deployed to:", tierManagerAddress);
 
-    // Set crowdsale address if available
+    // Link Crowdsale and TierManager both ways if available; the crowdsale side may be owned by another admin
+    let crowdsale = null;
     if (crowdsaleAddress) {
-        console.log("Setting Crowdsale for TierManager...");
-        const setCrowdsaleTx = await tierManager.setCrowdsale(crowdsaleAddress);
-        const setCrowdsaleReceipt = await setCrowdsaleTx.wait();
-        totalGas += setCrowdsaleReceipt.gasUsed;
-        console.log("Crowdsale set for TierManager");
-
-        // Set TierManager in Crowdsale if needed
-        try {
-            const TokenCrowdSale = await ethers.getContractFactory("TokenCrowdSale");
-            const crowdsale = TokenCrowdSale.attach(crowdsaleAddress);
-            await crowdsale.setTierManager(tierManagerAddress);
-            console.log("TierManager set in TokenCrowdSale");
-        } catch (error) {
-            console.warn("Could not set TierManager in Crowdsale:", error.message);
-        }
+        const TokenCrowdSale = await ethers.getContractFactory("TokenCrowdSale");
+        crowdsale = TokenCrowdSale.attach(crowdsaleAddress);
+        await deployment.linkBoth(
+            { label: "TierManager", contract: tierManager, getter: "crowdsaleContract", setter: "setCrowdsale" },
+            { label: "TokenCrowdSale", contract: crowdsale, getter: "tierManager", setter: "setTierManager", optional: true }
+        );
     }
 
-    // Set main registry if available
-    if (registryAddress) {
-        // Register in registry
-        const ContractRegistry = await ethers.getContractFactory("ContractRegistry");
-        const registry = ContractRegistry.attach(registryAddress);
-
-        const TIER_MANAGER_NAME = ethers.keccak256(ethers.toUtf8Bytes("TIER_MANAGER"));
-
-        console.log("Registering TierManager in Registry...");
-        const registerTx = await registry.registerContract(TIER_MANAGER_NAME, tierManagerAddress, "0x00000000");
-        const registerReceipt = await registerTx.wait();
-        totalGas += registerReceipt.gasUsed;
-        console.log("TierManager registered in Registry");
+    // Apply the tier calendar within the sale window on-chain (the profile's while the crowdsale
+    // is not deployed yet or setPresaleTimes waits in a Safe batch)
+    const calendar = tierCalendar(loadParams(network.name, "presaleTiers", deployer.address));
+    const onChainStart = crowdsale ? Number(await crowdsale.presaleStart()) : 0;
+    const { presaleStart, presaleEnd } = onChainStart !== 0
+        ? { presaleStart: onChainStart, presaleEnd: Number(await crowdsale.presaleEnd()) }
+        : loadParams(network.name, "crowdsale", deployer.address);
+    const problems = checkCalendar(calendar, { presaleStart, presaleEnd }, Number(await tierManager.tierCount()));
+    if (problems.length > 0) {
+        throw new Error(`The presaleTiers calendar does not fit:\n  - ${problems.join("\n  - ")}`);
     }
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    for (const { description, isDone, send } of calendarSteps(tierManager, calendar, now)) {
+        await deployment.step(description, isDone, send);
+    }
+
+    // Point at the registry and register (skipped when no ContractRegistry is deployed)
+    await deployment.setRegistry(tierManager);
+    await deployment.register(tierManagerAddress);
 
-    // Configure default presale tiers
-    console.log("Tiers initialized with default configuration");
+    return deployment.finish();
+}
 
-    console.log("Gas used:", totalGas.toString());
-    console.log("\n--- IMPORTANT: Update your .env file with these values ---");
-    console.log(`TIER_MANAGER_ADDRESS=${tierManagerAddress}`);
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
\ No newline at end of file
+module.exports = { main };
@@ -1,63 +1,43 @@
 // scripts/deploy-token-price-feed.js
-const { ethers, upgrades } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const deployments = require("./lib/deployments");
+const { createDeployment } = require("./lib/deploy-helpers");
+const { loadParams } = require("./lib/params");
 require("dotenv").config();
 
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying TokenPriceFeed with the account:", deployer.address);
 
-    let totalGas = 0n;
-    const registryAddress = process.env.REGISTRY_ADDRESS;
-    const dexRegistryAddress = process.env.DEX_REGISTRY_ADDRESS;
+    const registryAddress = deployments.getAddress(network.name, "ContractRegistry");
+    const { DexRegistry: dexRegistryAddress } = deployments.requireAddresses(network.name, ["DexRegistry"]);
 
-    if (!dexRegistryAddress) {
-        console.error("Please set DEX_REGISTRY_ADDRESS in your .env file");
-        return;
-    }
+    const { externalPriceOracle } = loadParams(network.name, "priceFeed", deployer.address);
+    const initArgs = [
+        dexRegistryAddress,
+        externalPriceOracle
+    ];
 
     // Deploy the TokenPriceFeed
     console.log("Deploying TokenPriceFeed...");
-    const TokenPriceFeed = await ethers.getContractFactory("TokenPriceFeed");
-    const tokenPriceFeed = await upgrades.deployProxy(TokenPriceFeed, [
-        dexRegistryAddress,
-        deployer.address // External price oracle - set to deployer for now
-    ], { initializer: 'initialize' });
-
-    await tokenPriceFeed.waitForDeployment();
-    const deploymentTx = await ethers.provider.getTransactionReceipt(tokenPriceFeed.deploymentTransaction().hash);
-    totalGas += deploymentTx.gasUsed;
-    const tokenPriceFeedAddress = await tokenPriceFeed.getAddress();
+    const deployment = createDeployment("TokenPriceFeed", { registryAddress, registryKey: "TOKEN_PRICE_FEED" });
+    const { contract: tokenPriceFeed, address: tokenPriceFeedAddress } = await deployment.deploy(initArgs);
     console.log("TokenPriceFeed deployed to:", tokenPriceFeedAddress);
 
-    // Set main registry if available
-    if (registryAddress) {
-        console.log("Setting Registry for TokenPriceFeed...");
-        const setRegistryTx = await tokenPriceFeed.setRegistry(registryAddress);
-        const setRegistryReceipt = await setRegistryTx.wait();
-        totalGas += setRegistryReceipt.gasUsed;
-        console.log("Registry set for TokenPriceFeed");
-
-        // Register in registry
-        const ContractRegistry = await ethers.getContractFactory("ContractRegistry");
-        const registry = ContractRegistry.attach(registryAddress);
-
-        const TOKEN_PRICE_FEED_NAME = ethers.keccak256(ethers.toUtf8Bytes("TOKEN_PRICE_FEED"));
-
-        console.log("Registering TokenPriceFeed in Registry...");
-        const registerTx = await registry.registerContract(TOKEN_PRICE_FEED_NAME, tokenPriceFeedAddress, "0x00000000");
-        const registerReceipt = await registerTx.wait();
-        totalGas += registerReceipt.gasUsed;
-        console.log("TokenPriceFeed registered in Registry");
-    }
-
-    console.log("Gas used:", totalGas.toString());
-    console.log("\n--- IMPORTANT: Update your .env file with these values ---");
-    console.log(`TOKEN_PRICE_FEED_ADDRESS=${tokenPriceFeedAddress}`);
+    // Point at the registry and register (skipped when no ContractRegistry is deployed)
+    await deployment.setRegistry(tokenPriceFeed);
+    await deployment.register(tokenPriceFeedAddress);
+
+    return deployment.finish();
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
\ No newline at end of file
+module.exports = { main };
@@ -1,68 +1,40 @@
 // scripts/deploy-token-staking.js
-const { ethers,upgrades } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const deployments = require("./lib/deployments");
+const { createDeployment } = require("./lib/deploy-helpers");
+const { loadParams } = require("./lib/params");
 require("dotenv").config();
 
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying TokenStaking with the account:", deployer.address);
 
-    let totalGas = 0n;
-    const teachTokenAddress = process.env.TOKEN_ADDRESS;
-    const registryAddress = process.env.REGISTRY_ADDRESS;
-
-    if (!teachTokenAddress) {
-        console.error("Please set TOKEN_ADDRESS in your .env file");
-        return;
-    }
+    const { TeachToken: teachTokenAddress } = deployments.requireAddresses(network.name, ["TeachToken"]);
+    const registryAddress = deployments.getAddress(network.name, "ContractRegistry");
 
     // Deploy the TokenStaking contract
-    const TokenStaking = await ethers.getContractFactory("TokenStaking");
-    const staking = await upgrades.deployProxy(TokenStaking,[teachTokenAddress, deployer.address],{initializer: 'initialize' });
-
-    await staking.waitForDeployment();
-    const deploymentTx = await ethers.provider.getTransactionReceipt(staking.deploymentTransaction().hash);
-    totalGas += deploymentTx.gasUsed;
-    const stakingAddress = await staking.getAddress();
+    const { platformRewardsManager } = loadParams(network.name, "staking", deployer.address);
+    const initArgs = [teachTokenAddress, platformRewardsManager];
+    const deployment = createDeployment("TokenStaking", { registryAddress, registryKey: "TOKEN_STAKING" });
+    const { contract: staking, address: stakingAddress } = await deployment.deploy(initArgs);
     console.log("TokenStaking deployed to:", stakingAddress);
 
-    // Initialize the staking contract
-    //console.log("Initializing TokenStaking...");
-    //const initTx = await staking.initialize(
-    //    teachTokenAddress,
-    //    deployer.address // Platform rewards manager (for now)
-    //);
-   // await initTx.wait();
     console.log("TokenStaking initialized");
 
-    // Set registry
-    if (registryAddress) {
-        console.log("Setting Registry for TokenStaking...");
-        const setRegistryTx = await staking.setRegistry(registryAddress);
-        const setRegistryReceipt = await setRegistryTx.wait();
-        totalGas += setRegistryReceipt.gasUsed;
-        console.log("Registry set for TokenStaking");
-
-        // Register in registry
-        const ContractRegistry = await ethers.getContractFactory("ContractRegistry");
-        const registry = ContractRegistry.attach(registryAddress);
+    // Point at the registry and register (skipped when no ContractRegistry is deployed)
+    await deployment.setRegistry(staking);
+    await deployment.register(stakingAddress);
 
-        const STAKING_NAME = ethers.keccak256(ethers.toUtf8Bytes("TOKEN_STAKING"));
-
-        console.log("Registering TokenStaking in Registry...");
-        const registerTx = await registry.registerContract(STAKING_NAME, stakingAddress, "0x00000000");
-        const registerReceipt = await registerTx.wait();
-        totalGas += registerReceipt.gasUsed;
-        console.log("TokenStaking registered in Registry");
-    }
+    return deployment.finish();
+}
 
-    console.log("Gas used:",totalGas.toString());
-    console.log("\n--- IMPORTANT: Update your .env file with these values ---");
-    console.log(`TOKEN_STAKING_ADDRESS=${stakingAddress}`);
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
\ No newline at end of file
+module.exports = { main };
@@ -1,61 +1,37 @@
-// scripts/deploy-token-staking.js
-const { ethers,upgrades } = require("hardhat");
+// scripts/deploy-token-vesting.js
+const { ethers, network } = require("hardhat");
+const deployments = require("./lib/deployments");
+const { createDeployment } = require("./lib/deploy-helpers");
 require("dotenv").config();
 
 async function main() {
     const [deployer] = await ethers.getSigners();
     console.log("Deploying TokenVesting with the account:", deployer.address);
 
-    let totalGas = 0n;
-    const teachTokenAddress = process.env.TOKEN_ADDRESS;
-    const registryAddress = process.env.REGISTRY_ADDRESS;
+    const { TeachToken: teachTokenAddress } = deployments.requireAddresses(network.name, ["TeachToken"]);
+    const registryAddress = deployments.getAddress(network.name, "ContractRegistry");
 
-    if (!teachTokenAddress) {
-        console.error("Please set TOKEN_ADDRESS in your .env file");
-        return;
-    }
-
-    // Deploy the TokenStaking contract
-    const TokenVesting = await ethers.getContractFactory("TokenVesting");
-    const vesting = await upgrades.deployProxy(TokenVesting,[teachTokenAddress],{initializer: 'initialize' });
-
-    await vesting.waitForDeployment();
-    const deploymentTx = await ethers.provider.getTransactionReceipt(vesting.deploymentTransaction().hash);
-    totalGas += deploymentTx.gasUsed;
-    const vestingAddress = await vesting.getAddress();
+    // Deploy the TokenVesting contract
+    const deployment = createDeployment("TokenVesting", { registryAddress, registryKey: "TOKEN_VESTING" });
+    const { contract: vesting, address: vestingAddress } = await deployment.deploy([teachTokenAddress]);
     console.log("TokenVesting deployed to:", vestingAddress);
     
     console.log("TokenVesting initialized");
 
-    // Set registry
-    if (registryAddress) {
-        console.log("Setting Registry for TokenVesting...");
-        const setRegistryTx = await vesting.setRegistry(registryAddress);
-        const setRegistryReceipt = await setRegistryTx.wait();
-        totalGas += setRegistryReceipt.gasUsed;
-        console.log("Registry set for TokenVesting");
-
-        // Register in registry
-        const ContractRegistry = await ethers.getContractFactory("ContractRegistry");
-        const registry = ContractRegistry.attach(registryAddress);
+    // Point at the registry and register (skipped when no ContractRegistry is deployed)
+    await deployment.setRegistry(vesting);
+    await deployment.register(vestingAddress);
 
-        const VESTING_NAME = ethers.keccak256(ethers.toUtf8Bytes("TOKEN_VESTING"));
-
-        console.log("Registering TokenVesting in Registry...");
-        const registerTx = await registry.registerContract(VESTING_NAME, vestingAddress, "0x00000000");
-        const registerReceipt = await registerTx.wait();
-        totalGas += registerReceipt.gasUsed;
-        console.log("TokenVesting registered in Registry");
-    }
+    return deployment.finish();
+}
 
-    console.log("Gas used:",totalGas.toString());
-    console.log("\n--- IMPORTANT: Update your .env file with these values ---");
-    console.log(`TOKEN_VESTING_ADDRESS=${vestingAddress}`);
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
\ No newline at end of file
+module.exports = { main };
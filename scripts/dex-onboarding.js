@@ -0,0 +1,274 @@
+// scripts/dex-onboarding.js - Brings the DEXes in DexRegistry in line with a DEX onboarding file
+const { ethers, network } = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { createAddressResolver } = require("./lib/addresses");
+const { createDeployment, hasCode, sameAddress } = require("./lib/deploy-helpers");
+const { adminMode } = require("./lib/safe-batch");
+const { FULL_ALLOCATION, ZERO_ADDRESS, loadDexConfig, readDexes, planDexChanges } = require("./lib/dexes");
+require("dotenv").config();
+
+// DEX_CONFIG=<file> is the onboarding file (see scripts/dexes/example.json). DEX_ACTION=plan (default)
+// checks routers, factories, allocations and pairs and prints the changes, DEX_ACTION=apply sends them.
+// setDexPair only accepts DexRegistry's liquidity manager; with DEX_PAIR_VIA_MANAGER=true the
+// signer (the Safe in ADMIN_MODE=safe) is made liquidity manager for the pair calls and the
+// LiquidityManager contract is put back afterwards.
+const ACTION = (process.env.DEX_ACTION || "plan").toLowerCase();
+const PAIR_VIA_MANAGER = process.env.DEX_PAIR_VIA_MANAGER === "true";
+
+const FACTORY_ABI = [
+    "function getPair(address tokenA, address tokenB) view returns (address)",
+    "function createPair(address tokenA, address tokenB) returns (address)"
+];
+const ROUTER_ABI = ["function factory() view returns (address)"];
+const PAIR_ABI = [
+    "function token0() view returns (address)",
+    "function token1() view returns (address)",
+    "function totalSupply() view returns (uint256)",
+    "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)"
+];
+
+function printDexes(dexes, total) {
+    if (dexes.length === 0) {
+        console.log("   no DEXes yet");
+    }
+    dexes.forEach(dex => {
+        const status = dex.active ? "\x1b[32mactive\x1b[0m  " : "\x1b[90minactive\x1b[0m";
+        console.log(`   ${String(dex.id).padStart(3)} ${dex.name.padEnd(16)} ${status} ${String(dex.allocation).padStart(3)}%  ` +
+            `router ${dex.router}  pair ${dex.pair === ZERO_ADDRESS ? "-" : dex.pair}`);
+    });
+    console.log(`   total allocation of the active DEXes: ${total}%`);
+}
+
+// Router, factory and pair checks of every configured active DEX
+async function checkDexes(config, dexRegistry, tokens) {
+    const problems = [];
+    const notes = [];
+    const pairs = {};
+    for (const dex of config.filter(entry => entry.active)) {
+        const missing = [];
+        for (const field of ["router", "factory"]) {
+            if (!(await hasCode(dex[field]))) missing.push(`${dex.name}: no contract at ${field} ${dex[field]}`);
+        }
+        if (missing.length > 0) {
+            problems.push(...missing);
+            continue;
+        }
+
+        const validate = { router: "validateDexRouter", factory: "validateDexFactory" };
+        for (const field of ["router", "factory"]) {
+            if (!(await dexRegistry[validate[field]](dex[field]))) {
+                notes.push(`${dex.name}: ${field} ${dex[field]} is not supported yet, addDex/updateDex adds it`);
+            }
+        }
+        try {
+            const routerFactory = await new ethers.Contract(dex.router, ROUTER_ABI, ethers.provider).factory();
+            if (!sameAddress(routerFactory, dex.factory)) {
+                problems.push(`${dex.name}: router ${dex.router} uses factory ${routerFactory}, not ${dex.factory}`);
+            }
+        } catch (error) {
+            notes.push(`${dex.name}: could not read factory() of router ${dex.router}, not checked`);
+        }
+
+        if (dex.pair === null) continue;
+        const listed = await new ethers.Contract(dex.factory, FACTORY_ABI, ethers.provider).getPair(tokens.teach, tokens.stable);
+        if (dex.pair === "auto") {
+            pairs[dex.name] = listed;
+            continue;
+        }
+        const pair = new ethers.Contract(dex.pair, PAIR_ABI, ethers.provider);
+        const pairTokens = [await pair.token0(), await pair.token1()];
+        if (!pairTokens.some(token => sameAddress(token, tokens.teach)) || !pairTokens.some(token => sameAddress(token, tokens.stable))) {
+            problems.push(`${dex.name}: pair ${dex.pair} is not a TEACH/stablecoin pair`);
+        } else if (!sameAddress(listed, dex.pair)) {
+            notes.push(`${dex.name}: the factory lists ${listed === ZERO_ADDRESS ? "no pair" : listed} for TEACH/stablecoin, the config names ${dex.pair}`);
+        }
+        pairs[dex.name] = dex.pair;
+    }
+    return { problems, notes, pairs };
+}
+
+// Liquidity still sitting in a DEX that is about to be deactivated
+async function describeLiquidity(dex, provisioner, tokens) {
+    const parts = [`${dex.allocation}% allocation`];
+    if (dex.pair === ZERO_ADDRESS) {
+        return parts.concat("no pair recorded").join(", ");
+    }
+    const lpBalance = provisioner ? await provisioner.dexLpTokenBalance(dex.id) : 0n;
+    const pair = new ethers.Contract(dex.pair, PAIR_ABI, ethers.provider);
+    const [reserve0, reserve1] = await pair.getReserves();
+    const teachFirst = sameAddress(await pair.token0(), tokens.teach);
+    const [teachReserve, stableReserve] = teachFirst ? [reserve0, reserve1] : [reserve1, reserve0];
+    parts.push(`pair reserves ${ethers.formatUnits(teachReserve, tokens.teachDecimals)} TEACH / ${ethers.formatUnits(stableReserve, tokens.stableDecimals)} stablecoin`);
+    if (provisioner) {
+        const supply = await pair.totalSupply();
+        const share = supply > 0n ? lpBalance * 10000n / supply : 0n;
+        parts.push(`LiquidityProvisioner holds ${ethers.formatEther(lpBalance)} LP (${Number(share) / 100}% of the pair)`);
+    }
+    return parts.join(", ");
+}
+
+function describeChange(change) {
+    const { dex, before } = change;
+    switch (change.kind) {
+    case "add":
+        return `Adding ${change.name} as DEX ${change.id} with ${dex.allocation}% (router ${dex.router})`;
+    case "update": {
+        const fields = ["router", "factory", "stakingRewards"].filter(field => !sameAddress(before[field], dex[field]));
+        if (before.allocation !== dex.allocation) fields.push(`allocation ${before.allocation}% → ${dex.allocation}%`);
+        return `Updating DEX ${change.id} ${change.name}: ${fields.join(", ")}`;
+    }
+    case "activate":
+        return `Activating DEX ${change.id} ${change.name}`;
+    case "deactivate":
+        return `Deactivating DEX ${change.id} ${change.name}`;
+    default:
+        return `Recording the TEACH/stablecoin pair of DEX ${change.id} ${change.name}`;
+    }
+}
+
+async function main() {
+    if (!["plan", "apply"].includes(ACTION)) {
+        throw new Error(`DEX_ACTION must be plan or apply, got "${ACTION}"`);
+    }
+    if (!process.env.DEX_CONFIG) {
+        throw new Error("Set DEX_CONFIG to the DEX onboarding file, e.g. DEX_CONFIG=scripts/dexes/example.json");
+    }
+    const config = loadDexConfig(process.env.DEX_CONFIG);
+
+    const manifest = loadManifest();
+    const resolver = createAddressResolver(network.name, { manifest });
+    const addresses = await resolver.require(["DexRegistry", "TeachToken", "StableCoin"]);
+    const { address: managerAddress } = await resolver.resolve("LiquidityManager");
+    const { address: provisionerAddress } = await resolver.resolve("LiquidityProvisioner");
+
+    // Created before the signer is taken and the contracts are attached, so that ADMIN_MODE=safe queues the calls
+    const deployment = ACTION === "apply" ? createDeployment("DexRegistry") : null;
+    const safe = adminMode() === "safe";
+    const [signer] = await ethers.getSigners();
+    const actor = safe ? process.env.MULTISIG_ADDRESS : signer.address;
+    if (safe && !actor) {
+        throw new Error("ADMIN_MODE=safe needs MULTISIG_ADDRESS");
+    }
+    const dexRegistry = (await ethers.getContractFactory("DexRegistry")).attach(addresses.DexRegistry);
+    const provisioner = provisionerAddress && await hasCode(provisionerAddress)
+        ? (await ethers.getContractFactory("LiquidityProvisioner")).attach(provisionerAddress) : null;
+    const erc20 = address => new ethers.Contract(address, ["function decimals() view returns (uint8)"], ethers.provider);
+    const tokens = {
+        teach: addresses.TeachToken,
+        stable: addresses.StableCoin,
+        teachDecimals: Number(await erc20(addresses.TeachToken).decimals()),
+        stableDecimals: Number(await erc20(addresses.StableCoin).decimals())
+    };
+
+    const onChain = await readDexes(dexRegistry);
+    console.log(`\n\x1b[1mDexRegistry ${addresses.DexRegistry} on ${network.name}\x1b[0m`);
+    printDexes(onChain, Number(await dexRegistry.getTotalAllocation()));
+
+    const checks = await checkDexes(config, dexRegistry, tokens);
+    const { changes, problems } = planDexChanges(config, onChain);
+    problems.push(...checks.problems);
+    checks.notes.forEach(note => console.log(`   \x1b[90m${note}\x1b[0m`));
+
+    const manager = await dexRegistry.getLiquidityManager();
+    const pairChanges = changes.filter(change => change.kind === "pair");
+    const managerSwap = pairChanges.length > 0 && !sameAddress(manager, actor);
+    if (managerSwap && !PAIR_VIA_MANAGER) {
+        console.log(`\x1b[33msetDexPair only accepts the liquidity manager ${manager}; pairs are left unset ` +
+            "(DEX_PAIR_VIA_MANAGER=true records them from this account)\x1b[0m");
+    }
+
+    console.log(`\n\x1b[1mChanges from ${process.env.DEX_CONFIG}\x1b[0m`);
+    if (changes.length === 0) {
+        console.log("   none, DexRegistry matches the config");
+    }
+    for (const change of changes) {
+        console.log(`   ${describeChange(change)}`);
+        if (change.kind === "deactivate") {
+            console.log(`     \x1b[33m! still allocated: ${await describeLiquidity(change.before, provisioner, tokens)}\x1b[0m`);
+        }
+        if (change.kind === "pair") {
+            const pair = checks.pairs[change.name];
+            console.log(`     ${pair && pair !== ZERO_ADDRESS ? `pair ${pair}` : "no pair on the factory yet, createPair makes one"}`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`The DEX config cannot be applied:\n  - ${problems.join("\n  - ")}`);
+    }
+    if (ACTION === "plan") {
+        console.log(changes.length > 0 ? "\nRun with DEX_ACTION=apply to send the changes" : "");
+        return;
+    }
+
+    const current = async id => (await readDexes(dexRegistry))[id];
+    for (const change of changes.filter(entry => entry.kind !== "pair")) {
+        const { id, dex } = change;
+        const description = describeChange(change);
+        if (change.kind === "add") {
+            await deployment.step(description, async () => (await current(id)) !== undefined,
+                () => dexRegistry.addDex(dex.name, dex.router, dex.factory, dex.stakingRewards, dex.allocation));
+        } else if (change.kind === "update") {
+            await deployment.step(description, async () => {
+                const now = await current(id);
+                return sameAddress(now.router, dex.router) && sameAddress(now.factory, dex.factory) &&
+                    sameAddress(now.stakingRewards, dex.stakingRewards) && now.allocation === dex.allocation;
+            }, () => dexRegistry.updateDex(id, dex.name, dex.router, dex.factory, dex.stakingRewards, dex.allocation));
+        } else if (change.kind === "activate") {
+            await deployment.step(description, () => dexRegistry.isDexActive(id), () => dexRegistry.activateDex(id));
+        } else {
+            await deployment.step(description, async () => !(await dexRegistry.isDexActive(id)), () => dexRegistry.deactivateDex(id));
+        }
+    }
+
+    if (pairChanges.length > 0 && (!managerSwap || PAIR_VIA_MANAGER)) {
+        if (managerSwap) {
+            await deployment.step(`Making ${actor} DexRegistry's liquidity manager to record pairs`,
+                async () => sameAddress(await dexRegistry.getLiquidityManager(), actor),
+                () => dexRegistry.setLiquidityManager(actor));
+        }
+        for (const change of pairChanges) {
+            const factory = new ethers.Contract(change.dex.factory, FACTORY_ABI, signer);
+            if (change.dex.pair === "auto") {
+                await deployment.step(`Creating the TEACH/stablecoin pair on ${change.name}`,
+                    async () => (await factory.getPair(tokens.teach, tokens.stable)) !== ZERO_ADDRESS,
+                    () => factory.createPair(tokens.teach, tokens.stable));
+            }
+            const pair = change.dex.pair === "auto" ? await factory.getPair(tokens.teach, tokens.stable) : change.dex.pair;
+            if (pair === ZERO_ADDRESS) {
+                console.log(`${change.name}: the pair is created once the batch runs; run again afterwards to record it`);
+                continue;
+            }
+            await deployment.step(describeChange(change),
+                async () => (await dexRegistry.getDexPair(change.id)) !== ZERO_ADDRESS,
+                () => dexRegistry.setDexPair(change.id, pair));
+        }
+        if (managerSwap) {
+            // The LiquidityManager contract is the manager the wiring expects; a zero manager cannot be set back
+            const restore = managerAddress || (manager !== ZERO_ADDRESS ? manager : null);
+            if (restore) {
+                await deployment.step(`Setting DexRegistry's liquidity manager back to ${restore}`,
+                    async () => sameAddress(await dexRegistry.getLiquidityManager(), restore),
+                    () => dexRegistry.setLiquidityManager(restore));
+            } else {
+                console.log(`\x1b[33mDexRegistry's liquidity manager stays ${actor}: no LiquidityManager is deployed\x1b[0m`);
+            }
+        }
+    }
+    deployment.finish();
+
+    if (!safe) {
+        const total = Number(await dexRegistry.getTotalAllocation());
+        console.log(`\n\x1b[1mDexRegistry after the changes\x1b[0m`);
+        printDexes(await readDexes(dexRegistry), total);
+        if (total !== FULL_ALLOCATION) {
+            throw new Error(`getTotalAllocation() is ${total}%, expected ${FULL_ALLOCATION}%`);
+        }
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
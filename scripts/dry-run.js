@@ -0,0 +1,114 @@
+// scripts/dry-run.js - Runs the deployment pipeline on an in-process fork of a network and prints the plan; nothing is broadcast
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+require("dotenv").config();
+
+// Run with --network hardhat. DRY_RUN_NETWORK=amoy selects the network to fork,
+// DRY_RUN_FROM / DRY_RUN_TO limit the components (manifest names), DRY_RUN_BLOCK pins the fork,
+// DRY_RUN_DEPLOYER overrides the deployer, DRY_RUN_FUND=true tops it up,
+// DRY_RUN_PLAN=<file> also writes the plan as JSON. The deploy scripts load the target's parameter
+// profile, or PARAMS_PROFILE when it is set.
+const TARGET = process.env.DRY_RUN_NETWORK;
+
+const STATUS_COLORS = {
+    "planned": "\x1b[32m",
+    "planned-with-warnings": "\x1b[33m",
+    "unchanged": "\x1b[90m",
+    "reverted": "\x1b[31m",
+    "blocked": "\x1b[31m"
+};
+
+function printPlan(plan) {
+    console.log(`\n\x1b[1mDeployment plan for ${plan.network}\x1b[0m (fork at block ${plan.forkBlock}, deployer ${plan.deployer}, mode ${plan.mode}, profile ${plan.profile})`);
+
+    plan.components.forEach(component => {
+        console.log(`\n${STATUS_COLORS[component.status]}■ ${component.name}: ${component.status}\x1b[0m`);
+        if (component.status === "blocked") {
+            console.log(`   needs ${component.missing.join(", ")}`);
+        }
+        component.transactions.forEach(tx => {
+            console.log(`   ${tx.category.padEnd(16)} ${tx.description}  \x1b[90m${Number(tx.gasUsed).toLocaleString()} gas\x1b[0m`);
+        });
+        component.reverts.forEach(revert => {
+            const color = revert.optional ? "\x1b[33m" : "\x1b[31m";
+            console.log(`${color}   ✗ ${revert.step ? `${revert.step}: ` : ""}${revert.error}\x1b[0m`);
+        });
+    });
+
+    console.log("\n\x1b[1mResulting wiring\x1b[0m");
+    if (plan.wiring.findings.length === 0) {
+        console.log("   \x1b[32m✓\x1b[0m every registry entry and link in place");
+    }
+    plan.wiring.findings.forEach(finding => {
+        const mark = finding.severity === "error" ? "\x1b[31m✗\x1b[0m" : "\x1b[33m!\x1b[0m";
+        console.log(`   ${mark} ${finding.message}`);
+    });
+
+    const { total, funds } = plan;
+    console.log(`\n${total.transactions} transaction(s), ${total.gasUsed.toLocaleString()} gas, ` +
+        `about ${total.cost} ${total.nativeSymbol} at the fork's gas price`);
+    if (!funds.sufficient) {
+        console.log(`\x1b[31mThe deployer holds only ${funds.balance} wei, less than the estimated cost\x1b[0m`);
+    }
+}
+
+async function main() {
+    if (!TARGET) {
+        throw new Error("Set DRY_RUN_NETWORK to the network to plan for, e.g. DRY_RUN_NETWORK=amoy");
+    }
+
+    // The fork records into a scratch copy of the target's records, so the real ones stay untouched
+    const sourceDir = process.env.DEPLOYMENTS_DIR || path.join(__dirname, "..", "deployments");
+    const forkDir = fs.mkdtempSync(path.join(os.tmpdir(), "dry-run-"));
+    process.env.DEPLOYMENTS_DIR = forkDir;
+    // The fork runs as the hardhat network, whose own profile is the localhost one
+    if (!process.env.PARAMS_PROFILE) process.env.PARAMS_PROFILE = TARGET;
+
+    // Required only now: lib/deployments reads DEPLOYMENTS_DIR when it is loaded, and the
+    // deploy scripts are required (not run through `hardhat run`) so they share the fork
+    const { loadManifest, resolveDeploymentOrder } = require("./lib/manifest");
+    const { runDryRun, seedForkRecords } = require("./lib/dry-run");
+
+    try {
+        seedForkRecords(sourceDir, forkDir, TARGET);
+
+        const names = resolveDeploymentOrder(loadManifest()).map(component => component.name);
+        const indexOf = (name, fallback) => {
+            if (!name) return fallback;
+            const index = names.indexOf(name);
+            if (index === -1) throw new Error(`${name} is not a component of the deployment manifest`);
+            return index;
+        };
+
+        const plan = await runDryRun(TARGET, {
+            fromIndex: indexOf(process.env.DRY_RUN_FROM, 0),
+            toIndex: indexOf(process.env.DRY_RUN_TO, names.length - 1),
+            mode: (process.env.DEPLOY_MODE || "resume").toLowerCase(),
+            fork: {
+                blockNumber: process.env.DRY_RUN_BLOCK ? parseInt(process.env.DRY_RUN_BLOCK, 10) : null,
+                deployer: process.env.DRY_RUN_DEPLOYER || null,
+                fund: process.env.DRY_RUN_FUND === "true"
+            }
+        });
+
+        printPlan(plan);
+        if (process.env.DRY_RUN_PLAN) {
+            fs.writeFileSync(process.env.DRY_RUN_PLAN, JSON.stringify(plan, null, 2) + "\n");
+            console.log(`Plan written to ${process.env.DRY_RUN_PLAN}`);
+        }
+        return plan;
+    } finally {
+        fs.rmSync(forkDir, { recursive: true, force: true });
+    }
+}
+
+main()
+    .then((plan) => {
+        const failed = plan.components.some(component => ["reverted", "blocked"].includes(component.status));
+        process.exit(failed ? 1 : 0);
+    })
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,172 @@
+// scripts/emergency-runbook.js - Shows the pause, emergency and recovery state of the platform and runs emergency playbooks
+const fs = require("fs");
+const { ethers, network } = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { createAddressResolver } = require("./lib/addresses");
+const { createDeployment, hasCode, registryName, sameAddress } = require("./lib/deploy-helpers");
+const { adminMode } = require("./lib/safe-batch");
+const { KNOWN_REGISTRY_KEYS } = require("./lib/wiring");
+const { DEFAULT_PLAYBOOKS_PATH, readEmergencyOverview, loadPlaybooks, planStep } = require("./lib/emergency");
+require("dotenv").config();
+
+// Without EMERGENCY_PLAYBOOK only the overview is shown. EMERGENCY_PLAYBOOK=<name> runs a playbook
+// from EMERGENCY_PLAYBOOKS (default scripts/emergency-playbooks.json) and confirms every step on-chain;
+// with ADMIN_MODE=safe the steps are queued for the Safe instead. EMERGENCY_REPORT=<file> writes
+// the overview after the run as JSON.
+const PLAYBOOKS_FILE = process.env.EMERGENCY_PLAYBOOKS || DEFAULT_PLAYBOOKS_PATH;
+
+function date(seconds) {
+    return new Date(seconds * 1000).toISOString().replace(".000Z", "Z");
+}
+
+function flag(value, on, off) {
+    if (value === null) return "\x1b[90m?\x1b[0m";
+    return value ? `\x1b[31m${on}\x1b[0m` : `\x1b[32m${off}\x1b[0m`;
+}
+
+function describeRecovery(recovery, now) {
+    if (!recovery) return "";
+    if (!recovery.active) return "\x1b[90mno recovery\x1b[0m";
+    const expired = recovery.expiresAt !== null && now > recovery.expiresAt;
+    return `\x1b[33mrecovery ${recovery.approvers.length}/${recovery.required} approvals\x1b[0m` +
+        (recovery.expiresAt !== null ? (expired ? " \x1b[31m(timed out, approvals no longer count)\x1b[0m" : ` until ${date(recovery.expiresAt)}`) : "");
+}
+
+// Every deployed contract of the manifest, with its registry entry
+async function loadLive(resolver, manifest) {
+    const live = {};
+    for (const name of Object.keys(manifest.addresses)) {
+        const { address } = await resolver.resolve(name);
+        if (!address || !(await hasCode(address))) continue;
+        const artifact = manifest.addresses[name].contract || name;
+        live[name] = { address, artifact, contract: (await ethers.getContractFactory(artifact)).attach(address), registered: null, active: null };
+    }
+
+    const unknown = [];
+    if (live.ContractRegistry) {
+        const registry = live.ContractRegistry.contract;
+        const keyByHash = {};
+        KNOWN_REGISTRY_KEYS.forEach(key => { keyByHash[registryName(key)] = key; });
+        for (const hash of await registry.getAllContractNames()) {
+            const address = await registry.getContractAddress(hash);
+            const name = Object.keys(live).find(candidate => sameAddress(live[candidate].address, address));
+            if (name) {
+                live[name].registered = keyByHash[hash] || hash;
+                live[name].active = await registry.isContractActive(hash);
+            } else {
+                unknown.push(`${keyByHash[hash] || hash} → ${address}`);
+            }
+        }
+    }
+    return { live, unknown };
+}
+
+async function printOverview(live, unknown) {
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const overview = await readEmergencyOverview(live, now);
+    console.log(`\n\x1b[1mEmergency state on ${network.name}\x1b[0m at ${date(now)}`);
+
+    if (overview.registry) {
+        console.log(`   ContractRegistry   system ${flag(overview.registry.systemPaused, "PAUSED", "running")}  ${describeRecovery(overview.registry.recovery, now)}`);
+    } else {
+        console.log("   ContractRegistry   \x1b[90mnot deployed\x1b[0m");
+    }
+    if (overview.emergencyManager) {
+        const { state, pausedSince, recovery } = overview.emergencyManager;
+        console.log(`   EmergencyManager   ${state === "NORMAL" ? `\x1b[32m${state}\x1b[0m` : `\x1b[31m${state}\x1b[0m since ${date(pausedSince)}`}  ` +
+            describeRecovery(recovery, now));
+    } else {
+        console.log("   EmergencyManager   \x1b[90mnot deployed\x1b[0m");
+    }
+
+    console.log("");
+    for (const row of overview.contracts) {
+        const registration = row.registered === null ? "unregistered"
+            : row.active ? row.registered : `${row.registered}, inactive`;
+        const paused = row.paused === null && !row.recovery ? "\x1b[90mno pause switch\x1b[0m" : flag(row.paused, "paused", "running");
+        const recovery = row.recovery ? `  ${describeRecovery(row.recovery, now)}` : "";
+        console.log(`   ${row.name.padEnd(22)} ${`(${registration})`.padEnd(34)} ${paused}${recovery}`);
+    }
+    unknown.forEach(entry => console.log(`   \x1b[33m! registered but not in the manifest: ${entry}\x1b[0m`));
+    return overview;
+}
+
+async function runPlaybook(name, playbook, live) {
+    const safe = adminMode() === "safe";
+    const [signer] = await ethers.getSigners();
+    const actor = safe ? process.env.MULTISIG_ADDRESS : signer.address;
+    if (safe && !actor) {
+        throw new Error("ADMIN_MODE=safe needs MULTISIG_ADDRESS");
+    }
+
+    // Created before the steps attach to the contracts, so that ADMIN_MODE=safe queues the calls
+    const deployment = createDeployment("EmergencyManager");
+    const contracts = {};
+    for (const [contractName, entry] of Object.entries(live)) {
+        contracts[contractName] = { ...entry, contract: (await ethers.getContractFactory(entry.artifact)).attach(entry.address) };
+    }
+
+    console.log(`\n\x1b[1mPlaybook ${name}\x1b[0m: ${playbook.description}`);
+    console.log(`   as ${actor}${safe ? " (queued for the Safe)" : ""}\n`);
+    const results = [];
+    for (const step of playbook.steps) {
+        const planned = await planStep(step, contracts, actor);
+        if (planned.skipped) {
+            console.log(`   - skipped: ${planned.skipped}`);
+            results.push({ description: `${step.action} ${step.contract || ""}`.trim(), status: "skipped" });
+            continue;
+        }
+        // A failing step does not stop the playbook; the confirmation below reports it
+        for (const { description, isDone, send } of planned) {
+            await deployment.step(description, isDone, send, { optional: true });
+            if (safe) {
+                results.push({ description, status: "queued" });
+                continue;
+            }
+            const confirmed = await isDone();
+            console.log(`   ${confirmed ? "\x1b[32m✓ in effect\x1b[0m" : "\x1b[31m✗ not in effect\x1b[0m"}: ${description}`);
+            results.push({ description, status: confirmed ? "confirmed" : "not in effect" });
+        }
+    }
+    deployment.finish();
+    return results;
+}
+
+async function main() {
+    const manifest = loadManifest();
+    const resolver = createAddressResolver(network.name, { manifest });
+    const { live, unknown } = await loadLive(resolver, manifest);
+
+    const name = process.env.EMERGENCY_PLAYBOOK;
+    let results = [];
+    if (name) {
+        const playbooks = loadPlaybooks(PLAYBOOKS_FILE);
+        if (!playbooks[name]) {
+            throw new Error(`No playbook "${name}" in ${PLAYBOOKS_FILE}, available: ${Object.keys(playbooks).join(", ")}`);
+        }
+        await printOverview(live, unknown);
+        results = await runPlaybook(name, playbooks[name], live);
+    }
+
+    const overview = await printOverview(live, unknown);
+    const failed = results.filter(result => result.status === "not in effect");
+    if (name) {
+        console.log(failed.length > 0
+            ? `\n\x1b[31m${failed.length} step(s) of ${name} did not take effect:\x1b[0m\n` + failed.map(result => `   ✗ ${result.description}`).join("\n")
+            : `\n\x1b[32mPlaybook ${name} done\x1b[0m`);
+    }
+
+    if (process.env.EMERGENCY_REPORT) {
+        const report = { network: network.name, playbook: name || null, steps: results, ...overview };
+        fs.writeFileSync(process.env.EMERGENCY_REPORT, JSON.stringify(report, (key, value) => typeof value === "bigint" ? value.toString() : value, 2) + "\n");
+        console.log(`Report written to ${process.env.EMERGENCY_REPORT}`);
+    }
+    return failed.length;
+}
+
+main()
+    .then((failed) => process.exit(failed > 0 ? 1 : 0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
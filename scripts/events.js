@@ -0,0 +1,146 @@
+// events.js - Queries the event store written by index-events.js, as a table, JSON or CSV
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { storePath, openStore, getMeta, queryEvents, summarizeEvents, eventsToCsv } = require('./lib/indexer');
+
+const USAGE = `Usage: node scripts/events.js [options]
+
+Reads deployments/indexer/<network>.sqlite, written by
+npx hardhat run scripts/index-events.js --network <network>.
+
+  --network <name>          Store of a network (default: localhost)
+  --db <file>               Store file instead of the network's
+  --contract <names>        Comma-separated contract names, e.g. TeacherReward,PlatformMarketplace
+  --event <names>           Comma-separated event names, e.g. ResourcePurchased,RewardClaimed
+  --address <address>       Contract address
+  --where <arg=value>       Match a decoded argument, e.g. --where buyer=0xabc...; repeatable
+  --tx <hash>               Events of one transaction
+  --from-block <n>          First block
+  --to-block <n>            Last block
+  --since <date>            ISO date or unix seconds
+  --until <date>            ISO date or unix seconds
+  --limit <n>               At most n events (default: 100, 0 for all)
+  --desc                    Newest first
+  --format <table|json|csv> Output format (default: table)
+  --out <file>              Write to a file instead of stdout
+  --summary                 Event counts per contract and event instead of the events`;
+
+function parseTime(value, option) {
+    if (value === undefined) return undefined;
+    const seconds = /^\d+$/.test(value) ? parseInt(value, 10) : Math.floor(Date.parse(value) / 1000);
+    if (isNaN(seconds)) {
+        throw new Error(`${option} must be an ISO date or unix seconds, got "${value}"`);
+    }
+    return seconds;
+}
+
+function parseBlock(value, option) {
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`${option} must be a block number, got "${value}"`);
+    }
+    return parseInt(value, 10);
+}
+
+function formatTable(rows) {
+    if (rows.length === 0) return '';
+    return rows.map(row => {
+        const args = Object.entries(row.args).map(([name, value]) => `${name}=${typeof value === 'object' ? JSON.stringify(value) : value}`);
+        return `${String(row.blockNumber).padStart(9)} ${new Date(row.timestamp * 1000).toISOString().replace('.000Z', 'Z')} ` +
+            `${row.contract}.${row.event} ${args.join(' ')}\n${''.padStart(10)}tx ${row.txHash}`;
+    }).join('\n') + '\n';
+}
+
+function main() {
+    const { values } = parseArgs({
+        options: {
+            'network': { type: 'string', default: 'localhost' },
+            'db': { type: 'string' },
+            'contract': { type: 'string' },
+            'event': { type: 'string' },
+            'address': { type: 'string' },
+            'where': { type: 'string', multiple: true },
+            'tx': { type: 'string' },
+            'from-block': { type: 'string' },
+            'to-block': { type: 'string' },
+            'since': { type: 'string' },
+            'until': { type: 'string' },
+            'limit': { type: 'string', default: '100' },
+            'desc': { type: 'boolean' },
+            'format': { type: 'string', default: 'table' },
+            'out': { type: 'string' },
+            'summary': { type: 'boolean' },
+            'help': { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!['table', 'json', 'csv'].includes(values.format)) {
+        throw new Error(`Unsupported format ${values.format}`);
+    }
+    const limit = parseBlock(values.limit, '--limit');
+    const where = (values.where || []).map(pair => {
+        const separator = pair.indexOf('=');
+        if (separator < 1) {
+            throw new Error(`--where takes arg=value, got "${pair}"`);
+        }
+        return [pair.slice(0, separator), pair.slice(separator + 1)];
+    });
+
+    const file = values.db || storePath(values.network);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No event store at ${file}; run npx hardhat run scripts/index-events.js --network ${values.network} first`);
+    }
+    const db = openStore(file, { readonly: true });
+
+    let output;
+    try {
+        const cursor = getMeta(db, 'cursor');
+        if (values.summary) {
+            const rows = summarizeEvents(db);
+            output = values.format === 'json' ? JSON.stringify(rows, null, 2) + '\n'
+                : values.format === 'csv' ? ['contract,event,count,firstBlock,lastBlock', ...rows.map(row => Object.values(row).join(','))].join('\n') + '\n'
+                : `Indexed to block ${cursor}\n` + rows.map(row =>
+                    `   ${`${row.contract}.${row.event}`.padEnd(56)} ${String(row.count).padStart(7)}  blocks ${row.firstBlock}-${row.lastBlock}`).join('\n') + '\n';
+        } else {
+            const split = list => list ? list.split(',').map(name => name.trim()).filter(Boolean) : undefined;
+            const rows = queryEvents(db, {
+                contracts: split(values.contract),
+                events: split(values.event),
+                address: values.address,
+                tx: values.tx,
+                fromBlock: parseBlock(values['from-block'], '--from-block'),
+                toBlock: parseBlock(values['to-block'], '--to-block'),
+                since: parseTime(values.since, '--since'),
+                until: parseTime(values.until, '--until'),
+                where,
+                limit,
+                order: values.desc ? 'desc' : 'asc'
+            });
+            output = values.format === 'json' ? JSON.stringify(rows, null, 2) + '\n'
+                : values.format === 'csv' ? eventsToCsv(rows)
+                : formatTable(rows) + `${rows.length} event(s)${limit && rows.length === limit ? ` (--limit ${limit})` : ''}, indexed to block ${cursor}\n`;
+        }
+    } finally {
+        db.close();
+    }
+
+    if (values.out) {
+        fs.writeFileSync(values.out, output);
+        console.log(`Written to ${values.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+    return 0;
+}
+
+try {
+    process.exitCode = main();
+} catch (error) {
+    console.error(error.message);
+    console.error(`\n${USAGE}`);
+    process.exitCode = 2;
+}
@@ -0,0 +1,112 @@
+// gas-report.js - Export the gas report of a deployment run as JSON, CSV or Markdown, or diff two runs
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const deployments = require('./lib/deployments');
+const gas = require('./lib/gas');
+
+const GAS_REPORTS_DIR = path.join(deployments.DEPLOYMENTS_DIR, 'gas-reports');
+
+const USAGE = `Usage: node scripts/gas-report.js [report.json] [options]
+       node scripts/gas-report.js --diff [base.json head.json] [options]
+
+Reports are written by sequential-deploy.js to deployments/gas-reports/. Diff runs made
+with --mode fresh: a resumed run skips work that is already done and looks cheaper.
+
+  --network <name>         Use the latest report (or, with --diff, the latest two) of a network
+  --format <json|csv|md>   Output format (default: md; csv is not available for --diff)
+  --out <file>             Write to a file instead of stdout
+  --diff                   Compare the gas of two runs per component and category
+  --fail-above <percent>   With --diff, exit with 1 if the total gas grew by more than this`;
+
+// Report files of a network, oldest first (the timestamp in the name sorts chronologically)
+function reportsOf(network) {
+    if (!fs.existsSync(GAS_REPORTS_DIR)) return [];
+    return fs.readdirSync(GAS_REPORTS_DIR)
+        .filter(file => file.startsWith(`${network}-`) && file.endsWith('.json'))
+        .sort()
+        .map(file => path.join(GAS_REPORTS_DIR, file));
+}
+
+function readReport(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function selectFiles(positionals, network, count) {
+    if (positionals.length > 0) {
+        if (positionals.length !== count) {
+            throw new Error(`Expected ${count} report file(s), got ${positionals.length}`);
+        }
+        return positionals;
+    }
+    if (!network) {
+        throw new Error('Pass report file(s) or --network');
+    }
+    const files = reportsOf(network);
+    if (files.length < count) {
+        throw new Error(`Found ${files.length} gas report(s) for ${network} in ${GAS_REPORTS_DIR}, need ${count}`);
+    }
+    return files.slice(-count);
+}
+
+function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'network': { type: 'string' },
+            'format': { type: 'string', default: 'md' },
+            'out': { type: 'string' },
+            'diff': { type: 'boolean' },
+            'fail-above': { type: 'string' },
+            'help': { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!['json', 'csv', 'md'].includes(values.format) || (values.diff && values.format === 'csv')) {
+        throw new Error(`Unsupported format ${values.format}${values.diff ? ' for --diff' : ''}`);
+    }
+
+    let output;
+    let exitCode = 0;
+    if (values.diff) {
+        const [baseFile, headFile] = selectFiles(positionals, values.network, 2);
+        const diff = gas.diffReports(readReport(baseFile), readReport(headFile));
+        output = values.format === 'json' ? JSON.stringify(diff, null, 2) + '\n' : gas.diffToMarkdown(diff);
+
+        if (values['fail-above'] !== undefined) {
+            const limit = parseFloat(values['fail-above']);
+            if (diff.total.percent !== null && diff.total.percent > limit) {
+                console.error(`Total gas grew by ${diff.total.percent.toFixed(2)}%, more than the allowed ${limit}%`);
+                exitCode = 1;
+            }
+        }
+    } else {
+        const [file] = selectFiles(positionals, values.network, 1);
+        const report = readReport(file);
+        if (values.format === 'json') {
+            output = JSON.stringify(report, null, 2) + '\n';
+        } else {
+            output = values.format === 'csv' ? gas.reportToCsv(report) : gas.reportToMarkdown(report);
+        }
+    }
+
+    if (values.out) {
+        fs.writeFileSync(values.out, output);
+        console.log(`Written to ${values.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+    return exitCode;
+}
+
+try {
+    process.exitCode = main();
+} catch (error) {
+    console.error(error.message);
+    console.error(`\n${USAGE}`);
+    process.exitCode = 2;
+}
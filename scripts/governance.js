@@ -0,0 +1,228 @@
+// scripts/governance.js - Builds, simulates and submits PlatformGovernance proposals and follows them through their lifecycle
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+require("dotenv").config();
+
+// GOV_COMMAND selects what to do:
+//   build     GOV_PROPOSAL=<file> prints the createProposal arguments
+//   simulate  GOV_PROPOSAL=<file> GOV_FORK=<network>, run with --network hardhat: creates, votes through and
+//             executes the proposal on a fork
+//   propose   GOV_PROPOSAL=<file> simulates on a fork of the network (unless GOV_SKIP_SIMULATION=true), then submits
+//   status    GOV_ID=<id> shows state, actions and vote tallies; without GOV_ID every active proposal
+//   vote      GOV_ID=<id> GOV_VOTE=for|against|abstain GOV_REASON=<text>
+//   execute   GOV_ID=<id>
+//   cancel    GOV_ID=<id> GOV_REASON=<text>, a guardian's voteToCancel
+const COMMAND = (process.env.GOV_COMMAND || "status").toLowerCase();
+const COMMANDS = ["build", "simulate", "propose", "status", "vote", "execute", "cancel"];
+
+function requireEnv(name, example) {
+    if (!process.env[name]) {
+        throw new Error(`GOV_COMMAND=${COMMAND} needs ${name}, e.g. ${name}=${example}`);
+    }
+    return process.env[name];
+}
+
+function proposalId() {
+    const id = requireEnv("GOV_ID", "3");
+    if (!/^\d+$/.test(id)) throw new Error(`GOV_ID must be a proposal number, got "${id}"`);
+    return BigInt(id);
+}
+
+function printBuilt(built) {
+    console.log(`\n\x1b[1m${built.description}\x1b[0m (voting period ${built.votingPeriod / 86400} day(s))`);
+    built.actions.forEach((action, i) => {
+        console.log(`   ${i + 1}. ${action.description}`);
+        console.log(`      \x1b[90m${action.target} ${action.signature} ${action.calldata}\x1b[0m`);
+    });
+}
+
+function formatDate(seconds) {
+    return new Date(Number(seconds) * 1000).toISOString();
+}
+
+// Runs the proposal on a fork of the network in a separate Hardhat process, as the dry run does
+function simulateOnFork(network, proposer) {
+    console.log(`\nSimulating on a fork of ${network} before submitting...`);
+    const result = spawnSync("npx", ["hardhat", "run", __filename, "--network", "hardhat"], {
+        stdio: "inherit",
+        env: { ...process.env, GOV_COMMAND: "simulate", GOV_FORK: network, GOV_PROPOSER: proposer }
+    });
+    return result.status === 0;
+}
+
+async function printStatus(governance, id, network, { describeProposal, tallyVotes, PROPOSAL_STATES }) {
+    const { ethers } = require("hardhat");
+    const state = PROPOSAL_STATES[Number(await governance.state(id))];
+    const details = await describeProposal(governance, id, network);
+    if (!details) {
+        throw new Error(`No ProposalCreated event for proposal ${id}`);
+    }
+
+    console.log(`\n\x1b[1mProposal ${id}: ${details.description}\x1b[0m`);
+    console.log(`   state:     ${state}`);
+    console.log(`   proposer:  ${details.proposer}`);
+    console.log(`   voting:    ${formatDate(details.startTime)} to ${formatDate(details.endTime)}`);
+    const delay = await governance.executionDelay();
+    const period = await governance.executionPeriod();
+    console.log(`   execution: ${formatDate(details.endTime + delay)} to ${formatDate(details.endTime + delay + period)}`);
+    details.actions.forEach((action, i) => console.log(`   ${i + 1}. ${action}`));
+
+    const tally = await tallyVotes(governance, id);
+    console.log("\n   Votes");
+    console.log(`     for:      ${ethers.formatEther(tally.for)}`);
+    console.log(`     against:  ${ethers.formatEther(tally.against)}`);
+    console.log(`     abstain:  ${ethers.formatEther(tally.abstain)}`);
+    console.log(`     quorum:   ${ethers.formatEther(tally.total)} of ${ethers.formatEther(tally.quorum)} needed ` +
+        `${tally.quorumReached ? "\x1b[32m(reached)\x1b[0m" : "\x1b[33m(not reached)\x1b[0m"}`);
+    console.log(`     for share of for and against: ${(Number(tally.forShare) / 100).toFixed(2)}% (more than 50% needed)`);
+
+    const cancellations = await governance.cancellationVotes(id);
+    if (cancellations > 0n) {
+        console.log(`   Guardian cancellation votes: ${cancellations} of ${await governance.requiredGuardians()}`);
+    }
+    return state;
+}
+
+async function main() {
+    if (!COMMANDS.includes(COMMAND)) {
+        throw new Error(`GOV_COMMAND must be one of ${COMMANDS.join(", ")}, got "${COMMAND}"`);
+    }
+
+    // The simulation works on a scratch copy of the forked network's records, set up before the libraries load
+    let forkDir = null;
+    const sourceDir = process.env.DEPLOYMENTS_DIR || path.join(__dirname, "..", "deployments");
+    if (COMMAND === "simulate") {
+        forkDir = fs.mkdtempSync(path.join(os.tmpdir(), "governance-"));
+        process.env.DEPLOYMENTS_DIR = forkDir;
+    }
+
+    const { ethers, network } = require("hardhat");
+    const { loadManifest } = require("./lib/manifest");
+    const { createAddressResolver } = require("./lib/addresses");
+    const { revertReason } = require("./lib/deploy-helpers");
+    const governanceLib = require("./lib/governance");
+    const manifest = loadManifest();
+
+    try {
+        let networkName = network.name;
+        if (COMMAND === "simulate") {
+            const { FORK_NETWORK, forkNetwork, seedForkRecords } = require("./lib/dry-run");
+            const target = requireEnv("GOV_FORK", "amoy");
+            seedForkRecords(sourceDir, forkDir, target);
+            const { forkBlock } = await forkNetwork(target, { deployer: process.env.GOV_PROPOSER || null, fund: true });
+            console.log(`Fork of ${target} at block ${forkBlock}`);
+            networkName = FORK_NETWORK;
+        }
+
+        const [signer] = await ethers.getSigners();
+        const resolver = createAddressResolver(networkName, { manifest });
+        const { PlatformGovernance: governanceAddress } = await resolver.require(["PlatformGovernance"]);
+        const governance = (await ethers.getContractFactory("PlatformGovernance")).attach(governanceAddress);
+        const governanceInterfaces = [governance.interface];
+
+        if (["build", "simulate", "propose"].includes(COMMAND)) {
+            const proposal = governanceLib.loadProposal(requireEnv("GOV_PROPOSAL", "scripts/proposals/critical-threshold.json"));
+            const built = await governanceLib.buildProposal(proposal, { manifest, resolver });
+            printBuilt(built);
+
+            if (COMMAND === "build") {
+                console.log(`\ncreateProposal arguments:\n${JSON.stringify(built.args, null, 2)}`);
+                return 0;
+            }
+
+            if (COMMAND === "simulate") {
+                const result = await governanceLib.simulateProposal(built, { proposer: signer, network: networkName, manifest });
+                const mark = status => (status === "ok" ? "\x1b[32m✓\x1b[0m" : status === "not-run" ? "-" : "\x1b[31m✗\x1b[0m");
+                const line = (status, label, error) => console.log(` ${mark(status)} ${label}` + (error ? `\n      ${error}` : ""));
+                line(result.proposal.status, `createProposal from ${signer.address}` +
+                    (result.proposal.proposalId ? ` (proposal ${result.proposal.proposalId})` : ""), result.proposal.error);
+                if (result.proposal.status === "ok") {
+                    line(result.execution.status, "vote, execution delay and executeProposal" +
+                        (result.execution.status === "ok" ? ` (${result.execution.gasUsed} gas)` : ""), result.execution.error);
+                }
+                result.actions.forEach((action, i) => line(action.status, `${i + 1}. ${action.description}`, action.error));
+                const failed = result.proposal.status !== "ok" || result.execution.status !== "ok" ||
+                    result.actions.some(action => action.status !== "ok");
+                if (result.actions.some(action => action.status === "failed")) {
+                    console.log("\n\x1b[31mexecuteProposal does not revert when an action fails, the proposal would pass without effect\x1b[0m");
+                }
+                return failed ? 1 : 0;
+            }
+
+            if (process.env.GOV_SKIP_SIMULATION !== "true" && !simulateOnFork(network.name, signer.address)) {
+                throw new Error("The simulation failed, not submitting (GOV_SKIP_SIMULATION=true submits anyway)");
+            }
+            console.log(`\nSubmitting the proposal from ${signer.address}...`);
+            let receipt;
+            try {
+                receipt = await (await governance.createProposal(...built.args)).wait();
+            } catch (error) {
+                throw new Error(`createProposal failed: ${revertReason(error, governanceInterfaces)}`);
+            }
+            const created = receipt.logs
+                .map(log => { try { return governance.interface.parseLog(log); } catch (error) { return null; } })
+                .find(log => log && log.name === "ProposalCreated");
+            console.log(`\x1b[32m✓ Proposal ${created.args.proposalId} created\x1b[0m (tx ${receipt.hash})`);
+            await printStatus(governance, created.args.proposalId, networkName, governanceLib);
+            return 0;
+        }
+
+        if (COMMAND === "status") {
+            const ids = process.env.GOV_ID ? [proposalId()] : await governance.getActiveProposals();
+            if (ids.length === 0) {
+                console.log("No active proposals");
+            }
+            for (const id of ids) {
+                await printStatus(governance, id, networkName, governanceLib);
+            }
+            return 0;
+        }
+
+        const id = proposalId();
+        const state = await printStatus(governance, id, networkName, governanceLib);
+        let receipt;
+        try {
+            if (COMMAND === "vote") {
+                const vote = requireEnv("GOV_VOTE", "for").toLowerCase();
+                const voteType = governanceLib.VOTE_TYPES.indexOf(vote);
+                if (voteType === -1) throw new Error(`GOV_VOTE must be one of ${governanceLib.VOTE_TYPES.join(", ")}, got "${vote}"`);
+                if (state !== "Active") throw new Error(`Proposal ${id} is ${state}, votes are only accepted while it is Active`);
+                const [hasVoted] = await governance.getReceipt(id, signer.address);
+                if (hasVoted) throw new Error(`${signer.address} already voted on proposal ${id}`);
+                console.log(`\nVoting ${vote} with ${ethers.formatEther(await governance.getVotingPower(signer.address))} votes...`);
+                receipt = await (await governance.castVote(id, voteType, process.env.GOV_REASON || "")).wait();
+            } else if (COMMAND === "execute") {
+                if (state !== "Queued") throw new Error(`Proposal ${id} is ${state}, it can only be executed once Queued`);
+                console.log("\nExecuting...");
+                receipt = await (await governance.executeProposal(id)).wait();
+            } else {
+                if (!(await governance.guardians(signer.address))) throw new Error(`${signer.address} is not a guardian`);
+                console.log("\nVoting to cancel...");
+                receipt = await (await governance.voteToCancel(id, requireEnv("GOV_REASON", "\"unsafe parameter change\""))).wait();
+            }
+        } catch (error) {
+            throw new Error(`${COMMAND} failed: ${revertReason(error, governanceInterfaces)}`);
+        }
+        console.log(`\x1b[32m✓ Done\x1b[0m (tx ${receipt.hash})`);
+
+        // executeProposal reports a failing action through an event instead of reverting
+        const failures = receipt.logs
+            .map(log => { try { return governance.interface.parseLog(log); } catch (error) { return null; } })
+            .filter(log => log && log.name === "TransactionExecutionFailed");
+        failures.forEach(log => console.log(`\x1b[31m✗ Action on ${log.args.target} failed (${log.args.data.slice(0, 10)})\x1b[0m`));
+
+        await printStatus(governance, id, networkName, governanceLib);
+        return failures.length > 0 ? 1 : 0;
+    } finally {
+        if (forkDir) fs.rmSync(forkDir, { recursive: true, force: true });
+    }
+}
+
+main()
+    .then((exitCode) => process.exit(exitCode))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
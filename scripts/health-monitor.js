@@ -0,0 +1,105 @@
+// scripts/health-monitor.js - Polls the health signals of the platform and sends alerts when they cross a threshold
+const { ethers, network } = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { createAddressResolver } = require("./lib/addresses");
+const { hasCode } = require("./lib/deploy-helpers");
+const {
+    DEFAULT_MONITOR_CONFIG_PATH,
+    LEVELS,
+    loadMonitorConfig,
+    readSignals,
+    createAlertTracker,
+    createSinks,
+    dispatchAlerts
+} = require("./lib/monitor");
+require("dotenv").config();
+
+// MONITOR_CONFIG=<file> holds thresholds and sinks (default scripts/monitor-config.json).
+// MONITOR_ONCE=true reads the signals a single time, prints them and exits with 1 if any is critical;
+// otherwise the monitor polls every MONITOR_INTERVAL_SECONDS (default from the config) until interrupted.
+// The webhook sink posts to MONITOR_WEBHOOK_URL, the file sink appends JSON lines to
+// monitor/<network>.jsonl in DEPLOYMENTS_DIR (default deployments/) unless the config gives a path.
+const CONFIG_FILE = process.env.MONITOR_CONFIG || DEFAULT_MONITOR_CONFIG_PATH;
+const ONCE = process.env.MONITOR_ONCE === "true";
+
+// Contracts the signals are read from
+const MONITORED = [
+    "ContractRegistry",
+    "TeachToken",
+    "PlatformStabilityFund",
+    "LiquidityRebalancer",
+    "EmergencyManager",
+    "TeacherReward",
+    "TokenStaking"
+];
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function loadLive(resolver, manifest) {
+    const live = {};
+    for (const name of MONITORED) {
+        const { address } = await resolver.resolve(name);
+        if (!address || !(await hasCode(address))) continue;
+        live[name] = (await ethers.getContractFactory(manifest.addresses[name].contract || name)).attach(address);
+    }
+    return live;
+}
+
+function printReadings(readings) {
+    const colors = { ok: "\x1b[32m", warning: "\x1b[33m", error: "\x1b[35m", critical: "\x1b[31m" };
+    readings.forEach(reading => {
+        console.log(`   ${reading.label.padEnd(32)} ${colors[reading.level]}${reading.level.padEnd(8)}\x1b[0m ${reading.detail}`);
+    });
+}
+
+async function main() {
+    const config = loadMonitorConfig(CONFIG_FILE);
+    const interval = parseInt(process.env.MONITOR_INTERVAL_SECONDS || String(config.intervalSeconds), 10);
+    const manifest = loadManifest();
+    const live = await loadLive(createAddressResolver(network.name, { manifest }), manifest);
+    if (Object.keys(live).length === 0) {
+        throw new Error(`None of ${MONITORED.join(", ")} is deployed on ${network.name}`);
+    }
+
+    const sinks = createSinks(config.sinks, network.name);
+    const tracker = createAlertTracker(config.renotifyMinutes);
+    console.log(`Monitoring ${Object.keys(live).join(", ")} on ${network.name}`);
+    console.log(`   alerts to ${sinks.map(sink => sink.name).join(", ") || "nowhere"}` + (ONCE ? "" : `, every ${interval}s`));
+    const missing = MONITORED.filter(name => !live[name]);
+    if (missing.length > 0) {
+        console.log(`   \x1b[90mnot deployed, not monitored: ${missing.join(", ")}\x1b[0m`);
+    }
+
+    let stopping = false;
+    process.on("SIGINT", () => { stopping = true; });
+    process.on("SIGTERM", () => { stopping = true; });
+
+    let readings = [];
+    do {
+        readings = await readSignals(live, config.thresholds);
+        const now = Math.floor(Date.now() / 1000);
+        const alerts = tracker.update(readings, now);
+        if (ONCE) {
+            console.log(`\n\x1b[1mHealth of ${network.name}\x1b[0m`);
+            printReadings(readings);
+            console.log("");
+        }
+        const failures = await dispatchAlerts(sinks, alerts);
+        failures.forEach(failure => console.error(`\x1b[31mCould not send the ${failure.alert} alert to ${failure.sink}: ${failure.error}\x1b[0m`));
+
+        for (let waited = 0; !ONCE && !stopping && waited < interval * 1000; waited += 250) {
+            await sleep(250);
+        }
+    } while (!ONCE && !stopping);
+
+    return readings.reduce((worst, reading) => Math.max(worst, LEVELS.indexOf(reading.level)), 0);
+}
+
+main()
+    .then((worst) => process.exit(ONCE && LEVELS[worst] === "critical" ? 1 : 0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
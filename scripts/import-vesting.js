@@ -0,0 +1,216 @@
+// scripts/import-vesting.js - Creates TokenVesting schedules from a CSV or JSON grant sheet
+const { ethers, network } = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { createAddressResolver } = require("./lib/addresses");
+const { revertReason } = require("./lib/deploy-helpers");
+const { roleHash } = require("./lib/roles");
+const { GROUPS, readGrantSheet, parseGrants, matchExistingSchedules, reconcileAllocations } = require("./lib/vesting");
+require("dotenv").config();
+
+// VESTING_GRANTS=<file.csv|file.json> is the grant sheet (see scripts/vesting/grants.example.csv),
+// VESTING_ACTION=plan (default) validates and preflights, VESTING_ACTION=apply sends,
+// VESTING_BATCH_SIZE caps the linear grants per batchCreateLinearVestingSchedules call
+const ACTION = (process.env.VESTING_ACTION || "plan").toLowerCase();
+const BATCH_SIZE = parseInt(process.env.VESTING_BATCH_SIZE || "25", 10);
+
+const ERC20_BALANCE_ABI = ["function balanceOf(address account) view returns (uint256)"];
+
+function describeGrant(grant) {
+    const who = grant.label ? `${grant.label} (${grant.beneficiary})` : grant.beneficiary;
+    return `line ${grant.line}: ${ethers.formatEther(grant.amount)} TEACH ${grant.type.toLowerCase()} ${grant.group} to ${who}`;
+}
+
+/**
+ * @dev Turns the grants to create into transactions. Linear grants with the same terms share
+ * batchCreateLinearVestingSchedules calls; quarterly and milestone grants take one call each,
+ * and every milestone one addMilestone call once the schedule exists.
+ * @return Array of { description, grants, method, args, milestones }
+ */
+function planBatches(pending) {
+    const batches = [];
+    const linearByTerms = new Map();
+    for (const grant of pending) {
+        if (grant.type === "LINEAR") {
+            const terms = [grant.cliff, grant.duration, grant.tgePercentage, grant.group, grant.revocable].join("/");
+            if (!linearByTerms.has(terms)) linearByTerms.set(terms, []);
+            linearByTerms.get(terms).push(grant);
+        } else if (grant.type === "QUARTERLY") {
+            batches.push({
+                description: describeGrant(grant),
+                grants: [grant],
+                method: "createQuarterlyVestingSchedule",
+                args: [grant.beneficiary, grant.amount, grant.initialAmount, grant.releases, grant.firstRelease, GROUPS.indexOf(grant.group), grant.revocable]
+            });
+        } else {
+            batches.push({
+                description: describeGrant(grant),
+                grants: [grant],
+                method: "createMilestoneVestingSchedule",
+                args: [grant.beneficiary, grant.amount, grant.tgePercentage, GROUPS.indexOf(grant.group), grant.revocable],
+                milestones: grant.milestones
+            });
+        }
+    }
+
+    const linearBatches = [];
+    for (const grants of linearByTerms.values()) {
+        const { cliff, duration, tgePercentage, group, revocable } = grants[0];
+        for (let i = 0; i < grants.length; i += BATCH_SIZE) {
+            const chunk = grants.slice(i, i + BATCH_SIZE);
+            linearBatches.push({
+                description: `${chunk.length} linear ${group} grant(s), cliff ${cliff / 86400}d, duration ${duration / 86400}d, ` +
+                    `${tgePercentage}% at TGE${revocable ? ", revocable" : ""} (lines ${chunk.map(grant => grant.line).join(", ")})`,
+                grants: chunk,
+                method: "batchCreateLinearVestingSchedules",
+                args: [chunk.map(grant => grant.beneficiary), chunk.map(grant => grant.amount), cliff, duration, tgePercentage, GROUPS.indexOf(group), revocable]
+            });
+        }
+    }
+    return [...linearBatches, ...batches];
+}
+
+// Number of milestones a schedule already has; the public array getter reverts past the end
+async function milestoneCount(vesting, scheduleId) {
+    let count = 0;
+    for (;;) {
+        try {
+            await vesting.scheduleMilestones(scheduleId, count);
+            count++;
+        } catch (error) {
+            return count;
+        }
+    }
+}
+
+async function addMilestones(vesting, scheduleId, milestones, interfaces) {
+    for (const milestone of milestones) {
+        try {
+            await (await vesting.addMilestone(scheduleId, milestone.description, milestone.percentage)).wait();
+            console.log(`      + milestone "${milestone.description}" (${milestone.percentage}%)`);
+        } catch (error) {
+            throw new Error(`addMilestone(${scheduleId}, "${milestone.description}") failed: ${revertReason(error, interfaces)}`);
+        }
+    }
+}
+
+async function main() {
+    if (!["plan", "apply"].includes(ACTION)) {
+        throw new Error(`VESTING_ACTION must be plan or apply, got "${ACTION}"`);
+    }
+    if (!process.env.VESTING_GRANTS) {
+        throw new Error("Set VESTING_GRANTS to the grant sheet, e.g. VESTING_GRANTS=scripts/vesting/grants.example.csv");
+    }
+    if (!Number.isInteger(BATCH_SIZE) || BATCH_SIZE < 1) {
+        throw new Error(`VESTING_BATCH_SIZE must be a positive integer, got "${process.env.VESTING_BATCH_SIZE}"`);
+    }
+
+    const { grants, problems } = parseGrants(readGrantSheet(process.env.VESTING_GRANTS));
+    if (problems.length > 0) {
+        console.log(`\x1b[31m${process.env.VESTING_GRANTS} has ${problems.length} problem(s):\x1b[0m`);
+        problems.forEach(problem => console.log(`   ✗ ${problem}`));
+        return 1;
+    }
+    console.log(`${grants.length} grant(s) in ${process.env.VESTING_GRANTS}`);
+
+    const [signer] = await ethers.getSigners();
+    const resolver = createAddressResolver(network.name, { manifest: loadManifest() });
+    const addresses = await resolver.require(["TokenVesting", "ImmutableTokenContract", "TeachToken"]);
+    const vesting = (await ethers.getContractFactory("TokenVesting")).attach(addresses.TokenVesting);
+    const interfaces = [vesting.interface];
+
+    // Grants that already have a schedule are skipped, which is what makes a re-run resume
+    const { pending, existing } = await matchExistingSchedules(vesting, grants);
+    const unfinished = [];
+    for (const { grant, scheduleId } of existing) {
+        console.log(`   \x1b[90m= ${describeGrant(grant)} exists as schedule ${scheduleId}\x1b[0m`);
+        if (grant.type === "MILESTONE") {
+            const count = await milestoneCount(vesting, scheduleId);
+            if (count < grant.milestones.length) unfinished.push({ grant, scheduleId, milestones: grant.milestones.slice(count) });
+        }
+    }
+
+    let blocked = false;
+    console.log("\n\x1b[1mAllocations after the import\x1b[0m");
+    for (const row of await reconcileAllocations(vesting, addresses.ImmutableTokenContract, pending)) {
+        const mark = row.exceeded ? "\x1b[31m✗\x1b[0m" : "\x1b[32m✓\x1b[0m";
+        console.log(`   ${mark} ${row.groups.join(" + ").padEnd(16)} ${ethers.formatEther(row.existing)} + ${ethers.formatEther(row.adding)} ` +
+            `= ${ethers.formatEther(row.total)} of ${ethers.formatEther(row.cap)} (${row.allocation})`);
+        blocked = blocked || row.exceeded;
+    }
+
+    const adding = pending.reduce((sum, grant) => sum + grant.amount, 0n);
+    const token = new ethers.Contract(addresses.TeachToken, ERC20_BALANCE_ABI, ethers.provider);
+    const balance = await token.balanceOf(addresses.TokenVesting);
+    const needed = (await vesting.totalVestedTokens()) + adding;
+    if (balance < needed) {
+        console.log(`   \x1b[31m✗\x1b[0m TokenVesting holds ${ethers.formatEther(balance)} TEACH, the schedules need ${ethers.formatEther(needed)}`);
+        blocked = true;
+    }
+
+    // Every create needs CREATOR_ROLE; the linear batch function and addMilestone also ADMIN_ROLE
+    const batches = planBatches(pending);
+    const roles = [];
+    if (batches.length > 0) roles.push("CREATOR_ROLE");
+    if (unfinished.length > 0 || batches.some(batch => batch.method === "batchCreateLinearVestingSchedules" || batch.milestones)) roles.push("ADMIN_ROLE");
+    for (const role of roles) {
+        if (!(await vesting.hasRole(roleHash(role), signer.address))) {
+            console.log(`   \x1b[31m✗\x1b[0m ${signer.address} does not hold ${role} on TokenVesting`);
+            blocked = true;
+        }
+    }
+
+    // Each call is checked against the current state before anything is sent
+    console.log(`\n\x1b[1m${batches.length} transaction(s) to create ${pending.length} schedule(s)\x1b[0m` +
+        (unfinished.length > 0 ? `, ${unfinished.length} schedule(s) missing milestones` : ""));
+    for (const batch of batches) {
+        try {
+            await vesting[batch.method].staticCall(...batch.args);
+            console.log(`   \x1b[32m✓\x1b[0m ${batch.description}`);
+        } catch (error) {
+            console.log(`   \x1b[31m✗\x1b[0m ${batch.description}\n      ${batch.method} reverts: ${revertReason(error, interfaces)}`);
+            blocked = true;
+        }
+    }
+    unfinished.forEach(({ grant, scheduleId, milestones }) =>
+        console.log(`   ! schedule ${scheduleId} (line ${grant.line}) needs ${milestones.length} more milestone(s)`));
+
+    if (blocked) {
+        console.log("\n\x1b[31mNot importing, fix the problems above first\x1b[0m");
+        return 1;
+    }
+    if (ACTION === "plan") {
+        console.log("\nVESTING_ACTION=plan, nothing sent. Run with VESTING_ACTION=apply to create the schedules.");
+        return 0;
+    }
+
+    for (const { scheduleId, milestones } of unfinished) {
+        console.log(`\nCompleting schedule ${scheduleId}`);
+        await addMilestones(vesting, scheduleId, milestones, interfaces);
+    }
+    for (const [i, batch] of batches.entries()) {
+        console.log(`\n[${i + 1}/${batches.length}] ${batch.description}`);
+        let receipt;
+        try {
+            receipt = await (await vesting[batch.method](...batch.args)).wait();
+        } catch (error) {
+            throw new Error(`${batch.method} failed: ${revertReason(error, interfaces)}. ` +
+                "Schedules created so far are kept; run the import again to continue.");
+        }
+        const created = receipt.logs
+            .map(log => { try { return vesting.interface.parseLog(log); } catch (error) { return null; } })
+            .filter(log => log && log.name === "ScheduleCreated");
+        console.log(`   \x1b[32m✓\x1b[0m schedule(s) ${created.map(log => log.args.scheduleId).join(", ")} (tx ${receipt.hash})`);
+        if (batch.milestones) {
+            await addMilestones(vesting, created[0].args.scheduleId, batch.milestones, interfaces);
+        }
+    }
+    console.log(`\n\x1b[32mImported ${pending.length} schedule(s)\x1b[0m, ${existing.length} already existed`);
+    return 0;
+}
+
+main()
+    .then((exitCode) => process.exit(exitCode))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,81 @@
+// scripts/index-events.js - Indexes the events of every recorded contract into a local SQLite store
+const { ethers, artifacts, network } = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { storePath, openStore, indexedContracts, createIndexer, DEFAULT_CONFIRMATIONS } = require("./lib/indexer");
+require("dotenv").config();
+
+// INDEXER_DB=<file> is the store (default deployments/indexer/<network>.sqlite),
+// INDEXER_FOLLOW=true keeps polling the chain after the backfill until interrupted,
+// INDEXER_POLL_SECONDS is the polling interval (default 5), INDEXER_CONFIRMATIONS how deep
+// block hashes are kept to detect reorgs, INDEXER_CHUNK_SIZE the block range per eth_getLogs call,
+// INDEXER_FROM_BLOCK where contracts without a deployment block are scanned from.
+// Query the store with scripts/events.js. The store is written with better-sqlite3, which is
+// installed separately: npm install --save-dev better-sqlite3
+const DB_FILE = process.env.INDEXER_DB || storePath(network.name);
+const FOLLOW = process.env.INDEXER_FOLLOW === "true";
+const POLL_SECONDS = parseInt(process.env.INDEXER_POLL_SECONDS || "5", 10);
+const CONFIRMATIONS = parseInt(process.env.INDEXER_CONFIRMATIONS || String(DEFAULT_CONFIRMATIONS), 10);
+const CHUNK_SIZE = parseInt(process.env.INDEXER_CHUNK_SIZE || "2000", 10);
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Contracts of the records whose artifact is known, with the interface their logs are decoded with
+async function loadContracts() {
+    const contracts = [];
+    for (const contract of indexedContracts(network.name, loadManifest(), parseInt(process.env.INDEXER_FROM_BLOCK || "0", 10))) {
+        if (!(await artifacts.artifactExists(contract.contract))) {
+            console.warn(`Warning: no artifact for ${contract.contract}, not indexing ${contract.name} at ${contract.address}`);
+            continue;
+        }
+        const { abi } = await artifacts.readArtifact(contract.contract);
+        contracts.push({ ...contract, iface: new ethers.Interface(abi) });
+    }
+    return contracts;
+}
+
+async function main() {
+    const contracts = await loadContracts();
+    if (contracts.length === 0) {
+        throw new Error(`No deployment records to index on ${network.name}; deploy first`);
+    }
+
+    const db = openStore(DB_FILE);
+    const indexer = createIndexer(db, ethers.provider, contracts, {
+        confirmations: CONFIRMATIONS,
+        chunkSize: CHUNK_SIZE,
+        log: message => console.log(message)
+    });
+    console.log(`Indexing ${contracts.length} contract(s) on ${network.name} into ${DB_FILE}`);
+    contracts.forEach(contract => console.log(`   ${contract.name.padEnd(24)} ${contract.address} from block ${contract.fromBlock}`));
+
+    let stopping = false;
+    process.on("SIGINT", () => { stopping = true; });
+    process.on("SIGTERM", () => { stopping = true; });
+
+    try {
+        do {
+            const { reorg, backfilled, stored, cursor } = await indexer.sync();
+            if (reorg) {
+                console.log(`\x1b[33mReorg: the block at ${reorg.from} changed, rewound to ` +
+                    `${reorg.to !== null ? `block ${reorg.to}` : "the start (the chain was reset)"}\x1b[0m`);
+            }
+            if (backfilled > 0 || stored > 0 || !FOLLOW) {
+                console.log(`Indexed to block ${cursor}: ${stored} new event(s)` + (backfilled > 0 ? `, ${backfilled} backfilled` : ""));
+            }
+            for (let waited = 0; FOLLOW && !stopping && waited < POLL_SECONDS * 1000; waited += 250) {
+                await sleep(250);
+            }
+        } while (FOLLOW && !stopping);
+    } finally {
+        db.close();
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
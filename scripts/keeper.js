@@ -0,0 +1,103 @@
+// scripts/keeper.js - Sends the periodic maintenance transactions defined in keeper-jobs.json when they are due
+const { ethers, network } = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { createAddressResolver } = require("./lib/addresses");
+const { hasCode } = require("./lib/deploy-helpers");
+const { DEFAULT_JOBS_PATH, loadJobs, resolveSigner, statePath, logPath, createKeeper } = require("./lib/keeper");
+require("dotenv").config();
+
+// KEEPER_JOBS=<file> holds the job definitions (default scripts/keeper-jobs.json), KEEPER_ONLY=<a,b>
+// runs a subset. Without KEEPER_FOLLOW=true the keeper runs KEEPER_ROUNDS rounds (default 1) and exits
+// with 1 if a job failed in the last round; with it, it polls every KEEPER_POLL_SECONDS (default 60)
+// until interrupted. On localhost and hardhat, KEEPER_ADVANCE_SECONDS=<n> moves the chain's clock
+// forward by n seconds after every round, so cooldowns, timelocks and tier dates come due in a rehearsal.
+// Last-run state is kept in keeper/<network>.json in DEPLOYMENTS_DIR (default deployments/), the job log
+// in keeper/<network>.log next to it.
+const JOBS_FILE = process.env.KEEPER_JOBS || DEFAULT_JOBS_PATH;
+const FOLLOW = process.env.KEEPER_FOLLOW === "true";
+const ROUNDS = parseInt(process.env.KEEPER_ROUNDS || "1", 10);
+const POLL_SECONDS = parseInt(process.env.KEEPER_POLL_SECONDS || "60", 10);
+const ADVANCE_SECONDS = parseInt(process.env.KEEPER_ADVANCE_SECONDS || "0", 10);
+const LOCAL_NETWORKS = ["localhost", "hardhat"];
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function selectJobs(jobs) {
+    if (!process.env.KEEPER_ONLY) return jobs;
+    const selected = {};
+    for (const name of process.env.KEEPER_ONLY.split(",").map(entry => entry.trim()).filter(Boolean)) {
+        if (!jobs[name]) {
+            throw new Error(`No job "${name}" in ${JOBS_FILE}, available: ${Object.keys(jobs).join(", ")}`);
+        }
+        selected[name] = jobs[name];
+    }
+    return selected;
+}
+
+async function main() {
+    if (ADVANCE_SECONDS > 0 && !LOCAL_NETWORKS.includes(network.name)) {
+        throw new Error(`KEEPER_ADVANCE_SECONDS moves the chain's clock and only works on ${LOCAL_NETWORKS.join(" or ")}`);
+    }
+    const jobs = selectJobs(loadJobs(JOBS_FILE));
+    const manifest = loadManifest();
+    const resolver = createAddressResolver(network.name, { manifest });
+
+    const live = {};
+    const signers = {};
+    for (const [name, job] of Object.entries(jobs)) {
+        signers[name] = await resolveSigner(job.signer);
+        if (live[job.contract] || !manifest.addresses[job.contract]) continue;
+        const { address } = await resolver.resolve(job.contract);
+        if (address && await hasCode(address)) {
+            live[job.contract] = (await ethers.getContractFactory(manifest.addresses[job.contract].contract || job.contract)).attach(address);
+        }
+    }
+
+    const keeper = createKeeper(jobs, live, signers, {
+        stateFile: statePath(network.name),
+        logFile: logPath(network.name),
+        log: (name, result) => {
+            const color = result.status === "sent" ? "\x1b[32m" : result.status === "failed" ? "\x1b[31m" : "\x1b[33m";
+            console.log(`   ${color}${result.status.padEnd(8)}\x1b[0m ${name}: ${result.detail}` + (result.tx ? ` (${result.tx})` : ""));
+        }
+    });
+    console.log(`Keeping ${Object.keys(jobs).length} job(s) on ${network.name}`);
+    Object.entries(jobs).forEach(([name, job]) => {
+        const signer = signers[name].address;
+        console.log(`   ${name.padEnd(26)} ${`${job.contract}.${job.method}`.padEnd(48)} ` +
+            (live[job.contract] ? `as ${signer}` : "\x1b[90mnot deployed\x1b[0m"));
+    });
+
+    let stopping = false;
+    process.on("SIGINT", () => { stopping = true; });
+    process.on("SIGTERM", () => { stopping = true; });
+
+    let results = {};
+    for (let round = 1; FOLLOW || round <= ROUNDS; round++) {
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        console.log(`\nRound ${round} at block time ${new Date(timestamp * 1000).toISOString().replace(".000Z", "Z")}`);
+        results = await keeper.runRound();
+        const quiet = Object.entries(results).filter(([, result]) => !["sent", "failed", "deferred"].includes(result.status));
+        quiet.forEach(([name, result]) => console.log(`   \x1b[90m${result.status.padEnd(8)} ${name}: ${result.detail}\x1b[0m`));
+
+        if (stopping || (!FOLLOW && round === ROUNDS)) break;
+        if (ADVANCE_SECONDS > 0) {
+            await ethers.provider.send("evm_increaseTime", [ADVANCE_SECONDS]);
+            await ethers.provider.send("evm_mine", []);
+        }
+        for (let waited = 0; FOLLOW && !stopping && waited < POLL_SECONDS * 1000; waited += 250) {
+            await sleep(250);
+        }
+        if (stopping) break;
+    }
+    return Object.values(results).filter(result => result.status === "failed").length;
+}
+
+main()
+    .then((failed) => process.exit(!FOLLOW && failed > 0 ? 1 : 0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,107 @@
+// scripts/lib/addresses.js - Resolves contract addresses from ContractRegistry, with env vars as explicit overrides
+const deployments = require('./deployments');
+const { loadManifest } = require('./manifest');
+const { getRegisteredAddress, sameAddress } = require('./deploy-helpers');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Override of a manifest address from its env var (e.g. TOKEN_ADDRESS), or null
+function overrideFor(manifest, name) {
+    const entry = manifest.addresses[name];
+    if (!entry || !entry.env || !process.env[entry.env]) return null;
+
+    const value = process.env[entry.env].trim();
+    if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+        throw new Error(`${entry.env} overrides ${name} but "${value}" is not an address`);
+    }
+    return { env: entry.env, address: value };
+}
+
+/**
+ * @dev Creates a resolver for the addresses declared in deploy-manifest.json. The canonical
+ * address of a registered contract is the one ContractRegistry returns for its registry key;
+ * the deployment record is the fallback for contracts that are not (yet) registered and for
+ * the registry itself. An env var set for the address overrides both, with a warning when
+ * it disagrees. Lookups are cached for the lifetime of the resolver. Must be run inside Hardhat.
+ * @param network Hardhat network name
+ * @param options.manifest Parsed deployment manifest
+ * @param options.warn Receives the mismatch warnings (default console.warn)
+ * @return { resolve, require }
+ */
+function createAddressResolver(network, { manifest = loadManifest(), warn = console.warn } = {}) {
+    const cache = {};
+
+    // Registry and record view of an address, before overrides
+    async function canonical(name) {
+        const recorded = deployments.getAddress(network, name);
+        const entry = manifest.addresses[name] || {};
+        if (name === 'ContractRegistry' || !entry.registryKey) {
+            return { address: recorded, source: recorded ? 'record' : null };
+        }
+
+        const registry = await resolve('ContractRegistry');
+        const registered = registry.address ? await getRegisteredAddress(registry.address, entry.registryKey) : null;
+        if (registered && registered !== ZERO_ADDRESS) {
+            return { address: registered, source: 'registry' };
+        }
+        return { address: recorded, source: recorded ? 'record' : null };
+    }
+
+    /**
+     * @dev Resolves one address
+     * @param name Contract name as used in deploy-manifest.json
+     * @return { name, address, source, canonical } where source is env, registry or record
+     * (address and source are null when nothing is known) and canonical is the address
+     * without overrides
+     */
+    async function resolve(name) {
+        if (!manifest.addresses[name]) {
+            throw new Error(`${name} is not an address declared in deploy-manifest.json`);
+        }
+        if (!cache[name]) {
+            cache[name] = (async () => {
+                const found = await canonical(name);
+                const override = overrideFor(manifest, name);
+                if (!override) {
+                    return { name, address: found.address, source: found.source, canonical: found.address };
+                }
+                if (found.address && !sameAddress(found.address, override.address)) {
+                    warn(`${override.env}=${override.address} overrides ${name}, but the ${found.source} has ${found.address}`);
+                }
+                return { name, address: override.address, source: 'env', canonical: found.address };
+            })();
+        }
+        return cache[name];
+    }
+
+    /**
+     * @dev Resolves several addresses at once
+     * @param names Contract names as used in deploy-manifest.json
+     * @return Map of name to address; throws listing every name that cannot be resolved
+     */
+    async function requireAll(names) {
+        const resolved = [];
+        for (const name of names) {
+            resolved.push(await resolve(name));
+        }
+
+        const missing = resolved.filter(entry => !entry.address).map(entry => entry.name);
+        if (missing.length > 0) {
+            throw new Error(
+                `Cannot resolve ${missing.join(', ')} on ${network}: not registered, not recorded ` +
+                `(${deployments.deploymentsPath(network)}) and no override set`
+            );
+        }
+
+        const addresses = {};
+        resolved.forEach(entry => { addresses[entry.name] = entry.address; });
+        return addresses;
+    }
+
+    return { resolve, require: requireAll };
+}
+
+module.exports = {
+    overrideFor,
+    createAddressResolver
+};
@@ -0,0 +1,445 @@
+// scripts/lib/deploy-helpers.js - Idempotent deployment and wiring helpers for Hardhat scripts
+const deployments = require("./deployments");
+const { receiptsSince, sumGas, transactionEntry } = require("./gas");
+const { QueuedCall, adminMode, batchPath, installBatchSigner, withStepDescription } = require("./safe-batch");
+
+const NO_INTERFACE = "0x00000000";
+
+// Raised when a deployment step fails; carries the component and step for the runner's report
+class DeploymentError extends Error {
+    constructor(component, step, cause) {
+        super(`${component}: ${step} failed: ${errorReason(cause)}`);
+        this.name = "DeploymentError";
+        this.component = component;
+        this.step = step;
+        this.cause = cause;
+    }
+}
+
+// Shortest useful description of an ethers or Hardhat error (revert reason when there is one)
+function errorReason(error) {
+    if (!error) {
+        return "unknown error";
+    }
+    return error.shortMessage || error.reason || error.message || String(error);
+}
+
+/**
+ * @dev Revert reason with custom errors decoded against the given contract interfaces;
+ * a missing role names the role
+ * @param error Error thrown by a call or transaction
+ * @param interfaces Contract interfaces that may define the error
+ */
+function revertReason(error, interfaces = []) {
+    const data = error && (error.data || (error.error && error.error.data));
+    if (typeof data === "string" && data.length >= 10) {
+        for (const contractInterface of interfaces) {
+            const parsed = contractInterface.parseError(data);
+            if (!parsed) continue;
+            if (parsed.name === "AccessControlUnauthorizedAccount") {
+                const { roleName } = require("./roles");
+                return `AccessControlUnauthorizedAccount: ${parsed.args[0]} does not hold ${roleName(parsed.args[1])}`;
+            }
+            return `${parsed.name}(${Array.from(parsed.args).map(String).join(", ")})`;
+        }
+    }
+    return errorReason(error);
+}
+
+// "resume" (default) reuses live contracts and skips finished wiring, "fresh" always redeploys
+function deployMode() {
+    return (process.env.DEPLOY_MODE || "resume").toLowerCase();
+}
+
+function sameAddress(a, b) {
+    return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+// Name hash used by ContractRegistry, e.g. registryName("TEACH_TOKEN")
+function registryName(registryKey) {
+    const { ethers } = require("hardhat");
+    return ethers.keccak256(ethers.toUtf8Bytes(registryKey));
+}
+
+// Gas of an optional receipt, for receipts skipped because the work was already done
+function gasOf(receipt) {
+    return receipt ? receipt.gasUsed : 0n;
+}
+
+async function hasCode(address) {
+    const { ethers } = require("hardhat");
+    return (await ethers.provider.getCode(address)) !== "0x";
+}
+
+async function attachRegistry(registryAddress) {
+    const { ethers } = require("hardhat");
+    const ContractRegistry = await ethers.getContractFactory("ContractRegistry");
+    return ContractRegistry.attach(registryAddress);
+}
+
+/**
+ * @dev Address a name is registered under in ContractRegistry
+ * @return The address, or null if the name is not registered
+ */
+async function getRegisteredAddress(registryAddress, registryKey) {
+    const registry = await attachRegistry(registryAddress);
+    try {
+        return await registry.getContractAddress(registryName(registryKey));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * @dev Finds a live deployment of a contract by looking at its record and at the
+ * registry. A recorded address without bytecode (e.g. after a local node restart)
+ * counts as not deployed. A contract found only in the registry is adopted into
+ * the deployment record.
+ * @param name Contract name as used in deploy-manifest.json
+ * @param options.registryAddress ContractRegistry to consult, if deployed
+ * @param options.registryKey Name the contract is registered under
+ * @param options.proxy Whether the contract sits behind an ERC1967 proxy
+ * @return { address, source } or null when the contract has to be deployed
+ */
+async function findLiveDeployment(name, { registryAddress = null, registryKey = null, proxy = true } = {}) {
+    const { upgrades, network } = require("hardhat");
+
+    const record = deployments.getDeployment(network.name, name);
+    const recordLive = !!record && await hasCode(record.address);
+
+    const registered = registryAddress && registryKey
+        ? await getRegisteredAddress(registryAddress, registryKey)
+        : null;
+    const registeredLive = !!registered && await hasCode(registered);
+
+    if (recordLive && registeredLive && !sameAddress(record.address, registered)) {
+        throw new Error(
+            `${name} is recorded at ${record.address} but ${registryKey} is registered to ${registered}. ` +
+            `Resolve the conflict before resuming.`
+        );
+    }
+
+    if (recordLive) {
+        deployments.saveDeployment(network.name, name, { verifiedAt: new Date().toISOString() });
+        return { address: record.address, source: "record" };
+    }
+
+    if (registeredLive) {
+        console.warn(`${name} has no usable deployment record, adopting registered address ${registered}`);
+        const implementation = proxy
+            ? await upgrades.erc1967.getImplementationAddress(registered).catch(() => null)
+            : null;
+        deployments.saveDeployment(network.name, name, {
+            address: registered,
+            implementation,
+            registryKey,
+            adoptedAt: new Date().toISOString()
+        });
+        return { address: registered, source: "registry" };
+    }
+
+    if (record) {
+        console.warn(`${name} is recorded at ${record.address} but has no code on ${network.name}, redeploying`);
+    }
+    return null;
+}
+
+/**
+ * @dev Deploys a contract unless a live deployment already exists (resume mode)
+ * @param name Contract name as used in deploy-manifest.json
+ * @param factoryName Contract factory to deploy or attach
+ * @param args Initializer (proxy) or constructor arguments
+ * @param options.proxy Deploy behind a UUPS proxy (default true)
+ * @param options.registryAddress ContractRegistry to consult, if deployed
+ * @param options.registryKey Name the contract is registered under
+ * @return { contract, receipt, reused, transactions } where receipt is null and transactions
+ * is empty for a reused contract
+ */
+async function deployOrReuse(name, factoryName, args = [], { proxy = true, registryAddress = null, registryKey = null } = {}) {
+    const { ethers, upgrades } = require("hardhat");
+    const factory = await ethers.getContractFactory(factoryName);
+
+    if (deployMode() !== "fresh") {
+        const live = await findLiveDeployment(name, { registryAddress, registryKey, proxy });
+        if (live) {
+            console.log(`${name} already deployed at ${live.address}, skipping deployment`);
+            return { contract: factory.attach(live.address), receipt: null, reused: true, transactions: [] };
+        }
+    }
+
+    const [signer] = await ethers.getSigners();
+    const fromNonce = await signer.getNonce("latest");
+    const fromBlock = await ethers.provider.getBlockNumber();
+
+    const contract = proxy
+        ? await upgrades.deployProxy(factory, args, { initializer: 'initialize' })
+        : await factory.deploy(...args);
+    await contract.waitForDeployment();
+
+    // A proxy deployment also sends the implementation (unless the plugin reused one)
+    const deployReceipt = await contract.deploymentTransaction().wait();
+    const receipts = await receiptsSince(signer.address, fromNonce, fromBlock + 1, deployReceipt.blockNumber);
+    const transactions = receipts.map(receipt => transactionEntry("deploy",
+        receipt.hash === deployReceipt.hash
+            ? `Deploying ${name}${proxy ? " proxy" : ""}`
+            : `Deploying ${name} implementation`,
+        receipt));
+
+    const receipt = await deployments.recordDeployment(name, contract, { args, registryKey, proxy, transactions });
+    return { contract, receipt, reused: false, transactions };
+}
+
+/**
+ * @dev Sends a configuration transaction only if its effect is not in place yet
+ * @param description What the transaction does, used for logging
+ * @param isDone Async check returning true when nothing needs to be sent
+ * @param send Callback sending the transaction
+ * @return The receipt, or null if the step was already done
+ */
+async function ensureState(description, isDone, send) {
+    if (await isDone()) {
+        console.log(`${description}: already done`);
+        return null;
+    }
+
+    console.log(`${description}...`);
+    const tx = await withStepDescription(description, send);
+    return await tx.wait();
+}
+
+// Points a RegistryAwareUpgradeable contract at the registry unless it already is
+async function ensureRegistrySet(contract, registryAddress, label) {
+    return ensureState(
+        `Setting Registry for ${label}`,
+        async () => sameAddress(await contract.registry(), registryAddress),
+        () => contract.setRegistry(registryAddress)
+    );
+}
+
+/**
+ * @dev Registers an address in ContractRegistry. Does nothing if it is already
+ * registered under that name; moves the name with updateContract if it points
+ * at an older deployment.
+ * @return The receipt, or null if the registration was already in place
+ */
+async function ensureRegistered(registryAddress, registryKey, address) {
+    const registry = await attachRegistry(registryAddress);
+    const name = registryName(registryKey);
+    const current = await getRegisteredAddress(registryAddress, registryKey);
+
+    if (sameAddress(current, address)) {
+        console.log(`${registryKey} already registered in Registry`);
+        if (!(await registry.isContractActive(name))) {
+            console.warn(`Warning: ${registryKey} is registered but inactive`);
+        }
+        return null;
+    }
+
+    let tx;
+    if (current) {
+        console.log(`Updating ${registryKey} in Registry from ${current} to ${address}...`);
+        tx = await withStepDescription(`Updating ${registryKey}`, () => registry.updateContract(name, address, NO_INTERFACE));
+    } else {
+        console.log(`Registering ${registryKey} in Registry...`);
+        tx = await withStepDescription(`Registering ${registryKey}`, () => registry.registerContract(name, address, NO_INTERFACE));
+    }
+    return await tx.wait();
+}
+
+/**
+ * @dev Starts the deployment of one component. Every step goes through the returned
+ * object so that it is idempotent, its gas is counted and its failure is reported
+ * as a DeploymentError naming the component and step.
+ * @param name Contract name as used in deploy-manifest.json
+ * @param options.registryAddress ContractRegistry to wire into; registry steps are skipped without one
+ * @param options.registryKey Name the contract is registered under
+ * @return Object with deploy, step, setRegistry, register, link, linkBoth and finish
+ */
+function createDeployment(name, { registryAddress = null, registryKey = null } = {}) {
+    const { network } = require("hardhat");
+
+    // ADMIN_MODE=safe: deployments are still sent, admin calls go into the Safe batch unless the
+    // target is still administered by the deployer alone
+    if (adminMode() === "safe") {
+        installBatchSigner(network.name);
+    }
+
+    const contracts = {};
+    const steps = [];
+    let deployGas = 0n;
+    let persistedSteps = 0;
+    let persistedGas = 0n;
+
+    // Books the gas and ledger entries of the steps not on the deployment record yet. Runs from
+    // finish() and before a failed step is rethrown, so the transactions sent before the failure
+    // stay on the record for the runner and the next run.
+    function persist() {
+        if (!deployments.getDeployment(network.name, name)) return;
+        const followUpGas = steps.reduce((sum, s) => sum + s.gasUsed, 0n) - deployGas;
+        deployments.recordGasUsed(network.name, name, followUpGas - persistedGas);
+        deployments.recordTransactions(network.name, name, steps.slice(persistedSteps).flatMap(s => s.transactions || []));
+        persistedSteps = steps.length;
+        persistedGas = followUpGas;
+    }
+
+    async function track(description, action, { optional = false, category = "wiring" } = {}) {
+        let receipt;
+        try {
+            receipt = await action();
+        } catch (error) {
+            if (error instanceof QueuedCall) {
+                console.log(`${description}: queued as call ${error.call.index + 1} of ${error.call.file}`);
+                steps.push({ description, category, status: "queued", gasUsed: 0n, txHash: null, transactions: [] });
+                return null;
+            }
+            steps.push({ description, category, status: "failed", gasUsed: 0n, txHash: null, error: errorReason(error) });
+            if (!optional) {
+                persist();
+                throw new DeploymentError(name, description, error);
+            }
+            console.warn(`Warning: ${description} failed: ${errorReason(error)}`);
+            return null;
+        }
+
+        steps.push({
+            description,
+            category,
+            status: receipt ? "sent" : "skipped",
+            gasUsed: gasOf(receipt),
+            txHash: receipt ? receipt.hash : null,
+            transactions: receipt ? [transactionEntry(category, description, receipt)] : []
+        });
+        return receipt;
+    }
+
+    /**
+     * @dev Deploys the component or reuses the live one
+     * @param args Initializer (proxy) or constructor arguments
+     * @param options.factory Contract factory, defaults to the component name
+     * @param options.proxy Deploy behind a UUPS proxy (default true)
+     * @return { contract, address, receipt, reused }
+     */
+    async function deploy(args = [], { factory = name, proxy = true } = {}) {
+        let result;
+        try {
+            result = await deployOrReuse(name, factory, args, { proxy, registryAddress, registryKey });
+        } catch (error) {
+            steps.push({ description: `Deploying ${name}`, category: "deploy", status: "failed", gasUsed: 0n, txHash: null, error: errorReason(error) });
+            persist();
+            throw new DeploymentError(name, `Deploying ${name}`, error);
+        }
+
+        const address = await result.contract.getAddress();
+        const gasUsed = BigInt(sumGas(result.transactions));
+        deployGas += gasUsed;
+        contracts[name] = { address, reused: result.reused };
+        steps.push({
+            description: `Deploying ${name}`,
+            category: "deploy",
+            status: result.reused ? "skipped" : "sent",
+            gasUsed,
+            txHash: result.receipt ? result.receipt.hash : null,
+            // Already on the record, written by recordDeployment
+            transactions: []
+        });
+        return { ...result, address };
+    }
+
+    // Sends a transaction unless isDone() reports its effect is already in place;
+    // options.category books its gas under deploy, setRegistry, registerContract, wiring (default) or upgrade
+    function step(description, isDone, send, options = {}) {
+        return track(description, () => ensureState(description, isDone, send), options);
+    }
+
+    // Points the contract at the registry; skipped for contracts that are not registry-aware
+    async function setRegistry(contract, label = name) {
+        if (!registryAddress) {
+            console.log(`No ContractRegistry deployed, skipping setRegistry for ${label}`);
+            return null;
+        }
+        if (!contract.interface.getFunction("setRegistry")) {
+            console.warn(`Warning: ${label} has no setRegistry function, skipping`);
+            return null;
+        }
+        return track(`Setting Registry for ${label}`, () => ensureRegistrySet(contract, registryAddress, label),
+            { category: "setRegistry" });
+    }
+
+    // Registers the component under its registry key (updateContract if the key points elsewhere)
+    async function register(address) {
+        if (!registryAddress || !registryKey) {
+            console.log(`No ContractRegistry deployed, skipping registration of ${name}`);
+            return null;
+        }
+        return track(`Registering ${registryKey}`, () => ensureRegistered(registryAddress, registryKey, address),
+            { category: "registerContract" });
+    }
+
+    /**
+     * @dev Makes `contract.getter()` return `target`, calling `contract.setter(target)` if needed
+     * @param link.label Name of the contract being configured, used for logging
+     * @param link.description Log line, defaults to "Setting <what> in <label>"
+     * @param link.optional Log a warning instead of failing the deployment
+     */
+    function link({ label, contract, getter, setter, target, description = null, optional = false }) {
+        return step(
+            description || `Setting ${setter.replace(/^set/, "")} in ${label}`,
+            async () => sameAddress(await contract[getter](), target),
+            () => contract[setter](target),
+            { optional }
+        );
+    }
+
+    /**
+     * @dev Links two contracts to each other, e.g. TokenCrowdSale.setTierManager and
+     * TierManager.setCrowdsale. Each side is { label, contract, getter, setter, optional }.
+     * @return [receipt of a, receipt of b]
+     */
+    async function linkBoth(a, b) {
+        const aAddress = await a.contract.getAddress();
+        const bAddress = await b.contract.getAddress();
+        return [
+            await link({ ...a, target: bAddress }),
+            await link({ ...b, target: aAddress })
+        ];
+    }
+
+    /**
+     * @dev Books the gas of follow-up transactions on the deployment record and
+     * returns the summary of the run
+     * @return { component, network, contracts, steps, gasUsed }
+     */
+    function finish() {
+        persist();
+
+        const gasUsed = steps.reduce((sum, s) => sum + s.gasUsed, 0n);
+        console.log("Gas used:", gasUsed.toString());
+        console.log(`\nDeployment recorded in ${deployments.deploymentsPath(network.name)}`);
+        const queued = steps.filter(s => s.status === "queued").length;
+        if (queued > 0) {
+            console.log(`${queued} admin call(s) queued in ${batchPath(network.name)}, simulate them with scripts/simulate-safe-batch.js`);
+        }
+        return { component: name, network: network.name, contracts, steps, gasUsed };
+    }
+
+    return { deploy, step, setRegistry, register, link, linkBoth, finish };
+}
+
+module.exports = {
+    NO_INTERFACE,
+    DeploymentError,
+    errorReason,
+    revertReason,
+    createDeployment,
+    deployMode,
+    sameAddress,
+    registryName,
+    gasOf,
+    hasCode,
+    getRegisteredAddress,
+    findLiveDeployment,
+    deployOrReuse,
+    ensureState,
+    ensureRegistrySet,
+    ensureRegistered
+};
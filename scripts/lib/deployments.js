@@ -0,0 +1,180 @@
+// scripts/lib/deployments.js - Per-network deployment records (deployments/<network>.json)
+const fs = require('fs');
+const path = require('path');
+const { sumGas, transactionEntry } = require('./gas');
+
+// DEPLOYMENTS_DIR redirects the records, e.g. the dry run keeps its forked records in a temp directory
+const DEPLOYMENTS_DIR = process.env.DEPLOYMENTS_DIR || path.join(__dirname, '..', '..', 'deployments');
+
+// Path of the record file for a network
+function deploymentsPath(network) {
+    return path.join(DEPLOYMENTS_DIR, `${network}.json`);
+}
+
+/**
+ * @dev Reads every deployment record for a network
+ * @param network Hardhat network name
+ * @return { network, chainId, contracts } with an empty contracts map if nothing was deployed yet
+ */
+function readDeployments(network) {
+    const file = deploymentsPath(network);
+    if (!fs.existsSync(file)) {
+        return { network, chainId: null, contracts: {} };
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeDeployments(network, data) {
+    fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+    fs.writeFileSync(deploymentsPath(network), JSON.stringify(data, null, 2) + '\n');
+}
+
+// Returns the record of a contract, or null if it was never deployed on this network
+function getDeployment(network, name) {
+    return readDeployments(network).contracts[name] || null;
+}
+
+// Returns the recorded address of a contract, or null
+function getAddress(network, name) {
+    const record = getDeployment(network, name);
+    return record ? record.address : null;
+}
+
+/**
+ * @dev Looks up several recorded addresses at once
+ * @param network Hardhat network name
+ * @param names Contract names as used in deploy-manifest.json
+ * @return Map of name to address; throws listing every name without a record
+ */
+function requireAddresses(network, names) {
+    const { contracts } = readDeployments(network);
+    const missing = names.filter(name => !contracts[name]);
+    if (missing.length > 0) {
+        throw new Error(
+            `No deployment record for ${missing.join(', ')} on ${network} (${deploymentsPath(network)}). ` +
+            `Deploy ${missing.length > 1 ? 'them' : 'it'} first.`
+        );
+    }
+
+    const addresses = {};
+    names.forEach(name => { addresses[name] = contracts[name].address; });
+    return addresses;
+}
+
+/**
+ * @dev Creates or updates the record of a contract. Fields are merged into the
+ * existing record and `updatedAt` is refreshed.
+ * @param network Hardhat network name
+ * @param name Contract name as used in deploy-manifest.json
+ * @param fields Fields to set on the record
+ * @return The stored record
+ */
+function saveDeployment(network, name, fields) {
+    const data = readDeployments(network);
+    data.contracts[name] = {
+        ...(data.contracts[name] || {}),
+        ...toJson(fields),
+        updatedAt: new Date().toISOString()
+    };
+    writeDeployments(network, data);
+    return data.contracts[name];
+}
+
+// Adds gas spent on follow-up transactions (wiring, registration) to a record
+function recordGasUsed(network, name, gasUsed) {
+    const record = getDeployment(network, name);
+    if (!record) {
+        throw new Error(`No deployment record for ${name} on ${network}`);
+    }
+    const total = BigInt(record.totalGasUsed || 0) + BigInt(gasUsed);
+    return saveDeployment(network, name, { totalGasUsed: total });
+}
+
+// Appends ledger entries (see lib/gas.js transactionEntry) to the transactions of a record
+function recordTransactions(network, name, transactions) {
+    const record = getDeployment(network, name);
+    if (!record) {
+        throw new Error(`No deployment record for ${name} on ${network}`);
+    }
+    const at = new Date().toISOString();
+    return saveDeployment(network, name, {
+        transactions: [...(record.transactions || []), ...transactions.map(tx => ({ ...tx, at }))]
+    });
+}
+
+/**
+ * @dev Records a freshly deployed contract. Must be run inside Hardhat.
+ * @param name Contract name as used in deploy-manifest.json
+ * @param contract The deployed ethers contract
+ * @param options.args Constructor or initializer arguments
+ * @param options.registryKey Name the contract is registered under in ContractRegistry
+ * @param options.proxy Whether the contract sits behind an ERC1967 proxy (default true)
+ * @param options.transactions Ledger entries of every transaction of the deployment
+ * (implementation and proxy); defaults to the deployment transaction alone
+ * @return The receipt of the deployment transaction
+ */
+async function recordDeployment(name, contract, { args = [], registryKey = null, proxy = true, transactions = null } = {}) {
+    const { ethers, upgrades, network } = require("hardhat");
+
+    const address = await contract.getAddress();
+    const txHash = contract.deploymentTransaction().hash;
+    const receipt = await ethers.provider.getTransactionReceipt(txHash);
+    const implementation = proxy ? await upgrades.erc1967.getImplementationAddress(address) : null;
+    const { chainId } = await ethers.provider.getNetwork();
+    const ledger = (transactions || [transactionEntry('deploy', `Deploying ${name}`, receipt)])
+        .map(tx => ({ ...tx, at: new Date().toISOString() }));
+    const gasUsed = sumGas(ledger);
+
+    const data = readDeployments(network.name);
+    data.chainId = chainId.toString();
+
+    // A new deployment replaces whatever was recorded under this name before
+    const previous = data.contracts[name];
+    const now = new Date().toISOString();
+    data.contracts[name] = toJson({
+        address,
+        implementation,
+        txHash,
+        blockNumber: receipt.blockNumber,
+        args,
+        gasUsed,
+        totalGasUsed: gasUsed,
+        transactions: ledger,
+        registryKey,
+        ...(previous ? { replaces: previous.address } : {}),
+        deployedAt: now,
+        updatedAt: now
+    });
+    writeDeployments(network.name, data);
+
+    return receipt;
+}
+
+// Converts BigInt values (initializer args, gas figures) into JSON-safe strings
+function toJson(value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toJson);
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        Object.keys(value).forEach(key => { result[key] = toJson(value[key]); });
+        return result;
+    }
+    return value;
+}
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    deploymentsPath,
+    readDeployments,
+    getDeployment,
+    getAddress,
+    requireAddresses,
+    saveDeployment,
+    recordGasUsed,
+    recordTransactions,
+    recordDeployment
+};
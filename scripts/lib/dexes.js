@@ -0,0 +1,167 @@
+// scripts/lib/dexes.js - DEX onboarding files and the DexRegistry changes that bring the registry in line with one
+const fs = require('fs');
+
+// DexRegistry documents allocations as basis points but stores them as uint8 and sums them in a
+// uint8, so whole percentages are the only scale it can hold; 100 is the full allocation.
+// LiquidityProvisioner.createLiquidityAtTargetPrice still divides by 10000.
+const FULL_ALLOCATION = 100;
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// "0x..." or { "env": "NAME" }; returns { value } or { problem }
+function resolveConfigAddress(raw, label, { optional = false } = {}) {
+    if (raw === undefined || raw === null) {
+        return optional ? { value: ZERO_ADDRESS } : { problem: `${label} is required` };
+    }
+    const value = typeof raw === 'object' && typeof raw.env === 'string' ? process.env[raw.env] : raw;
+    if (typeof raw === 'object' && !value) {
+        return { problem: `${label}: ${raw.env} is not set` };
+    }
+    if (typeof value !== 'string' || !ADDRESS_PATTERN.test(value)) {
+        return { problem: `${label} must be a 0x address or { "env": ... }, got ${JSON.stringify(raw)}` };
+    }
+    return { value };
+}
+
+/**
+ * @dev Reads and validates a DEX onboarding file
+ * @param file Path of the JSON file
+ * @return Array of { name, router, factory, stakingRewards, allocation, pair, active } where pair is
+ * "auto" (look up or create on the factory), an address, or null to leave it unset
+ */
+function loadDexConfig(file) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const problems = [];
+    const dexes = [];
+    const seen = new Set();
+
+    (config.dexes || []).forEach((dex, i) => {
+        const name = typeof dex.name === 'string' ? dex.name.trim() : '';
+        const where = name || `dexes[${i}]`;
+        if (name === '') problems.push(`dexes[${i}]: name is required`);
+        if (seen.has(name)) problems.push(`${where}: listed twice`);
+        seen.add(name);
+
+        const resolved = {};
+        [['router', {}], ['factory', {}], ['stakingRewards', { optional: true }]].forEach(([field, options]) => {
+            const { value, problem } = resolveConfigAddress(dex[field], `${where}.${field}`, options);
+            if (problem) problems.push(problem);
+            resolved[field] = value;
+        });
+
+        const active = dex.active !== false;
+        if (!Number.isInteger(dex.allocation) || dex.allocation < 0 || dex.allocation > FULL_ALLOCATION) {
+            problems.push(`${where}.allocation must be a whole percentage from 0 to ${FULL_ALLOCATION}, got ${JSON.stringify(dex.allocation)}`);
+        }
+
+        let pair = dex.pair === undefined ? 'auto' : dex.pair;
+        if (pair !== 'auto' && pair !== null) {
+            const { value, problem } = resolveConfigAddress(pair, `${where}.pair`);
+            if (problem) problems.push(problem);
+            pair = value;
+        }
+        dexes.push({ name, ...resolved, allocation: dex.allocation, pair, active });
+    });
+
+    const total = dexes.filter(dex => dex.active).reduce((sum, dex) => sum + (Number.isInteger(dex.allocation) ? dex.allocation : 0), 0);
+    if (total !== FULL_ALLOCATION) {
+        problems.push(`allocations of the active DEXes add up to ${total}%, they must add up to ${FULL_ALLOCATION}%`);
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid DEX config ${file}:\n  - ${problems.join('\n  - ')}`);
+    }
+    return dexes;
+}
+
+/**
+ * @dev Every DEX DexRegistry knows, active or not
+ * @param dexRegistry Attached DexRegistry
+ * @return Array of { id, name, router, factory, pair, stakingRewards, allocation, active }
+ */
+async function readDexes(dexRegistry) {
+    const dexes = [];
+    const count = Number(await dexRegistry.getDexCount());
+    for (let id = 0; id < count; id++) {
+        const info = await dexRegistry.getDexInfo(id);
+        dexes.push({
+            id,
+            name: info.name,
+            router: info.router,
+            factory: info.factory,
+            pair: info.pair,
+            stakingRewards: info.stakingRewards,
+            allocation: Number(info.allocationPercentage),
+            active: info.active
+        });
+    }
+    return dexes;
+}
+
+const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * @dev Works out the DexRegistry calls that turn the on-chain DEXes into the configured ones.
+ * DEXes are matched by name; active DEXes missing from the config are deactivated. Deactivations
+ * and allocation cuts come first so that the running total never goes over 100%.
+ * @param config DEXes from loadDexConfig
+ * @param onChain DEXes from readDexes
+ * @return { changes, problems } where changes are { kind: add|update|activate|deactivate|pair, name,
+ * id, dex (the configured entry), before (the on-chain entry) }; a DEX still to add gets the id
+ * addDex will give it
+ */
+function planDexChanges(config, onChain) {
+    const problems = [];
+    const cuts = [];
+    const raises = [];
+    const pairs = [];
+
+    const byName = {};
+    onChain.forEach(dex => {
+        if (byName[dex.name]) {
+            problems.push(`DexRegistry has more than one DEX named ${dex.name} (ids ${byName[dex.name].id} and ${dex.id}); rename one of them with updateDex first`);
+            return;
+        }
+        byName[dex.name] = dex;
+    });
+
+    let nextId = onChain.length;
+    config.forEach(dex => {
+        const before = byName[dex.name];
+        const id = before ? before.id : (dex.active ? nextId++ : null);
+        if (!before) {
+            if (dex.active) raises.push({ kind: 'add', name: dex.name, id, dex, before: null });
+        } else {
+            const differs = !same(before.router, dex.router) || !same(before.factory, dex.factory) ||
+                !same(before.stakingRewards, dex.stakingRewards) || before.allocation !== dex.allocation;
+            const change = { name: dex.name, id, dex, before };
+            if (before.active && !dex.active) cuts.push({ ...change, kind: 'deactivate' });
+            if (differs) (dex.allocation < before.allocation ? cuts : raises).push({ ...change, kind: 'update' });
+            if (!before.active && dex.active) raises.push({ ...change, kind: 'activate' });
+        }
+
+        if (!dex.active || dex.pair === null) return;
+        if (before && before.pair !== ZERO_ADDRESS) {
+            // setDexPair refuses to replace a pair
+            if (dex.pair !== 'auto' && !same(before.pair, dex.pair)) {
+                problems.push(`${dex.name}: DexRegistry already has pair ${before.pair}, it cannot be changed to ${dex.pair}`);
+            }
+            return;
+        }
+        pairs.push({ kind: 'pair', name: dex.name, id, dex, before: before || null });
+    });
+
+    onChain.filter(dex => dex.active && byName[dex.name] === dex && !config.some(entry => entry.name === dex.name))
+        .forEach(dex => cuts.push({ kind: 'deactivate', name: dex.name, id: dex.id, dex: null, before: dex }));
+
+    return { changes: [...cuts, ...raises, ...pairs], problems };
+}
+
+module.exports = {
+    FULL_ALLOCATION,
+    ZERO_ADDRESS,
+    loadDexConfig,
+    readDexes,
+    planDexChanges
+};
@@ -0,0 +1,248 @@
+// scripts/lib/dry-run.js - Runs the deployment scripts in-process on a fork of a network and collects the plan
+const fs = require('fs');
+const path = require('path');
+const deployments = require('./deployments');
+const { loadManifest, resolveDeploymentOrder } = require('./manifest');
+const { errorReason, sameAddress } = require('./deploy-helpers');
+const gas = require('./gas');
+const { profileName } = require('./params');
+const { inspectWiring } = require('./wiring');
+
+// The fork runs on the in-process Hardhat network; its records live in DEPLOYMENTS_DIR
+const FORK_NETWORK = 'hardhat';
+
+const FUNDED_BALANCE = '0x3635c9adc5dea00000'; // 1000 native tokens
+
+// First account of a network config, as Hardhat derives it from a key list or a mnemonic
+function configuredDeployer(config) {
+    const { ethers } = require('hardhat');
+    const accounts = config.accounts;
+    if (Array.isArray(accounts) && accounts.length > 0) {
+        return new ethers.Wallet(typeof accounts[0] === 'string' ? accounts[0] : accounts[0].privateKey).address;
+    }
+    if (accounts && accounts.mnemonic) {
+        const hdPath = `${accounts.path || "m/44'/60'/0'/0"}/${accounts.initialIndex || 0}`;
+        return ethers.HDNodeWallet.fromPhrase(accounts.mnemonic, accounts.passphrase || '', hdPath).address;
+    }
+    return null;
+}
+
+/**
+ * @dev Resets the in-process Hardhat network to a fork of the target and makes the
+ * target's deployer the first signer, so the deploy scripts run unchanged
+ * @param target Network to fork, as named in the Hardhat config
+ * @param options.blockNumber Block to fork at, latest when null
+ * @param options.deployer Deployer address, defaults to the first account of the target
+ * @param options.fund Top up the deployer so the plan runs to the end whatever its balance
+ * @return { deployer, forkBlock, balance } where balance is the deployer's real balance
+ */
+async function forkNetwork(target, { blockNumber = null, deployer = null, fund = false } = {}) {
+    const hre = require('hardhat');
+    const { ethers } = hre;
+
+    if (hre.network.name !== FORK_NETWORK) {
+        throw new Error(`Run the dry run with --network ${FORK_NETWORK}; it forks ${target} itself`);
+    }
+    const config = hre.config.networks[target];
+    if (!config || !config.url) {
+        throw new Error(`Network ${target} has no url in the Hardhat config, cannot fork it`);
+    }
+
+    await hre.network.provider.request({
+        method: 'hardhat_reset',
+        params: [{ forking: { jsonRpcUrl: config.url, ...(blockNumber ? { blockNumber } : {}) } }]
+    });
+
+    const address = deployer || configuredDeployer(config);
+    if (!address) {
+        throw new Error(`Cannot tell the deployer of ${target} from its accounts, set DRY_RUN_DEPLOYER`);
+    }
+    const balance = await ethers.provider.getBalance(address);
+    if (fund) {
+        await hre.network.provider.request({ method: 'hardhat_setBalance', params: [address, FUNDED_BALANCE] });
+    }
+
+    // Every deploy script takes the first signer as its deployer
+    const signer = await ethers.getImpersonatedSigner(address);
+    ethers.getSigners = async () => [signer];
+
+    return { deployer: address, forkBlock: await ethers.provider.getBlockNumber(), balance };
+}
+
+// Decoded arguments in JSON-safe form
+function readable(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (Array.isArray(value)) return Array.from(value).map(readable);
+    return value;
+}
+
+// Category of a decoded call, matching the gas ledger's categories
+function categoryOf(method) {
+    if (method === 'setRegistry') return 'setRegistry';
+    if (method === 'registerContract' || method === 'updateContract') return 'registerContract';
+    if (method === 'upgradeToAndCall') return 'upgrade';
+    return 'wiring';
+}
+
+/**
+ * @dev Describes a transaction mined on the fork: what it deploys or which function
+ * of which recorded contract it calls, with decoded arguments
+ * @param receipt Its receipt
+ * @param records Deployment records of the fork after the step
+ * @param manifest Parsed deployment manifest, for contract factories
+ * @param interfaces Cache of contract interfaces by factory name
+ */
+async function describeTransaction(receipt, records, manifest, interfaces) {
+    const { ethers } = require('hardhat');
+    const tx = await ethers.provider.getTransaction(receipt.hash);
+    const entry = gas.transactionEntry('wiring', '', receipt);
+
+    if (!tx.to) {
+        const created = receipt.contractAddress;
+        const owner = Object.entries(records).find(([, record]) =>
+            sameAddress(record.address, created) || sameAddress(record.implementation, created));
+        const what = !owner
+            ? `contract at ${created}`
+            : sameAddress(owner[1].implementation, created) ? `${owner[0]} implementation` : owner[0];
+        return { ...entry, category: 'deploy', contract: owner ? owner[0] : null, to: null, method: null, args: [], description: `Deploying ${what}` };
+    }
+
+    const owner = Object.entries(records).find(([, record]) => sameAddress(record.address, tx.to));
+    let method = null;
+    let args = [];
+    if (owner) {
+        const factoryName = (manifest.addresses[owner[0]] || {}).contract || owner[0];
+        if (!interfaces[factoryName]) {
+            interfaces[factoryName] = (await ethers.getContractFactory(factoryName)).interface;
+        }
+        const parsed = interfaces[factoryName].parseTransaction({ data: tx.data, value: tx.value });
+        if (parsed) {
+            method = parsed.name;
+            args = readable(parsed.args);
+        }
+    }
+
+    const target = owner ? owner[0] : tx.to;
+    return {
+        ...entry,
+        category: method ? categoryOf(method) : 'wiring',
+        contract: owner ? owner[0] : null,
+        to: tx.to,
+        method,
+        args,
+        description: method ? `${target}.${method}(${args.map(String).join(', ')})` : `Call to ${target}`
+    };
+}
+
+/**
+ * @dev Runs the selected components of the deployment sequence on a fork and records
+ * every transaction they send, every revert and the resulting wiring. Must be run
+ * inside Hardhat on the hardhat network, with DEPLOYMENTS_DIR pointing at a scratch
+ * directory holding a copy of the target's records as hardhat.json.
+ * @param target Network the plan is for
+ * @param options.fromIndex First component to run (0-based, manifest order)
+ * @param options.toIndex Last component to run
+ * @param options.mode Deploy mode, resume or fresh
+ * @param options.fork Options of forkNetwork
+ * @return The plan: { network, forkBlock, deployer, mode, profile, components, wiring, total, funds }
+ * where profile is the parameter profile the deploy scripts loaded
+ */
+async function runDryRun(target, { fromIndex = 0, toIndex = null, mode = 'resume', fork = {} } = {}) {
+    const { ethers } = require('hardhat');
+    const manifest = loadManifest();
+    const sequence = resolveDeploymentOrder(manifest);
+    const last = toIndex === null ? sequence.length - 1 : toIndex;
+
+    process.env.DEPLOY_MODE = mode;
+    const { deployer, forkBlock, balance } = await forkNetwork(target, fork);
+    const interfaces = {};
+    const components = [];
+
+    for (const component of sequence.slice(fromIndex, last + 1)) {
+        const missing = component.requires.filter(key => !deployments.getAddress(FORK_NETWORK, key));
+        if (missing.length > 0) {
+            components.push({ name: component.name, script: component.script, status: 'blocked', missing, transactions: [], reverts: [] });
+            continue;
+        }
+
+        const fromNonce = await ethers.provider.getTransactionCount(deployer, 'latest');
+        const fromBlock = await ethers.provider.getBlockNumber();
+        const reverts = [];
+        try {
+            const { main } = require(path.resolve(__dirname, '..', '..', component.script));
+            const results = [].concat(await main() || []);
+            // Optional steps warn instead of throwing, they still belong in the plan
+            results.flatMap(result => result.steps || [])
+                .filter(step => step.status === 'failed')
+                .forEach(step => reverts.push({ step: step.description, error: step.error, optional: true }));
+        } catch (error) {
+            reverts.push({ step: error.step || null, error: errorReason(error.cause || error), optional: false });
+        }
+
+        const records = deployments.readDeployments(FORK_NETWORK).contracts;
+        const receipts = await gas.receiptsSince(deployer, fromNonce, fromBlock + 1, await ethers.provider.getBlockNumber());
+        const transactions = [];
+        for (const receipt of receipts) {
+            transactions.push(await describeTransaction(receipt, records, manifest, interfaces));
+        }
+
+        let status = transactions.length > 0 ? 'planned' : 'unchanged';
+        if (reverts.some(revert => !revert.optional)) {
+            status = 'reverted';
+        } else if (reverts.length > 0) {
+            status = 'planned-with-warnings';
+        }
+        components.push({ name: component.name, script: component.script, status, missing: [], transactions, reverts });
+    }
+
+    const wiring = await inspectWiring(FORK_NETWORK, manifest);
+    const all = components.flatMap(component => component.transactions);
+    const costWei = gas.sumCost(all);
+
+    return {
+        network: target,
+        forkBlock,
+        deployer,
+        mode,
+        profile: profileName(FORK_NETWORK),
+        createdAt: new Date().toISOString(),
+        components,
+        wiring: {
+            errors: wiring.errors,
+            warnings: wiring.warnings,
+            findings: wiring.findings.filter(finding => finding.severity !== 'ok')
+        },
+        total: {
+            transactions: all.length,
+            gasUsed: gas.sumGas(all),
+            costWei: costWei.toString(),
+            cost: gas.formatNative(costWei),
+            nativeSymbol: gas.nativeSymbol(target)
+        },
+        funds: {
+            balance: balance.toString(),
+            sufficient: balance >= costWei
+        }
+    };
+}
+
+/**
+ * @dev Copies the target's deployment records into the fork's records directory
+ * @param sourceDir Directory of the real records
+ * @param forkDir Scratch directory the fork writes to (DEPLOYMENTS_DIR of the dry run)
+ * @param target Network whose records are copied
+ */
+function seedForkRecords(sourceDir, forkDir, target) {
+    const source = path.join(sourceDir, `${target}.json`);
+    if (!fs.existsSync(source)) return;
+    const data = JSON.parse(fs.readFileSync(source, 'utf8'));
+    fs.writeFileSync(path.join(forkDir, `${FORK_NETWORK}.json`), JSON.stringify({ ...data, network: FORK_NETWORK }, null, 2) + '\n');
+}
+
+module.exports = {
+    FORK_NETWORK,
+    forkNetwork,
+    describeTransaction,
+    runDryRun,
+    seedForkRecords
+};
@@ -0,0 +1,322 @@
+// scripts/lib/emergency.js - Pause and recovery state across the platform, and the playbooks that change it
+const fs = require('fs');
+const path = require('path');
+const { roleHash } = require('./roles');
+
+const DEFAULT_PLAYBOOKS_PATH = path.join(__dirname, '..', 'emergency-playbooks.json');
+
+// EmergencyManager.EmergencyState, in declaration order
+const EMERGENCY_STATES = ['NORMAL', 'MINOR_EMERGENCY', 'CRITICAL_EMERGENCY'];
+
+// Pause switch of each contract and whether it has its own initiateEmergencyRecovery/approveRecovery.
+// TokenVesting is left out: its unpause is whenContractNotPaused, so once paused it stays paused.
+const CONTROLS = {
+    TeachToken: { pause: 'pause', recovery: true },
+    TokenCrowdSale: { pause: 'pause' },
+    TierManager: { pause: 'pause' },
+    TokenPriceFeed: { pause: 'pause' },
+    TokenStaking: { pause: 'pauseStaking' },
+    TeacherReward: { pause: 'pauseRewards' },
+    PlatformMarketplace: { pause: 'pauseMarketplace', recovery: true },
+    PlatformStabilityFund: { pause: 'emergencyPause', recovery: true },
+    PlatformGovernance: {}
+};
+
+// Contracts approveRecovery and initiateEmergencyRecovery can target; EmergencyManager's recovery
+// is its CRITICAL_EMERGENCY state, which declareEmergency enters
+const RECOVERY_CONTRACTS = ['ContractRegistry', ...Object.keys(CONTROLS).filter(name => CONTROLS[name].recovery)];
+const APPROVAL_CONTRACTS = ['EmergencyManager', ...RECOVERY_CONTRACTS];
+
+// Whether initiateEmergencyRecovery needs the contract paused (its own flag, systemPaused for the
+// registry). TeachToken and PlatformStabilityFund revert with NotPaused while running, while
+// ContractRegistry and PlatformMarketplace have the check inverted and revert while paused.
+const RECOVERY_NEEDS_PAUSE = {
+    ContractRegistry: false,
+    TeachToken: true,
+    PlatformMarketplace: false,
+    PlatformStabilityFund: true
+};
+
+const ACTIONS = ['pause', 'deactivateTiers', 'emergencyState', 'pauseSystem', 'initiateRecovery', 'approveRecovery'];
+
+const layouts = {};
+
+/**
+ * @dev Storage slot of a state variable, from the storage layout the compiler writes into the
+ * build info (hardhat-upgrades asks for it)
+ * @param artifactName Contract name of the artifact
+ * @param label Variable name
+ * @return { slot, offset } or null without a layout or variable
+ */
+async function storageSlot(artifactName, label) {
+    const { artifacts } = require('hardhat');
+    if (!(artifactName in layouts)) {
+        const artifact = await artifacts.readArtifact(artifactName);
+        const buildInfo = await artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+        const output = buildInfo && buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+        layouts[artifactName] = output && output.storageLayout ? output.storageLayout.storage : null;
+    }
+    const variable = layouts[artifactName] && layouts[artifactName].find(entry => entry.label === label);
+    return variable ? { slot: BigInt(variable.slot), offset: variable.offset } : null;
+}
+
+/**
+ * @dev A contract's own pause flag: the public getter where there is one, otherwise the
+ * internal `paused` variable read from storage
+ * @param contract Attached contract
+ * @param artifactName Contract name of its artifact
+ * @return true, false, or null when neither is available
+ */
+async function readPaused(contract, artifactName) {
+    const { ethers } = require('hardhat');
+    if (contract.interface.getFunction('paused')) {
+        return contract.paused();
+    }
+    const location = await storageSlot(artifactName, 'paused');
+    if (!location) return null;
+    const word = BigInt(await ethers.provider.getStorage(await contract.getAddress(), location.slot));
+    return ((word >> BigInt(location.offset * 8)) & 0xffn) !== 0n;
+}
+
+// ADMIN_ROLE holders that approved recovery, as counted by the contracts' _countRecoveryApprovals
+async function recoveryApprovers(contract, hasApproved) {
+    const admin = roleHash('ADMIN_ROLE');
+    const approvers = [];
+    const count = Number(await contract.getRoleMemberCount(admin));
+    for (let i = 0; i < count; i++) {
+        const member = await contract.getRoleMember(admin, i);
+        if (await hasApproved(member)) approvers.push(member);
+    }
+    return approvers;
+}
+
+/**
+ * @dev Recovery state of a contract with its own recovery, ContractRegistry or EmergencyManager
+ * @param name Contract name as used in deploy-manifest.json
+ * @param contract Attached contract
+ * @param now Current block timestamp, for the registry's recovery timeout
+ * @return { active, approvers, required, expiresAt } with expiresAt only for the registry,
+ * whose approvals stop counting after its recoveryTimeout
+ */
+async function readRecovery(name, contract, now) {
+    if (name === 'EmergencyManager') {
+        const state = Number(await contract.getEmergencyState());
+        return {
+            active: EMERGENCY_STATES[state] === 'CRITICAL_EMERGENCY',
+            approvers: await recoveryApprovers(contract, admin => contract.hasApprovedRecovery(admin)),
+            required: Number(await contract.requiredRecoveryApprovals()),
+            expiresAt: null
+        };
+    }
+
+    const active = await contract.inEmergencyRecovery();
+    let approvers = await recoveryApprovers(contract, admin => contract.emergencyRecoveryApprovals(admin));
+    let expiresAt = null;
+    if (name === 'ContractRegistry') {
+        expiresAt = Number(await contract.recoveryInitiatedTimestamp()) + Number(await contract.recoveryTimeout());
+        if (active && now > expiresAt) approvers = [];
+    }
+    return { active, approvers, required: Number(await contract.requiredRecoveryApprovals()), expiresAt };
+}
+
+/**
+ * @dev Reads the emergency picture of the platform
+ * @param live Map of name to { address, contract, artifact, registered, active } for every
+ * contract to show; ContractRegistry and EmergencyManager are reported on their own
+ * @param now Current block timestamp
+ * @return { registry, emergencyManager, contracts } where registry is { systemPaused, recovery },
+ * emergencyManager { state, pausedSince, recovery } (each null when not deployed) and contracts
+ * rows of { name, address, registered, active, paused, recovery }
+ */
+async function readEmergencyOverview(live, now) {
+    let registry = null;
+    if (live.ContractRegistry) {
+        const contract = live.ContractRegistry.contract;
+        registry = { systemPaused: await contract.systemPaused(), recovery: await readRecovery('ContractRegistry', contract, now) };
+    }
+
+    let emergencyManager = null;
+    if (live.EmergencyManager) {
+        const contract = live.EmergencyManager.contract;
+        const state = Number(await contract.getEmergencyState());
+        emergencyManager = {
+            state: EMERGENCY_STATES[state] || String(state),
+            pausedSince: state !== 0 ? Number(await contract.emergencyPauseTime()) : null,
+            recovery: await readRecovery('EmergencyManager', contract, now)
+        };
+    }
+
+    const contracts = [];
+    for (const [name, entry] of Object.entries(live)) {
+        if (name === 'ContractRegistry' || name === 'EmergencyManager') continue;
+        const controls = CONTROLS[name] || {};
+        contracts.push({
+            name,
+            address: entry.address,
+            registered: entry.registered,
+            active: entry.active,
+            paused: CONTROLS[name] ? await readPaused(entry.contract, entry.artifact) : null,
+            recovery: controls.recovery ? await readRecovery(name, entry.contract, now) : null
+        });
+    }
+    return { registry, emergencyManager, contracts };
+}
+
+/**
+ * @dev Reads and validates the playbooks
+ * @param file Path of the playbooks JSON file
+ * @return Map of playbook name to { description, steps } with each step's contracts expanded
+ * into one step per contract
+ */
+function loadPlaybooks(file = DEFAULT_PLAYBOOKS_PATH) {
+    const playbooks = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const problems = [];
+    const result = {};
+
+    Object.entries(playbooks).forEach(([name, playbook]) => {
+        const steps = [];
+        // Contracts an earlier step of the playbook pauses, to check recovery is opened in the right order
+        const paused = new Set();
+        (playbook.steps || []).forEach((step, i) => {
+            const where = `${name} step ${i + 1}`;
+            if (!ACTIONS.includes(step.action)) {
+                problems.push(`${where}: unknown action ${step.action}, expected one of ${ACTIONS.join(', ')}`);
+                return;
+            }
+            const targets = step.contracts || (step.contract ? [step.contract] : []);
+            const allowed = step.action === 'pause' ? Object.keys(CONTROLS).filter(contract => CONTROLS[contract].pause)
+                : step.action === 'initiateRecovery' ? RECOVERY_CONTRACTS
+                : step.action === 'approveRecovery' ? APPROVAL_CONTRACTS
+                : null;
+            if (allowed) {
+                if (targets.length === 0) problems.push(`${where}: ${step.action} needs contracts`);
+                targets.filter(target => !allowed.includes(target))
+                    .forEach(target => problems.push(`${where}: ${step.action} cannot target ${target}`));
+                if (step.action === 'pause') targets.forEach(target => paused.add(target));
+                if (step.action === 'initiateRecovery') {
+                    targets.filter(target => RECOVERY_NEEDS_PAUSE[target] && !paused.has(target))
+                        .forEach(target => problems.push(`${where}: ${target} only opens recovery while paused, pause it in an earlier step`));
+                    targets.filter(target => RECOVERY_NEEDS_PAUSE[target] === false && paused.has(target))
+                        .forEach(target => problems.push(`${where}: ${target} cannot open recovery while paused, open it before the pause step`));
+                }
+                targets.forEach(contract => steps.push({ action: step.action, contract }));
+            } else if (step.action === 'emergencyState') {
+                if (!EMERGENCY_STATES.includes(step.state)) {
+                    problems.push(`${where}: state must be one of ${EMERGENCY_STATES.join(', ')}`);
+                }
+                steps.push({ action: step.action, state: step.state });
+            } else {
+                if (step.action === 'pauseSystem') paused.add('ContractRegistry');
+                steps.push({ action: step.action });
+            }
+        });
+        if (steps.length === 0) problems.push(`${name} has no steps`);
+        result[name] = { description: playbook.description || '', steps };
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid playbooks ${file}:\n  - ${problems.join('\n  - ')}`);
+    }
+    return result;
+}
+
+/**
+ * @dev Turns a playbook step into transactions, each with the on-chain check that it took
+ * effect; the same check makes a re-run skip what is already done
+ * @param step Expanded step from loadPlaybooks
+ * @param live Map of name to { contract, artifact } for the deployed contracts
+ * @param actor Address the calls come from (the Safe in ADMIN_MODE=safe), for approvals
+ * @return Array of { description, isDone, send }, or { skipped } when the target is not deployed
+ */
+async function planStep(step, live, actor) {
+    const target = name => live[name] && live[name].contract;
+
+    if (step.action === 'pause') {
+        const contract = target(step.contract);
+        if (!contract) return { skipped: `${step.contract} is not deployed` };
+        return [{
+            description: `Pausing ${step.contract}`,
+            isDone: async () => (await readPaused(contract, live[step.contract].artifact)) === true,
+            send: () => contract[CONTROLS[step.contract].pause]()
+        }];
+    }
+
+    if (step.action === 'deactivateTiers') {
+        const tierManager = target('TierManager');
+        if (!tierManager) return { skipped: 'TierManager is not deployed' };
+        const steps = [];
+        const tierCount = Number(await tierManager.tierCount());
+        for (let tier = 0; tier < tierCount; tier++) {
+            steps.push({
+                description: `Deactivating tier ${tier}`,
+                isDone: async () => !(await tierManager.isTierActive(tier)),
+                send: () => tierManager.setTierStatus(tier, false)
+            });
+        }
+        return steps;
+    }
+
+    if (step.action === 'emergencyState') {
+        const emergencyManager = target('EmergencyManager');
+        if (!emergencyManager) return { skipped: 'EmergencyManager is not deployed' };
+        const state = EMERGENCY_STATES.indexOf(step.state);
+        return [{
+            description: `Declaring ${step.state} in EmergencyManager`,
+            isDone: async () => Number(await emergencyManager.getEmergencyState()) === state,
+            send: () => emergencyManager.declareEmergency(state)
+        }];
+    }
+
+    if (step.action === 'pauseSystem') {
+        const registry = target('ContractRegistry');
+        if (!registry) return { skipped: 'ContractRegistry is not deployed' };
+        return [{
+            description: 'Pausing the system in ContractRegistry',
+            isDone: () => registry.systemPaused(),
+            send: () => registry.pauseSystem()
+        }];
+    }
+
+    const contract = target(step.contract);
+    if (!contract) return { skipped: `${step.contract} is not deployed` };
+    if (step.action === 'initiateRecovery') {
+        return [{
+            description: `Initiating recovery in ${step.contract}`,
+            isDone: () => contract.inEmergencyRecovery(),
+            send: async () => {
+                // Paused before the playbook ran, e.g. by freeze-all; the call would only revert
+                if (RECOVERY_NEEDS_PAUSE[step.contract] === false) {
+                    const isPaused = step.contract === 'ContractRegistry'
+                        ? await contract.systemPaused()
+                        : await readPaused(contract, live[step.contract].artifact);
+                    if (isPaused) throw new Error(`${step.contract} is paused and only opens recovery while running`);
+                }
+                return contract.initiateEmergencyRecovery();
+            }
+        }];
+    }
+
+    // approveRecovery: done once the actor approved, or when there is no recovery to approve
+    return [{
+        description: `Approving recovery in ${step.contract} as ${actor}`,
+        isDone: async () => {
+            const { ethers } = require('hardhat');
+            const now = (await ethers.provider.getBlock('latest')).timestamp;
+            const recovery = await readRecovery(step.contract, contract, now);
+            return !recovery.active || recovery.approvers.some(approver => approver.toLowerCase() === actor.toLowerCase());
+        },
+        send: () => contract.approveRecovery()
+    }];
+}
+
+module.exports = {
+    DEFAULT_PLAYBOOKS_PATH,
+    EMERGENCY_STATES,
+    CONTROLS,
+    RECOVERY_NEEDS_PAUSE,
+    readPaused,
+    readRecovery,
+    readEmergencyOverview,
+    loadPlaybooks,
+    planStep
+};
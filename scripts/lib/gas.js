@@ -0,0 +1,299 @@
+// scripts/lib/gas.js - Gas and cost accounting from transaction receipts, run reports and run diffs
+const CATEGORIES = ['deploy', 'setRegistry', 'registerContract', 'wiring', 'upgrade'];
+
+// Native token of the networks this project deploys to; NATIVE_SYMBOL overrides it
+const NATIVE_SYMBOLS = {
+    polygon: 'POL',
+    amoy: 'POL',
+    mumbai: 'POL'
+};
+
+function nativeSymbol(network) {
+    return process.env.NATIVE_SYMBOL || NATIVE_SYMBOLS[network] || 'ETH';
+}
+
+// USD price of the native token from NATIVE_PRICE_USD, or null when costs are only shown natively
+function nativePriceUsd() {
+    const price = parseFloat(process.env.NATIVE_PRICE_USD || '');
+    return isNaN(price) ? null : price;
+}
+
+/**
+ * @dev Ledger entry of one mined transaction. ethers v6 exposes the receipt's
+ * effectiveGasPrice as receipt.gasPrice.
+ * @param category One of CATEGORIES
+ * @param description What the transaction did
+ * @param receipt Its receipt
+ * @return { category, description, txHash, blockNumber, gasUsed, effectiveGasPrice, costWei }
+ */
+function transactionEntry(category, description, receipt) {
+    const effectiveGasPrice = receipt.gasPrice !== undefined ? receipt.gasPrice : receipt.effectiveGasPrice;
+    return {
+        category,
+        description,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        effectiveGasPrice: effectiveGasPrice.toString(),
+        costWei: (BigInt(receipt.gasUsed) * BigInt(effectiveGasPrice)).toString()
+    };
+}
+
+/**
+ * @dev Receipts of every transaction a signer sent from a given nonce up to a block.
+ * A proxy deployment sends the implementation and the proxy as separate transactions;
+ * this finds both. Must be run inside Hardhat.
+ * @param from Signer address
+ * @param fromNonce Nonce of the signer before the deployment started
+ * @param fromBlock Block number before the deployment started
+ * @param toBlock Block of the last transaction of the deployment
+ * @return Receipts ordered by nonce
+ */
+async function receiptsSince(from, fromNonce, fromBlock, toBlock) {
+    const { ethers } = require('hardhat');
+    const found = [];
+    for (let number = fromBlock; number <= toBlock; number++) {
+        const block = await ethers.provider.getBlock(number, true);
+        if (!block) continue;
+        block.prefetchedTransactions
+            .filter(tx => tx.from.toLowerCase() === from.toLowerCase() && tx.nonce >= fromNonce)
+            .forEach(tx => found.push(tx));
+    }
+
+    found.sort((a, b) => a.nonce - b.nonce);
+    const receipts = [];
+    for (const tx of found) {
+        receipts.push(await ethers.provider.getTransactionReceipt(tx.hash));
+    }
+    return receipts;
+}
+
+// Ledger entries added between two snapshots of the deployment records, tagged with
+// the contract they belong to. A redeployed record starts a new ledger, so comparing
+// transaction hashes covers both new and reused contracts.
+function transactionsBetween(before, after) {
+    const known = new Set();
+    Object.values(before.contracts).forEach(record => {
+        (record.transactions || []).forEach(tx => known.add(tx.txHash));
+    });
+
+    return Object.entries(after.contracts).flatMap(([name, record]) =>
+        (record.transactions || [])
+            .filter(tx => !known.has(tx.txHash))
+            .map(tx => ({ component: name, ...tx })));
+}
+
+function sumGas(transactions) {
+    return transactions.reduce((sum, tx) => sum + Number(tx.gasUsed), 0);
+}
+
+function sumCost(transactions) {
+    return transactions.reduce((sum, tx) => sum + BigInt(tx.costWei), 0n);
+}
+
+// Wei as a decimal amount of the native token, to 18 places without rounding
+function formatNative(wei) {
+    const value = BigInt(wei);
+    const sign = value < 0n ? '-' : '';
+    const abs = value < 0n ? -value : value;
+    const whole = abs / 10n ** 18n;
+    const fraction = (abs % 10n ** 18n).toString().padStart(18, '0').replace(/0+$/, '');
+    return `${sign}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+function formatUsd(wei, price) {
+    if (price === null) return null;
+    return (Number(formatNative(wei)) * price).toFixed(2);
+}
+
+/**
+ * @dev Totals per component and category from ledger entries
+ * @param transactions Entries of transactionEntry plus { component }
+ * @return Array of { component, gasUsed, costWei, byCategory: { category: { count, gasUsed, costWei } } }
+ */
+function componentTotals(transactions) {
+    const components = {};
+    transactions.forEach(tx => {
+        const component = components[tx.component] = components[tx.component] || { component: tx.component, entries: [] };
+        component.entries.push(tx);
+    });
+
+    return Object.values(components).map(({ component, entries }) => {
+        const byCategory = {};
+        CATEGORIES.concat(entries.map(tx => tx.category))
+            .filter((category, i, all) => all.indexOf(category) === i)
+            .forEach(category => {
+                const matching = entries.filter(tx => tx.category === category);
+                if (matching.length === 0) return;
+                byCategory[category] = {
+                    count: matching.length,
+                    gasUsed: sumGas(matching),
+                    costWei: sumCost(matching).toString()
+                };
+            });
+        return { component, gasUsed: sumGas(entries), costWei: sumCost(entries).toString(), byCategory };
+    });
+}
+
+/**
+ * @dev Builds the gas report of one deployment run
+ * @param run { network, chainId, startedAt, finishedAt }
+ * @param transactions Ledger entries of the run, each with { step, component }
+ * @return Report with the transactions, the totals per component and the run total
+ */
+function buildRunReport(run, transactions) {
+    const price = nativePriceUsd();
+    const costWei = sumCost(transactions);
+    return {
+        network: run.network,
+        chainId: run.chainId || null,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        nativeSymbol: nativeSymbol(run.network),
+        nativePriceUsd: price,
+        transactions,
+        components: componentTotals(transactions),
+        total: {
+            transactions: transactions.length,
+            gasUsed: sumGas(transactions),
+            costWei: costWei.toString(),
+            cost: formatNative(costWei),
+            usd: formatUsd(costWei, price)
+        }
+    };
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One line per transaction, so the file can be summed and pivoted in a spreadsheet
+function reportToCsv(report) {
+    const columns = ['step', 'component', 'category', 'description', 'txHash', 'blockNumber', 'gasUsed', 'effectiveGasPrice', 'costWei', 'cost'];
+    const lines = report.transactions.map(tx =>
+        columns.map(column => csvField(column === 'cost' ? formatNative(tx.costWei) : tx[column])).join(','));
+    return [columns.join(','), ...lines].join('\n') + '\n';
+}
+
+function reportToMarkdown(report) {
+    const symbol = report.nativeSymbol;
+    const withUsd = report.nativePriceUsd !== null;
+    const lines = [
+        `# Gas report: ${report.network}`,
+        '',
+        `Run ${report.startedAt} to ${report.finishedAt}, ${report.total.transactions} transaction(s).` +
+            (withUsd ? ` USD at ${report.nativePriceUsd} per ${symbol}.` : ''),
+        '',
+        '## Per component',
+        '',
+        `| Component | ${CATEGORIES.join(' | ')} | Gas | Cost (${symbol}) |${withUsd ? ' USD |' : ''}`,
+        `|---|${CATEGORIES.map(() => '---:').join('|')}|---:|---:|${withUsd ? '---:|' : ''}`
+    ];
+    report.components.forEach(component => {
+        const gasPerCategory = CATEGORIES.map(category =>
+            component.byCategory[category] ? component.byCategory[category].gasUsed.toLocaleString('en-US') : '');
+        lines.push(`| ${component.component} | ${gasPerCategory.join(' | ')} | ${component.gasUsed.toLocaleString('en-US')} | ` +
+            `${formatNative(component.costWei)} |${withUsd ? ` ${formatUsd(component.costWei, report.nativePriceUsd)} |` : ''}`);
+    });
+    lines.push(`| **Total** |${CATEGORIES.map(() => ' ').join('|')}| **${report.total.gasUsed.toLocaleString('en-US')}** | ` +
+        `**${report.total.cost}** |${withUsd ? ` **${report.total.usd}** |` : ''}`);
+
+    lines.push('', '## Transactions', '', '| Component | Category | Description | Gas | Gas price (gwei) | Cost | Tx |', '|---|---|---|---:|---:|---:|---|');
+    report.transactions.forEach(tx => {
+        const gwei = Number(BigInt(tx.effectiveGasPrice) * 1000n / 10n ** 9n) / 1000;
+        lines.push(`| ${tx.component} | ${tx.category} | ${tx.description} | ${Number(tx.gasUsed).toLocaleString('en-US')} | ` +
+            `${gwei} | ${formatNative(tx.costWei)} | ${tx.txHash} |`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * @dev Compares the gas of two runs per component and category. Cost is not compared:
+ * it depends on the gas price of the day, gas only on the contracts.
+ * @param base Report of the earlier run
+ * @param head Report of the later run
+ * @return { base, head, rows, total } where each row is
+ * { component, category, baseGas, headGas, delta, percent } and gas is null when absent from a run
+ */
+function diffReports(base, head) {
+    const gasOf = (report) => {
+        const map = {};
+        report.components.forEach(component => {
+            Object.entries(component.byCategory).forEach(([category, totals]) => {
+                map[`${component.component}\u0000${category}`] = totals.gasUsed;
+            });
+        });
+        return map;
+    };
+    const baseGas = gasOf(base);
+    const headGas = gasOf(head);
+
+    const keys = [...new Set([...Object.keys(baseGas), ...Object.keys(headGas)])];
+    const rows = keys.map(key => {
+        const [component, category] = key.split('\u0000');
+        const before = key in baseGas ? baseGas[key] : null;
+        const after = key in headGas ? headGas[key] : null;
+        const delta = (after || 0) - (before || 0);
+        return { component, category, baseGas: before, headGas: after, delta, percent: before ? (delta / before) * 100 : null };
+    }).sort((a, b) => a.component.localeCompare(b.component) || CATEGORIES.indexOf(a.category) - CATEGORIES.indexOf(b.category));
+
+    const delta = head.total.gasUsed - base.total.gasUsed;
+    return {
+        base: { network: base.network, startedAt: base.startedAt },
+        head: { network: head.network, startedAt: head.startedAt },
+        rows,
+        total: {
+            baseGas: base.total.gasUsed,
+            headGas: head.total.gasUsed,
+            delta,
+            percent: base.total.gasUsed ? (delta / base.total.gasUsed) * 100 : null
+        }
+    };
+}
+
+function formatPercent(percent) {
+    if (percent === null) return 'new';
+    return `${percent > 0 ? '+' : ''}${percent.toFixed(2)}%`;
+}
+
+function diffToMarkdown(diff) {
+    const gas = value => (value === null ? '-' : value.toLocaleString('en-US'));
+    const lines = [
+        `# Gas diff: ${diff.base.network} ${diff.base.startedAt} → ${diff.head.network} ${diff.head.startedAt}`,
+        '',
+        '| Component | Category | Before | After | Delta | Change |',
+        '|---|---|---:|---:|---:|---:|'
+    ];
+    diff.rows.filter(row => row.delta !== 0).forEach(row => {
+        const change = row.headGas === null ? 'removed' : formatPercent(row.percent);
+        lines.push(`| ${row.component} | ${row.category} | ${gas(row.baseGas)} | ${gas(row.headGas)} | ` +
+            `${row.delta > 0 ? '+' : ''}${row.delta.toLocaleString('en-US')} | ${change} |`);
+    });
+    lines.push(`| **Total** | | ${gas(diff.total.baseGas)} | ${gas(diff.total.headGas)} | ` +
+        `${diff.total.delta > 0 ? '+' : ''}${diff.total.delta.toLocaleString('en-US')} | ${formatPercent(diff.total.percent)} |`);
+
+    const unchanged = diff.rows.filter(row => row.delta === 0).length;
+    if (unchanged > 0) {
+        lines.push('', `${unchanged} unchanged row(s) not shown.`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    CATEGORIES,
+    nativeSymbol,
+    nativePriceUsd,
+    transactionEntry,
+    receiptsSince,
+    transactionsBetween,
+    sumGas,
+    sumCost,
+    formatNative,
+    formatUsd,
+    buildRunReport,
+    reportToCsv,
+    reportToMarkdown,
+    diffReports,
+    diffToMarkdown
+};
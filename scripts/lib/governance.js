@@ -0,0 +1,367 @@
+// scripts/lib/governance.js - Builds PlatformGovernance proposals from readable actions, simulates and describes them
+const fs = require('fs');
+const deployments = require('./deployments');
+const { parseDuration } = require('./params');
+const { revertReason, sameAddress } = require('./deploy-helpers');
+
+// IPlatformGovernance.ProposalState and VoteType, in declaration order
+const PROPOSAL_STATES = ['Pending', 'Active', 'Defeated', 'Succeeded', 'Queued', 'Executed', 'Expired'];
+const VOTE_TYPES = ['against', 'for', 'abstain'];
+
+// Parameters a "set <contract> <parameter> to <value>" action can change
+const SETTERS = {
+    PlatformStabilityFund: {
+        'critical threshold': { method: 'setCriticalReserveThreshold', type: 'uint' },
+        'baseline price': { method: 'updateBaselinePrice', type: 'price' },
+        'price oracle': { method: 'updatePriceOracle', type: 'address' },
+        'emergency admin': { method: 'setEmergencyAdmin', type: 'address' }
+    },
+    PlatformMarketplace: {
+        'platform fee': { method: 'updatePlatformFee', type: 'uint' },
+        'fee recipient': { method: 'updateFeeRecipient', type: 'address' },
+        'dispute resolution period': { method: 'setDisputeResolutionPeriod', type: 'duration' }
+    },
+    TokenStaking: {
+        'cooldown period': { method: 'setCooldownPeriod', type: 'duration' },
+        'emergency unstake fee': { method: 'setEmergencyUnstakeFee', type: 'uint' },
+        'platform rewards manager': { method: 'updatePlatformRewardsManager', type: 'address' }
+    }
+};
+
+// Calls a proposal cannot make. executeProposal and withdrawFromTreasury are both nonReentrant, so a
+// treasury withdrawal always fails inside executeProposal and the proposal only emits
+// TransactionExecutionFailed.
+const UNSUPPORTED_ACTIONS = {
+    'PlatformGovernance.withdrawFromTreasury': 'withdrawFromTreasury cannot run through a proposal: it and ' +
+        'executeProposal are both nonReentrant, so the withdrawal reverts inside executeProposal'
+};
+
+// ERC-7201 slot of OpenZeppelin's ERC20Upgradeable storage; its first member is the balances mapping
+const ERC20_STORAGE_SLOT = '0x52c63247e1f47db19d5ce0460030c497f067ca4cebf71ba98eeadabe20bace00';
+
+/**
+ * @dev Reads a proposal file: { description, votingPeriod, actions } where each action is a
+ * sentence ("set StabilityFund critical threshold to 150") or a raw call { contract, method, args }
+ * @param file Path of the proposal JSON file
+ */
+function loadProposal(file) {
+    const proposal = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const problems = [];
+    if (typeof proposal.description !== 'string' || proposal.description.trim() === '') {
+        problems.push('description must be a non-empty string');
+    }
+    if (parseDuration(proposal.votingPeriod) === null) {
+        problems.push(`votingPeriod must be seconds or a string such as "5d", got ${JSON.stringify(proposal.votingPeriod)}`);
+    }
+    if (!Array.isArray(proposal.actions) || proposal.actions.length === 0) {
+        problems.push('actions must be a non-empty array');
+    }
+    if (problems.length > 0) {
+        throw new Error(`Invalid proposal ${file}:\n  - ${problems.join('\n  - ')}`);
+    }
+    return proposal;
+}
+
+// Manifest name of a contract as written in an action: "StabilityFund" finds PlatformStabilityFund
+function contractName(manifest, written) {
+    const names = Object.keys(manifest.addresses);
+    const wanted = written.replace(/\s+/g, '').toLowerCase();
+    const name = names.find(candidate => candidate.toLowerCase() === wanted)
+        || names.find(candidate => candidate.toLowerCase() === `platform${wanted}`);
+    if (!name) {
+        throw new Error(`Unknown contract "${written}", use a name from deploy-manifest.json`);
+    }
+    return name;
+}
+
+// Value of a "set" action in the form its setter takes
+async function setterValue(type, text, resolveAccount) {
+    const { ethers } = require('hardhat');
+    switch (type) {
+    case 'uint':
+        if (!/^\d+$/.test(text)) throw new Error(`"${text}" is not a whole number`);
+        return BigInt(text);
+    case 'price':
+        return ethers.parseUnits(text, 6);
+    case 'duration': {
+        const seconds = parseDuration(/^\d+$/.test(text) ? parseInt(text, 10) : text);
+        if (seconds === null) throw new Error(`"${text}" is not a duration such as "7d"`);
+        return BigInt(seconds);
+    }
+    default:
+        return resolveAccount(text);
+    }
+}
+
+/**
+ * @dev Turns one action into a call
+ * @param action Sentence or { contract, method, args }
+ * @param context { manifest, resolver, governanceAddress }
+ * @return { action, contract, target, method, signature, args, calldata, data, description }
+ * where calldata is the argument encoding createProposal takes next to the signature and
+ * data the full calldata the governance contract will send
+ */
+async function buildAction(action, { manifest, resolver, governanceAddress }) {
+    const { ethers } = require('hardhat');
+    // An account is an address or a contract from the manifest, e.g. "to TeacherReward"
+    const resolveAccount = async text => {
+        if (ethers.isAddress(text)) return ethers.getAddress(text);
+        const name = contractName(manifest, text);
+        return (await resolver.require([name]))[name];
+    };
+
+    let name;
+    let method;
+    let args;
+    if (typeof action === 'object') {
+        name = contractName(manifest, action.contract);
+        method = action.method;
+        args = action.args || [];
+    } else {
+        const text = action.trim();
+        const set = text.match(/^set\s+(\S+)\s+(.+?)\s+to\s+(\S+)$/i);
+        const withdraw = /^withdraw\s.+\sfrom\s+treasury\s/i.test(text);
+        if (set) {
+            name = contractName(manifest, set[1]);
+            const setter = (SETTERS[name] || {})[set[2].toLowerCase()];
+            if (!setter) {
+                const known = Object.keys(SETTERS[name] || {});
+                throw new Error(`"${action}": ${name} has no parameter "${set[2]}"` +
+                    (known.length > 0 ? `, known: ${known.join(', ')}` : ''));
+            }
+            method = setter.method;
+            args = [await setterValue(setter.type, set[3], resolveAccount)];
+        } else if (withdraw) {
+            throw new Error(`"${action}": ${UNSUPPORTED_ACTIONS['PlatformGovernance.withdrawFromTreasury']}`);
+        } else {
+            throw new Error(`Cannot read action "${action}". Use "set <contract> <parameter> to <value>" ` +
+                'or { "contract", "method", "args" }');
+        }
+    }
+    if (UNSUPPORTED_ACTIONS[`${name}.${method}`]) {
+        throw new Error(`${JSON.stringify(action)}: ${UNSUPPORTED_ACTIONS[`${name}.${method}`]}`);
+    }
+
+    const target = name === 'PlatformGovernance' ? governanceAddress : (await resolver.require([name]))[name];
+    const factory = await ethers.getContractFactory(manifest.addresses[name].contract || name);
+    const fragment = factory.interface.getFunction(method);
+    if (!fragment) {
+        throw new Error(`${name} has no function ${method}`);
+    }
+    const data = factory.interface.encodeFunctionData(fragment, args);
+    return {
+        action,
+        contract: name,
+        target,
+        method: fragment.name,
+        signature: fragment.format('sighash'),
+        args: args.map(String),
+        calldata: '0x' + data.slice(10),
+        data,
+        description: `${name}.${fragment.name}(${args.map(String).join(', ')})`
+    };
+}
+
+/**
+ * @dev Builds the arguments of createProposal from a proposal file. Targets are resolved
+ * through the registry (see lib/addresses.js). Must be run inside Hardhat.
+ * @param proposal Parsed proposal file
+ * @param context { manifest, resolver }
+ * @return { description, votingPeriod, actions, args } where args is the createProposal argument list
+ */
+async function buildProposal(proposal, { manifest, resolver }) {
+    const { PlatformGovernance: governanceAddress } = await resolver.require(['PlatformGovernance']);
+    const actions = [];
+    for (const action of proposal.actions) {
+        actions.push(await buildAction(action, { manifest, resolver, governanceAddress }));
+    }
+
+    const votingPeriod = parseDuration(proposal.votingPeriod);
+    return {
+        governance: governanceAddress,
+        description: proposal.description,
+        votingPeriod,
+        actions,
+        args: [
+            actions.map(action => action.target),
+            actions.map(action => action.signature),
+            actions.map(action => action.calldata),
+            proposal.description,
+            votingPeriod
+        ]
+    };
+}
+
+// Interfaces of every recorded contract, to decode calls and reverts
+async function recordedInterfaces(network, manifest) {
+    const { ethers } = require('hardhat');
+    const { contracts: records } = deployments.readDeployments(network);
+    const interfaces = {};
+    for (const name of Object.keys(records).filter(name => manifest.addresses[name])) {
+        interfaces[name] = (await ethers.getContractFactory(manifest.addresses[name].contract || name)).interface;
+    }
+    return interfaces;
+}
+
+// Gives a fork account enough governance tokens to vote with, by writing its ERC20 balance
+async function fundVoter(tokenAddress, account, amount) {
+    const { ethers } = require('hardhat');
+    const slot = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['address', 'bytes32'], [account, ERC20_STORAGE_SLOT]));
+    await ethers.provider.send('hardhat_setStorageAt', [tokenAddress, slot, ethers.toBeHex(amount, 32)]);
+}
+
+/**
+ * @dev Runs a built proposal through its whole lifecycle on the current (forked) network:
+ * createProposal from the proposer, a for vote from the proposer and a scratch voter holding the
+ * rest of the quorum, time travel past the execution delay, then executeProposal. Since
+ * executeProposal never reverts on a failing action, an action counts as failed when
+ * executeProposal emits TransactionExecutionFailed for it.
+ * @param built Result of buildProposal
+ * @param options.proposer Signer that would create the proposal
+ * @param options.network Network whose records name the contracts
+ * @param options.manifest Parsed deployment manifest
+ * @return { proposal: { status, error, proposalId }, execution: { status, error, gasUsed },
+ * actions: [{ description, status, error }] } with status ok, reverted, failed or not-run
+ */
+async function simulateProposal(built, { proposer, network, manifest }) {
+    const { ethers } = require('hardhat');
+    const interfaces = Object.values(await recordedInterfaces(network, manifest));
+    const governance = (await ethers.getContractFactory('PlatformGovernance')).attach(built.governance).connect(proposer);
+    interfaces.push(governance.interface);
+
+    const result = {
+        proposal: { status: 'ok', error: null, proposalId: null },
+        execution: { status: 'not-run', error: null, gasUsed: '0' },
+        actions: built.actions.map(action => ({ description: action.description, status: 'not-run', error: null }))
+    };
+    const stop = (stage, error) => {
+        result[stage] = { ...result[stage], status: 'reverted', error: revertReason(error, interfaces) };
+        return result;
+    };
+    const events = (receipt, name) => receipt.logs
+        .map(log => { try { return governance.interface.parseLog(log); } catch (error) { return null; } })
+        .filter(log => log && log.name === name);
+
+    let proposalId;
+    try {
+        const receipt = await (await governance.createProposal(...built.args)).wait();
+        proposalId = events(receipt, 'ProposalCreated')[0].args.proposalId;
+        result.proposal.proposalId = proposalId.toString();
+    } catch (error) {
+        return stop('proposal', error);
+    }
+
+    try {
+        if ((await governance.getVotingPower(proposer.address)) > 0n) {
+            await (await governance.castVote(proposalId, VOTE_TYPES.indexOf('for'), 'fork simulation')).wait();
+        }
+        const { quorum, total } = await tallyVotes(governance, proposalId);
+        if (total < quorum) {
+            const voter = ethers.Wallet.createRandom().address;
+            await fundVoter(await governance.token(), voter, quorum - total);
+            await ethers.provider.send('hardhat_setBalance', [voter, '0x56bc75e2d63100000']);
+            const impersonated = await ethers.getImpersonatedSigner(voter);
+            await (await governance.connect(impersonated).castVote(proposalId, VOTE_TYPES.indexOf('for'), 'fork simulation')).wait();
+        }
+
+        const { endTime } = await governance.getProposalDetails(proposalId);
+        const executableAt = endTime + (await governance.executionDelay()) + 1n;
+        const now = BigInt((await ethers.provider.getBlock('latest')).timestamp);
+        if (executableAt > now) {
+            await ethers.provider.send('evm_increaseTime', [Number(executableAt - now)]);
+            await ethers.provider.send('evm_mine', []);
+        }
+    } catch (error) {
+        return stop('execution', error);
+    }
+
+    const state = PROPOSAL_STATES[Number(await governance.state(proposalId))];
+    if (state !== 'Queued') {
+        result.execution = { status: 'reverted', error: `proposal is ${state} after voting, not Queued`, gasUsed: '0' };
+        return result;
+    }
+
+    let receipt;
+    try {
+        receipt = await (await governance.executeProposal(proposalId)).wait();
+    } catch (error) {
+        return stop('execution', error);
+    }
+    result.execution = { status: 'ok', error: null, gasUsed: receipt.gasUsed.toString() };
+
+    // executeProposal calls the actions in order; a TransactionExecutionFailed names the target and calldata
+    const failures = events(receipt, 'TransactionExecutionFailed');
+    built.actions.forEach((action, i) => {
+        const index = failures.findIndex(failure => sameAddress(failure.args.target, action.target) && failure.args.data === action.data);
+        if (index === -1) {
+            result.actions[i].status = 'ok';
+        } else {
+            failures.splice(index, 1);
+            result.actions[i] = { ...result.actions[i], status: 'failed', error: 'TransactionExecutionFailed inside executeProposal' };
+        }
+    });
+    return result;
+}
+
+/**
+ * @dev Decodes the actions of a proposal from its ProposalCreated event
+ * @param governance Attached PlatformGovernance contract
+ * @param proposalId Proposal to describe
+ * @param network Network whose records name the targets
+ * @return { proposer, description, startTime, endTime, actions: [description] }, or null if
+ * no ProposalCreated event is found
+ */
+async function describeProposal(governance, proposalId, network) {
+    const { ethers } = require('hardhat');
+    const [event] = await governance.queryFilter(governance.filters.ProposalCreated(proposalId));
+    if (!event) return null;
+
+    const { contracts: records } = deployments.readDeployments(network);
+    const { proposer, targets, signatures, calldatas, description, startTime, endTime } = event.args;
+    const actions = targets.map((target, i) => {
+        const owner = Object.keys(records).find(name => sameAddress(records[name].address, target)) || target;
+        if (!signatures[i]) {
+            return `${owner} call ${calldatas[i]}`;
+        }
+        const fragment = ethers.FunctionFragment.from(signatures[i]);
+        const args = ethers.AbiCoder.defaultAbiCoder().decode(fragment.inputs, calldatas[i]);
+        return `${owner}.${fragment.name}(${Array.from(args).map(String).join(', ')})`;
+    });
+    return { proposer, description, startTime, endTime, actions };
+}
+
+/**
+ * @dev Vote tallies of a proposal with the quorum it needs
+ * @param governance Attached PlatformGovernance contract
+ * @param proposalId Proposal to tally
+ * @return { against, for, abstain, total, quorum, quorumReached, forShare } as bigints,
+ * forShare in basis points of the for and against votes
+ */
+async function tallyVotes(governance, proposalId) {
+    const { ethers } = require('hardhat');
+    const [against, inFavour, abstain] = await governance.getProposalVotes(proposalId);
+    const token = new ethers.Contract(await governance.token(), ['function totalSupply() view returns (uint256)'], ethers.provider);
+    const quorum = (await token.totalSupply()) * (await governance.quorumThreshold()) / 10000n;
+    const total = against + inFavour + abstain;
+    const decided = against + inFavour;
+    return {
+        against,
+        for: inFavour,
+        abstain,
+        total,
+        quorum,
+        quorumReached: total >= quorum,
+        forShare: decided > 0n ? inFavour * 10000n / decided : 0n
+    };
+}
+
+module.exports = {
+    PROPOSAL_STATES,
+    VOTE_TYPES,
+    SETTERS,
+    loadProposal,
+    buildProposal,
+    simulateProposal,
+    describeProposal,
+    tallyVotes
+};
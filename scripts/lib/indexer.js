@@ -0,0 +1,365 @@
+// scripts/lib/indexer.js - SQLite store of every platform contract's events, kept in sync with the chain through reorgs
+const path = require('path');
+const deployments = require('./deployments');
+
+const INDEXER_DIR = path.join(deployments.DEPLOYMENTS_DIR, 'indexer');
+
+// Blocks are only trusted once they are this deep; shallower ones are rechecked for reorgs
+const DEFAULT_CONFIRMATIONS = 12;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS contracts (
+        address TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        from_block INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL,
+        timestamp INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS events (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        address TEXT NOT NULL,
+        contract TEXT NOT NULL,
+        event TEXT NOT NULL,
+        args TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS events_by_name ON events (contract, event);
+    CREATE INDEX IF NOT EXISTS events_by_event ON events (event);
+    CREATE INDEX IF NOT EXISTS events_by_time ON events (timestamp);
+`;
+
+// Default store of a network, next to its deployment record
+function storePath(network) {
+    return path.join(INDEXER_DIR, `${network}.sqlite`);
+}
+
+// better-sqlite3 is only needed by the indexer and is not a dependency of the deploy scripts;
+// install it with `npm install --save-dev better-sqlite3` before indexing
+function loadSqlite() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        throw new Error('The event store needs better-sqlite3; run `npm install --save-dev better-sqlite3`');
+    }
+}
+
+/**
+ * @dev Opens (and creates) an event store
+ * @param file SQLite file
+ * @param options.readonly Open an existing store for queries only
+ * @return better-sqlite3 Database
+ */
+function openStore(file, { readonly = false } = {}) {
+    const Database = loadSqlite();
+    if (readonly) {
+        return new Database(file, { readonly: true, fileMustExist: true });
+    }
+    require('fs').mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+    return db;
+}
+
+function getMeta(db, key) {
+    const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+}
+
+function setMeta(db, key, value) {
+    db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value').run(key, String(value));
+}
+
+/**
+ * @dev Every recorded contract of a network with the artifact its events are decoded with.
+ * Contracts deployed under a manifest alias (e.g. StableCoin as TestUSDC) use the manifest's
+ * contract name.
+ * @param network Hardhat network name
+ * @param manifest Parsed deploy-manifest.json
+ * @param fallbackFromBlock Start block for records without a blockNumber
+ * @return Array of { name, contract, address, fromBlock }
+ */
+function indexedContracts(network, manifest, fallbackFromBlock = 0) {
+    const { contracts } = deployments.readDeployments(network);
+    return Object.entries(contracts)
+        .filter(([, record]) => record.address)
+        .map(([name, record]) => ({
+            name,
+            contract: (manifest.addresses[name] && manifest.addresses[name].contract) || name,
+            address: record.address.toLowerCase(),
+            fromBlock: record.blockNumber ? Number(record.blockNumber) : fallbackFromBlock
+        }));
+}
+
+// Decoded event arguments as JSON: named where the ABI names them, bigints as decimal strings
+// and indexed strings or arrays as the topic hash they are logged as
+function argsToJson(fragment, args) {
+    const convert = value => {
+        if (typeof value === 'bigint') return value.toString();
+        if (value && value._isIndexed) return value.hash;
+        if (Array.isArray(value)) return value.map(convert);
+        if (value && typeof value.toArray === 'function') return value.toArray().map(convert);
+        return value;
+    };
+    const result = {};
+    fragment.inputs.forEach((input, i) => { result[input.name || `arg${i}`] = convert(args[i]); });
+    return result;
+}
+
+/**
+ * @dev Creates an indexer that copies the logs of the given contracts into the store.
+ * Progress is the `cursor` block in meta, stored with its hash: a restart resumes after it,
+ * and a cursor hash that no longer matches the chain means a reorg, which is rewound to the
+ * last stored block that still matches before indexing again.
+ * @param db Store from openStore
+ * @param provider ethers provider
+ * @param contracts Array of { name, address, fromBlock, iface } with the contract Interface
+ * @param options.confirmations Depth from which blocks are trusted, see DEFAULT_CONFIRMATIONS
+ * @param options.chunkSize Block range per eth_getLogs call
+ * @param options.log Progress logger
+ * @return { sync } where sync() indexes up to the current head and returns what it did
+ */
+function createIndexer(db, provider, contracts, { confirmations = DEFAULT_CONFIRMATIONS, chunkSize = 2000, log = () => {} } = {}) {
+    const byAddress = new Map(contracts.map(contract => [contract.address, contract]));
+    const insertEvent = db.prepare(`INSERT OR IGNORE INTO events
+        (block_number, log_index, tx_hash, address, contract, event, args, timestamp)
+        VALUES (@blockNumber, @logIndex, @txHash, @address, @contract, @event, @args, @timestamp)`);
+    const insertBlock = db.prepare('INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)');
+
+    const cursor = () => {
+        const value = getMeta(db, 'cursor');
+        return value === null ? null : Number(value);
+    };
+
+    async function checkChain() {
+        const { chainId } = await provider.getNetwork();
+        const stored = getMeta(db, 'chainId');
+        if (stored !== null && stored !== chainId.toString()) {
+            throw new Error(`The store holds chain ${stored}, the provider is on chain ${chainId}; use another INDEXER_DB`);
+        }
+        setMeta(db, 'chainId', chainId);
+    }
+
+    // Walks back from the cursor until a stored block hash matches the chain again; a local
+    // node that was restarted matches nowhere and the store starts over
+    async function rewindReorg() {
+        const at = cursor();
+        if (at === null) return null;
+        const head = await provider.getBlock(at);
+        if (head && head.hash === getMeta(db, 'cursorHash')) return null;
+
+        let common = null;
+        for (const { number, hash } of db.prepare('SELECT number, hash FROM blocks WHERE number < ? ORDER BY number DESC').all(at)) {
+            const block = await provider.getBlock(number);
+            if (block && block.hash === hash) {
+                common = block;
+                break;
+            }
+        }
+        db.transaction(() => {
+            const from = common ? common.number + 1 : 0;
+            db.prepare('DELETE FROM events WHERE block_number >= ?').run(from);
+            db.prepare('DELETE FROM blocks WHERE number >= ?').run(from);
+            if (common) {
+                setMeta(db, 'cursor', common.number);
+                setMeta(db, 'cursorHash', common.hash);
+            } else {
+                db.prepare('DELETE FROM meta WHERE key IN (\'cursor\', \'cursorHash\')').run();
+                db.prepare('DELETE FROM contracts').run();
+            }
+        })();
+        return { from: at, to: common ? common.number : null };
+    }
+
+    // Copies the logs of some contracts in [fromBlock, toBlock] and moves the cursor when asked
+    async function indexRange(targets, fromBlock, toBlock, moveCursor) {
+        let stored = 0;
+        const addresses = targets.map(contract => contract.address);
+        for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+            const end = Math.min(start + chunkSize - 1, toBlock);
+            const logs = await provider.getLogs({ address: addresses, fromBlock: start, toBlock: end });
+
+            const blocks = new Map();
+            const rows = [];
+            for (const log of logs) {
+                const contract = byAddress.get(log.address.toLowerCase());
+                let parsed = null;
+                try {
+                    parsed = contract ? contract.iface.parseLog(log) : null;
+                } catch (error) {
+                    // Same topic as a known event but undecodable data, e.g. from an older implementation
+                }
+                if (!parsed) continue;
+                if (!blocks.has(log.blockNumber)) blocks.set(log.blockNumber, await provider.getBlock(log.blockNumber));
+                const block = blocks.get(log.blockNumber);
+                // A log of a block that was just replaced; the next sync sees the reorg
+                if (block.hash !== log.blockHash) continue;
+                rows.push({
+                    blockNumber: log.blockNumber,
+                    logIndex: log.index,
+                    txHash: log.transactionHash,
+                    address: contract.address,
+                    contract: contract.name,
+                    event: parsed.name,
+                    args: JSON.stringify(argsToJson(parsed.fragment, parsed.args)),
+                    timestamp: block.timestamp
+                });
+            }
+            const last = moveCursor ? await provider.getBlock(end) : null;
+
+            db.transaction(() => {
+                rows.forEach(row => insertEvent.run(row));
+                blocks.forEach(block => insertBlock.run(block.number, block.hash, block.timestamp));
+                if (last) {
+                    insertBlock.run(last.number, last.hash, last.timestamp);
+                    setMeta(db, 'cursor', last.number);
+                    setMeta(db, 'cursorHash', last.hash);
+                }
+            })();
+            stored += rows.length;
+            log(`   blocks ${start}-${end}: ${rows.length} event(s)`);
+        }
+        return stored;
+    }
+
+    /**
+     * @dev Indexes every contract up to the head: rewinds a reorg, backfills contracts that are
+     * new to the store up to the cursor, then moves the cursor to the head
+     * @return { reorg, backfilled, stored, cursor }
+     */
+    async function sync() {
+        await checkChain();
+        const reorg = await rewindReorg();
+        const head = await provider.getBlockNumber();
+        const known = new Set(db.prepare('SELECT address FROM contracts').all().map(row => row.address));
+        const earliest = Math.min(...contracts.map(contract => contract.fromBlock));
+        const at = cursor() === null ? earliest - 1 : cursor();
+
+        // Contracts deployed (or recorded) after the store was started, caught up to the cursor
+        let backfilled = 0;
+        const added = contracts.filter(contract => !known.has(contract.address));
+        if (at >= earliest && added.length > 0) {
+            const from = Math.min(...added.map(contract => contract.fromBlock));
+            log(`Backfilling ${added.map(contract => contract.name).join(', ')} from block ${from}`);
+            backfilled = await indexRange(added, from, at, false);
+        }
+        const register = db.prepare('INSERT OR REPLACE INTO contracts (address, name, from_block) VALUES (?, ?, ?)');
+        db.transaction(() => contracts.forEach(contract => register.run(contract.address, contract.name, contract.fromBlock)))();
+
+        const stored = head > at ? await indexRange(contracts, at + 1, head, true) : 0;
+
+        // Hashes deeper than the confirmation depth are not checked again; the cursor is at the head
+        db.prepare('DELETE FROM blocks WHERE number < ?').run(head - confirmations);
+        return { reorg, backfilled, stored, cursor: cursor() };
+    }
+
+    return { sync };
+}
+
+/**
+ * @dev Filtered query over the store
+ * @param db Store from openStore
+ * @param filters { contracts, events, address, fromBlock, toBlock, since, until, tx, where, limit, order }
+ * where contracts and events are arrays of names, since and until unix seconds and where an
+ * array of [argName, value] pairs matched case-insensitively against the decoded arguments
+ * @return Array of { blockNumber, logIndex, txHash, address, contract, event, args, timestamp }
+ */
+function queryEvents(db, filters = {}) {
+    const clauses = [];
+    const params = [];
+    const list = (column, values) => {
+        if (values && values.length > 0) {
+            clauses.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+            params.push(...values);
+        }
+    };
+    const compare = (sql, value) => {
+        if (value !== undefined && value !== null) {
+            clauses.push(sql);
+            params.push(value);
+        }
+    };
+    list('contract', filters.contracts);
+    list('event', filters.events);
+    compare('address = ?', filters.address && filters.address.toLowerCase());
+    compare('block_number >= ?', filters.fromBlock);
+    compare('block_number <= ?', filters.toBlock);
+    compare('timestamp >= ?', filters.since);
+    compare('timestamp <= ?', filters.until);
+    compare('lower(tx_hash) = ?', filters.tx && filters.tx.toLowerCase());
+    (filters.where || []).forEach(([name, value]) => {
+        clauses.push('lower(CAST(json_extract(args, ?) AS TEXT)) = ?');
+        // json_extract gives booleans as 1 and 0
+        const text = String(value).toLowerCase();
+        params.push(`$.${name}`, text === 'true' ? '1' : text === 'false' ? '0' : text);
+    });
+
+    const order = filters.order === 'desc' ? 'DESC' : 'ASC';
+    const sql = 'SELECT * FROM events' + (clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '') +
+        ` ORDER BY block_number ${order}, log_index ${order}` + (filters.limit ? ' LIMIT ?' : '');
+    if (filters.limit) params.push(filters.limit);
+
+    return db.prepare(sql).all(...params).map(row => ({
+        blockNumber: row.block_number,
+        logIndex: row.log_index,
+        txHash: row.tx_hash,
+        address: row.address,
+        contract: row.contract,
+        event: row.event,
+        args: JSON.parse(row.args),
+        timestamp: row.timestamp
+    }));
+}
+
+/**
+ * @dev Event counts per contract and event name
+ * @param db Store from openStore
+ * @return Array of { contract, event, count, firstBlock, lastBlock }
+ */
+function summarizeEvents(db) {
+    return db.prepare(`SELECT contract, event, COUNT(*) AS count, MIN(block_number) AS firstBlock, MAX(block_number) AS lastBlock
+        FROM events GROUP BY contract, event ORDER BY contract, event`).all();
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @dev Events as CSV: the fixed columns, then one column per argument name in the order the
+ * names first appear, so a single-event export has a column per field
+ * @param rows Result of queryEvents
+ * @return CSV text
+ */
+function eventsToCsv(rows) {
+    const argNames = [];
+    rows.forEach(row => Object.keys(row.args).forEach(name => { if (!argNames.includes(name)) argNames.push(name); }));
+    const header = ['blockNumber', 'timestamp', 'txHash', 'logIndex', 'contract', 'address', 'event', ...argNames];
+    const lines = rows.map(row => [
+        row.blockNumber, new Date(row.timestamp * 1000).toISOString(), row.txHash, row.logIndex, row.contract, row.address, row.event,
+        ...argNames.map(name => row.args[name])
+    ].map(csvField).join(','));
+    return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+module.exports = {
+    INDEXER_DIR,
+    DEFAULT_CONFIRMATIONS,
+    storePath,
+    openStore,
+    getMeta,
+    indexedContracts,
+    createIndexer,
+    queryEvents,
+    summarizeEvents,
+    eventsToCsv
+};
@@ -0,0 +1,237 @@
+// scripts/lib/keeper.js - Job definitions, persistent state and the run loop of the maintenance keeper
+const fs = require('fs');
+const path = require('path');
+const deployments = require('./deployments');
+const { parseDuration } = require('./params');
+
+const DEFAULT_JOBS_PATH = path.join(__dirname, '..', 'keeper-jobs.json');
+const KEEPER_DIR = path.join(deployments.DEPLOYMENTS_DIR, 'keeper');
+
+// Gas estimates get this margin, up to the job's gasLimit
+const GAS_MARGIN_PERCENT = 20n;
+
+// When each job is due, read from the chain at the current block time. PlatformStabilityFund.updateValueMode
+// is internal and has no job: updatePrice, updateBaselinePrice and updateFundParameters run it.
+const CONDITIONS = {
+    always: async () => ({ due: true, detail: 'runs once per cooldown' }),
+    observationDue: async (fund, now) => {
+        const next = Number(await fund.lastObservationTimestamp()) + Number(await fund.observationInterval());
+        return { due: now >= next, detail: now >= next ? 'observation interval passed' : `next observation at ${next}` };
+    },
+    feeOutdated: async (fund, now, signer) => {
+        const current = await fund.currentFeePercent();
+        const target = await fund.connect(signer).updateCurrentFee.staticCall();
+        return { due: target !== current, detail: `fee ${current} bps, verified price gives ${target} bps` };
+    },
+    tierChanged: async (tierManager) => {
+        const current = await tierManager.currentTier();
+        const target = await tierManager.getCurrentTier();
+        return { due: target !== current, detail: `tier ${current}, calendar gives tier ${target}` };
+    },
+    rebalancingNeeded: async (rebalancer) => {
+        const due = await rebalancer.isRebalancingNeeded();
+        return { due, detail: `price deviation ${await rebalancer.getPriceDeviation()} bps` };
+    },
+    parameterChangeReady: async (governance, now) => {
+        const pending = await governance.pendingChange();
+        if (!pending.isPending) return { due: false, detail: 'no pending change' };
+        const ready = Number(pending.scheduledTime + await governance.parameterChangeDelay());
+        return { due: now >= ready, detail: now >= ready ? 'timelock expired' : `timelock until ${ready}` };
+    }
+};
+
+/**
+ * @dev Reads and validates the job definitions
+ * @param file Path of the jobs JSON file
+ * @return Map of job name to { description, contract, method, condition, cooldown (seconds),
+ * gasLimit, maxFeePerGas (wei, or null for no cap), signer }
+ */
+function loadJobs(file = DEFAULT_JOBS_PATH) {
+    const { ethers } = require('hardhat');
+    const definitions = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const problems = [];
+    const jobs = {};
+
+    Object.entries(definitions).forEach(([name, job]) => {
+        if (typeof job.contract !== 'string' || typeof job.method !== 'string') {
+            problems.push(`${name}: contract and method are required`);
+        }
+        if (!CONDITIONS[job.condition]) {
+            problems.push(`${name}: unknown condition ${job.condition}, expected one of ${Object.keys(CONDITIONS).join(', ')}`);
+        }
+        const cooldown = parseDuration(job.cooldown);
+        if (cooldown === null) problems.push(`${name}: cooldown must be a duration such as "1h", got ${JSON.stringify(job.cooldown)}`);
+        if (!Number.isInteger(job.gasLimit) || job.gasLimit <= 0) problems.push(`${name}: gasLimit must be a positive integer`);
+        const validFee = job.maxFeeGwei === undefined || /^\d+(\.\d+)?$/.test(job.maxFeeGwei);
+        if (!validFee) {
+            problems.push(`${name}: maxFeeGwei must be a decimal string, got ${JSON.stringify(job.maxFeeGwei)}`);
+        }
+        const signer = job.signer || 'deployer';
+        if (signer !== 'deployer' && (typeof signer.env !== 'string' || (signer.default !== undefined && signer.default !== 'deployer'))) {
+            problems.push(`${name}: signer must be "deployer" or { "env": "NAME", "default": "deployer" }`);
+        }
+        jobs[name] = {
+            description: job.description || '',
+            contract: job.contract,
+            method: job.method,
+            condition: job.condition,
+            cooldown,
+            gasLimit: BigInt(job.gasLimit || 0),
+            maxFeePerGas: job.maxFeeGwei !== undefined && validFee ? ethers.parseUnits(job.maxFeeGwei, 'gwei') : null,
+            signer
+        };
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid keeper jobs ${file}:\n  - ${problems.join('\n  - ')}`);
+    }
+    return jobs;
+}
+
+/**
+ * @dev The signer of a job: the private key in the env variable, or the first Hardhat
+ * account when the job says "deployer" or the variable is unset and defaults to it
+ * @return ethers Signer
+ */
+async function resolveSigner(spec) {
+    const { ethers } = require('hardhat');
+    const key = spec !== 'deployer' ? process.env[spec.env] : undefined;
+    if (key) {
+        return new ethers.Wallet(key, ethers.provider);
+    }
+    if (spec !== 'deployer' && spec.default !== 'deployer') {
+        throw new Error(`${spec.env} is not set and the job has no default signer`);
+    }
+    const [deployer] = await ethers.getSigners();
+    return deployer;
+}
+
+function statePath(network) {
+    return path.join(KEEPER_DIR, `${network}.json`);
+}
+
+function logPath(network) {
+    return path.join(KEEPER_DIR, `${network}.log`);
+}
+
+/**
+ * @dev Last-run state of every job; an empty state when there is no file yet
+ * @return { jobs: { [name]: { lastRun, lastTx, lastStatus, lastError, runs, failures } } }
+ */
+function readState(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { jobs: {} };
+}
+
+function writeState(file, state) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(state, null, 2) + '\n');
+}
+
+/**
+ * @dev Creates the keeper over deployed contracts
+ * @param jobs Jobs from loadJobs
+ * @param live Map of name to attached contract
+ * @param signers Map of job name to its signer
+ * @param options { stateFile, logFile, log } where log receives one line per job that did something
+ * @return { runRound() } running every due job once and returning { [name]: status }
+ */
+function createKeeper(jobs, live, signers, { stateFile, logFile, log = () => {} }) {
+    const { ethers } = require('hardhat');
+    const { revertReason } = require('./deploy-helpers');
+    const state = readState(stateFile);
+
+    const record = (name, entry) => {
+        fs.mkdirSync(path.dirname(logFile), { recursive: true });
+        fs.appendFileSync(logFile, JSON.stringify({ job: name, ...entry }) + '\n');
+    };
+
+    async function runJob(name, job, now) {
+        const contract = live[job.contract];
+        if (!contract) return { status: 'skipped', detail: `${job.contract} is not deployed` };
+
+        const jobState = state.jobs[name] || { lastRun: null, lastTx: null, lastStatus: null, lastError: null, runs: 0, failures: 0 };
+        state.jobs[name] = jobState;
+        // A last run in the future means the chain was reset (a restarted local node)
+        if (jobState.lastRun !== null && jobState.lastRun <= now && now < jobState.lastRun + job.cooldown) {
+            return { status: 'cooldown', detail: `due again at ${jobState.lastRun + job.cooldown}` };
+        }
+
+        const signer = signers[name];
+        const connected = contract.connect(signer);
+        const interfaces = [contract.interface];
+        let condition;
+        try {
+            condition = await CONDITIONS[job.condition](contract, now, signer);
+        } catch (error) {
+            return { status: 'failed', detail: `condition ${job.condition}: ${revertReason(error, interfaces)}` };
+        }
+        if (!condition.due) return { status: 'idle', detail: condition.detail };
+
+        // Simulate first: a reverting job is reported without spending gas
+        let gas;
+        try {
+            await connected[job.method].staticCall();
+            gas = await connected[job.method].estimateGas();
+        } catch (error) {
+            return { status: 'failed', detail: `simulation reverted: ${revertReason(error, interfaces)}` };
+        }
+        if (gas > job.gasLimit) {
+            return { status: 'deferred', detail: `needs ${gas} gas, above the cap of ${job.gasLimit}` };
+        }
+        if (job.maxFeePerGas !== null) {
+            const fees = await ethers.provider.getFeeData();
+            const fee = fees.maxFeePerGas !== null ? fees.maxFeePerGas : fees.gasPrice;
+            if (fee !== null && fee > job.maxFeePerGas) {
+                return { status: 'deferred', detail: `gas at ${ethers.formatUnits(fee, 'gwei')} gwei, above the cap of ${ethers.formatUnits(job.maxFeePerGas, 'gwei')}` };
+            }
+        }
+
+        const gasLimit = gas * (100n + GAS_MARGIN_PERCENT) / 100n;
+        try {
+            const tx = await connected[job.method]({ gasLimit: gasLimit < job.gasLimit ? gasLimit : job.gasLimit });
+            const receipt = await tx.wait();
+            const block = await ethers.provider.getBlock(receipt.blockNumber);
+            Object.assign(jobState, { lastRun: block.timestamp, lastTx: receipt.hash, lastError: null, runs: jobState.runs + 1 });
+            return { status: 'sent', detail: condition.detail, tx: receipt.hash, block: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() };
+        } catch (error) {
+            return { status: 'failed', detail: revertReason(error, interfaces) };
+        }
+    }
+
+    return {
+        async runRound() {
+            const results = {};
+            for (const [name, job] of Object.entries(jobs)) {
+                const now = (await ethers.provider.getBlock('latest')).timestamp;
+                const result = await runJob(name, job, now);
+                results[name] = result;
+                if (state.jobs[name]) {
+                    state.jobs[name].lastStatus = result.status;
+                    if (result.status === 'failed') {
+                        state.jobs[name].lastError = result.detail;
+                        state.jobs[name].failures += 1;
+                    }
+                }
+                // Idle, cooldown and skipped rounds are not logged, everything that acted or tried to is
+                if (['sent', 'failed', 'deferred'].includes(result.status)) {
+                    record(name, { at: now, signer: await signers[name].getAddress(), ...result });
+                    log(name, result);
+                }
+            }
+            writeState(stateFile, state);
+            return results;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_JOBS_PATH,
+    KEEPER_DIR,
+    CONDITIONS,
+    loadJobs,
+    resolveSigner,
+    statePath,
+    logPath,
+    readState,
+    createKeeper
+};
@@ -0,0 +1,154 @@
+// scripts/lib/manifest.js - Load the deployment manifest and compute a dependency-safe order
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MANIFEST_PATH = path.join(__dirname, '..', 'deploy-manifest.json');
+
+/**
+ * @dev Reads and validates the deployment manifest
+ * @param manifestPath Path to the manifest JSON file
+ * @return The parsed manifest
+ */
+function loadManifest(manifestPath = DEFAULT_MANIFEST_PATH) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    validateManifest(manifest);
+    return manifest;
+}
+
+/**
+ * @dev Checks that every component and link only references declared addresses,
+ * that each address has exactly one producer and that every requirement can be satisfied
+ * @param manifest The parsed manifest
+ */
+function validateManifest(manifest) {
+    const problems = [];
+    const addresses = manifest.addresses || {};
+    const components = manifest.components || [];
+    const names = new Set();
+    const producers = {};
+
+    for (const component of components) {
+        if (!component.name || !component.script) {
+            problems.push(`Component ${JSON.stringify(component)} needs a name and a script`);
+            continue;
+        }
+        if (names.has(component.name)) {
+            problems.push(`Component ${component.name} is declared more than once`);
+        }
+        names.add(component.name);
+
+        for (const key of [...(component.requires || []), ...(component.produces || [])]) {
+            if (!addresses[key]) {
+                problems.push(`${component.name} references undeclared address ${key}`);
+            }
+        }
+
+        for (const key of component.produces || []) {
+            if (producers[key]) {
+                problems.push(`${key} is produced by both ${producers[key]} and ${component.name}`);
+            }
+            producers[key] = component.name;
+        }
+    }
+
+    for (const component of components) {
+        for (const key of component.requires || []) {
+            if (addresses[key] && !producers[key] && !addresses[key].external) {
+                problems.push(`${component.name} requires ${key}, which no component produces`);
+            }
+        }
+    }
+
+    // Links checked by the wiring doctor
+    for (const link of manifest.links || []) {
+        if (!link.getter || !link.setter) {
+            problems.push(`Link ${JSON.stringify(link)} needs a getter and a setter`);
+        }
+        for (const key of [link.from, link.to]) {
+            if (!addresses[key]) {
+                problems.push(`Link ${link.from}.${link.getter} references undeclared address ${key}`);
+            }
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid deployment manifest:\n  - ${problems.join('\n  - ')}`);
+    }
+}
+
+/**
+ * @dev Orders components so that every producer runs before its consumers.
+ * Ties are broken by declaration order, so a manifest that is already in a
+ * valid order runs exactly as written.
+ * @param manifest The parsed manifest
+ * @return Array of components in execution order
+ */
+function resolveDeploymentOrder(manifest) {
+    const components = manifest.components;
+    const producers = {};
+    components.forEach(component => {
+        (component.produces || []).forEach(key => { producers[key] = component.name; });
+    });
+
+    // Build the dependency edges between components
+    const dependencies = {};
+    components.forEach(component => {
+        dependencies[component.name] = new Set(
+            (component.requires || [])
+                .map(key => producers[key])
+                .filter(producer => producer && producer !== component.name)
+        );
+    });
+
+    const ordered = [];
+    const done = new Set();
+    while (ordered.length < components.length) {
+        const next = components.find(component =>
+            !done.has(component.name) &&
+            [...dependencies[component.name]].every(dependency => done.has(dependency))
+        );
+
+        if (!next) {
+            const blocked = components.filter(component => !done.has(component.name)).map(c => c.name);
+            throw new Error(`Deployment manifest has a dependency cycle between: ${blocked.join(', ')}`);
+        }
+
+        ordered.push(next);
+        done.add(next.name);
+    }
+
+    return ordered;
+}
+
+/**
+ * @dev Finds the requirements that will not be satisfied when running `order`
+ * from `startIndex`. An address counts as available if an earlier step in the
+ * run produces it or if `isAvailable(key)` says it already exists.
+ * @param order Components in execution order
+ * @param startIndex Index of the first component to run
+ * @param isAvailable Callback telling whether an address is already known
+ * @return Array of { component, missing } entries
+ */
+function findMissingDependencies(order, startIndex, isAvailable) {
+    const produced = new Set();
+    const missing = [];
+
+    for (let i = startIndex; i < order.length; i++) {
+        const component = order[i];
+        const unmet = (component.requires || []).filter(key => !produced.has(key) && !isAvailable(key));
+        if (unmet.length > 0) {
+            missing.push({ component: component.name, missing: unmet });
+        }
+        (component.produces || []).forEach(key => produced.add(key));
+    }
+
+    return missing;
+}
+
+module.exports = {
+    DEFAULT_MANIFEST_PATH,
+    loadManifest,
+    validateManifest,
+    resolveDeploymentOrder,
+    findMissingDependencies
+};
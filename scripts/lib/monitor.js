@@ -0,0 +1,285 @@
+// scripts/lib/monitor.js - Health signals of the platform, alert state and the sinks alerts go to
+const fs = require('fs');
+const path = require('path');
+const deployments = require('./deployments');
+
+const DEFAULT_MONITOR_CONFIG_PATH = path.join(__dirname, '..', 'monitor-config.json');
+const MONITOR_DIR = path.join(deployments.DEPLOYMENTS_DIR, 'monitor');
+
+// Ordered by severity; 'error' is a signal that could not be read
+const LEVELS = ['ok', 'warning', 'error', 'critical'];
+const SINK_TYPES = ['stdout', 'file', 'webhook'];
+
+// PlatformStabilityFund.getVerifiedPrice falls back to the TWAP above this deviation of the spot price
+const VERIFIED_PRICE_FALLBACK_BPS = 2000n;
+
+/**
+ * @dev Reads and validates the monitor configuration
+ * @param file Path of the JSON configuration
+ * @return { intervalSeconds, renotifyMinutes, thresholds, sinks }
+ */
+function loadMonitorConfig(file = DEFAULT_MONITOR_CONFIG_PATH) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const thresholds = config.thresholds || {};
+    const problems = [];
+
+    const positive = (value, name) => {
+        if (!Number.isInteger(value) || value <= 0) problems.push(`${name} must be a positive integer, got ${JSON.stringify(value)}`);
+    };
+    positive(config.intervalSeconds, 'intervalSeconds');
+    if (config.renotifyMinutes !== undefined && config.renotifyMinutes !== 0) positive(config.renotifyMinutes, 'renotifyMinutes');
+    ['reserveRatioWarningMarginPercent', 'twapDeviationWarningBps', 'dexDeviationCriticalBps']
+        .forEach(name => positive(thresholds[name], `thresholds.${name}`));
+    Object.entries(thresholds.rewardPools || {}).forEach(([contract, pool]) => {
+        if (typeof pool.accounted !== 'string') problems.push(`rewardPools.${contract}.accounted must name the contract's pool getter`);
+        if (pool.minBalance !== undefined && !/^\d+(\.\d+)?$/.test(pool.minBalance)) {
+            problems.push(`rewardPools.${contract}.minBalance must be a decimal string of TEACH, got ${JSON.stringify(pool.minBalance)}`);
+        }
+    });
+
+    const sinks = config.sinks || [];
+    if (sinks.length === 0) problems.push('sinks must list at least one sink');
+    sinks.forEach((sink, i) => {
+        if (!SINK_TYPES.includes(sink.type)) {
+            problems.push(`sinks[${i}]: unknown type ${sink.type}, expected one of ${SINK_TYPES.join(', ')}`);
+        }
+        if (sink.type === 'webhook' && !sink.url) problems.push(`sinks[${i}]: webhook needs a url or { "env": ... }`);
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid monitor config ${file}:\n  - ${problems.join('\n  - ')}`);
+    }
+    return { intervalSeconds: config.intervalSeconds, renotifyMinutes: config.renotifyMinutes || 0, thresholds, sinks };
+}
+
+function percent(bps) {
+    return `${(Number(bps) / 100).toFixed(2)}%`;
+}
+
+// Runs one reader; a revert or a missing function becomes an 'error' reading instead of stopping the round
+async function readSignal(id, label, read) {
+    try {
+        return { id, label, ...(await read()) };
+    } catch (error) {
+        return { id, label, level: 'error', value: null, detail: (error.shortMessage || error.message).split('\n')[0] };
+    }
+}
+
+/**
+ * @dev Reads every health signal whose contracts are deployed
+ * @param live Map of name to attached contract, as in deploy-manifest.json
+ * @param thresholds thresholds section of the monitor config
+ * @return Array of { id, label, level, value, detail }
+ */
+async function readSignals(live, thresholds) {
+    const { ethers } = require('hardhat');
+    const readings = [];
+
+    const fund = live.PlatformStabilityFund;
+    if (fund) {
+        readings.push(await readSignal('reserve-ratio', 'Stability fund reserve ratio', async () => {
+            const health = await fund.getReserveRatioHealth();
+            const critical = (await fund.minReserveRatio()) * (await fund.criticalReserveThreshold()) / 100n;
+            const warning = critical * BigInt(100 + thresholds.reserveRatioWarningMarginPercent) / 100n;
+            const level = health < critical ? 'critical' : health < warning ? 'warning' : 'ok';
+            return {
+                level,
+                value: health.toString(),
+                detail: `${percent(health)} against the circuit breaker at ${percent(critical)}` +
+                    (level === 'critical' ? ', the next conversion pauses the fund' : `, warning below ${percent(warning)}`)
+            };
+        }));
+
+        readings.push(await readSignal('twap', 'Stability fund TWAP', async () => {
+            if (!(await fund.twapEnabled())) {
+                return { level: 'ok', value: null, detail: 'TWAP disabled, the spot price is used' };
+            }
+            const twap = await fund.calculateTWAP();
+            const spot = await fund.tokenPrice();
+            const verified = await fund.getVerifiedPrice();
+            if (twap === 0n) {
+                return { level: 'warning', value: null, detail: 'not enough price observations for a TWAP, the spot price is used unchecked' };
+            }
+            const deviation = (spot > twap ? spot - twap : twap - spot) * 10000n / twap;
+            const prices = `spot ${ethers.formatEther(spot)}, TWAP ${ethers.formatEther(twap)}, verified ${ethers.formatEther(verified)}`;
+            if (verified !== spot || deviation > VERIFIED_PRICE_FALLBACK_BPS) {
+                return { level: 'critical', value: deviation.toString(), detail: `spot deviates ${percent(deviation)} from the TWAP, the fund prices at the TWAP (${prices})` };
+            }
+            const level = deviation >= BigInt(thresholds.twapDeviationWarningBps) ? 'warning' : 'ok';
+            return { level, value: deviation.toString(), detail: `spot deviates ${percent(deviation)} from the TWAP (${prices})` };
+        }));
+    }
+
+    const rebalancer = live.LiquidityRebalancer;
+    if (rebalancer) {
+        readings.push(await readSignal('dex-liquidity', 'DEX liquidity', async () => {
+            const [healthy, warnings, dexIds] = await rebalancer.checkLiquidityHealth();
+            const found = warnings.filter(warning => warning !== '')
+                .map((warning, i) => dexIds[i] !== undefined ? `DEX ${dexIds[i]}: ${warning}` : warning);
+            return { level: healthy ? 'ok' : 'critical', value: found.length, detail: healthy ? 'healthy' : found.join('; ') };
+        }));
+
+        readings.push(await readSignal('dex-deviation', 'DEX price deviation', async () => {
+            const deviation = await rebalancer.getPriceDeviation();
+            const allowed = await rebalancer.maxPriceDivergence();
+            const needed = await rebalancer.isRebalancingNeeded();
+            const level = deviation > BigInt(thresholds.dexDeviationCriticalBps) ? 'critical'
+                : deviation > allowed ? 'warning' : 'ok';
+            return {
+                level,
+                value: deviation.toString(),
+                detail: `${percent(deviation)} between DEXes, allowed ${percent(allowed)}` +
+                    (needed ? ', rebalancing needed' : deviation > allowed ? ', rebalancing in cooldown' : '')
+            };
+        }));
+    }
+
+    if (live.EmergencyManager) {
+        readings.push(await readSignal('emergency-mode', 'EmergencyManager', async () => {
+            const emergency = await live.EmergencyManager.isEmergencyMode();
+            return { level: emergency ? 'critical' : 'ok', value: emergency, detail: emergency ? 'emergency mode declared' : 'normal' };
+        }));
+    }
+
+    if (live.ContractRegistry) {
+        readings.push(await readSignal('system-paused', 'ContractRegistry', async () => {
+            const paused = await live.ContractRegistry.isSystemPaused();
+            return { level: paused ? 'critical' : 'ok', value: paused, detail: paused ? 'system paused' : 'running' };
+        }));
+    }
+
+    const token = live.TeachToken;
+    for (const [name, pool] of Object.entries(thresholds.rewardPools || {})) {
+        if (!token || !live[name]) continue;
+        readings.push(await readSignal(`reward-pool:${name}`, `${name} reward pool`, async () => {
+            const balance = await token.balanceOf(await live[name].getAddress());
+            const accounted = await live[name][pool.accounted]();
+            const minimum = pool.minBalance !== undefined ? ethers.parseEther(pool.minBalance) : 0n;
+            const amounts = `${ethers.formatEther(balance)} TEACH held, ${ethers.formatEther(accounted)} in ${pool.accounted}`;
+            // The contract pays out of its balance what its pool accounting says it has
+            if (balance < accounted) {
+                return { level: 'critical', value: balance.toString(), detail: `${amounts}, payouts will fail` };
+            }
+            const level = balance < minimum ? 'warning' : 'ok';
+            return {
+                level,
+                value: balance.toString(),
+                detail: level === 'warning' ? `${amounts}, below the minimum of ${pool.minBalance}` : amounts
+            };
+        }));
+    }
+    return readings;
+}
+
+/**
+ * @dev Turns readings into alerts: one when a signal changes level, including back to ok,
+ * and a reminder while it stays out of ok for renotifyMinutes
+ * @param renotifyMinutes Reminder interval, 0 for none
+ * @return { update(readings, now) } returning the alerts to send
+ */
+function createAlertTracker(renotifyMinutes = 0) {
+    const state = {};
+    return {
+        update(readings, now) {
+            const alerts = [];
+            for (const reading of readings) {
+                const previous = state[reading.id];
+                const changed = previous ? previous.level !== reading.level : reading.level !== 'ok';
+                const remind = previous && !changed && reading.level !== 'ok' && renotifyMinutes > 0 &&
+                    now - previous.notifiedAt >= renotifyMinutes * 60;
+                if (changed || remind) {
+                    alerts.push({ ...reading, previous: previous ? previous.level : null, reminder: !!remind, at: now });
+                }
+                state[reading.id] = {
+                    level: reading.level,
+                    notifiedAt: changed || remind ? now : (previous ? previous.notifiedAt : now)
+                };
+            }
+            return alerts;
+        }
+    };
+}
+
+function alertText(alert, networkName) {
+    const transition = alert.reminder ? `still ${alert.level}`
+        : alert.level === 'ok' ? `recovered from ${alert.previous}` : alert.level;
+    return `[${networkName}] ${alert.label} ${transition}: ${alert.detail}`;
+}
+
+/**
+ * @dev Creates the configured sinks; a webhook whose url env variable is unset is left out
+ * @param specs sinks section of the monitor config
+ * @param networkName Network the alerts are about
+ * @param log Function receiving notices about left-out sinks
+ * @return Array of { name, send(alert) }
+ */
+function createSinks(specs, networkName, log = console.warn) {
+    const sinks = [];
+    for (const spec of specs) {
+        if (spec.type === 'stdout') {
+            const colors = { ok: '\x1b[32m', warning: '\x1b[33m', error: '\x1b[35m', critical: '\x1b[31m' };
+            sinks.push({
+                name: 'stdout',
+                send: async alert => console.log(`${colors[alert.level]}${new Date(alert.at * 1000).toISOString()} ${alertText(alert, networkName)}\x1b[0m`)
+            });
+        } else if (spec.type === 'file') {
+            const file = spec.path || path.join(MONITOR_DIR, `${networkName}.jsonl`);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            sinks.push({
+                name: `file ${file}`,
+                send: async alert => fs.appendFileSync(file, JSON.stringify({ network: networkName, ...alert }) + '\n')
+            });
+        } else if (spec.type === 'webhook') {
+            const url = typeof spec.url === 'string' ? spec.url : process.env[spec.url.env];
+            if (!url) {
+                log(`Webhook sink left out: ${spec.url.env} is not set`);
+                continue;
+            }
+            sinks.push({
+                name: `webhook ${new URL(url).host}`,
+                send: async alert => {
+                    // "text" makes the payload readable by Slack and Discord style incoming webhooks
+                    const response = await fetch(url, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ text: alertText(alert, networkName), network: networkName, ...alert }),
+                        signal: AbortSignal.timeout(10000)
+                    });
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+                    }
+                }
+            });
+        }
+    }
+    return sinks;
+}
+
+/**
+ * @dev Sends alerts to every sink; a failing sink does not keep the others from getting them
+ * @return Array of { sink, alert, error } for the deliveries that failed
+ */
+async function dispatchAlerts(sinks, alerts) {
+    const failures = [];
+    for (const alert of alerts) {
+        for (const sink of sinks) {
+            try {
+                await sink.send(alert);
+            } catch (error) {
+                failures.push({ sink: sink.name, alert: alert.id, error: error.message });
+            }
+        }
+    }
+    return failures;
+}
+
+module.exports = {
+    DEFAULT_MONITOR_CONFIG_PATH,
+    MONITOR_DIR,
+    LEVELS,
+    loadMonitorConfig,
+    readSignals,
+    createAlertTracker,
+    createSinks,
+    dispatchAlerts
+};
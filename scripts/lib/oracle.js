@@ -0,0 +1,263 @@
+// scripts/lib/oracle.js - TEACH price from DEX pairs and external adapters, and when to publish it on-chain
+const fs = require('fs');
+const path = require('path');
+const { parseDecimal, parseDuration } = require('./params');
+
+const DEFAULT_ORACLE_CONFIG_PATH = path.join(__dirname, '..', 'oracle-sources.json');
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+const TARGETS = ['PlatformStabilityFund', 'TokenPriceFeed'];
+// PlatformStabilityFund.updatePrice does not store the price it is given, so the fund is only
+// published to when a config lists it
+const DEFAULT_TARGETS = ['TokenPriceFeed'];
+
+const PAIR_ABI = [
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+];
+
+// Reads a dotted field such as "data.price" out of a JSON document
+function pick(document, field) {
+    return (field || '').split('.').filter(Boolean).reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), document);
+}
+
+/*
+ * External adapters return the USD price of one TEACH as a decimal string. "fixed" and "file"
+ * are local stand-ins; any other adapter value is the path of a module, relative to the
+ * repository root, exporting async (source) => price.
+ */
+const ADAPTERS = {
+    fixed: async source => String(source.price),
+    file: async source => {
+        const file = path.resolve(ROOT_DIR, source.path);
+        return String(pick(JSON.parse(fs.readFileSync(file, 'utf8')), source.field || 'price'));
+    },
+    'http-json': async source => {
+        const response = await fetch(source.resolvedUrl, { signal: AbortSignal.timeout(10000) });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        }
+        return String(pick(await response.json(), source.field || 'price'));
+    }
+};
+
+/**
+ * @dev Reads and validates the publisher configuration, keeping the sources that apply to
+ * the network
+ * @param file Path of the JSON configuration
+ * @param network Hardhat network name
+ * @return { heartbeat (seconds), deviationBps, outlierBps, minSources, minDexLiquidity (decimal string),
+ * targets, sources, notices } where notices name the sources left out
+ */
+function loadOracleConfig(file, network) {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const problems = [];
+    const notices = [];
+
+    const heartbeat = parseDuration(config.heartbeat);
+    if (heartbeat === null) problems.push(`heartbeat must be a duration such as "6h", got ${JSON.stringify(config.heartbeat)}`);
+    ['deviationBps', 'outlierBps', 'minSources'].forEach(name => {
+        if (!Number.isInteger(config[name]) || config[name] <= 0) problems.push(`${name} must be a positive integer`);
+    });
+    (config.targets || []).filter(target => !TARGETS.includes(target))
+        .forEach(target => problems.push(`unknown target ${target}, expected ${TARGETS.join(' or ')}`));
+
+    const sources = [];
+    (config.sources || []).forEach((source, i) => {
+        const where = source.name || `sources[${i}]`;
+        if (source.networks && !source.networks.includes(network)) return;
+        if (source.type === 'dex') {
+            sources.push(source);
+        } else if (source.type === 'external') {
+            if (!ADAPTERS[source.adapter] && !/\.js$/.test(source.adapter || '')) {
+                problems.push(`${where}: adapter must be ${Object.keys(ADAPTERS).join(', ')} or the path of a .js module`);
+            } else if (source.adapter === 'http-json') {
+                const url = typeof source.url === 'string' ? source.url : source.url && process.env[source.url.env];
+                if (!url) {
+                    notices.push(`${where} left out: ${source.url && source.url.env ? `${source.url.env} is not set` : 'no url'}`);
+                    return;
+                }
+                sources.push({ ...source, resolvedUrl: url });
+            } else {
+                sources.push(source);
+            }
+        } else {
+            problems.push(`${where}: type must be dex or external, got ${JSON.stringify(source.type)}`);
+        }
+    });
+    if (sources.length === 0) problems.push(`no source applies to ${network}`);
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid oracle config ${file}:\n  - ${problems.join('\n  - ')}`);
+    }
+    return {
+        heartbeat,
+        deviationBps: config.deviationBps,
+        outlierBps: config.outlierBps,
+        minSources: config.minSources,
+        minDexLiquidity: config.minDexLiquidity || '0',
+        targets: config.targets || DEFAULT_TARGETS,
+        sources,
+        notices
+    };
+}
+
+/**
+ * @dev Price of every active DexRegistry pair holding TEACH and the stablecoin, the way
+ * TokenPriceFeed reads it: stablecoin reserve per whole TEACH
+ * @param dexRegistry Attached DexRegistry
+ * @param tokens { teach, stable, teachDecimals, stableDecimals }
+ * @param minLiquidity Smallest stablecoin reserve, as a decimal string, for a pair to count
+ * @return Array of { source, price } or { source, error } per pair
+ */
+async function readDexQuotes(dexRegistry, tokens, minLiquidity) {
+    const { ethers } = require('hardhat');
+    const minimum = parseDecimal(minLiquidity, tokens.stableDecimals);
+    const quotes = [];
+    for (const dexId of await dexRegistry.getAllActiveDexes()) {
+        const dex = await dexRegistry.getDexInfo(dexId);
+        const source = `dex ${dexId} ${dex.name}`;
+        if (dex.pair === ethers.ZeroAddress) continue;
+        try {
+            const pair = new ethers.Contract(dex.pair, PAIR_ABI, ethers.provider);
+            const [token0, token1] = [await pair.token0(), await pair.token1()];
+            const pairTokens = [token0.toLowerCase(), token1.toLowerCase()];
+            if (!pairTokens.includes(tokens.teach.toLowerCase()) || !pairTokens.includes(tokens.stable.toLowerCase())) {
+                quotes.push({ source, error: `pair ${dex.pair} is not TEACH/stablecoin` });
+                continue;
+            }
+            const [reserve0, reserve1] = await pair.getReserves();
+            const teachFirst = pairTokens[0] === tokens.teach.toLowerCase();
+            const teachReserve = teachFirst ? reserve0 : reserve1;
+            const stableReserve = teachFirst ? reserve1 : reserve0;
+            if (teachReserve === 0n) {
+                quotes.push({ source, error: 'pair has no reserves' });
+                continue;
+            }
+            if (stableReserve < minimum) {
+                quotes.push({ source, error: `stablecoin reserve below the minimum of ${minLiquidity}` });
+                continue;
+            }
+            quotes.push({ source, price: stableReserve * 10n ** BigInt(tokens.teachDecimals) / teachReserve });
+        } catch (error) {
+            quotes.push({ source, error: (error.shortMessage || error.message).split('\n')[0] });
+        }
+    }
+    return quotes;
+}
+
+/**
+ * @dev Asks an external adapter for its price
+ * @param source External source from the config
+ * @param stableDecimals Decimals of the stablecoin, the unit prices are published in
+ * @return { source, price } or { source, error }
+ */
+async function readExternalQuote(source, stableDecimals) {
+    const adapter = ADAPTERS[source.adapter] || require(path.resolve(ROOT_DIR, source.adapter));
+    try {
+        const text = await adapter(source);
+        const price = /^\d+(\.\d+)?$/.test(text) ? parseDecimal(text, stableDecimals) : null;
+        if (price === null || price === 0n) {
+            return { source: source.name, error: `not a usable price: ${JSON.stringify(text)}` };
+        }
+        return { source: source.name, price };
+    } catch (error) {
+        return { source: source.name, error: error.message.split('\n')[0] };
+    }
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2n;
+}
+
+function deviationBps(price, reference) {
+    if (reference === 0n) return null;
+    return (price > reference ? price - reference : reference - price) * 10000n / reference;
+}
+
+/**
+ * @dev Median of the quotes after dropping the ones further than outlierBps from the median
+ * of all quotes
+ * @param quotes Quotes from readDexQuotes and readExternalQuote
+ * @return { price, used, rejected } with price null when fewer than minSources quotes agree
+ */
+function aggregateQuotes(quotes, { outlierBps, minSources }) {
+    const priced = quotes.filter(quote => quote.error === undefined);
+    const rejected = quotes.filter(quote => quote.error !== undefined);
+    if (priced.length === 0) return { price: null, used: [], rejected };
+
+    const first = median(priced.map(quote => quote.price));
+    const used = [];
+    priced.forEach(quote => {
+        const deviation = deviationBps(quote.price, first);
+        if (deviation > BigInt(outlierBps)) {
+            rejected.push({ ...quote, error: `outlier, ${deviation} bps from the median` });
+        } else {
+            used.push(quote);
+        }
+    });
+    const price = used.length >= minSources ? median(used.map(quote => quote.price)) : null;
+    return { price, used, rejected };
+}
+
+/**
+ * @dev Whether a target needs a new price: when its price moved more than deviationBps away
+ * from the aggregated price, or when its last update is older than the heartbeat
+ * @param current { price, updatedAt } the target holds
+ * @return { publish, reason }
+ */
+function publishDecision(price, current, { deviationBps: threshold, heartbeat }, now) {
+    const deviation = deviationBps(price, current.price);
+    if (deviation === null) return { publish: true, reason: 'no price yet' };
+    if (deviation > BigInt(threshold)) return { publish: true, reason: `${deviation} bps from the on-chain price` };
+    if (now >= current.updatedAt + heartbeat) return { publish: true, reason: `heartbeat, last update at ${current.updatedAt}` };
+    return { publish: false, reason: `${deviation} bps from the on-chain price, next heartbeat at ${current.updatedAt + heartbeat}` };
+}
+
+/**
+ * @dev On-chain price of a target and the call that updates it. PlatformStabilityFund takes the
+ * price; TokenPriceFeed.updatePrice computes its own from the DEX pairs, its external oracle or
+ * the fallback, so for it the publisher only decides when to refresh.
+ * @param name PlatformStabilityFund or TokenPriceFeed
+ * @param contract Target connected to the oracle signer
+ * @param tokens { teach, stable }
+ * @return { current: { price, updatedAt }, simulate(price), update(price) } or { error } when the
+ * pair is not enabled
+ */
+async function readTarget(name, contract, tokens) {
+    if (name === 'PlatformStabilityFund') {
+        return {
+            // updatePrice checks against the verified price, which is what the fund prices at. It does not
+            // write tokenPrice, so until the contract does, the verified price stays at the initial price.
+            current: { price: await contract.getVerifiedPrice(), updatedAt: Number(await contract.lastPriceUpdateTime()) },
+            update: price => contract.updatePrice(price),
+            simulate: price => contract.updatePrice.staticCall(price)
+        };
+    }
+    const settings = await contract.priceSettings(tokens.teach, tokens.stable);
+    if (!settings.enabled) {
+        return { error: 'TEACH/stablecoin pair is not enabled in TokenPriceFeed' };
+    }
+    return {
+        current: { price: await contract.currentPrices(tokens.teach, tokens.stable), updatedAt: Number(settings.lastUpdateTime) },
+        update: () => contract.updatePrice(tokens.teach, tokens.stable),
+        simulate: () => contract.updatePrice.staticCall(tokens.teach, tokens.stable)
+    };
+}
+
+module.exports = {
+    DEFAULT_ORACLE_CONFIG_PATH,
+    TARGETS,
+    DEFAULT_TARGETS,
+    ADAPTERS,
+    loadOracleConfig,
+    readDexQuotes,
+    readExternalQuote,
+    aggregateQuotes,
+    deviationBps,
+    publishDecision,
+    readTarget
+};
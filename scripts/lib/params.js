@@ -0,0 +1,329 @@
+// scripts/lib/params.js - Per-network parameter profiles (scripts/params/<network>.json) and their schema
+const fs = require('fs');
+const path = require('path');
+
+const PARAMS_DIR = path.join(__dirname, '..', 'params');
+
+const MAX_UINT96 = (1n << 96n) - 1n;
+const BASIS_POINTS = 10000;
+
+/*
+ * Field types:
+ *   price    USD amount with 6 decimals, e.g. "0.12" (uint96, > 0)
+ *   tokens   TEACH amount with 18 decimals, e.g. "100000"
+ *   bps      Integer basis points, 10000 = 100%
+ *   uint     Non-negative integer
+ *   duration Seconds, or a string such as "3d", "12h", "30m"
+ *   time     ISO date, or "+1d" relative to the run (for local networks)
+ *   address  "deployer", a 0x address, or { "env": "NAME", "default": "deployer" | "0x..." }
+ */
+const SCHEMA = {
+    pricing: {
+        initialPrice: { type: 'price' }
+    },
+    stabilityFund: {
+        priceOracle: { type: 'address' },
+        reserveRatio: { type: 'bps' },
+        minReserveRatio: { type: 'bps' },
+        platformFeePercent: { type: 'bps' },
+        lowValueFeePercent: { type: 'bps' },
+        valueThreshold: { type: 'bps', min: 1 }
+    },
+    governance: {
+        proposalThreshold: { type: 'tokens' },
+        minVotingPeriod: { type: 'duration' },
+        maxVotingPeriod: { type: 'duration' },
+        quorumThreshold: { type: 'bps', max: 5000 },
+        executionDelay: { type: 'duration' },
+        executionPeriod: { type: 'duration' }
+    },
+    teacherReward: {
+        baseRewardRate: { type: 'tokens' },
+        reputationMultiplier: { type: 'uint', min: 1 },
+        maxDailyReward: { type: 'tokens' },
+        minimumClaimPeriod: { type: 'duration' }
+    },
+    marketplace: {
+        feePercent: { type: 'bps', max: 3000 },
+        feeRecipient: { type: 'address' }
+    },
+    staking: {
+        platformRewardsManager: { type: 'address' }
+    },
+    priceFeed: {
+        externalPriceOracle: { type: 'address' }
+    },
+    crowdsale: {
+        treasury: { type: 'address' },
+        presaleStart: { type: 'time', future: true },
+        presaleEnd: { type: 'time', future: true }
+    },
+    // Sale window of each TierManager tier, by tier id
+    presaleTiers: {
+        tier0Start: { type: 'time' },
+        tier0End: { type: 'time' },
+        tier1Start: { type: 'time' },
+        tier1End: { type: 'time' },
+        tier2Start: { type: 'time' },
+        tier2End: { type: 'time' },
+        tier3Start: { type: 'time' },
+        tier3End: { type: 'time' }
+    },
+    distribution: {
+        platformEcosystem: { type: 'address' },
+        communityIncentives: { type: 'address' },
+        initialLiquidity: { type: 'address' },
+        publicPresale: { type: 'address' },
+        teamAndDev: { type: 'address' },
+        educationalPartners: { type: 'address' },
+        reserve: { type: 'address' }
+    }
+};
+
+// Relations between fields of one section, mirroring the checks in the contracts' initializers;
+// a rule with `with` also reads another section and only runs when both are validated together
+const RULES = [
+    { section: 'stabilityFund', check: v => v.minReserveRatio < v.reserveRatio, message: 'minReserveRatio must be below reserveRatio' },
+    { section: 'stabilityFund', check: v => v.lowValueFeePercent <= v.platformFeePercent, message: 'lowValueFeePercent must not exceed platformFeePercent' },
+    { section: 'governance', check: v => v.minVotingPeriod <= v.maxVotingPeriod, message: 'minVotingPeriod must not exceed maxVotingPeriod' },
+    { section: 'teacherReward', check: v => v.baseRewardRate <= v.maxDailyReward, message: 'baseRewardRate must not exceed maxDailyReward' },
+    { section: 'crowdsale', check: v => v.presaleStart < v.presaleEnd, message: 'presaleStart must be before presaleEnd' },
+    ...[0, 1, 2, 3].map(tier => ({
+        section: 'presaleTiers',
+        check: v => v[`tier${tier}Start`] < v[`tier${tier}End`],
+        message: `tier${tier}Start must be before tier${tier}End`
+    })),
+    ...[0, 1, 2].map(tier => ({
+        section: 'presaleTiers',
+        check: v => v[`tier${tier}End`] <= v[`tier${tier + 1}Start`],
+        message: `tier ${tier} must end before tier ${tier + 1} starts`
+    })),
+    {
+        section: 'presaleTiers',
+        with: 'crowdsale',
+        check: (v, sale) => sale.presaleStart <= v.tier0Start && v.tier3End <= sale.presaleEnd,
+        message: 'the tiers must lie within crowdsale.presaleStart and crowdsale.presaleEnd'
+    }
+];
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// "0.12" with 6 decimals is 120000n; null when the text has more decimals than the unit
+function parseDecimal(text, decimals) {
+    const [whole, fraction = ''] = text.split('.');
+    if (fraction.length > decimals) return null;
+    return BigInt(whole) * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+}
+
+/**
+ * @dev Parses a duration: seconds, or a string such as "3d", "12h", "30m"
+ * @return Seconds, or null when the value is not a positive duration
+ */
+function parseDuration(raw) {
+    if (Number.isInteger(raw) && raw > 0) return raw;
+    const match = typeof raw === 'string' && raw.match(/^(\d+)([smhdw])$/);
+    if (!match || match[1] === '0') return null;
+    return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+}
+
+// Parses one field; returns { value } or { problem }
+function parseField(spec, raw, now) {
+    switch (spec.type) {
+    case 'price':
+    case 'tokens': {
+        if (typeof raw !== 'string' || !/^\d+(\.\d+)?$/.test(raw)) {
+            return { problem: `must be a decimal string such as "0.12", got ${JSON.stringify(raw)}` };
+        }
+        const decimals = spec.type === 'price' ? 6 : 18;
+        const value = parseDecimal(raw, decimals);
+        if (value === null) {
+            return { problem: `has more than ${decimals} decimals` };
+        }
+        if (spec.type === 'price' && (value === 0n || value > MAX_UINT96)) {
+            return { problem: 'must be above 0 and fit in uint96' };
+        }
+        return { value };
+    }
+    case 'bps':
+    case 'uint': {
+        const max = spec.max !== undefined ? spec.max : (spec.type === 'bps' ? BASIS_POINTS : Number.MAX_SAFE_INTEGER);
+        const min = spec.min !== undefined ? spec.min : 0;
+        if (!Number.isInteger(raw) || raw < min || raw > max) {
+            return { problem: `must be an integer between ${min} and ${max}, got ${JSON.stringify(raw)}` };
+        }
+        return { value: raw };
+    }
+    case 'duration': {
+        const value = parseDuration(raw);
+        if (value === null) {
+            return { problem: `must be a positive number of seconds or a string such as "3d", got ${JSON.stringify(raw)}` };
+        }
+        return { value };
+    }
+    case 'time': {
+        const relative = typeof raw === 'string' && raw.match(/^\+(\d+)([smhdw])$/);
+        if (relative) {
+            return { value: now + parseInt(relative[1], 10) * DURATION_UNITS[relative[2]] };
+        }
+        const ms = typeof raw === 'string' ? Date.parse(raw) : NaN;
+        if (isNaN(ms) || !/^\d{4}-\d{2}-\d{2}T/.test(raw)) {
+            return { problem: `must be an ISO date such as "2026-01-15T12:00:00Z" or "+1d", got ${JSON.stringify(raw)}` };
+        }
+        return { value: Math.floor(ms / 1000) };
+    }
+    case 'address': {
+        const address = typeof raw === 'object' && raw !== null ? raw : { value: raw };
+        if ('env' in address && (typeof address.env !== 'string' || address.env === '')) {
+            return { problem: 'env must name an environment variable' };
+        }
+        // With env the default is optional, without it the value is required
+        const fixed = 'env' in address ? address.default : address.value;
+        const valid = fixed === 'deployer' || (typeof fixed === 'string' && /^0x[0-9a-fA-F]{40}$/.test(fixed));
+        if (!valid && !('env' in address && fixed === undefined)) {
+            return { problem: `must be "deployer", a 0x address or { "env": ... }, got ${JSON.stringify(raw)}` };
+        }
+        return { value: address };
+    }
+    default:
+        return { problem: `has unknown type ${spec.type}` };
+    }
+}
+
+/**
+ * @dev Reads a profile, following "extends" (later profiles override earlier sections field by field)
+ * @param name Profile name, the file <dir>/<name>.json
+ * @param dir Directory of the profiles, scripts/params by default
+ * @return The merged raw profile
+ */
+function readProfile(name, dir = PARAMS_DIR, seen = []) {
+    const file = path.join(dir, `${name}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No parameter profile ${name} (${file})`);
+    }
+    if (seen.includes(name)) {
+        throw new Error(`Parameter profiles extend each other in a loop: ${[...seen, name].join(' -> ')}`);
+    }
+
+    // "description" documents the profile and is not a section
+    const { extends: parent, description, ...own } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const base = parent ? readProfile(parent, dir, [...seen, name]) : {};
+    const merged = { ...base };
+    Object.entries(own).forEach(([section, values]) => {
+        merged[section] = { ...(base[section] || {}), ...values };
+    });
+    return merged;
+}
+
+/**
+ * @dev Checks a raw profile against SCHEMA and RULES
+ * @param profile Raw profile from readProfile
+ * @param options.sections Sections to check, all by default
+ * @param options.now Unix time that relative and future times refer to
+ * @param options.checkFuture Report times that are not in the future (default true)
+ * @return { values, problems } where values holds the parsed sections
+ */
+function validateProfile(profile, { sections = Object.keys(SCHEMA), now = Math.floor(Date.now() / 1000), checkFuture = true } = {}) {
+    const problems = [];
+    const values = {};
+
+    Object.keys(profile).filter(section => !SCHEMA[section]).forEach(section => {
+        problems.push(`unknown section ${section}`);
+    });
+
+    sections.forEach(section => {
+        const raw = profile[section] || {};
+        values[section] = {};
+        Object.keys(raw).filter(field => !SCHEMA[section][field]).forEach(field => {
+            problems.push(`${section}.${field} is not a known parameter`);
+        });
+
+        Object.entries(SCHEMA[section]).forEach(([field, spec]) => {
+            if (raw[field] === undefined) {
+                problems.push(`${section}.${field} is missing`);
+                return;
+            }
+            const parsed = parseField(spec, raw[field], now);
+            if (parsed.problem) {
+                problems.push(`${section}.${field} ${parsed.problem}`);
+                return;
+            }
+            if (checkFuture && spec.future && parsed.value <= now) {
+                problems.push(`${section}.${field} (${new Date(parsed.value * 1000).toISOString()}) is not in the future`);
+            }
+            values[section][field] = parsed.value;
+        });
+
+    });
+
+    // Rules only run on sections whose fields all parsed
+    const complete = section => values[section] && Object.keys(SCHEMA[section]).every(field => values[section][field] !== undefined);
+    RULES.filter(rule => sections.includes(rule.section)).forEach(rule => {
+        if (rule.with && !sections.includes(rule.with)) return;
+        if (complete(rule.section) && (!rule.with || complete(rule.with)) && !rule.check(values[rule.section], values[rule.with])) {
+            problems.push(`${rule.section}: ${rule.message}`);
+        }
+    });
+
+    return { values, problems };
+}
+
+// Resolves an address spec from the profile to an address
+function resolveAddress(spec, deployer, label) {
+    if ('env' in spec) {
+        const fromEnv = process.env[spec.env];
+        if (fromEnv) return fromEnv;
+        if (spec.default === undefined) {
+            throw new Error(`${label}: ${spec.env} is not set and the profile gives no default`);
+        }
+        return spec.default === 'deployer' ? deployer : spec.default;
+    }
+    return spec.value === 'deployer' ? deployer : spec.value;
+}
+
+// Profile of a network: PARAMS_PROFILE, or the network's own name
+function profileName(network) {
+    return process.env.PARAMS_PROFILE || network;
+}
+
+/**
+ * @dev Loads one section of the active profile, validated and ready to pass to a contract.
+ * Times are not required to lie in the future here, a resumed deployment may load a
+ * profile whose sale already started; see assertFuture.
+ * @param network Hardhat network name
+ * @param section Section of SCHEMA
+ * @param deployer Address standing in for "deployer"
+ * @return Parsed values: prices and token amounts as bigint, addresses resolved
+ */
+function loadParams(network, section, deployer) {
+    const name = profileName(network);
+    const { values, problems } = validateProfile(readProfile(name), { sections: [section], checkFuture: false });
+    if (problems.length > 0) {
+        throw new Error(`Invalid parameter profile ${name}:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    const resolved = { ...values[section] };
+    Object.entries(SCHEMA[section])
+        .filter(([, spec]) => spec.type === 'address')
+        .forEach(([field]) => { resolved[field] = resolveAddress(resolved[field], deployer, `${name} ${section}.${field}`); });
+    console.log(`Using ${section} parameters from profile ${name}`);
+    return resolved;
+}
+
+// Refuses a time that has already passed, just before it is written on-chain
+function assertFuture(timestamp, label) {
+    if (timestamp <= Math.floor(Date.now() / 1000)) {
+        throw new Error(`${label} (${new Date(timestamp * 1000).toISOString()}) is in the past, update the parameter profile`);
+    }
+}
+
+module.exports = {
+    PARAMS_DIR,
+    SCHEMA,
+    readProfile,
+    validateProfile,
+    profileName,
+    parseDecimal,
+    parseDuration,
+    loadParams,
+    assertFuture
+};
@@ -0,0 +1,278 @@
+// scripts/lib/roles.js - Role holder reconstruction from AccessControl events and role handover planning
+const fs = require('fs');
+const path = require('path');
+const deployments = require('./deployments');
+const { registryName, sameAddress } = require('./deploy-helpers');
+
+const DEFAULT_ROLE_POLICY_PATH = path.join(__dirname, '..', 'role-policy.json');
+
+const DEFAULT_ADMIN_ROLE = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+// Role names from Constants.sol
+const ROLE_NAMES = [
+    'ADMIN_ROLE',
+    'VERIFIER_ROLE',
+    'EMERGENCY_ROLE',
+    'MANAGER_ROLE',
+    'UPGRADER_ROLE',
+    'PAUSER_ROLE',
+    'MINTER_ROLE',
+    'BURNER_ROLE',
+    'RECORDER_ROLE',
+    'ORACLE_ROLE',
+    'CREATOR_ROLE'
+];
+
+// Only what is needed to read and change role membership of any AccessControl contract
+const ACCESS_CONTROL_ABI = [
+    'event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)',
+    'event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)',
+    'function hasRole(bytes32 role, address account) view returns (bool)',
+    'function getRoleAdmin(bytes32 role) view returns (bytes32)',
+    'function getRoleMemberCount(bytes32 role) view returns (uint256)',
+    'function grantRole(bytes32 role, address account)',
+    'function revokeRole(bytes32 role, address account)'
+];
+
+// Block range per eth_getLogs call, public RPCs reject large ranges
+const LOG_CHUNK_SIZE = parseInt(process.env.LOG_CHUNK_SIZE || '10000', 10);
+
+// Hash of a role name, DEFAULT_ADMIN_ROLE is the zero hash
+function roleHash(name) {
+    return name === 'DEFAULT_ADMIN_ROLE' ? DEFAULT_ADMIN_ROLE : registryName(name);
+}
+
+// Readable name of a role hash, or the hash itself for roles not in Constants.sol
+function roleName(hash) {
+    if (hash === DEFAULT_ADMIN_ROLE) return 'DEFAULT_ADMIN_ROLE';
+    return ROLE_NAMES.find(name => roleHash(name) === hash) || hash;
+}
+
+/**
+ * @dev Reads and validates a role policy
+ * @param file Path of the policy JSON file
+ * @return { holders, roles, contracts, revokeFromDeployer }
+ */
+function loadRolePolicy(file = DEFAULT_ROLE_POLICY_PATH) {
+    const policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const problems = [];
+    const holders = policy.holders || {};
+    const knownRoles = ['DEFAULT_ADMIN_ROLE', ...ROLE_NAMES];
+
+    Object.entries(holders).forEach(([alias, holder]) => {
+        if (alias === 'deployer') {
+            problems.push('"deployer" is reserved for the signer running the script');
+        }
+        const sources = ['env', 'contract', 'address'].filter(source => holder[source]);
+        if (sources.length !== 1) {
+            problems.push(`Holder ${alias} needs exactly one of env, contract or address`);
+        }
+        if (holder.optional !== undefined && (typeof holder.optional !== 'boolean' || !holder.env)) {
+            problems.push(`Holder ${alias}: optional must be true or false and only applies to env holders`);
+        }
+    });
+
+    const checkAssignments = (scope, assignments) => {
+        Object.entries(assignments).forEach(([role, aliases]) => {
+            if (!knownRoles.includes(role)) {
+                problems.push(`${scope}: unknown role ${role}`);
+            }
+            if (!Array.isArray(aliases) || aliases.length === 0) {
+                problems.push(`${scope}: ${role} needs a non-empty list of holders`);
+                return;
+            }
+            aliases.filter(alias => alias !== 'deployer' && !holders[alias]).forEach(alias => {
+                problems.push(`${scope}: ${role} names undeclared holder ${alias}`);
+            });
+        });
+    };
+    checkAssignments('roles', policy.roles || {});
+    Object.entries(policy.contracts || {}).forEach(([name, assignments]) => checkAssignments(name, assignments));
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid role policy ${file}:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    return {
+        holders,
+        roles: policy.roles || {},
+        contracts: policy.contracts || {},
+        revokeFromDeployer: policy.revokeFromDeployer !== false
+    };
+}
+
+/**
+ * @dev Turns the policy's holder aliases into addresses. An optional env holder whose variable
+ * is unset is left out with a warning, and planRoleHandover leaves its roles alone.
+ * @param policy Loaded role policy
+ * @param network Hardhat network name, for holders given as a recorded contract
+ * @param deployer Address of the signer, available as "deployer"
+ * @param options.warn Receives the warnings about left out holders (default console.warn)
+ * @return Map of alias to address; throws if a required holder cannot be resolved
+ */
+function resolvePolicyHolders(policy, network, deployer, { warn = console.warn } = {}) {
+    const resolved = { deployer };
+    Object.entries(policy.holders).forEach(([alias, holder]) => {
+        let address = null;
+        if (holder.env) {
+            address = process.env[holder.env] || null;
+            if (!address && holder.optional) {
+                warn(`Holder ${alias} left out: ${holder.env} is not set, its roles are not changed`);
+                return;
+            }
+            if (!address) throw new Error(`Holder ${alias}: ${holder.env} is not set`);
+        } else if (holder.contract) {
+            address = deployments.getAddress(network, holder.contract);
+            if (!address) throw new Error(`Holder ${alias}: no deployment record for ${holder.contract} on ${network}`);
+        } else {
+            address = holder.address;
+        }
+        resolved[alias] = address;
+    });
+    return resolved;
+}
+
+async function queryLogsInChunks(contract, filter, fromBlock, toBlock) {
+    const events = [];
+    for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_SIZE) {
+        const end = Math.min(start + LOG_CHUNK_SIZE - 1, toBlock);
+        events.push(...await contract.queryFilter(filter, start, end));
+    }
+    return events;
+}
+
+/**
+ * @dev Rebuilds the current holders of every role of a contract by replaying its
+ * RoleGranted/RoleRevoked events, then confirms each holder with hasRole
+ * @param address Contract address
+ * @param fromBlock First block to scan, normally the deployment block
+ * @return { roles: { roleHash: [holders] }, mismatches } where mismatches lists roles whose
+ * getRoleMemberCount disagrees with the events (e.g. logs pruned by the RPC)
+ */
+async function collectRoleHolders(address, fromBlock = 0) {
+    const { ethers } = require('hardhat');
+    const contract = new ethers.Contract(address, ACCESS_CONTROL_ABI, ethers.provider);
+    const toBlock = await ethers.provider.getBlockNumber();
+
+    const events = [
+        ...await queryLogsInChunks(contract, contract.filters.RoleGranted(), fromBlock, toBlock),
+        ...await queryLogsInChunks(contract, contract.filters.RoleRevoked(), fromBlock, toBlock)
+    ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const members = {};
+    events.forEach(event => {
+        const [role, account] = event.args;
+        members[role] = members[role] || new Set();
+        if (event.fragment.name === 'RoleGranted') {
+            members[role].add(ethers.getAddress(account));
+        } else {
+            members[role].delete(ethers.getAddress(account));
+        }
+    });
+
+    const roles = {};
+    const mismatches = [];
+    for (const [role, accounts] of Object.entries(members)) {
+        const holders = [];
+        for (const account of accounts) {
+            if (await contract.hasRole(role, account)) holders.push(account);
+        }
+        roles[role] = holders;
+
+        const count = await contract.getRoleMemberCount(role).catch(() => null);
+        if (count !== null && Number(count) !== holders.length) {
+            mismatches.push({ role, fromEvents: holders.length, onChain: Number(count) });
+        }
+    }
+    return { roles, mismatches };
+}
+
+/**
+ * @dev Works out the grants and revokes that bring a contract in line with the policy.
+ * Grants come first; revokes of admin roles come last so the signer keeps the
+ * rights it needs until the end.
+ * @param name Contract name
+ * @param roles Current holders per role hash, from collectRoleHolders
+ * @param policy Loaded role policy
+ * @param holders Resolved holder addresses, from resolvePolicyHolders
+ * @return { actions, after, warnings } where after holds the holders once the actions ran
+ */
+function planRoleHandover(name, roles, policy, holders) {
+    const targets = { ...policy.roles, ...(policy.contracts[name] || {}) };
+    // Roles whose holders were all left out by resolvePolicyHolders stay as they are, deployer included
+    const unresolved = Object.keys(targets).filter(role => targets[role].every(alias => !holders[alias]));
+    const after = {};
+    Object.entries(roles).forEach(([role, accounts]) => { after[role] = [...accounts]; });
+
+    const grants = [];
+    const revokes = [];
+    const warnings = [];
+
+    // Only roles the contract actually uses are handed over
+    Object.entries(targets).forEach(([role, aliases]) => {
+        const hash = roleHash(role);
+        if (!after[hash] || unresolved.includes(role)) return;
+
+        aliases.filter(alias => holders[alias]).forEach(alias => {
+            const account = holders[alias];
+            if (!after[hash].some(holder => sameAddress(holder, account))) {
+                grants.push({ contract: name, action: 'grant', role, roleHash: hash, account, holder: alias });
+                after[hash].push(account);
+            }
+        });
+    });
+
+    if (policy.revokeFromDeployer) {
+        Object.entries(after).forEach(([hash, accounts]) => {
+            const role = roleName(hash);
+            const keep = (targets[role] || []).includes('deployer') || unresolved.includes(role);
+            if (keep || !accounts.some(holder => sameAddress(holder, holders.deployer))) return;
+
+            if (!targets[role]) {
+                warnings.push(`${name}: ${role} is not covered by the policy, revoking it from the deployer leaves ` +
+                    `${accounts.length - 1} holder(s)`);
+            }
+            revokes.push({ contract: name, action: 'revoke', role, roleHash: hash, account: holders.deployer, holder: 'deployer' });
+            after[hash] = accounts.filter(holder => !sameAddress(holder, holders.deployer));
+        });
+    }
+
+    const adminLast = ['ADMIN_ROLE', 'DEFAULT_ADMIN_ROLE'];
+    revokes.sort((a, b) => adminLast.indexOf(a.role) - adminLast.indexOf(b.role));
+
+    return { actions: [...grants, ...revokes], after, warnings };
+}
+
+/**
+ * @dev Lists the admin roles a contract would be left without
+ * @param name Contract name
+ * @param before Holders per role hash before the handover
+ * @param after Holders per role hash after the handover
+ * @param roleAdmins Admin role hash of every role hash, from getRoleAdmin
+ * @return Array of problem descriptions, empty when every role stays administrable
+ */
+function findOrphanedAdmins(name, before, after, roleAdmins) {
+    const required = new Set([DEFAULT_ADMIN_ROLE, ...Object.values(roleAdmins)]);
+    if (before[roleHash('ADMIN_ROLE')]) {
+        required.add(roleHash('ADMIN_ROLE'));
+    }
+
+    return [...required]
+        .filter(hash => !after[hash] || after[hash].length === 0)
+        .map(hash => `${name} would be left without any ${roleName(hash)} holder`);
+}
+
+module.exports = {
+    DEFAULT_ROLE_POLICY_PATH,
+    DEFAULT_ADMIN_ROLE,
+    ROLE_NAMES,
+    ACCESS_CONTROL_ABI,
+    roleHash,
+    roleName,
+    queryLogsInChunks,
+    loadRolePolicy,
+    resolvePolicyHolders,
+    collectRoleHolders,
+    planRoleHandover,
+    findOrphanedAdmins
+};
@@ -0,0 +1,253 @@
+// scripts/lib/run-options.js - Command line and config file options for running the deployment sequence headless
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+const DEPLOY_MODES = ['resume', 'fresh'];
+const ON_ERROR_POLICIES = ['fail-fast', 'continue'];
+const ADMIN_MODES = ['send', 'safe'];
+
+// Exit codes of a headless run
+const EXIT_SUCCESS = 0;
+const EXIT_DEPLOYMENT_FAILED = 1;
+const EXIT_INVALID_OPTIONS = 2;
+
+const DEFAULT_OPTIONS = {
+    network: 'localhost',
+    mode: 'resume',
+    from: null,
+    to: null,
+    onError: 'fail-fast',
+    admin: 'send',
+    archiveRecords: false,
+    startNode: false,
+    dryRun: false,
+    summary: null,
+    json: false
+};
+
+const USAGE = `Usage: node scripts/sequential-deploy.js [options]
+
+Without options the deployment runs interactively. Any option runs it headless.
+
+  --ci                     Run headless with the defaults below
+  --config <file>          Read options from a JSON file (keys as below, in camelCase)
+  --network <name>         Hardhat network to deploy to (default: localhost)
+  --mode <resume|fresh>    Reuse live contracts or redeploy everything (default: resume)
+  --from <step>            First step to run, by number or component name (default: first)
+  --to <step>              Last step to run, by number or component name (default: last)
+  --on-error <policy>      fail-fast stops at the first failure, continue runs the
+                           remaining steps whose dependencies are met (default: fail-fast)
+  --admin <send|safe>      Send admin calls from the deployer, or queue them into a Safe
+                           Transaction Builder batch for MULTISIG_ADDRESS (default: send)
+  --archive-records        Archive existing deployment records and clear .env address overrides first
+  --start-node             Start a local Hardhat node for the run (localhost only) and
+                           archive the localhost records, which the new chain makes stale
+  --dry-run                Run the selected steps against an in-process fork of the
+                           network and print the plan; nothing is broadcast
+  --summary <file>         Write the JSON summary to this file (default: a new file under
+                           deployments/run-summaries/)
+  --json                   Print the JSON summary on stdout and send all other output,
+                           including that of the deploy scripts, to stderr
+  --help                   Show this help
+
+Command line options override the config file.
+Exit codes: 0 every step succeeded, 1 a step failed or was blocked, 2 invalid options,
+config file or manifest.`;
+
+// Raised for invalid flags or config files; the runner exits with EXIT_INVALID_OPTIONS
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * @dev Parses the runner's command line
+ * @param argv Arguments after the script name
+ * @return { help, ci, config, options } where options only holds flags that were given
+ */
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            strict: true,
+            options: {
+                'ci': { type: 'boolean' },
+                'config': { type: 'string' },
+                'network': { type: 'string' },
+                'mode': { type: 'string' },
+                'from': { type: 'string' },
+                'to': { type: 'string' },
+                'on-error': { type: 'string' },
+                'admin': { type: 'string' },
+                'archive-records': { type: 'boolean' },
+                'start-node': { type: 'boolean' },
+                'dry-run': { type: 'boolean' },
+                'summary': { type: 'string' },
+                'json': { type: 'boolean' },
+                'help': { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values } = parsed;
+    const options = {};
+    const flagToOption = {
+        'network': 'network',
+        'mode': 'mode',
+        'from': 'from',
+        'to': 'to',
+        'on-error': 'onError',
+        'admin': 'admin',
+        'archive-records': 'archiveRecords',
+        'start-node': 'startNode',
+        'dry-run': 'dryRun',
+        'summary': 'summary',
+        'json': 'json'
+    };
+    Object.entries(flagToOption).forEach(([flag, option]) => {
+        if (values[flag] !== undefined) {
+            options[option] = values[flag];
+        }
+    });
+
+    return {
+        help: !!values.help,
+        ci: !!values.ci,
+        config: values.config || null,
+        options
+    };
+}
+
+/**
+ * @dev Reads a JSON run config, e.g. { "network": "localhost", "onError": "continue" }
+ * @param file Path of the config file
+ * @return The options it sets
+ */
+function loadRunConfig(file) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Cannot read config file ${file}: ${error.message}`);
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new UsageError(`Config file ${file} must contain a JSON object`);
+    }
+    const unknown = Object.keys(config).filter(key => !(key in DEFAULT_OPTIONS));
+    if (unknown.length > 0) {
+        throw new UsageError(`Unknown option(s) in ${file}: ${unknown.join(', ')}`);
+    }
+    return config;
+}
+
+/**
+ * @dev Turns a step given by number (1-based) or component name into an index
+ * @param step The step as given, or null for the default
+ * @param sequence Components in deployment order
+ * @param fallback Index to use when no step is given
+ * @param label Flag name used in error messages
+ */
+function resolveStep(step, sequence, fallback, label) {
+    if (step === null || step === undefined || step === '') {
+        return fallback;
+    }
+
+    const text = String(step);
+    if (/^\d+$/.test(text)) {
+        const number = parseInt(text, 10);
+        if (number < 1 || number > sequence.length) {
+            throw new UsageError(`--${label} ${text} is out of range (1-${sequence.length})`);
+        }
+        return number - 1;
+    }
+
+    const index = sequence.findIndex(component => component.name === text);
+    if (index === -1) {
+        throw new UsageError(`--${label} ${text} is not a step of the deployment manifest`);
+    }
+    return index;
+}
+
+/**
+ * @dev Resolves the options of a run from the command line and an optional config file
+ * @param argv Arguments after the script name
+ * @param sequence Components in deployment order
+ * @return { interactive, help } or the full option set with fromIndex and toIndex
+ */
+function resolveRunOptions(argv, sequence) {
+    const commandLine = parseCommandLine(argv);
+    if (commandLine.help) {
+        return { help: true, interactive: false };
+    }
+
+    const headless = commandLine.ci || !!commandLine.config || Object.keys(commandLine.options).length > 0;
+    if (!headless) {
+        return { help: false, interactive: true };
+    }
+
+    const fromConfig = commandLine.config ? loadRunConfig(commandLine.config) : {};
+    const options = { ...DEFAULT_OPTIONS, ...fromConfig, ...commandLine.options };
+
+    if (typeof options.network !== 'string' || options.network === '') {
+        throw new UsageError('network must be a non-empty string');
+    }
+    if (!DEPLOY_MODES.includes(options.mode)) {
+        throw new UsageError(`mode must be one of ${DEPLOY_MODES.join(', ')}, got "${options.mode}"`);
+    }
+    if (!ON_ERROR_POLICIES.includes(options.onError)) {
+        throw new UsageError(`on-error must be one of ${ON_ERROR_POLICIES.join(', ')}, got "${options.onError}"`);
+    }
+    if (!ADMIN_MODES.includes(options.admin)) {
+        throw new UsageError(`admin must be one of ${ADMIN_MODES.join(', ')}, got "${options.admin}"`);
+    }
+    if (options.startNode && options.network !== 'localhost') {
+        throw new UsageError('--start-node only works with the localhost network');
+    }
+    if (options.dryRun && options.archiveRecords) {
+        throw new UsageError('--dry-run never touches the deployment records, drop --archive-records');
+    }
+    if (options.dryRun && options.admin === 'safe') {
+        throw new UsageError('--dry-run plans direct sends; simulate a Safe batch with scripts/simulate-safe-batch.js');
+    }
+    if (options.dryRun && options.json) {
+        throw new UsageError('--dry-run prints its plan, write it as JSON with --summary <file>');
+    }
+
+    const fromIndex = resolveStep(options.from, sequence, 0, 'from');
+    const toIndex = resolveStep(options.to, sequence, sequence.length - 1, 'to');
+    if (fromIndex > toIndex) {
+        throw new UsageError(`--from ${sequence[fromIndex].name} comes after --to ${sequence[toIndex].name}`);
+    }
+
+    return {
+        ...options,
+        help: false,
+        interactive: false,
+        archiveRecords: !!options.archiveRecords,
+        startNode: !!options.startNode,
+        dryRun: !!options.dryRun,
+        json: !!options.json,
+        fromIndex,
+        toIndex
+    };
+}
+
+module.exports = {
+    DEPLOY_MODES,
+    ON_ERROR_POLICIES,
+    ADMIN_MODES,
+    EXIT_SUCCESS,
+    EXIT_DEPLOYMENT_FAILED,
+    EXIT_INVALID_OPTIONS,
+    USAGE,
+    UsageError,
+    parseCommandLine,
+    loadRunConfig,
+    resolveRunOptions
+};
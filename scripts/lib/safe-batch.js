@@ -0,0 +1,233 @@
+// scripts/lib/safe-batch.js - Queues admin calls into a Safe Transaction Builder batch instead of sending them
+const fs = require('fs');
+const path = require('path');
+const deployments = require('./deployments');
+const { loadManifest } = require('./manifest');
+
+// Version of the Transaction Builder file format the batches follow
+const TX_BUILDER_VERSION = '1.16.5';
+
+// Thrown in place of sending an admin call once it is queued; the deploy helpers report the step as queued
+class QueuedCall extends Error {
+    constructor(call) {
+        super(`Queued for the Safe: ${call.description}`);
+        this.name = 'QueuedCall';
+        this.call = call;
+    }
+}
+
+// "send" (default) sends admin calls from the deployer, "safe" queues them for MULTISIG_ADDRESS
+function adminMode() {
+    return (process.env.ADMIN_MODE || 'send').toLowerCase();
+}
+
+// Batch file of a network; SAFE_BATCH overrides it
+function batchPath(network) {
+    return process.env.SAFE_BATCH || path.join(deployments.DEPLOYMENTS_DIR, 'safe-batches', `${network}.json`);
+}
+
+function readBatch(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Argument in the string form the Transaction Builder expects (arrays and tuples as JSON)
+function builderValue(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (Array.isArray(value)) return JSON.stringify(Array.from(value), (key, item) => typeof item === 'bigint' ? item.toString() : item);
+    return String(value);
+}
+
+/**
+ * @dev Decodes a call against the recorded contracts of a network
+ * @param network Hardhat network name whose records name the target
+ * @param tx { to, data, value }
+ * @param interfaces Cache of contract interfaces by factory name
+ * @return { contract, method, fragment, args, description }, with contract, method and
+ * fragment null for a target or selector that is not known
+ */
+async function decodeCall(network, tx, interfaces = {}) {
+    const { ethers } = require('hardhat');
+    const manifest = loadManifest();
+    const records = deployments.readDeployments(network).contracts;
+    const owner = Object.keys(records).find(name => records[name].address.toLowerCase() === tx.to.toLowerCase());
+    if (!owner) {
+        return { contract: null, method: null, fragment: null, args: [], description: `Call to ${tx.to}` };
+    }
+
+    const factoryName = (manifest.addresses[owner] || {}).contract || owner;
+    if (!interfaces[factoryName]) {
+        interfaces[factoryName] = (await ethers.getContractFactory(factoryName)).interface;
+    }
+    const parsed = interfaces[factoryName].parseTransaction({ data: tx.data, value: tx.value || 0 });
+    if (!parsed) {
+        return { contract: owner, method: null, fragment: null, args: [], description: `Call to ${owner} (${tx.data.slice(0, 10)})` };
+    }
+    const args = Array.from(parsed.args);
+    return {
+        contract: owner,
+        method: parsed.name,
+        fragment: parsed.fragment,
+        args,
+        description: `${owner}.${parsed.name}(${args.map(builderValue).join(', ')})`
+    };
+}
+
+// One entry of the batch's transactions, decoded so the Transaction Builder shows method and arguments
+function builderTransaction(tx, decoded) {
+    const entry = { to: tx.to, value: (tx.value || 0).toString(), data: tx.data, contractMethod: null, contractInputsValues: null };
+    if (decoded.fragment) {
+        const inputs = decoded.fragment.inputs.map((input, i) => ({ internalType: input.type, name: input.name || `arg${i}`, type: input.type }));
+        entry.contractMethod = { inputs, name: decoded.method, payable: decoded.fragment.payable };
+        entry.contractInputsValues = {};
+        inputs.forEach((input, i) => { entry.contractInputsValues[input.name] = builderValue(decoded.args[i]); });
+    }
+    return entry;
+}
+
+/**
+ * @dev Appends a call to the network's batch file, creating it if needed. A call already in
+ * the batch (same target and calldata) is not added twice, so re-running a script is safe.
+ * @param network Hardhat network name
+ * @param tx { to, data, value }
+ * @param description What the call does, e.g. the deployment step that wanted it
+ * @return { file, added, index, description }
+ */
+async function queueCall(network, tx, description) {
+    const { ethers } = require('hardhat');
+    const safeAddress = process.env.MULTISIG_ADDRESS;
+    if (!safeAddress) {
+        throw new Error('ADMIN_MODE=safe needs MULTISIG_ADDRESS, the Safe that will execute the batch');
+    }
+
+    const file = batchPath(network);
+    const { chainId } = await ethers.provider.getNetwork();
+    const batch = fs.existsSync(file) ? readBatch(file) : {
+        version: '1.0',
+        chainId: chainId.toString(),
+        createdAt: Date.now(),
+        meta: {
+            name: `Admin configuration on ${network}`,
+            description: '',
+            txBuilderVersion: TX_BUILDER_VERSION,
+            createdFromSafeAddress: safeAddress,
+            createdFromOwnerAddress: ''
+        },
+        transactions: []
+    };
+    if (batch.meta.createdFromSafeAddress.toLowerCase() !== safeAddress.toLowerCase()) {
+        throw new Error(`${file} is a batch for Safe ${batch.meta.createdFromSafeAddress}, not ${safeAddress}; move it away first`);
+    }
+
+    const decoded = await decodeCall(network, tx);
+    const label = description ? `${description}: ${decoded.description}` : decoded.description;
+    const index = batch.transactions.findIndex(entry =>
+        entry.to.toLowerCase() === tx.to.toLowerCase() && entry.data === tx.data);
+    if (index !== -1) {
+        return { file, added: false, index, description: label };
+    }
+
+    // The builder shows the meta description to signers, one numbered line per call
+    batch.transactions.push(builderTransaction(tx, decoded));
+    batch.meta.description = [batch.meta.description, `${batch.transactions.length}. ${label}`].filter(Boolean).join('\n');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(batch, null, 2) + '\n');
+    return { file, added: true, index: batch.transactions.length - 1, description: label };
+}
+
+let currentStep = null;
+
+const ADMIN_ABI = [
+    'function hasRole(bytes32 role, address account) view returns (bool)',
+    'function owner() view returns (address)'
+];
+
+/**
+ * @dev Whether an account administers a contract: holds DEFAULT_ADMIN_ROLE or ADMIN_ROLE, or is
+ * the owner of a contract without roles
+ * @param to Contract address
+ * @param account Account to check
+ * @return true or false, or null for a contract with neither roles nor an owner
+ */
+async function isAdmin(to, account) {
+    const { ethers } = require('hardhat');
+    const contract = new ethers.Contract(to, ADMIN_ABI, ethers.provider);
+    try {
+        for (const role of [ethers.ZeroHash, ethers.id('ADMIN_ROLE')]) {
+            if (await contract.hasRole(role, account)) return true;
+        }
+        return false;
+    } catch (error) {
+        // Not an AccessControl contract
+    }
+    try {
+        return (await contract.owner()).toLowerCase() === account.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * @dev Runs a send callback, naming the calls it queues after the step
+ * @param description Step description
+ * @param send Callback sending the transaction
+ */
+async function withStepDescription(description, send) {
+    currentStep = description;
+    try {
+        return await send();
+    } finally {
+        currentStep = null;
+    }
+}
+
+/**
+ * @dev Makes the first signer queue every call to a contract into the batch (throwing
+ * QueuedCall) while still sending deployments, which the deployer pays for. Contracts
+ * attached after this point, through getContractFactory, pick up the queueing signer.
+ * Contracts whose initializer gave the admin roles to the deployer, such as those deployed in
+ * the same run, do not accept calls from the Safe yet; their calls are sent from the deployer.
+ * @param network Hardhat network name
+ */
+function installBatchSigner(network) {
+    const { ethers } = require('hardhat');
+    if (ethers.getSigners.queuesToSafe) return;
+
+    const getSigners = ethers.getSigners;
+    const queueing = signer => new Proxy(signer, {
+        get(target, property) {
+            if (property === 'sendTransaction') {
+                return async tx => {
+                    if (!tx.to) return target.sendTransaction(tx);
+                    const to = typeof tx.to === 'string' ? tx.to : await tx.to.getAddress();
+                    const safeAddress = process.env.MULTISIG_ADDRESS;
+                    if (safeAddress && (await isAdmin(to, safeAddress)) === false && await isAdmin(to, await target.getAddress())) {
+                        console.log(`${currentStep || `Call to ${to}`}: sent from the deployer, Safe ${safeAddress} is not an admin of ${to} yet`);
+                        return target.sendTransaction(tx);
+                    }
+                    const call = await queueCall(network, { to, data: tx.data || '0x', value: tx.value || 0n }, currentStep);
+                    throw new QueuedCall(call);
+                };
+            }
+            const value = Reflect.get(target, property);
+            return typeof value === 'function' ? value.bind(target) : value;
+        }
+    });
+
+    ethers.getSigners = async () => {
+        const [first, ...rest] = await getSigners();
+        return [queueing(first), ...rest];
+    };
+    ethers.getSigners.queuesToSafe = true;
+}
+
+module.exports = {
+    TX_BUILDER_VERSION,
+    QueuedCall,
+    adminMode,
+    batchPath,
+    readBatch,
+    decodeCall,
+    queueCall,
+    withStepDescription,
+    installBatchSigner
+};
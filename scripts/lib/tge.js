@@ -0,0 +1,220 @@
+// scripts/lib/tge.js - TokenCrowdSale TGE preflight checks and the per-buyer claim and refund report
+const { roleHash, queryLogsInChunks } = require('./roles');
+const { sameAddress } = require('./deploy-helpers');
+
+// EmergencyManager.EmergencyState, in declaration order
+const EMERGENCY_STATES = ['NORMAL', 'MINOR_EMERGENCY', 'CRITICAL_EMERGENCY'];
+
+// The crowdsale's ITokenPriceFeed; claimRefund pays in the first supported payment token
+const PRICE_FEED_ABI = [
+    'function getSupportedPaymentTokens() view returns (address[])',
+    'function convertUsdToToken(address token, uint256 usdAmount) view returns (uint256)'
+];
+const ERC20_ABI = [
+    'function balanceOf(address account) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)'
+];
+
+/**
+ * @dev Buyers of the sale from its PurchaseWithToken events, with the refunds already claimed
+ * @param crowdsale Attached TokenCrowdSale
+ * @param fromBlock First block to scan, usually the crowdsale's deployment block
+ * @param toBlock Last block to scan
+ * @return { buyers, purchasedTokens, refunds, swept } where buyers are checksummed addresses in
+ * order of their first purchase, purchasedTokens the base tokens (without bonus) the events
+ * record, refunds maps buyer to its RefundIssued arguments and swept lists TokenSwept amounts
+ */
+async function readSaleEvents(crowdsale, fromBlock, toBlock) {
+    const buyers = [];
+    let purchasedTokens = 0n;
+    for (const event of await queryLogsInChunks(crowdsale, crowdsale.filters.PurchaseWithToken(), fromBlock, toBlock)) {
+        if (!buyers.includes(event.args.buyer)) buyers.push(event.args.buyer);
+        purchasedTokens += event.args.tokenAmount;
+    }
+
+    const refunds = {};
+    for (const event of await queryLogsInChunks(crowdsale, crowdsale.filters.RefundIssued(), fromBlock, toBlock)) {
+        refunds[event.args.user] = {
+            usdAmount: event.args.usdAmount,
+            token: event.args.token,
+            tokenAmount: event.args.tokenAmount,
+            hash: event.transactionHash
+        };
+    }
+    const swept = (await queryLogsInChunks(crowdsale, crowdsale.filters.TokenSwept(), fromBlock, toBlock))
+        .map(event => event.args.amount);
+    return { buyers, purchasedTokens, refunds, swept };
+}
+
+/**
+ * @dev Sum of tokensRemainingInTier over all tiers, which is what sweepUnallocatedTokens sends
+ * @param tierManager Attached TierManager
+ */
+async function unsoldTokens(tierManager) {
+    let unsold = 0n;
+    const tierCount = Number(await tierManager.tierCount());
+    for (let tier = 0; tier < tierCount; tier++) unsold += await tierManager.tokensRemainingInTier(tier);
+    return unsold;
+}
+
+/**
+ * @dev The token claimRefund pays in, and what it owes each buyer at the current price
+ * @param crowdsale Attached TokenCrowdSale
+ * @param buyers Buyer addresses
+ * @param runner Provider for the price feed and token reads
+ * @return { token, symbol, decimals, owed, total, balance, allowance } with owed mapping buyer to
+ * the refund amount, or { error } when the price feed cannot quote refunds
+ */
+async function refundQuote(crowdsale, buyers, runner) {
+    const { ethers } = require('hardhat');
+    const priceFeed = new ethers.Contract(await crowdsale.priceFeed(), PRICE_FEED_ABI, runner);
+    let token;
+    try {
+        [token] = await priceFeed.getSupportedPaymentTokens();
+    } catch (error) {
+        return { error: `the price feed ${await priceFeed.getAddress()} does not answer getSupportedPaymentTokens()` };
+    }
+    if (!token) return { error: 'the price feed has no supported payment token, claimRefund reverts' };
+
+    const owed = {};
+    let total = 0n;
+    for (const buyer of buyers) {
+        const { usdAmount } = await crowdsale.purchases(buyer);
+        if (usdAmount === 0n) continue;
+        try {
+            owed[buyer] = await priceFeed.convertUsdToToken(token, usdAmount);
+        } catch (error) {
+            return { error: `the price feed cannot convert USD to ${token}` };
+        }
+        total += owed[buyer];
+    }
+
+    const erc20 = new ethers.Contract(token, ERC20_ABI, runner);
+    const treasury = await crowdsale.treasury();
+    return {
+        token,
+        symbol: await erc20.symbol(),
+        decimals: Number(await erc20.decimals()),
+        owed,
+        total,
+        balance: await erc20.balanceOf(treasury),
+        allowance: await erc20.allowance(treasury, await crowdsale.getAddress())
+    };
+}
+
+/**
+ * @dev Checks the sale is ready for the TGE path it is about to take. Each check says which
+ * paths it blocks ('complete', 'sweep' or 'abort') and whether the runbook fixes it itself.
+ * @param contracts { crowdsale, tierManager, vesting, token, emergencyManager } attached
+ * @param context { vestingAddress, sale (from readSaleEvents), now }
+ * @return Array of { name, ok, detail, blocks, fixable }
+ */
+async function preflight({ crowdsale, tierManager, vesting, token, emergencyManager }, { vestingAddress, sale, now }) {
+    const { ethers } = require('hardhat');
+    const { formatEther } = ethers;
+    const crowdsaleAddress = await crowdsale.getAddress();
+    const checks = [];
+    const check = (name, ok, detail, blocks, fixable = false) => checks.push({ name, ok, detail, blocks, fixable });
+
+    const tgeCompleted = await crowdsale.tgeCompleted();
+    const tgeAborted = await crowdsale.tgeAborted();
+    check('TGE not aborted', !tgeAborted, tgeAborted ? 'abortTGE was called, buyers can only claim refunds' : 'sale is live',
+        ['complete', 'sweep']);
+    check('TGE not completed', !tgeCompleted, tgeCompleted ? 'completeTGE was called, the sale can no longer be aborted' : 'not completed yet',
+        ['abort']);
+
+    const presaleEnd = Number(await crowdsale.presaleEnd());
+    check('Presale ended', presaleEnd !== 0 && now > presaleEnd,
+        presaleEnd === 0 ? 'presale times are not set' : `presaleEnd ${new Date(presaleEnd * 1000).toISOString()}`, ['complete']);
+
+    // completeTGE is whenNotPaused, which reads the EmergencyManager when the registry does not answer
+    const state = Number(await emergencyManager.getEmergencyState());
+    check('Emergency state normal', state === 0, `EmergencyManager is ${EMERGENCY_STATES[state] || state}`, ['complete']);
+
+    const wired = await crowdsale.vestingContract();
+    check('Vesting contract wired', sameAddress(wired, vestingAddress),
+        sameAddress(wired, vestingAddress) ? `TokenVesting ${vestingAddress}` : `crowdsale points at ${wired}, expected ${vestingAddress}`,
+        ['complete'], true);
+    const creator = await vesting.hasRole(roleHash('CREATOR_ROLE'), crowdsaleAddress);
+    check('Crowdsale can create schedules', creator,
+        creator ? 'holds CREATOR_ROLE on TokenVesting' : 'lacks CREATOR_ROLE on TokenVesting, purchases could not have vested', []);
+
+    // Purchased tokens vest in TokenVesting; the crowdsale only holds what is left to sweep
+    let owed = 0n;
+    let baseTokens = 0n;
+    for (const buyer of sale.buyers) {
+        const [tokenAmount] = await crowdsale.getUserPurchaseDetails(buyer, ethers.ZeroAddress);
+        owed += tokenAmount;
+        baseTokens += (await crowdsale.purchases(buyer)).tokens;
+    }
+    const vestingBalance = await token.balanceOf(vestingAddress);
+    const vested = await vesting.totalVestedTokens();
+    check('Sale tokens funded', vestingBalance >= vested && vested >= owed,
+        `TokenVesting holds ${formatEther(vestingBalance)} TEACH for ${formatEther(vested)} vested, ` +
+        `of which ${formatEther(owed)} bought in the sale (${sale.buyers.length} buyer(s))`, ['complete']);
+
+    const sold = await tierManager.totalTokensSold();
+    const refunded = Object.keys(sale.refunds).length > 0;
+    check('Tier totals match purchases', refunded || (sold === baseTokens && sold === sale.purchasedTokens),
+        `TierManager sold ${formatEther(sold)}, buyers hold ${formatEther(baseTokens)}, events record ${formatEther(sale.purchasedTokens)}` +
+        (refunded ? ' (refunds clear purchases, not tiers)' : ''), ['complete', 'sweep']);
+
+    const unsold = await unsoldTokens(tierManager);
+    const crowdsaleBalance = await token.balanceOf(crowdsaleAddress);
+    check('Unsold tokens sweepable', sale.swept.length > 0 || unsold === 0n || crowdsaleBalance >= unsold,
+        sale.swept.length > 0 ? `already swept ${sale.swept.map(formatEther).join(', ')} TEACH`
+            : `${formatEther(unsold)} TEACH unsold, the crowdsale holds ${formatEther(crowdsaleBalance)}`, ['sweep']);
+
+    if (!tgeCompleted) {
+        const quote = await refundQuote(crowdsale, sale.buyers, crowdsale.runner);
+        if (quote.error) {
+            check('Refunds payable', false, quote.error, ['abort']);
+        } else {
+            const format = amount => `${ethers.formatUnits(amount, quote.decimals)} ${quote.symbol}`;
+            check('Refunds payable', quote.balance >= quote.total && quote.allowance >= quote.total,
+                `${format(quote.total)} owed; the treasury holds ${format(quote.balance)} and allows the crowdsale ${format(quote.allowance)}`,
+                ['abort']);
+        }
+    }
+    return checks;
+}
+
+/**
+ * @dev What each buyer can claim now, or is owed as a refund once the TGE is aborted
+ * @param crowdsale Attached TokenCrowdSale
+ * @param sale Result of readSaleEvents
+ * @return { rows, refundToken } where rows are { buyer, tokens, usdAmount, scheduleId, claimable,
+ * refund, refunded }, refund set after an abort and refunded holding the RefundIssued arguments
+ * of a claimed refund; refundToken is the refundQuote, null before an abort
+ */
+async function buyerReport(crowdsale, sale) {
+    const { ethers } = require('hardhat');
+    const aborted = await crowdsale.tgeAborted();
+    const quote = aborted ? await refundQuote(crowdsale, sale.buyers, crowdsale.runner) : null;
+    const rows = [];
+    for (const buyer of sale.buyers) {
+        const [tokens, usdAmount] = await crowdsale.getUserPurchaseDetails(buyer, ethers.ZeroAddress);
+        const { vestingScheduleId } = await crowdsale.purchases(buyer);
+        rows.push({
+            buyer,
+            tokens,
+            usdAmount,
+            scheduleId: vestingScheduleId,
+            claimable: await crowdsale.claimableTokens(buyer),
+            refund: quote && !quote.error && quote.owed[buyer] !== undefined ? quote.owed[buyer] : null,
+            refunded: sale.refunds[buyer] || null
+        });
+    }
+    return { rows, refundToken: quote && !quote.error ? quote : null };
+}
+
+module.exports = {
+    EMERGENCY_STATES,
+    readSaleEvents,
+    unsoldTokens,
+    refundQuote,
+    preflight,
+    buyerReport
+};
@@ -0,0 +1,137 @@
+// scripts/lib/tiers.js - TierManager presale calendar from the parameter profile, and per-tier sale snapshots
+const PRICE_DECIMALS = 6;
+
+/**
+ * @dev Turns the presaleTiers profile section into a calendar
+ * @param values Parsed presaleTiers section from loadParams
+ * @return Array of { tier, start, end } by tier id
+ */
+function tierCalendar(values) {
+    const calendar = [];
+    for (let tier = 0; values[`tier${tier}Start`] !== undefined; tier++) {
+        calendar.push({ tier, start: values[`tier${tier}Start`], end: values[`tier${tier}End`] });
+    }
+    return calendar;
+}
+
+/**
+ * @dev Checks a calendar against the presale window and the tiers TierManager has; the order
+ * of the windows is already checked with the profile
+ * @param calendar Calendar from tierCalendar
+ * @param window { presaleStart, presaleEnd } in unix seconds
+ * @param tierCount TierManager.tierCount()
+ * @return Array of problems, empty when the calendar can be applied
+ */
+function checkCalendar(calendar, { presaleStart, presaleEnd }, tierCount) {
+    const date = seconds => new Date(seconds * 1000).toISOString();
+    const problems = [];
+    if (calendar.length !== tierCount) {
+        problems.push(`the calendar has ${calendar.length} tier(s), TierManager has ${tierCount}`);
+    }
+    if (calendar.length > 0 && calendar[0].start < presaleStart) {
+        problems.push(`tier 0 starts ${date(calendar[0].start)}, before the presale opens ${date(presaleStart)}`);
+    }
+    const last = calendar[calendar.length - 1];
+    if (last && last.end > presaleEnd) {
+        problems.push(`tier ${last.tier} ends ${date(last.end)}, after the presale closes ${date(presaleEnd)}`);
+    }
+    return problems;
+}
+
+/**
+ * @dev Transactions that put a calendar on-chain, each with the check that makes it idempotent:
+ * the window (setTierTimes, which getCurrentTier follows), the deadline extendTier starts from
+ * (setTierDeadline, only for tiers that have not ended) and the status, active until the
+ * tier's window has passed
+ * @param tierManager Attached TierManager
+ * @param calendar Calendar from tierCalendar
+ * @param now Current block timestamp
+ * @return Array of { description, isDone, send } for deployment.step
+ */
+function calendarSteps(tierManager, calendar, now) {
+    const steps = [];
+    for (const { tier, start, end } of calendar) {
+        steps.push({
+            description: `Setting tier ${tier} window`,
+            isDone: async () => Number(await tierManager.tierStartTimes(tier)) === start && Number(await tierManager.tierEndTimes(tier)) === end,
+            send: () => tierManager.setTierTimes(tier, start, end)
+        });
+        if (end > now) {
+            steps.push({
+                description: `Setting tier ${tier} deadline`,
+                isDone: async () => Number(await tierManager.tierDeadlines(tier)) === end,
+                send: () => tierManager.setTierDeadline(tier, end)
+            });
+        }
+        const active = end > now;
+        steps.push({
+            description: `${active ? 'Activating' : 'Deactivating'} tier ${tier}`,
+            isDone: async () => (await tierManager.isTierActive(tier)) === active,
+            send: () => tierManager.setTierStatus(tier, active)
+        });
+    }
+    return steps;
+}
+
+/**
+ * @dev Reads the state of one tier and projects when it sells out at the average rate
+ * since its window opened
+ * @param tierManager Attached TierManager
+ * @param tier Tier id
+ * @param now Current block timestamp
+ * @return { tier, details, price, remaining, bonus, bracket, brackets, vesting, start, end,
+ * deadline, fill, projectedSellOut } where bracket is the index of the current bonus bracket
+ * and projectedSellOut is a timestamp, or null without sales or outside the window
+ */
+async function tierSnapshot(tierManager, tier, now) {
+    const details = await tierManager.getTierDetails(tier);
+    const brackets = [];
+    for (let i = 0; i < 4; i++) brackets.push(await tierManager.getTierBonus(tier, i));
+    const bonus = Number(await tierManager.getCurrentBonus(tier));
+
+    // Same bracket search as getCurrentBonus: the highest bracket whose fill threshold is reached
+    const fill = details.allocation > 0n ? Number((details.sold * 100n) / details.allocation) : 0;
+    let bracket = 0;
+    if (details.sold > 0n) {
+        for (let i = 3; i >= 0; i--) {
+            if (fill >= Number(brackets[i].fillPercentage)) {
+                bracket = i;
+                break;
+            }
+        }
+    }
+
+    const start = Number(await tierManager.tierStartTimes(tier));
+    const end = Number(await tierManager.tierEndTimes(tier));
+    const remaining = await tierManager.tokensRemainingInTier(tier);
+    let projectedSellOut = null;
+    if (start > 0 && start < now && (end === 0 || now <= end) && details.sold > 0n) {
+        const ratePerSecond = Number(details.sold) / (now - start);
+        projectedSellOut = remaining === 0n ? now : Math.round(now + Number(remaining) / ratePerSecond);
+    }
+
+    const [tgePercentage, vestingMonths] = await tierManager.getTierVestingParams(tier);
+    return {
+        tier,
+        details,
+        price: await tierManager.getTierPrice(tier),
+        remaining,
+        bonus,
+        bracket,
+        brackets,
+        vesting: { tgePercentage: Number(tgePercentage), vestingMonths: Number(vestingMonths) },
+        start,
+        end,
+        deadline: Number(await tierManager.tierDeadlines(tier)),
+        fill,
+        projectedSellOut
+    };
+}
+
+module.exports = {
+    PRICE_DECIMALS,
+    tierCalendar,
+    checkCalendar,
+    calendarSteps,
+    tierSnapshot
+};
@@ -0,0 +1,294 @@
+// scripts/lib/verification.js - Source verification of recorded deployments through an Etherscan-compatible API
+const deployments = require('./deployments');
+const { loadManifest } = require('./manifest');
+const { errorReason, sameAddress } = require('./deploy-helpers');
+
+// Etherscan's multichain endpoint; EXPLORER_API_URL points elsewhere (e.g. a local stand-in)
+const DEFAULT_EXPLORER_API_URL = 'https://api.etherscan.io/v2/api';
+
+// Networks without an explorer; verification is skipped there unless EXPLORER_API_URL is set
+const LOCAL_NETWORKS = ['hardhat', 'localhost'];
+
+const DEFAULT_BACKOFF = {
+    attempts: parseInt(process.env.VERIFY_ATTEMPTS || '8', 10),
+    initialDelayMs: parseInt(process.env.VERIFY_INITIAL_DELAY_MS || '5000', 10),
+    maxDelayMs: parseInt(process.env.VERIFY_MAX_DELAY_MS || '60000', 10)
+};
+
+// Explorer answers that mean "not yet, ask again": bytecode not indexed, job queued, rate limited
+const RETRYABLE = [
+    /unable to locate contractcode/i,
+    /does not have bytecode/i,
+    /pending in queue/i,
+    /in progress/i,
+    /rate limit/i
+];
+
+const ALREADY_VERIFIED = /already verified/i;
+
+function isRetryable(message) {
+    return RETRYABLE.some(pattern => pattern.test(message));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @dev Runs an explorer call until it gives a final answer, doubling the delay between attempts
+ * @param description What is being waited for, used in log lines and the final error
+ * @param attempt Async function returning the result, or throwing; errors whose message
+ * matches RETRYABLE are retried, anything else is final
+ * @param backoff { attempts, initialDelayMs, maxDelayMs }
+ * @return Whatever attempt returned
+ */
+async function withBackoff(description, attempt, backoff = DEFAULT_BACKOFF) {
+    let delay = backoff.initialDelayMs;
+    for (let i = 1; ; i++) {
+        try {
+            return await attempt();
+        } catch (error) {
+            const reason = errorReason(error);
+            if (!isRetryable(reason) || i >= backoff.attempts) {
+                throw new Error(i > 1 ? `${reason} (after ${i} attempts)` : reason);
+            }
+            console.log(`   ${description}: ${reason}, retrying in ${Math.round(delay / 1000)}s`);
+            await sleep(delay);
+            delay = Math.min(delay * 2, backoff.maxDelayMs);
+        }
+    }
+}
+
+/**
+ * @dev Minimal client for the Etherscan contract verification API
+ * @param options.apiUrl API endpoint
+ * @param options.apiKey API key, sent with every request
+ * @param options.chainId Chain id, sent as chainid for multichain endpoints
+ * @param options.backoff Retry settings for withBackoff
+ * @return Object with isVerified, proxyImplementation, verifySource and linkProxy
+ */
+function createExplorerClient({ apiUrl = DEFAULT_EXPLORER_API_URL, apiKey = '', chainId, backoff = DEFAULT_BACKOFF }) {
+    async function call(method, params) {
+        const query = new URLSearchParams({ chainid: String(chainId), apikey: apiKey });
+        const options = { method };
+        if (method === 'GET') {
+            Object.entries(params).forEach(([key, value]) => query.set(key, value));
+        } else {
+            options.headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+            options.body = new URLSearchParams({ ...params, apikey: apiKey }).toString();
+        }
+
+        const response = await fetch(`${apiUrl}?${query}`, options);
+        if (!response.ok) {
+            // 429 and 5xx are worth another try, the explorer is just busy
+            const message = `explorer answered HTTP ${response.status}`;
+            throw new Error(response.status === 429 || response.status >= 500 ? `${message} (rate limit)` : message);
+        }
+        const body = await response.json();
+        if (body.status !== '1') {
+            throw new Error(typeof body.result === 'string' ? body.result : body.message || 'unknown explorer error');
+        }
+        return body.result;
+    }
+
+    async function sourceOf(address) {
+        const result = await withBackoff(`Reading ${address}`, () =>
+            call('GET', { module: 'contract', action: 'getsourcecode', address }), backoff);
+        return Array.isArray(result) ? result[0] || {} : {};
+    }
+
+    // Submits a job, then polls its guid until the explorer reports the outcome
+    async function submitAndPoll(description, submit, statusAction) {
+        const guid = await withBackoff(description, () => call('POST', submit), backoff);
+        return withBackoff(`${description} (job ${guid})`, () =>
+            call('GET', { module: 'contract', action: statusAction, guid }), backoff);
+    }
+
+    return {
+        async isVerified(address) {
+            const source = await sourceOf(address);
+            return !!source.SourceCode;
+        },
+
+        // Implementation the explorer shows for a proxy, or null when it is not linked
+        async proxyImplementation(address) {
+            const source = await sourceOf(address);
+            return source.Proxy === '1' && source.Implementation ? source.Implementation : null;
+        },
+
+        /**
+         * @dev Verifies a contract from its standard JSON input
+         * @return 'verified' or 'already-verified'
+         */
+        async verifySource({ address, contractName, compilerVersion, input, constructorArguments = '' }) {
+            try {
+                await submitAndPoll(`Verifying ${address}`, {
+                    module: 'contract',
+                    action: 'verifysourcecode',
+                    contractaddress: address,
+                    sourceCode: JSON.stringify(input),
+                    codeformat: 'solidity-standard-json-input',
+                    contractname: contractName,
+                    compilerversion: compilerVersion,
+                    // sic, the API spells it this way
+                    constructorArguements: constructorArguments
+                }, 'checkverifystatus');
+                return 'verified';
+            } catch (error) {
+                if (ALREADY_VERIFIED.test(error.message)) return 'already-verified';
+                throw error;
+            }
+        },
+
+        // Marks an address as a proxy of implementation on the explorer
+        async linkProxy(proxy, implementation) {
+            await submitAndPoll(`Linking proxy ${proxy}`, {
+                module: 'contract',
+                action: 'verifyproxycontract',
+                address: proxy,
+                expectedimplementation: implementation
+            }, 'checkproxyverification');
+            return 'linked';
+        }
+    };
+}
+
+/**
+ * @dev Works out what to verify from the deployment records: the implementation of every
+ * proxy plus the link between proxy and implementation, and every contract deployed
+ * without a proxy. Must be run inside Hardhat.
+ * @param network Hardhat network name
+ * @param options.only Contract names to restrict to, all recorded contracts when empty
+ * @return Array of { name, factory, kind: 'implementation'|'contract', address, proxy, args }
+ */
+async function collectVerificationTargets(network, { only = [], manifest = loadManifest() } = {}) {
+    const { upgrades } = require('hardhat');
+    const { contracts: records } = deployments.readDeployments(network);
+    const unknown = only.filter(name => !records[name]);
+    if (unknown.length > 0) {
+        throw new Error(`No deployment record for ${unknown.join(', ')} on ${network}`);
+    }
+
+    const targets = [];
+    for (const [name, record] of Object.entries(records)) {
+        if (only.length > 0 && !only.includes(name)) continue;
+        const entry = manifest.addresses[name] || {};
+        const factory = record.upgradedTo || entry.contract || name;
+
+        if (!record.implementation) {
+            targets.push({ name, factory, kind: 'contract', address: record.address, proxy: null, args: record.args || [] });
+            continue;
+        }
+
+        // The slot is authoritative, a record can be stale after an upgrade from elsewhere
+        const implementation = await upgrades.erc1967.getImplementationAddress(record.address);
+        if (!sameAddress(implementation, record.implementation)) {
+            console.warn(`Warning: ${name} is recorded with implementation ${record.implementation} ` +
+                `but the proxy points at ${implementation}, verifying the latter`);
+        }
+        targets.push({ name, factory, kind: 'implementation', address: implementation, proxy: record.address, args: [] });
+    }
+    return targets;
+}
+
+// Standard JSON input, compiler version and constructor arguments of a target, from the build info
+async function sourceSubmission(target) {
+    const { artifacts, ethers } = require('hardhat');
+    const artifact = await artifacts.readArtifact(target.factory);
+    const fullyQualifiedName = `${artifact.sourceName}:${artifact.contractName}`;
+    const buildInfo = await artifacts.getBuildInfo(fullyQualifiedName);
+    if (!buildInfo) {
+        throw new Error(`no build info for ${fullyQualifiedName}, run npx hardhat compile`);
+    }
+
+    const factory = await ethers.getContractFactory(target.factory);
+    return {
+        address: target.address,
+        contractName: fullyQualifiedName,
+        compilerVersion: `v${buildInfo.solcLongVersion}`,
+        input: buildInfo.input,
+        constructorArguments: factory.interface.encodeDeploy(target.args).slice(2)
+    };
+}
+
+/**
+ * @dev Verifies every target and links proxies to their implementations. A failure of one
+ * target does not stop the others.
+ * @param network Hardhat network name
+ * @param options.only Contract names to restrict to
+ * @param options.apiUrl Explorer API, defaults to EXPLORER_API_URL or Etherscan
+ * @param options.apiKey Explorer API key, defaults to EXPLORER_API_KEY or ETHERSCAN_API_KEY
+ * @return { network, results, verified, skipped, failed } where each result is
+ * { name, kind: 'implementation'|'contract'|'proxy', address, status: 'verified'|'skipped'|'failed', reason }
+ */
+async function verifyDeployments(network, {
+    only = [],
+    apiUrl = process.env.EXPLORER_API_URL,
+    apiKey = process.env.EXPLORER_API_KEY || process.env.ETHERSCAN_API_KEY || ''
+} = {}) {
+    const { ethers } = require('hardhat');
+    const results = [];
+    const report = (target, kind, address, status, reason = null) => {
+        results.push({ name: target.name, kind, address, status, reason });
+        const mark = status === 'verified' ? '\x1b[32m✓\x1b[0m' : status === 'skipped' ? '-' : '\x1b[31m✗\x1b[0m';
+        console.log(` ${mark} ${target.name} ${kind} ${address}${reason ? `: ${reason}` : ''}`);
+    };
+
+    const targets = await collectVerificationTargets(network, { only });
+
+    if (!apiUrl && LOCAL_NETWORKS.includes(network)) {
+        targets.forEach(target => report(target, target.kind, target.address, 'skipped', `no explorer for ${network}`));
+        return summarize(network, results);
+    }
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const explorer = createExplorerClient({ apiUrl: apiUrl || DEFAULT_EXPLORER_API_URL, apiKey, chainId });
+
+    for (const target of targets) {
+        let sourceOk = false;
+        try {
+            if (await explorer.isVerified(target.address)) {
+                report(target, target.kind, target.address, 'skipped', 'already verified');
+            } else {
+                const outcome = await explorer.verifySource(await sourceSubmission(target));
+                report(target, target.kind, target.address, outcome === 'verified' ? 'verified' : 'skipped',
+                    outcome === 'verified' ? null : 'already verified');
+            }
+            sourceOk = true;
+        } catch (error) {
+            report(target, target.kind, target.address, 'failed', errorReason(error));
+        }
+
+        if (!target.proxy) continue;
+        if (!sourceOk) {
+            report(target, 'proxy', target.proxy, 'skipped', 'implementation is not verified');
+            continue;
+        }
+        try {
+            const linked = await explorer.proxyImplementation(target.proxy);
+            if (sameAddress(linked, target.address)) {
+                report(target, 'proxy', target.proxy, 'skipped', `already linked to ${target.address}`);
+            } else {
+                await explorer.linkProxy(target.proxy, target.address);
+                report(target, 'proxy', target.proxy, 'verified', `linked to ${target.address}`);
+            }
+        } catch (error) {
+            report(target, 'proxy', target.proxy, 'failed', errorReason(error));
+        }
+    }
+
+    return summarize(network, results);
+}
+
+function summarize(network, results) {
+    const count = status => results.filter(result => result.status === status).length;
+    return { network, results, verified: count('verified'), skipped: count('skipped'), failed: count('failed') };
+}
+
+module.exports = {
+    DEFAULT_EXPLORER_API_URL,
+    withBackoff,
+    createExplorerClient,
+    collectVerificationTargets,
+    verifyDeployments
+};
@@ -0,0 +1,425 @@
+// scripts/lib/vesting.js - TokenVesting grant sheets, allocation checks, and schedule ledgers with unlock timelines
+const fs = require('fs');
+const path = require('path');
+const { parseDecimal, parseDuration } = require('./params');
+
+// TokenVesting.BeneficiaryGroup and VestingType, in declaration order
+const GROUPS = ['TEAM', 'ADVISORS', 'PARTNERS', 'PUBLIC_SALE', 'ECOSYSTEM'];
+const VESTING_TYPES = ['LINEAR', 'QUARTERLY', 'MILESTONE'];
+
+// ImmutableTokenContract allocation each group vests out of. Advisors have no allocation of
+// their own and are paid from the team and development share.
+const GROUP_ALLOCATIONS = [
+    { allocation: 'TEAM_DEV_ALLOCATION_BPS', groups: ['TEAM', 'ADVISORS'] },
+    { allocation: 'EDUCATIONAL_PARTNERS_ALLOCATION_BPS', groups: ['PARTNERS'] },
+    { allocation: 'PUBLIC_PRESALE_ALLOCATION_BPS', groups: ['PUBLIC_SALE'] },
+    { allocation: 'PLATFORM_ECOSYSTEM_ALLOCATION_BPS', groups: ['ECOSYSTEM'] }
+];
+
+const MAX_UINT40 = 2 ** 40 - 1;
+const MAX_UINT96 = (1n << 96n) - 1n;
+
+// Rows of a CSV file as objects keyed by the header; quoted fields may contain commas and "" escapes
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines and "#" comments are skipped; line numbers stay those of the file
+    const lines = rows.map((cells, i) => ({ cells: cells.map(cell => cell.trim()), line: i + 1 }))
+        .filter(({ cells }) => !(cells.length === 1 && cells[0] === '') && !cells[0].startsWith('#'));
+    if (lines.length === 0) return [];
+    const header = lines[0].cells;
+    return lines.slice(1).map(({ cells, line }) => {
+        const record = { line };
+        header.forEach((name, i) => { record[name] = cells[i] === undefined ? '' : cells[i]; });
+        return record;
+    });
+}
+
+/**
+ * @dev Reads a grant sheet: a CSV file with a header row, or a JSON array of grants
+ * @param file Path of the .csv or .json sheet
+ * @return Array of raw grant objects, each with the line (CSV) or index (JSON) it came from
+ */
+function readGrantSheet(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (path.extname(file).toLowerCase() === '.json') {
+        const grants = JSON.parse(text);
+        if (!Array.isArray(grants)) {
+            throw new Error(`${file} must contain an array of grants`);
+        }
+        return grants.map((grant, i) => ({ ...grant, line: i + 1 }));
+    }
+    return parseCsv(text);
+}
+
+// "Beta launch:20; Mainnet:30" in a CSV cell, or [{ description, percentage }] in JSON
+function parseMilestones(raw) {
+    if (Array.isArray(raw)) return raw;
+    if (!raw) return [];
+    return String(raw).split(';').map(part => part.trim()).filter(Boolean).map(part => {
+        const separator = part.lastIndexOf(':');
+        return separator === -1
+            ? { description: part, percentage: null }
+            : { description: part.slice(0, separator).trim(), percentage: part.slice(separator + 1).trim() };
+    });
+}
+
+function parseBool(raw, fallback) {
+    if (raw === undefined || raw === '' || raw === null) return fallback;
+    if (typeof raw === 'boolean') return raw;
+    const text = String(raw).toLowerCase();
+    if (['true', 'yes', '1'].includes(text)) return true;
+    if (['false', 'no', '0'].includes(text)) return false;
+    return null;
+}
+
+// Seconds or "180d"; CSV cells arrive as strings, and 0 is allowed where the contract takes it
+function parseSheetDuration(raw, { allowZero = false } = {}) {
+    const text = raw === undefined || raw === null ? '' : String(raw);
+    if (allowZero && (text === '' || text === '0')) return 0;
+    return parseDuration(/^\d+$/.test(text) ? parseInt(text, 10) : text);
+}
+
+function parsePercentage(raw) {
+    const text = raw === undefined || raw === '' ? '0' : String(raw);
+    if (!/^\d+$/.test(text) || parseInt(text, 10) > 100) return null;
+    return parseInt(text, 10);
+}
+
+/**
+ * @dev Validates raw grants and converts them to call arguments. Columns: beneficiary, amount
+ * (TEACH), group, type (linear, quarterly, milestone), revocable, label, and per type:
+ * linear cliff, duration, tgePercent; quarterly initialAmount, releases, firstRelease;
+ * milestone tgePercent, milestones ("Beta launch:20; Mainnet:30")
+ * @param rows Raw grants from readGrantSheet
+ * @return { grants, problems } where problems name the sheet line
+ */
+function parseGrants(rows) {
+    const { ethers } = require('hardhat');
+    const grants = [];
+    const problems = [];
+
+    for (const row of rows) {
+        const issues = [];
+        const grant = { line: row.line, label: row.label || '' };
+
+        if (!ethers.isAddress(row.beneficiary) || BigInt(row.beneficiary || 0) === 0n) {
+            issues.push(`beneficiary must be a non-zero address, got ${JSON.stringify(row.beneficiary)}`);
+        } else {
+            grant.beneficiary = ethers.getAddress(row.beneficiary);
+        }
+
+        const amountText = String(row.amount || '').replace(/_/g, '');
+        grant.amount = /^\d+(\.\d+)?$/.test(amountText) ? parseDecimal(amountText, 18) : null;
+        if (!grant.amount) {
+            issues.push(`amount must be a positive TEACH amount such as "250000", got ${JSON.stringify(row.amount)}`);
+        }
+
+        grant.group = String(row.group || '').toUpperCase().replace(/[ -]/g, '_');
+        if (!GROUPS.includes(grant.group)) {
+            issues.push(`group must be one of ${GROUPS.join(', ')}, got ${JSON.stringify(row.group)}`);
+        }
+
+        grant.type = String(row.type || 'linear').toUpperCase();
+        if (!VESTING_TYPES.includes(grant.type)) {
+            issues.push(`type must be linear, quarterly or milestone, got ${JSON.stringify(row.type)}`);
+        }
+
+        grant.revocable = parseBool(row.revocable, false);
+        if (grant.revocable === null) {
+            issues.push(`revocable must be true or false, got ${JSON.stringify(row.revocable)}`);
+        }
+
+        if (grant.type === 'LINEAR') {
+            grant.cliff = parseSheetDuration(row.cliff, { allowZero: true });
+            grant.duration = parseSheetDuration(row.duration);
+            grant.tgePercentage = parsePercentage(row.tgePercent);
+            if (grant.cliff === null || grant.cliff > MAX_UINT40) issues.push(`cliff must be a duration such as "180d", got ${JSON.stringify(row.cliff)}`);
+            if (grant.duration === null || grant.duration > MAX_UINT40) issues.push(`duration must be a positive duration such as "730d", got ${JSON.stringify(row.duration)}`);
+            if (grant.tgePercentage === null) issues.push(`tgePercent must be a whole percentage from 0 to 100, got ${JSON.stringify(row.tgePercent)}`);
+        } else if (grant.type === 'QUARTERLY') {
+            const initialText = String(row.initialAmount || '0');
+            grant.initialAmount = /^\d+(\.\d+)?$/.test(initialText) ? parseDecimal(initialText, 18) : null;
+            grant.releases = /^\d+$/.test(String(row.releases)) ? parseInt(row.releases, 10) : null;
+            const ms = Date.parse(row.firstRelease);
+            grant.firstRelease = /^\d+$/.test(String(row.firstRelease)) ? parseInt(row.firstRelease, 10) : (isNaN(ms) ? null : Math.floor(ms / 1000));
+            if (grant.initialAmount === null || (grant.amount && grant.initialAmount > grant.amount)) {
+                issues.push(`initialAmount must be a TEACH amount no larger than amount, got ${JSON.stringify(row.initialAmount)}`);
+            }
+            if (!grant.releases || grant.releases > 255) issues.push(`releases must be from 1 to 255, got ${JSON.stringify(row.releases)}`);
+            if (grant.firstRelease === null || grant.firstRelease > MAX_UINT40) {
+                issues.push(`firstRelease must be an ISO date or unix time, got ${JSON.stringify(row.firstRelease)}`);
+            }
+            // The contract stores the TGE share as a whole percentage of the total
+            if (grant.amount && grant.initialAmount !== null) grant.tgePercentage = Number((grant.initialAmount * 100n) / grant.amount);
+        } else if (grant.type === 'MILESTONE') {
+            grant.tgePercentage = parsePercentage(row.tgePercent);
+            grant.milestones = parseMilestones(row.milestones).map(milestone => ({
+                description: String(milestone.description || ''),
+                percentage: parsePercentage(milestone.percentage)
+            }));
+            if (grant.tgePercentage === null) issues.push(`tgePercent must be a whole percentage from 0 to 100, got ${JSON.stringify(row.tgePercent)}`);
+            if (grant.amount && grant.amount > MAX_UINT96) issues.push('amount of a milestone grant must fit in uint96');
+            if (grant.milestones.length === 0) issues.push('milestones must list at least one "description:percentage"');
+            grant.milestones.forEach(milestone => {
+                if (!milestone.description || !milestone.percentage) issues.push(`milestone ${JSON.stringify(milestone.description)} needs a description and a percentage from 1 to 100`);
+            });
+            const total = (grant.tgePercentage || 0) + grant.milestones.reduce((sum, milestone) => sum + (milestone.percentage || 0), 0);
+            if (total > 100) issues.push(`tgePercent and milestones add up to ${total}%, more than 100%`);
+        }
+
+        if (issues.length > 0) {
+            problems.push(...issues.map(issue => `line ${row.line}: ${issue}`));
+        } else {
+            grants.push(grant);
+        }
+    }
+    return { grants, problems };
+}
+
+// Whether an on-chain schedule is the one a grant describes
+function matchesGrant(schedule, grant) {
+    if (VESTING_TYPES[Number(schedule.vestingType)] !== grant.type
+        || GROUPS[Number(schedule.group)] !== grant.group
+        || schedule.totalAmount !== grant.amount
+        || Number(schedule.tgePercentage) !== grant.tgePercentage) {
+        return false;
+    }
+    if (grant.type === 'LINEAR') {
+        return Number(schedule.cliffDuration) === grant.cliff && Number(schedule.duration) === grant.duration;
+    }
+    return true;
+}
+
+/**
+ * @dev Finds the grants that already have a schedule, via getSchedulesForBeneficiary. Each
+ * schedule accounts for one grant, so a sheet may grant the same terms twice.
+ * @param vesting Attached TokenVesting contract
+ * @param grants Parsed grants
+ * @return { pending, existing: [{ grant, scheduleId }] }
+ */
+async function matchExistingSchedules(vesting, grants) {
+    const schedulesByBeneficiary = {};
+    const pending = [];
+    const existing = [];
+    for (const grant of grants) {
+        if (!schedulesByBeneficiary[grant.beneficiary]) {
+            const ids = await vesting.getSchedulesForBeneficiary(grant.beneficiary);
+            schedulesByBeneficiary[grant.beneficiary] = await Promise.all(ids.map(async id => ({ id, ...(await vesting.getScheduleDetails(id)).toObject() })));
+        }
+        const candidates = schedulesByBeneficiary[grant.beneficiary];
+        const index = candidates.findIndex(schedule => !schedule.revoked && matchesGrant(schedule, grant));
+        if (index === -1) {
+            pending.push(grant);
+        } else {
+            existing.push({ grant, scheduleId: candidates[index].id });
+            candidates.splice(index, 1);
+        }
+    }
+    return { pending, existing };
+}
+
+/**
+ * @dev Group totals after the import against the ImmutableTokenContract allocations
+ * @param vesting Attached TokenVesting contract
+ * @param immutableAddress ImmutableTokenContract address
+ * @param pending Grants still to be created
+ * @return Array of { allocation, groups, cap, existing, adding, total, exceeded }
+ */
+async function reconcileAllocations(vesting, immutableAddress, pending) {
+    const { ethers } = require('hardhat');
+    const constants = new ethers.Contract(immutableAddress, [
+        ...GROUP_ALLOCATIONS.map(({ allocation }) => `function ${allocation}() view returns (uint256)`),
+        'function calculateAllocation(uint256 allocationBPS) view returns (uint256)'
+    ], ethers.provider);
+
+    const totals = Array.from(await vesting.getTotalAllocationsByGroup());
+    // getTotalAllocationsByGroup starts counting at id 1 while the first schedule gets id 0
+    const first = await vesting.vestingSchedules(0);
+    if (first.beneficiary !== ethers.ZeroAddress && !first.revoked) {
+        totals[Number(first.group)] += first.totalAmount;
+    }
+
+    const rows = [];
+    for (const { allocation, groups } of GROUP_ALLOCATIONS) {
+        const cap = await constants.calculateAllocation(await constants[allocation]());
+        const existing = groups.reduce((sum, group) => sum + totals[GROUPS.indexOf(group)], 0n);
+        const adding = pending.filter(grant => groups.includes(grant.group)).reduce((sum, grant) => sum + grant.amount, 0n);
+        rows.push({ allocation, groups, cap, existing, adding, total: existing + adding, exceeded: existing + adding > cap });
+    }
+    return rows;
+}
+
+/**
+ * @dev Reads every schedule as of a block. Ids are sequential from 0; the first id without a
+ * beneficiary ends the list.
+ * @param vesting Attached TokenVesting contract
+ * @param blockTag Block number to read at
+ * @return Array of schedules with id, group and type names, plus releases (quarterly) and
+ * milestones (milestone)
+ */
+async function readSchedules(vesting, blockTag) {
+    const { ethers } = require('hardhat');
+    const overrides = { blockTag };
+    const schedules = [];
+    for (let id = 0n; ; id++) {
+        const details = (await vesting.getScheduleDetails(id, overrides)).toObject();
+        if (details.beneficiary === ethers.ZeroAddress) break;
+
+        const schedule = { id, ...details, group: GROUPS[Number(details.group)], vestingType: VESTING_TYPES[Number(details.vestingType)] };
+        // Both arrays have no length getter, their public getters revert past the end
+        const list = async getter => {
+            const items = [];
+            for (;;) {
+                try {
+                    items.push((await getter(id, items.length, overrides)).toObject());
+                } catch (error) {
+                    return items;
+                }
+            }
+        };
+        if (schedule.vestingType === 'QUARTERLY') schedule.releases = await list(vesting.scheduleQuarterlyReleases);
+        if (schedule.vestingType === 'MILESTONE') schedule.milestones = await list(vesting.scheduleMilestones);
+        schedules.push(schedule);
+    }
+    return schedules;
+}
+
+/**
+ * @dev Claims and revocations of every schedule up to a block, from TokensClaimed and
+ * ScheduleRevoked events
+ * @param vesting Attached TokenVesting contract
+ * @param fromBlock First block to scan, normally the deployment block
+ * @param toBlock Last block to scan
+ * @return Map of schedule id to { claims: [{ amount, blockNumber, timestamp, hash }], revoked }
+ * where revoked is { unclaimedAmount, blockNumber, timestamp, hash } or null
+ */
+async function readScheduleHistory(vesting, fromBlock, toBlock) {
+    const { ethers } = require('hardhat');
+    const { queryLogsInChunks } = require('./roles');
+    const timestamps = {};
+    const timestampOf = async blockNumber => {
+        if (!timestamps[blockNumber]) timestamps[blockNumber] = (await ethers.provider.getBlock(blockNumber)).timestamp;
+        return timestamps[blockNumber];
+    };
+
+    const history = {};
+    const entry = id => (history[id] = history[id] || { claims: [], revoked: null });
+    for (const event of await queryLogsInChunks(vesting, vesting.filters.TokensClaimed(), fromBlock, toBlock)) {
+        entry(event.args.scheduleId).claims.push({
+            amount: event.args.amount,
+            blockNumber: event.blockNumber,
+            timestamp: await timestampOf(event.blockNumber),
+            hash: event.transactionHash
+        });
+    }
+    for (const event of await queryLogsInChunks(vesting, vesting.filters.ScheduleRevoked(), fromBlock, toBlock)) {
+        entry(event.args.scheduleId).revoked = {
+            unclaimedAmount: event.args.unclaimedAmount,
+            blockNumber: event.blockNumber,
+            timestamp: await timestampOf(event.blockNumber),
+            hash: event.transactionHash
+        };
+    }
+    return history;
+}
+
+/**
+ * @dev Unlock timeline of a schedule, following the contract's claimable calculations
+ * @param schedule Schedule from readSchedules
+ * @param tgeTime TGE timestamp, or null while the TGE has not happened
+ * @param now Timestamp the timeline is drawn at
+ * @return Array of { kind, time, amount, label, unlocked } in release order, kind being tge,
+ * linear, quarterly or milestone; time is null for unlocks without a date (milestones, the
+ * TGE before it is set)
+ */
+function unlockTimeline(schedule, tgeTime, now) {
+    const tgeAmount = (schedule.totalAmount * BigInt(schedule.tgePercentage)) / 100n;
+    const dated = (kind, time, amount, label) => ({ kind, time, amount, label, unlocked: time !== null && time <= now });
+    const timeline = [];
+    if (tgeAmount > 0n) {
+        timeline.push(dated('tge', tgeTime, tgeAmount, `${schedule.tgePercentage}% at TGE`));
+    }
+
+    if (schedule.vestingType === 'LINEAR') {
+        const cliffEnd = Number(schedule.startTime + schedule.cliffDuration);
+        const end = cliffEnd + Number(schedule.duration);
+        // Linear vesting releases continuously; the timeline shows it in 30-day steps
+        const step = 30 * 86400;
+        let vested = 0n;
+        for (let time = Math.min(cliffEnd + step, end); ; time = Math.min(time + step, end)) {
+            const cumulative = ((schedule.totalAmount - tgeAmount) * BigInt(time - cliffEnd)) / BigInt(schedule.duration);
+            timeline.push(dated('linear', time, cumulative - vested, time === end ? 'linear, fully vested' : 'linear'));
+            vested = cumulative;
+            if (time === end) break;
+        }
+    } else if (schedule.vestingType === 'QUARTERLY') {
+        schedule.releases.forEach((release, i) =>
+            timeline.push(dated('quarterly', Number(release.releaseTime), release.amount, `quarterly release ${i + 1} of ${schedule.releases.length}`)));
+    } else {
+        schedule.milestones.forEach((milestone, i) => timeline.push({
+            kind: 'milestone',
+            time: null,
+            amount: (schedule.totalAmount * BigInt(milestone.percentage)) / 100n,
+            label: `milestone ${i + 1} (${milestone.percentage}%)${milestone.achieved ? ', achieved' : ''}`,
+            unlocked: milestone.achieved
+        }));
+    }
+    return timeline;
+}
+
+/**
+ * @dev First dated unlock of a timeline still ahead; nothing unlocks for a revoked schedule
+ * @return { time, amount, label } or null
+ */
+function nextUnlock(schedule, timeline) {
+    if (schedule.revoked) return null;
+    return timeline.find(unlock => unlock.time !== null && !unlock.unlocked) || null;
+}
+
+module.exports = {
+    GROUPS,
+    VESTING_TYPES,
+    GROUP_ALLOCATIONS,
+    readGrantSheet,
+    parseGrants,
+    matchExistingSchedules,
+    reconcileAllocations,
+    readSchedules,
+    readScheduleHistory,
+    unlockTimeline,
+    nextUnlock
+};
@@ -0,0 +1,245 @@
+// scripts/lib/wiring.js - Read-only inspection of registry entries and cross-contract links
+const deployments = require('./deployments');
+const { loadManifest } = require('./manifest');
+const { NO_INTERFACE, hasCode, registryName, sameAddress } = require('./deploy-helpers');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Contract names from Constants.sol, used to turn registry name hashes back into readable keys
+const KNOWN_REGISTRY_KEYS = [
+    'TEACH_TOKEN',
+    'PLATFORM_STABILITY_FUND',
+    'TOKEN_STAKING',
+    'PLATFORM_GOVERNANCE',
+    'PLATFORM_MARKETPLACE',
+    'PLATFORM_REWARD',
+    'TOKEN_CROWDSALE',
+    'TOKEN_VESTING',
+    'TIER_MANAGER',
+    'EMERGENCY_MANAGER',
+    'DEX_REGISTRY',
+    'LIQUIDITY_MANAGER',
+    'LIQUIDITY_PROVISIONER',
+    'LIQUIDITY_REBALANCER',
+    'TOKEN_PRICE_FEED',
+    'IMMUTABLE_TOKEN_CONTRACT'
+];
+
+/**
+ * @dev Describes a transaction that repairs a finding
+ * @param name Contract name as used in deploy-manifest.json
+ * @param contract Attached ethers contract, used to encode the calldata
+ * @param method Function to call
+ * @param args Arguments of the call
+ * @param shownArgs Readable form of the arguments for the report (defaults to args)
+ * @return { contract, to, method, args, data, description }
+ */
+async function fixTransaction(name, contract, method, args, shownArgs = args) {
+    const to = await contract.getAddress();
+    return {
+        contract: name,
+        to,
+        method,
+        args: args.map(String),
+        data: contract.interface.encodeFunctionData(method, args),
+        description: `${name}(${to}).${method}(${shownArgs.join(', ')})`
+    };
+}
+
+function hasFunction(contract, name) {
+    return !!contract.interface.getFunction(name);
+}
+
+/**
+ * @dev Loads every recorded component and checks its registry entry, its registry
+ * pointer and the links declared in deploy-manifest.json. Sends no transactions.
+ * Must be run inside Hardhat.
+ * @param network Hardhat network name
+ * @param manifest Parsed deployment manifest
+ * @return { network, findings, errors, warnings } where each finding is
+ * { check, subject, status, severity, message, fix }
+ */
+async function inspectWiring(network, manifest = loadManifest()) {
+    const { ethers } = require('hardhat');
+    const findings = [];
+    const report = (check, subject, status, severity, message, fix = null) => {
+        findings.push({ check, subject, status, severity, message, fix });
+    };
+
+    const keyByHash = {};
+    KNOWN_REGISTRY_KEYS.forEach(key => { keyByHash[registryName(key)] = key; });
+    Object.values(manifest.addresses)
+        .filter(entry => entry.registryKey)
+        .forEach(entry => { keyByHash[registryName(entry.registryKey)] = entry.registryKey; });
+    const describeName = hash => keyByHash[hash] || hash;
+
+    // Step 1: every recorded component must have code
+    const { contracts: records } = deployments.readDeployments(network);
+    const live = {};
+    for (const name of Object.keys(manifest.addresses)) {
+        const record = records[name];
+        if (!record) continue;
+
+        if (!(await hasCode(record.address))) {
+            report('deployment', name, 'no-code', 'error',
+                `${name} is recorded at ${record.address} but has no code on ${network}; redeploy it`);
+            continue;
+        }
+
+        const factory = await ethers.getContractFactory(manifest.addresses[name].contract || name);
+        live[name] = { address: record.address, contract: factory.attach(record.address) };
+    }
+
+    // Step 2: registry entries and registry pointers
+    const registry = live.ContractRegistry;
+    if (!registry) {
+        report('registry', 'ContractRegistry', 'not-deployed', 'warning',
+            'ContractRegistry is not deployed, registry checks skipped');
+    } else {
+        const registered = {};
+        for (const hash of await registry.contract.getAllContractNames()) {
+            registered[hash] = await registry.contract.getContractAddress(hash);
+        }
+
+        for (const [name, component] of Object.entries(live)) {
+            const registryKey = manifest.addresses[name].registryKey;
+            if (!registryKey) continue;
+
+            const hash = registryName(registryKey);
+            const current = registered[hash];
+            if (!current) {
+                report('registry', registryKey, 'unregistered', 'error',
+                    `${registryKey} is not registered`,
+                    await fixTransaction('ContractRegistry', registry.contract, 'registerContract',
+                        [hash, component.address, NO_INTERFACE], [`keccak256("${registryKey}")`, component.address, NO_INTERFACE]));
+            } else if (!sameAddress(current, component.address)) {
+                report('registry', registryKey, 'mismatch', 'error',
+                    `${registryKey} is registered to ${current} but ${name} is deployed at ${component.address}`,
+                    await fixTransaction('ContractRegistry', registry.contract, 'updateContract',
+                        [hash, component.address, NO_INTERFACE], [`keccak256("${registryKey}")`, component.address, NO_INTERFACE]));
+            } else if (!(await registry.contract.isContractActive(hash))) {
+                report('registry', registryKey, 'inactive', 'error',
+                    `${registryKey} is registered but inactive, calls through the registry revert`,
+                    await fixTransaction('ContractRegistry', registry.contract, 'setContractStatus',
+                        [hash, true], [`keccak256("${registryKey}")`, 'true']));
+            } else {
+                report('registry', registryKey, 'ok', 'ok', `${registryKey} → ${name}`);
+            }
+        }
+
+        // Names in the registry that no recorded component accounts for
+        const recordedAddresses = Object.values(live).map(component => component.address);
+        for (const [hash, address] of Object.entries(registered)) {
+            const key = describeName(hash);
+            const owner = Object.entries(manifest.addresses).find(([, entry]) => entry.registryKey === key);
+            if (owner && live[owner[0]]) continue;
+
+            if (!(await hasCode(address))) {
+                report('registry', key, 'no-code', 'error', `${key} is registered to ${address}, which has no code`);
+            } else if (!recordedAddresses.some(recorded => sameAddress(recorded, address))) {
+                report('registry', key, 'unknown', 'warning',
+                    `${key} is registered to ${address}, which is not in the ${network} deployment records`);
+            }
+        }
+
+        // Every registry-aware contract must point at the registry under the name it is registered as
+        for (const [name, component] of Object.entries(live)) {
+            const { contract, address } = component;
+            if (name === 'ContractRegistry' || !hasFunction(contract, 'registry')) continue;
+
+            const current = await contract.registry();
+            if (!sameAddress(current, registry.address)) {
+                const fix = hasFunction(contract, 'setRegistry')
+                    ? await fixTransaction(name, contract, 'setRegistry', [registry.address])
+                    : null;
+                const status = current === ZERO_ADDRESS ? 'missing' : 'mismatch';
+                report('registry-aware', `${name}.registry`, status, 'error',
+                    status === 'missing'
+                        ? `${name} has no registry set`
+                        : `${name} points at registry ${current} instead of ${registry.address}`,
+                    fix);
+                continue;
+            }
+
+            const registryKey = manifest.addresses[name].registryKey;
+            const ownName = await contract.contractName();
+            if (!registryKey || ownName === registryName(registryKey)) {
+                report('registry-aware', `${name}.registry`, 'ok', 'ok', `${name} → ContractRegistry`);
+                continue;
+            }
+
+            // The contract looks itself up under a different name than the one it was registered as
+            const ownKey = describeName(ownName);
+            const holder = registered[ownName];
+            if (sameAddress(holder, address)) {
+                report('registry-aware', `${name}.contractName`, 'ok', 'ok',
+                    `${name} identifies as ${ownKey}, which is registered to it as well`);
+            } else if (!holder) {
+                report('registry-aware', `${name}.contractName`, 'mismatch', 'error',
+                    `${name} identifies as ${ownKey} but is registered as ${registryKey}`,
+                    await fixTransaction('ContractRegistry', registry.contract, 'registerContract',
+                        [ownName, address, NO_INTERFACE], [`keccak256("${ownKey}")`, address, NO_INTERFACE]));
+            } else {
+                report('registry-aware', `${name}.contractName`, 'mismatch', 'error',
+                    `${name} identifies as ${ownKey}, which is registered to ${holder}; ` +
+                    `its setRegistry passes the wrong name and needs a contract fix`);
+            }
+        }
+    }
+
+    // Step 3: declared links between components
+    const links = manifest.links || [];
+    const linkStatus = {};
+    const linkFindings = [];
+    for (const link of links) {
+        const subject = `${link.from}.${link.getter}`;
+        const from = live[link.from];
+        const to = live[link.to];
+        if (!from || !to) {
+            report('link', subject, 'skipped', 'ok', `${link.from} or ${link.to} is not deployed`);
+            continue;
+        }
+
+        const severity = link.optional ? 'warning' : 'error';
+        const fix = await fixTransaction(link.from, from.contract, link.setter, [to.address]);
+        let current;
+        try {
+            current = await from.contract[link.getter]();
+        } catch (error) {
+            report('link', subject, 'unreadable', severity, `${subject}() reverted: ${error.shortMessage || error.message}`);
+            continue;
+        }
+
+        let finding;
+        if (sameAddress(current, to.address)) {
+            finding = { check: 'link', subject, status: 'ok', severity: 'ok', message: `${subject} → ${link.to}`, fix: null };
+        } else if (current === ZERO_ADDRESS) {
+            finding = { check: 'link', subject, status: 'missing', severity, message: `${subject} is not set, expected ${link.to} ${to.address}`, fix };
+        } else {
+            finding = { check: 'link', subject, status: 'mismatch', severity, message: `${subject} is ${current}, expected ${link.to} ${to.address}`, fix };
+        }
+        linkStatus[`${link.from}->${link.to}`] = finding.status;
+        linkFindings.push({ link, finding });
+    }
+
+    // A link whose counterpart is in place is only wired one way
+    for (const { link, finding } of linkFindings) {
+        if (finding.status !== 'ok' && linkStatus[`${link.to}->${link.from}`] === 'ok') {
+            finding.status = 'one-way';
+            finding.message = `${link.to} points at ${link.from} but not back: ${finding.message}`;
+        }
+        findings.push(finding);
+    }
+
+    return {
+        network,
+        findings,
+        errors: findings.filter(finding => finding.severity === 'error').length,
+        warnings: findings.filter(finding => finding.severity === 'warning').length
+    };
+}
+
+module.exports = {
+    KNOWN_REGISTRY_KEYS,
+    inspectWiring
+};
@@ -0,0 +1,192 @@
+// scripts/oracle-publisher.js - Publishes the TEACH price to TokenPriceFeed, and PlatformStabilityFund when configured, from a dedicated oracle account
+const { ethers, network } = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { createAddressResolver } = require("./lib/addresses");
+const { hasCode, revertReason } = require("./lib/deploy-helpers");
+const { roleHash } = require("./lib/roles");
+const {
+    DEFAULT_ORACLE_CONFIG_PATH,
+    loadOracleConfig,
+    readDexQuotes,
+    readExternalQuote,
+    aggregateQuotes,
+    publishDecision,
+    readTarget
+} = require("./lib/oracle");
+require("dotenv").config();
+
+// ORACLE_PRIVATE_KEY is the key of the oracle account: it must hold ORACLE_ROLE on every target and
+// should hold nothing else (grant it with role-policy.json and PRICE_ORACLE_ADDRESS). ORACLE_CONFIG=<file>
+// holds the sources and publishing rules (default scripts/oracle-sources.json). ORACLE_DRY_RUN=true
+// prints the price and decisions without sending. Without ORACLE_FOLLOW=true the publisher runs once
+// and exits with 1 if no price could be formed or a publish failed; with it, it repeats every
+// ORACLE_POLL_SECONDS (default 60) until interrupted. A target whose price does not change after a
+// publish is dropped, and the publisher stops once no target is left.
+const CONFIG_FILE = process.env.ORACLE_CONFIG || DEFAULT_ORACLE_CONFIG_PATH;
+const DRY_RUN = process.env.ORACLE_DRY_RUN === "true";
+const FOLLOW = process.env.ORACLE_FOLLOW === "true";
+const POLL_SECONDS = parseInt(process.env.ORACLE_POLL_SECONDS || "60", 10);
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function attach(resolver, manifest, name) {
+    const { address } = await resolver.resolve(name);
+    if (!address || !(await hasCode(address))) return null;
+    return (await ethers.getContractFactory(manifest.addresses[name].contract || name)).attach(address);
+}
+
+// The oracle account must be able to publish and should not be an admin or the deployer
+async function checkSigner(signer, targets) {
+    const [deployer] = await ethers.getSigners();
+    const usable = {};
+    for (const [name, contract] of Object.entries(targets)) {
+        if (!(await contract.hasRole(roleHash("ORACLE_ROLE"), signer.address))) {
+            console.log(`   \x1b[31m${name}: ${signer.address} does not hold ORACLE_ROLE, not publishing there\x1b[0m`);
+            continue;
+        }
+        for (const role of ["DEFAULT_ADMIN_ROLE", "ADMIN_ROLE"]) {
+            if (await contract.hasRole(roleHash(role), signer.address)) {
+                console.log(`   \x1b[33m${name}: the oracle account also holds ${role}; use a dedicated account\x1b[0m`);
+            }
+        }
+        usable[name] = contract;
+    }
+    if (deployer && deployer.address.toLowerCase() === signer.address.toLowerCase()) {
+        console.log("   \x1b[33mThe oracle account is the deployer; set ORACLE_PRIVATE_KEY to a dedicated account\x1b[0m");
+    }
+    return usable;
+}
+
+async function publishRound(config, contracts, targets, tokens, format) {
+    const quotes = [];
+    for (const source of config.sources) {
+        if (source.type === "dex") {
+            if (!contracts.DexRegistry) {
+                quotes.push({ source: source.name || "dex", error: "DexRegistry is not deployed" });
+                continue;
+            }
+            quotes.push(...await readDexQuotes(contracts.DexRegistry, tokens, config.minDexLiquidity));
+        } else {
+            quotes.push(await readExternalQuote(source, tokens.stableDecimals));
+        }
+    }
+
+    const { price, used, rejected } = aggregateQuotes(quotes, config);
+    used.forEach(quote => console.log(`   ${quote.source.padEnd(28)} ${format(quote.price)}`));
+    rejected.forEach(quote => console.log(`   \x1b[90m${quote.source.padEnd(28)} ${quote.price !== undefined ? `${format(quote.price)} ` : ""}dropped: ${quote.error}\x1b[0m`));
+    if (price === null) {
+        console.log(`   \x1b[31mNo price: ${used.length} usable source(s), ${config.minSources} required\x1b[0m`);
+        return 1;
+    }
+    console.log(`   \x1b[1mmedian ${format(price)}\x1b[0m from ${used.length} source(s)`);
+
+    let failed = 0;
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    for (const [name, contract] of Object.entries(targets)) {
+        const target = await readTarget(name, contract, tokens);
+        if (target.error) {
+            console.log(`   \x1b[31m${name}: ${target.error}\x1b[0m`);
+            failed++;
+            continue;
+        }
+        const decision = publishDecision(price, target.current, config, now);
+        if (!decision.publish) {
+            console.log(`   ${name}: at ${format(target.current.price)}, no update (${decision.reason})`);
+            continue;
+        }
+        let expected = price;
+        try {
+            const recorded = await target.simulate(price);
+            // TokenPriceFeed works out its own price; say so when it lands away from the median
+            if (name === "TokenPriceFeed") {
+                expected = recorded;
+                if (recorded !== price) {
+                    console.log(`   \x1b[33m${name}: will record ${format(recorded)} from its own sources, not the median\x1b[0m`);
+                }
+            }
+        } catch (error) {
+            console.log(`   \x1b[31m${name}: update would revert: ${revertReason(error, [contract.interface])}\x1b[0m`);
+            failed++;
+            continue;
+        }
+        if (DRY_RUN) {
+            console.log(`   ${name}: would update from ${format(target.current.price)} (${decision.reason})`);
+            continue;
+        }
+        try {
+            const receipt = await (await target.update(price)).wait();
+            console.log(`   \x1b[32m${name}: updated from ${format(target.current.price)} (${decision.reason}), tx ${receipt.hash}\x1b[0m`);
+            // A target that does not store the price would be published to, and paid for, every round
+            const after = await readTarget(name, contract, tokens);
+            if (expected !== target.current.price && after.current.price === target.current.price) {
+                console.log(`   \x1b[31m${name}: still reads ${format(after.current.price)} after publishing ${format(expected)}, not publishing there again\x1b[0m`);
+                delete targets[name];
+                failed++;
+            }
+        } catch (error) {
+            console.log(`   \x1b[31m${name}: update failed: ${revertReason(error, [contract.interface])}\x1b[0m`);
+            failed++;
+        }
+    }
+    return failed;
+}
+
+async function main() {
+    if (!process.env.ORACLE_PRIVATE_KEY) {
+        throw new Error("Set ORACLE_PRIVATE_KEY to the key of the account holding ORACLE_ROLE");
+    }
+    const signer = new ethers.Wallet(process.env.ORACLE_PRIVATE_KEY, ethers.provider);
+    const config = loadOracleConfig(CONFIG_FILE, network.name);
+    const manifest = loadManifest();
+    const resolver = createAddressResolver(network.name, { manifest });
+
+    const contracts = {};
+    for (const name of ["TeachToken", "StableCoin", "DexRegistry", ...config.targets]) {
+        contracts[name] = await attach(resolver, manifest, name);
+    }
+    if (!contracts.TeachToken || !contracts.StableCoin) {
+        throw new Error(`TeachToken and StableCoin must be deployed on ${network.name}`);
+    }
+    const tokens = {
+        teach: await contracts.TeachToken.getAddress(),
+        stable: await contracts.StableCoin.getAddress(),
+        teachDecimals: Number(await contracts.TeachToken.decimals()),
+        stableDecimals: Number(await contracts.StableCoin.decimals())
+    };
+    const format = price => `${ethers.formatUnits(price, tokens.stableDecimals)} USD`;
+
+    console.log(`Oracle ${signer.address} on ${network.name}${DRY_RUN ? " (dry run)" : ""}`);
+    config.notices.forEach(notice => console.log(`   \x1b[90m${notice}\x1b[0m`));
+    const deployed = {};
+    config.targets.filter(name => contracts[name]).forEach(name => { deployed[name] = contracts[name].connect(signer); });
+    const targets = await checkSigner(signer, deployed);
+    if (Object.keys(targets).length === 0) {
+        throw new Error(`No target the oracle account can publish to on ${network.name}`);
+    }
+
+    let stopping = false;
+    process.on("SIGINT", () => { stopping = true; });
+    process.on("SIGTERM", () => { stopping = true; });
+
+    let failed = 0;
+    do {
+        console.log(`\n${new Date().toISOString()}`);
+        failed = await publishRound(config, contracts, targets, tokens, format);
+        if (Object.keys(targets).length === 0) {
+            throw new Error("No target left that keeps the published price");
+        }
+        for (let waited = 0; FOLLOW && !stopping && waited < POLL_SECONDS * 1000; waited += 250) {
+            await sleep(250);
+        }
+    } while (FOLLOW && !stopping);
+    return failed;
+}
+
+main()
+    .then((failed) => process.exit(!FOLLOW && failed > 0 ? 1 : 0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
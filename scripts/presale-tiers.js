@@ -0,0 +1,128 @@
+// scripts/presale-tiers.js - Applies the presale tier calendar and shows the live state of every tier
+const { ethers, network } = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { createAddressResolver } = require("./lib/addresses");
+const { createDeployment, revertReason } = require("./lib/deploy-helpers");
+const { loadParams } = require("./lib/params");
+const { PRICE_DECIMALS, tierCalendar, checkCalendar, calendarSteps, tierSnapshot } = require("./lib/tiers");
+require("dotenv").config();
+
+// TIERS_ACTION=status (default) shows the dashboard, apply writes the presaleTiers calendar of
+// the parameter profile, extend moves the current tier's deadline to TIERS_DEADLINE (ISO date),
+// advance moves to the next tier
+const ACTION = (process.env.TIERS_ACTION || "status").toLowerCase();
+const ACTIONS = ["status", "apply", "extend", "advance"];
+
+function date(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString().replace(".000Z", "Z") : "-";
+}
+
+async function printDashboard(tierManager, crowdsale) {
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const tierCount = Number(await tierManager.tierCount());
+    const currentTier = Number(await tierManager.currentTier());
+    const liveTier = Number(await tierManager.getCurrentTier());
+
+    console.log(`\n\x1b[1mPresale tiers on ${network.name}\x1b[0m at ${date(now)}`);
+    if (crowdsale) {
+        console.log(`   presale window: ${date(Number(await crowdsale.presaleStart()))} to ${date(Number(await crowdsale.presaleEnd()))}`);
+    }
+    console.log(`   current tier: ${currentTier}` + (liveTier !== currentTier ? ` (${liveTier} by the calendar, checkAndAdvanceTier moves it)` : ""));
+
+    for (let tier = 0; tier < tierCount; tier++) {
+        const snapshot = await tierSnapshot(tierManager, tier, now);
+        const { details } = snapshot;
+        const marker = tier === liveTier ? "\x1b[32m▶\x1b[0m" : " ";
+        const status = details.isActive ? "\x1b[32mactive\x1b[0m" : "\x1b[90minactive\x1b[0m";
+        console.log(`\n ${marker} \x1b[1mTier ${tier}\x1b[0m ${status}  $${ethers.formatUnits(snapshot.price, PRICE_DECIMALS)} per TEACH`);
+        console.log(`     window:     ${date(snapshot.start)} to ${date(snapshot.end)}, deadline ${date(snapshot.deadline)}`);
+        console.log(`     sold:       ${ethers.formatEther(details.sold)} of ${ethers.formatEther(details.allocation)} (${snapshot.fill}%), ` +
+            `${ethers.formatEther(snapshot.remaining)} remaining`);
+        console.log(`     purchase:   $${ethers.formatUnits(details.minPurchase, PRICE_DECIMALS)} to $${ethers.formatUnits(details.maxPurchase, PRICE_DECIMALS)}`);
+        const brackets = snapshot.brackets.map((bracket, i) => {
+            const text = `${bracket.bonusPercentage}% to ${bracket.fillPercentage}% filled`;
+            return i === snapshot.bracket ? `\x1b[1m[${text}]\x1b[0m` : text;
+        });
+        console.log(`     bonus:      ${snapshot.bonus}% now; ${brackets.join(", ")}`);
+        console.log(`     vesting:    ${snapshot.vesting.tgePercentage}% at TGE, then ${snapshot.vesting.vestingMonths} month(s)`);
+        if (snapshot.projectedSellOut !== null) {
+            const late = snapshot.end && snapshot.projectedSellOut > snapshot.end;
+            console.log(`     sell-out:   ${date(snapshot.projectedSellOut)} at the rate so far` +
+                (late ? ` \x1b[33m(after the window closes, ${ethers.formatEther(snapshot.remaining)} would roll over)\x1b[0m` : ""));
+        }
+    }
+}
+
+async function main() {
+    if (!ACTIONS.includes(ACTION)) {
+        throw new Error(`TIERS_ACTION must be one of ${ACTIONS.join(", ")}, got "${ACTION}"`);
+    }
+
+    const [signer] = await ethers.getSigners();
+    const resolver = createAddressResolver(network.name, { manifest: loadManifest() });
+    const { TierManager: tierManagerAddress } = await resolver.require(["TierManager"]);
+    const { address: crowdsaleAddress } = await resolver.resolve("TokenCrowdSale");
+    const crowdsale = crowdsaleAddress ? (await ethers.getContractFactory("TokenCrowdSale")).attach(crowdsaleAddress) : null;
+
+    if (ACTION === "status") {
+        const tierManager = (await ethers.getContractFactory("TierManager")).attach(tierManagerAddress);
+        await printDashboard(tierManager, crowdsale);
+        return;
+    }
+
+    // Created before the contract is attached, so that ADMIN_MODE=safe queues the calls
+    const deployment = createDeployment("TierManager");
+    const tierManager = (await ethers.getContractFactory("TierManager")).attach(tierManagerAddress);
+
+    if (ACTION === "apply") {
+        const calendar = tierCalendar(loadParams(network.name, "presaleTiers", signer.address));
+        const onChainStart = crowdsale ? Number(await crowdsale.presaleStart()) : 0;
+        const window = onChainStart !== 0
+            ? { presaleStart: onChainStart, presaleEnd: Number(await crowdsale.presaleEnd()) }
+            : loadParams(network.name, "crowdsale", signer.address);
+        const problems = checkCalendar(calendar, window, Number(await tierManager.tierCount()));
+        if (problems.length > 0) {
+            throw new Error(`The presaleTiers calendar does not fit:\n  - ${problems.join("\n  - ")}`);
+        }
+
+        console.log(`Applying the tier calendar to TierManager ${tierManagerAddress}`);
+        calendar.forEach(({ tier, start, end }) => console.log(`   tier ${tier}: ${date(start)} to ${date(end)}`));
+        const now = (await ethers.provider.getBlock("latest")).timestamp;
+        for (const { description, isDone, send } of calendarSteps(tierManager, calendar, now)) {
+            await deployment.step(description, isDone, send);
+        }
+    } else if (ACTION === "extend") {
+        const deadline = Math.floor(Date.parse(process.env.TIERS_DEADLINE) / 1000);
+        if (isNaN(deadline)) {
+            throw new Error(`TIERS_ACTION=extend needs TIERS_DEADLINE as an ISO date, got "${process.env.TIERS_DEADLINE}"`);
+        }
+        const tier = Number(await tierManager.currentTier());
+        await deployment.step(
+            `Extending tier ${tier} to ${date(deadline)}`,
+            async () => Number(await tierManager.tierDeadlines(tier)) >= deadline,
+            () => tierManager.extendTier(deadline)
+        );
+        // getCurrentTier follows the window, not the deadline
+        const end = Number(await tierManager.tierEndTimes(tier));
+        if (end < deadline) {
+            console.log(`\x1b[33mTier ${tier}'s window still ends ${date(end)}; update presaleTiers and apply to move it\x1b[0m`);
+        }
+    } else {
+        const tier = Number(await tierManager.currentTier());
+        try {
+            await deployment.step(`Advancing from tier ${tier}`, async () => false, () => tierManager.advanceTier());
+        } catch (error) {
+            throw new Error(`advanceTier failed: ${revertReason(error.cause || error, [tierManager.interface])}`);
+        }
+    }
+
+    deployment.finish();
+    await printDashboard(tierManager, crowdsale);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
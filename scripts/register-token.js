@@ -1,36 +1,34 @@
 // scripts/register-token.js
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const deployments = require("./lib/deployments");
+const { createDeployment, registryName } = require("./lib/deploy-helpers");
 require("dotenv").config();
 
 async function main() {
-    const registryAddress = process.env.REGISTRY_ADDRESS;
-    const teachTokenAddress = process.env.TOKEN_ADDRESS;
+    const {
+        ContractRegistry: registryAddress,
+        TeachToken: teachTokenAddress
+    } = deployments.requireAddresses(network.name, ["ContractRegistry", "TeachToken"]);
 
-    let totalGas = 0n;
-    
-    if (!registryAddress || !teachTokenAddress) {
-        console.error("Please set REGISTRY_ADDRESS and TEACH_TOKEN_ADDRESS in your .env file");
-        return;
-    }
+    // Registration gas is booked on the TeachToken record
+    const deployment = createDeployment("TeachToken", { registryAddress, registryKey: "TEACH_TOKEN" });
 
     // Get the ContractRegistry instance
     const ContractRegistry = await ethers.getContractFactory("ContractRegistry");
     const registry = ContractRegistry.attach(registryAddress);
 
     // Create constants for contract name
-    const TOKEN_NAME = ethers.keccak256(ethers.toUtf8Bytes("TEACH_TOKEN"));
+    const TOKEN_NAME = registryName("TEACH_TOKEN");
 
     // Register the TeachToken contract
-    console.log("Registering TeachToken in the Registry...");
-    const tx = await registry.registerContract(TOKEN_NAME, teachTokenAddress, "0x00000000");
-    const setRegistryReceipt = await tx.wait();
-    totalGas += setRegistryReceipt.gasUsed;
+    await deployment.register(teachTokenAddress);
     console.log("TeachToken registered successfully!");
 
-    console.log("Setting TeachToken active in the Registry...");
-    const status =await registry.setContractStatus(TOKEN_NAME, true);
-    const statusReceipt = await status.wait();
-    totalGas += statusReceipt.gasUsed;
+    await deployment.step(
+        "Setting TeachToken active in the Registry",
+        () => registry.isContractActive(TOKEN_NAME),
+        () => registry.setContractStatus(TOKEN_NAME, true)
+    );
     console.log("Token contract status set to active");
 
     // Now verify it's active
@@ -41,18 +39,19 @@ async function main() {
     const TeachToken = await ethers.getContractFactory("TeachToken");
     const teachToken = TeachToken.attach(teachTokenAddress);
 
-    console.log("Setting Registry in TeachToken...");
-    const setRegistryTx = await teachToken.setRegistry(registryAddress);
-    const setRegistryTxReceipt =  await setRegistryTx.wait();
-    totalGas += setRegistryTxReceipt.gasUsed;
-
-    console.log("Gas used:",totalGas.toString());
+    await deployment.setRegistry(teachToken);
     console.log("Registry set in TeachToken successfully!");
+
+    return deployment.finish();
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
\ No newline at end of file
+module.exports = { main };
@@ -0,0 +1,33 @@
+// scripts/resolve-addresses.js - Prints the address every manifest entry resolves to and where it came from
+const { network } = require("hardhat");
+const { loadManifest } = require("./lib/manifest");
+const { createAddressResolver } = require("./lib/addresses");
+require("dotenv").config();
+
+const SOURCE_COLORS = { registry: "\x1b[32m", record: "\x1b[90m", env: "\x1b[33m" };
+
+async function main() {
+    const manifest = loadManifest();
+    const warnings = [];
+    const resolver = createAddressResolver(network.name, { manifest, warn: message => warnings.push(message) });
+
+    console.log(`Resolving addresses on ${network.name} (registry first, env vars override)...\n`);
+    for (const name of Object.keys(manifest.addresses)) {
+        const { address, source } = await resolver.resolve(name);
+        const shown = address ? `${address} ${SOURCE_COLORS[source]}(${source})\x1b[0m` : "\x1b[90mnot deployed\x1b[0m";
+        console.log(`   ${name.padEnd(24)} ${shown}`);
+    }
+
+    if (warnings.length > 0) {
+        console.log("\n\x1b[33mOverrides that disagree with the registry or the records:\x1b[0m");
+        warnings.forEach(warning => console.log(`   ! ${warning}`));
+    }
+    return warnings.length;
+}
+
+main()
+    .then((mismatches) => process.exit(mismatches > 0 ? 1 : 0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
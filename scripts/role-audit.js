@@ -0,0 +1,190 @@
+// scripts/role-audit.js - Role matrix of every deployed contract and handover of roles according to role-policy.json
+const { ethers, network } = require("hardhat");
+const deployments = require("./lib/deployments");
+const { loadManifest } = require("./lib/manifest");
+const { createAddressResolver } = require("./lib/addresses");
+const { createDeployment, registryName } = require("./lib/deploy-helpers");
+const { adminMode, installBatchSigner } = require("./lib/safe-batch");
+const {
+    ACCESS_CONTROL_ABI,
+    DEFAULT_ROLE_POLICY_PATH,
+    collectRoleHolders,
+    findOrphanedAdmins,
+    loadRolePolicy,
+    planRoleHandover,
+    resolvePolicyHolders,
+    roleName
+} = require("./lib/roles");
+require("dotenv").config();
+
+// ROLE_ACTION=audit (default) only reads, ROLE_ACTION=apply sends the handover transactions, or
+// queues them into the Safe batch with ADMIN_MODE=safe
+const ACTION = (process.env.ROLE_ACTION || "audit").toLowerCase();
+
+/**
+ * @dev Every contract to audit: all names in ContractRegistry plus recorded contracts
+ * that are not registered (e.g. the registry itself)
+ * @return Array of { name, address, fromBlock }
+ */
+async function collectTargets(manifest) {
+    const { contracts: records } = deployments.readDeployments(network.name);
+    const defaultFromBlock = parseInt(process.env.ROLE_FROM_BLOCK || "0", 10);
+    const targets = [];
+    const seen = new Set();
+
+    const add = (name, address) => {
+        if (seen.has(address.toLowerCase())) return;
+        seen.add(address.toLowerCase());
+        const record = Object.values(records).find(r => r.address.toLowerCase() === address.toLowerCase());
+        targets.push({ name, address, fromBlock: record && record.blockNumber ? record.blockNumber : defaultFromBlock });
+    };
+
+    const { address: registryAddress } = await createAddressResolver(network.name, { manifest }).resolve("ContractRegistry");
+    if (registryAddress) {
+        const ContractRegistry = await ethers.getContractFactory("ContractRegistry");
+        const registry = ContractRegistry.attach(registryAddress);
+        const nameByKey = {};
+        Object.entries(manifest.addresses)
+            .filter(([, entry]) => entry.registryKey)
+            .forEach(([name, entry]) => { nameByKey[registryName(entry.registryKey)] = name; });
+
+        for (const hash of await registry.getAllContractNames()) {
+            add(nameByKey[hash] || hash, await registry.getContractAddress(hash));
+        }
+    }
+
+    Object.entries(records).forEach(([name, record]) => add(name, record.address));
+    return targets;
+}
+
+function labelFor(address, labels) {
+    return labels[address.toLowerCase()] || address;
+}
+
+async function main() {
+    if (!["audit", "apply"].includes(ACTION)) {
+        throw new Error(`ROLE_ACTION must be audit or apply, got "${ACTION}"`);
+    }
+
+    // Installed before the signer is taken, so that ADMIN_MODE=safe queues the grants and revokes
+    if (ACTION === "apply" && adminMode() === "safe") {
+        installBatchSigner(network.name);
+    }
+    const [signer] = await ethers.getSigners();
+    const manifest = loadManifest();
+    const policyPath = process.env.ROLE_POLICY || DEFAULT_ROLE_POLICY_PATH;
+    const policy = loadRolePolicy(policyPath);
+
+    // Holders can only be resolved once e.g. MULTISIG_ADDRESS is set; the matrix works without them
+    let holders = null;
+    try {
+        holders = resolvePolicyHolders(policy, network.name, signer.address, { warn: message => console.warn(`\x1b[33m${message}\x1b[0m`) });
+    } catch (error) {
+        if (ACTION === "apply") throw error;
+        console.warn(`\x1b[33mHandover plan skipped: ${error.message}\x1b[0m`);
+    }
+
+    const labels = { [signer.address.toLowerCase()]: "deployer" };
+    Object.entries(deployments.readDeployments(network.name).contracts)
+        .forEach(([name, record]) => { labels[record.address.toLowerCase()] = name; });
+    Object.entries(holders || {})
+        .forEach(([alias, address]) => { labels[address.toLowerCase()] = alias; });
+
+    console.log(`Auditing roles on ${network.name} (signer ${signer.address})...`);
+    const targets = await collectTargets(manifest);
+
+    const plans = [];
+    const problems = [];
+    for (const target of targets) {
+        const { roles, mismatches } = await collectRoleHolders(target.address, target.fromBlock);
+        if (Object.keys(roles).length === 0) continue;
+
+        // Role matrix of this contract
+        console.log(`\n\x1b[1m${target.name}\x1b[0m ${target.address}`);
+        Object.entries(roles).forEach(([hash, accounts]) => {
+            const shown = accounts.length > 0 ? accounts.map(a => labelFor(a, labels)).join(", ") : "\x1b[31m(none)\x1b[0m";
+            console.log(`   ${roleName(hash).padEnd(22)} ${shown}`);
+        });
+        mismatches.forEach(m => {
+            console.warn(`   \x1b[33m! ${roleName(m.role)}: ${m.fromEvents} holder(s) from events, ${m.onChain} on-chain\x1b[0m`);
+        });
+
+        const contract = new ethers.Contract(target.address, ACCESS_CONTROL_ABI, signer);
+        const roleAdmins = {};
+        for (const hash of Object.keys(roles)) {
+            roleAdmins[hash] = await contract.getRoleAdmin(hash);
+        }
+
+        // A contract can already be without an admin, whatever the policy says
+        problems.push(...findOrphanedAdmins(target.name, roles, roles, roleAdmins).map(p => `${p} (now)`));
+
+        if (holders) {
+            const plan = planRoleHandover(target.name, roles, policy, holders);
+            plan.warnings.forEach(warning => console.warn(`   \x1b[33m! ${warning}\x1b[0m`));
+            problems.push(...findOrphanedAdmins(target.name, roles, plan.after, roleAdmins));
+            plans.push({ target, contract, actions: plan.actions });
+        }
+    }
+
+    const actions = plans.flatMap(plan => plan.actions.map(action => ({ ...action, plan })));
+    if (holders) {
+        console.log(`\n\x1b[1mHandover plan (${policyPath})\x1b[0m`);
+        if (actions.length === 0) {
+            console.log("   Nothing to do, roles already match the policy");
+        }
+        actions.forEach((action, i) => {
+            const verb = action.action === "grant" ? "grantRole" : "revokeRole";
+            console.log(`   ${i + 1}. ${action.contract}.${verb}(${action.role}, ${action.account}) [${action.holder}]`);
+        });
+    }
+
+    if (problems.length > 0) {
+        console.error("\n\x1b[31mAdmin check failed:\x1b[0m");
+        problems.forEach(problem => console.error(`\x1b[31m   - ${problem}\x1b[0m`));
+    }
+
+    if (ACTION !== "apply") {
+        return { problems };
+    }
+    if (problems.length > 0) {
+        throw new Error("Refusing to apply a handover that leaves contracts without an admin");
+    }
+
+    // Gas and ledger entries of each handover go on the record of the contract it touches
+    const bookings = {};
+    const deploymentFor = name => bookings[name] || (bookings[name] = createDeployment(name));
+
+    // Grants of all contracts run before any revoke, so a failure never strands a contract half handed over
+    const ordered = [
+        ...actions.filter(action => action.action === "grant"),
+        ...actions.filter(action => action.action === "revoke")
+    ];
+
+    // Finished also when a step fails, so the handovers sent before it stay booked
+    try {
+        for (const action of ordered) {
+            const { contract } = action.plan;
+            const granted = action.action === "grant";
+            await deploymentFor(action.contract).step(
+                `${granted ? "Granting" : "Revoking"} ${action.role} on ${action.contract} ${granted ? "to" : "from"} ${action.holder}`,
+                async () => (await contract.hasRole(action.roleHash, action.account)) === granted,
+                () => granted
+                    ? contract.grantRole(action.roleHash, action.account)
+                    : contract.revokeRole(action.roleHash, action.account)
+            );
+        }
+    } finally {
+        Object.values(bookings).forEach(deployment => deployment.finish());
+    }
+    console.log(adminMode() === "safe"
+        ? "\n\x1b[32mRole handover queued for the Safe\x1b[0m"
+        : "\n\x1b[32mRole handover complete\x1b[0m");
+    return { problems };
+}
+
+main()
+    .then((result) => process.exit(result.problems.length > 0 ? 1 : 0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,609 @@
+// sequential-deploy.js - Run deployments in dependency order, tracking results in deployments/<network>.json
+const { execSync, spawn } = require('child_process');
+const readline = require('readline');
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { loadManifest, resolveDeploymentOrder, findMissingDependencies } = require('./lib/manifest');
+const deployments = require('./lib/deployments');
+const runOptions = require('./lib/run-options');
+const gas = require('./lib/gas');
+const params = require('./lib/params');
+const safeBatch = require('./lib/safe-batch');
+
+// Gas tracking configuration; costs come from each receipt's effective gas price,
+// NATIVE_PRICE_USD adds USD figures
+const TRACK_GAS_USAGE = true;  // Set to false to disable gas tracking
+const GAS_REPORTS_DIR = path.join(deployments.DEPLOYMENTS_DIR, 'gas-reports');
+
+// Headless run summaries go here unless --summary names a file
+const RUN_SUMMARIES_DIR = path.join(deployments.DEPLOYMENTS_DIR, 'run-summaries');
+
+// Local node started by --start-node
+const LOCAL_NODE_URL = 'http://127.0.0.1:8545';
+const NODE_STARTUP_TIMEOUT_MS = 60000;
+
+// Load environment variables
+dotenv.config();
+
+// Deployment sequence, ordered by the dependencies declared in deploy-manifest.json
+let manifest;
+let deploymentSequence;
+
+function loadDeploymentSequence() {
+    manifest = loadManifest();
+    deploymentSequence = resolveDeploymentOrder(manifest).map(component => ({
+        ...component,
+        gasUsed: 0,  // Will be populated during deployment
+        transactions: []
+    }));
+}
+
+// Readline interface, created on the first prompt so a headless run never touches stdin
+let rl = null;
+
+function ask(question) {
+    if (!rl) {
+        rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
+    }
+    return new Promise((resolve) => rl.question(question, resolve));
+}
+
+function closePrompts() {
+    if (rl) {
+        rl.close();
+        rl = null;
+    }
+}
+
+// Cost of some ledger entries in the native token, plus USD when NATIVE_PRICE_USD is set
+function describeCost(transactions, network) {
+    const costWei = gas.sumCost(transactions);
+    const usd = gas.formatUsd(costWei, gas.nativePriceUsd());
+    return `${gas.formatNative(costWei)} ${gas.nativeSymbol(network)}${usd !== null ? ` / ${usd} USD` : ''}`;
+}
+
+// Books the transactions a step added to the records on the step, if gas tracking is enabled
+function trackGasUsage(deployment, before, after, network) {
+    if (!TRACK_GAS_USAGE) return;
+
+    deployment.transactions = gas.transactionsBetween(before, after);
+    deployment.gasUsed = gas.sumGas(deployment.transactions);
+    if (deployment.gasUsed > 0) {
+        const cost = describeCost(deployment.transactions, network);
+        console.log(`\x1b[33m📊 Gas used: ${deployment.gasUsed.toLocaleString()} in ${deployment.transactions.length} transaction(s) (${cost})\x1b[0m`);
+    }
+}
+
+// Function to run a single deployment script; with --json its output goes to stderr
+async function runDeployment(deployment, network = "localhost", mode = "resume", stdio = 'inherit') {
+    return new Promise((resolve) => {
+        console.log(`\n\x1b[34m━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\x1b[0m`);
+        console.log(`\x1b[1m🚀 Deploying ${deployment.name}...\x1b[0m`);
+        console.log(`\x1b[34m━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\x1b[0m`);
+
+        // Refuse to run if a dependency is still missing, e.g. because its producer failed
+        const missing = deployment.requires.filter(key => !deployments.getAddress(network, key));
+        if (missing.length > 0) {
+            console.error(`\x1b[31m✗ ${deployment.name} not run: no deployment record for ${missing.join(', ')}\x1b[0m`);
+            resolve({ success: false, status: 'blocked', output: `Missing dependencies: ${missing.join(', ')}` });
+            return;
+        }
+
+        const before = deployments.readDeployments(network);
+        try {
+            const startedAt = Date.now();
+
+            // Use execSync instead of spawn
+            const command = `npx hardhat run ${deployment.script} --network ${network}`;
+            console.log(`Executing: ${command}`);
+
+            execSync(command, {
+                stdio,
+                env: { ...process.env, DEPLOY_MODE: mode }
+            });
+
+            // Every address this component produces must have been recorded by this run
+            const after = deployments.readDeployments(network);
+            const notRecorded = deployment.produces.filter(key => {
+                const record = after.contracts[key];
+                return !record || Date.parse(record.updatedAt) < startedAt;
+            });
+
+            trackGasUsage(deployment, before, after, network);
+
+            if (notRecorded.length > 0) {
+                console.error(`\x1b[31m✗ ${deployment.name} did not record a deployment for: ${notRecorded.join(', ')}\x1b[0m`);
+                resolve({ success: false, status: 'failed', output: `Not recorded: ${notRecorded.join(', ')}` });
+                return;
+            }
+
+            console.log(`\x1b[32m✓ ${deployment.name} deployment completed successfully!\x1b[0m`);
+            resolve({ success: true, status: 'succeeded' });
+        } catch (error) {
+            // Transactions mined before the failure still cost gas
+            trackGasUsage(deployment, before, deployments.readDeployments(network), network);
+            console.error(`\x1b[31m✗ ${deployment.name} deployment failed: ${error.message}\x1b[0m`);
+            resolve({ success: false, status: 'failed', output: error.message });
+        }
+    });
+}
+
+// Asks for the options of an interactive run
+async function promptRunOptions() {
+    console.log('\x1b[1m\n📋 Sequential Deployment Process\x1b[0m');
+    console.log('This script will run the deployment scripts in dependency order,');
+    console.log('recording every deployment in deployments/<network>.json.\n');
+
+    if (TRACK_GAS_USAGE) {
+        console.log('\x1b[33m💰 Gas tracking is enabled:\x1b[0m');
+        console.log('   - Costs use the effective gas price of every receipt');
+        const price = gas.nativePriceUsd();
+        console.log(price !== null
+            ? `   - USD at ${price} per native token (NATIVE_PRICE_USD)\n`
+            : '   - Set NATIVE_PRICE_USD to also see costs in USD\n');
+    }
+
+    // Ask which network to use
+    const network = (await ask('Which network do you want to deploy to? [localhost]: ')) || 'localhost';
+
+    // Resume mode lets every script skip what is already live and only finish missing wiring
+    const modeAnswer = await ask('Deploy mode: resume (skip live contracts and finished wiring) or fresh (redeploy everything)? [resume]: ');
+    const mode = modeAnswer.toLowerCase() === 'fresh' ? 'fresh' : 'resume';
+
+    // Ask if user wants to start from a specific deployment
+    const names = deploymentSequence.map((d, i) => `${i+1}. ${d.name}`).join('\n  ');
+    const startAnswer = parseInt(await ask(`\nStart from which deployment? (1-${deploymentSequence.length})\n  ${names}\n> `));
+    const startFrom = isNaN(startAnswer) || startAnswer < 1 || startAnswer > deploymentSequence.length
+        ? 1 // Default to first deployment
+        : startAnswer;
+
+    let archiveRecords = false;
+    if (startFrom === 1) {
+        const answer = await ask(`Do you want to archive the existing ${network} deployment records and start fresh? (y/n) [n]: `);
+        archiveRecords = answer.toLowerCase() === 'y';
+    }
+
+    return {
+        interactive: true,
+        network,
+        mode,
+        fromIndex: startFrom - 1,
+        toIndex: deploymentSequence.length - 1,
+        onError: 'prompt',
+        admin: process.env.ADMIN_MODE || 'send',
+        archiveRecords,
+        startNode: false,
+        summary: null,
+        json: false
+    };
+}
+
+// Problems of the network's parameter profile; future times are checked when they are sent
+function checkParameterProfile(network) {
+    try {
+        return params.validateProfile(params.readProfile(params.profileName(network)), { checkFuture: false }).problems;
+    } catch (error) {
+        return [error.message];
+    }
+}
+
+/**
+ * @dev Runs the selected steps of the deployment sequence
+ * @param options Resolved run options (see lib/run-options.js), onError "prompt" asks the operator
+ * @return Run summary with one entry per selected step and the exit code of the run
+ */
+async function runSequentialDeployments(options) {
+    const { network, mode, fromIndex, toIndex } = options;
+    const summary = {
+        network,
+        mode,
+        onError: options.onError,
+        admin: options.admin,
+        safeBatch: options.admin === 'safe' ? safeBatch.batchPath(network) : null,
+        from: deploymentSequence[fromIndex].name,
+        to: deploymentSequence[toIndex].name,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        status: 'succeeded',
+        exitCode: runOptions.EXIT_SUCCESS,
+        totalGasUsed: 0,
+        totalCostWei: '0',
+        gasReport: null,
+        missingDependencies: [],
+        steps: []
+    };
+
+    // Every script inherits the admin mode; in safe mode admin calls end up in the Safe batch
+    process.env.ADMIN_MODE = options.admin;
+    if (options.admin === 'safe' && !process.env.MULTISIG_ADDRESS) {
+        console.error('\n\x1b[31mCannot start deployment, --admin safe needs MULTISIG_ADDRESS\x1b[0m');
+        summary.finishedAt = new Date().toISOString();
+        summary.status = 'invalid';
+        summary.exitCode = runOptions.EXIT_INVALID_OPTIONS;
+        return summary;
+    }
+
+    if (options.archiveRecords) {
+        archiveDeploymentRecords(network);
+        await clearEnvDeploymentAddresses();
+    }
+
+    // Refuse to start if a step needs an address that is neither recorded nor produced by an earlier step
+    const selected = deploymentSequence.slice(0, toIndex + 1);
+    const missing = findMissingDependencies(selected, fromIndex, key => !!deployments.getAddress(network, key));
+    if (missing.length > 0) {
+        console.error('\n\x1b[31mCannot start deployment, missing dependencies:\x1b[0m');
+        missing.forEach(entry => {
+            console.error(`\x1b[31m  - ${entry.component} needs ${entry.missing.join(', ')}\x1b[0m`);
+        });
+        summary.finishedAt = new Date().toISOString();
+        summary.status = 'invalid';
+        summary.exitCode = runOptions.EXIT_INVALID_OPTIONS;
+        summary.missingDependencies = missing;
+        return summary;
+    }
+
+    // Refuse to start on a parameter profile the deploy scripts would reject halfway through
+    const parameterProblems = checkParameterProfile(network);
+    if (parameterProblems.length > 0) {
+        console.error(`\n\x1b[31mCannot start deployment, parameter profile ${params.profileName(network)} is invalid:\x1b[0m`);
+        parameterProblems.forEach(problem => console.error(`\x1b[31m  - ${problem}\x1b[0m`));
+        summary.finishedAt = new Date().toISOString();
+        summary.status = 'invalid';
+        summary.exitCode = runOptions.EXIT_INVALID_OPTIONS;
+        summary.parameterProblems = parameterProblems;
+        return summary;
+    }
+
+    // Run deployments
+    let stopped = false;
+    for (let i = fromIndex; i <= toIndex; i++) {
+        const deployment = deploymentSequence[i];
+        const step = {
+            step: i + 1,
+            name: deployment.name,
+            script: deployment.script,
+            status: 'not-run',
+            gasUsed: 0,
+            costWei: '0',
+            transactions: 0,
+            durationMs: 0,
+            error: null
+        };
+        summary.steps.push(step);
+        if (stopped) continue;
+
+        // Run current deployment
+        const startedAt = Date.now();
+        const result = await runDeployment(deployment, network, mode, options.json ? ['inherit', process.stderr, 'inherit'] : 'inherit');
+        step.status = result.status;
+        step.gasUsed = deployment.gasUsed;
+        step.costWei = gas.sumCost(deployment.transactions).toString();
+        step.transactions = deployment.transactions.length;
+        step.durationMs = Date.now() - startedAt;
+        step.error = result.success ? null : result.output;
+
+        if (!result.success) {
+            if (options.onError === 'fail-fast') {
+                console.log('\x1b[31mDeployment sequence aborted (fail-fast).\x1b[0m');
+                stopped = true;
+                continue;
+            }
+
+            if (options.onError === 'prompt') {
+                const answer = await ask('\n\x1b[31mDeployment failed. Continue with next deployment? (y/n) [n]: \x1b[0m');
+                if (answer.toLowerCase() !== 'y') {
+                    console.log('\x1b[31mDeployment sequence aborted.\x1b[0m');
+                    stopped = true;
+                    continue;
+                }
+            }
+        }
+
+        // Ask if user wants to continue with next deployment
+        if (options.interactive && i < toIndex) {
+            const input = (await ask('\nDo you want to continue with the next deployment? (y/n) [y]: ')).toLowerCase();
+
+            if (!(input === '' || input === 'y')) {
+                console.log('\x1b[33mDeployment sequence paused. Run the script again to continue.\x1b[0m');
+                stopped = true;
+            }
+        }
+    }
+
+    summary.finishedAt = new Date().toISOString();
+    summary.totalGasUsed = summary.steps.reduce((total, step) => total + step.gasUsed, 0);
+    summary.totalCostWei = summary.steps.reduce((total, step) => total + BigInt(step.costWei), 0n).toString();
+
+    const failed = summary.steps.filter(step => step.status === 'failed' || step.status === 'blocked');
+    if (failed.length > 0) {
+        summary.status = 'failed';
+        summary.exitCode = runOptions.EXIT_DEPLOYMENT_FAILED;
+        console.log(`\n\x1b[31mDeployment sequence finished with ${failed.length} failed step(s).\x1b[0m`);
+    } else if (summary.steps.some(step => step.status === 'not-run')) {
+        summary.status = 'paused';
+        console.log('\n\x1b[33mDeployment sequence paused.\x1b[0m');
+    } else {
+        console.log('\n\x1b[32mDeployment sequence completed!\x1b[0m');
+    }
+
+    return summary;
+}
+
+/**
+ * @dev Starts `npx hardhat node` in its own process group and waits until it answers JSON-RPC
+ * @return The child process, to be passed to stopLocalNode
+ */
+async function startLocalNode() {
+    console.log('Starting local Hardhat node...');
+    const node = spawn('npx', ['hardhat', 'node'], { stdio: 'ignore', detached: true });
+
+    const deadline = Date.now() + NODE_STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (node.exitCode !== null) {
+            throw new Error(`Hardhat node exited with code ${node.exitCode}`);
+        }
+        try {
+            const response = await fetch(LOCAL_NODE_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] })
+            });
+            if (response.ok) {
+                console.log(`\x1b[32m✓ Local Hardhat node running at ${LOCAL_NODE_URL}\x1b[0m`);
+                return node;
+            }
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise((resolve) => setTimeout(resolve, 500));
+    }
+
+    stopLocalNode(node);
+    throw new Error(`Hardhat node did not answer on ${LOCAL_NODE_URL} within ${NODE_STARTUP_TIMEOUT_MS / 1000}s`);
+}
+
+// Stops the node started by startLocalNode, together with the processes npx spawned for it
+function stopLocalNode(node) {
+    if (!node || node.exitCode !== null) return;
+    try {
+        process.kill(-node.pid);
+    } catch (error) {
+        node.kill();
+    }
+}
+
+/**
+ * @dev Writes the run summary of a headless run to the --summary file, or to a new file under
+ * deployments/run-summaries/, and prints it on stdout with --json
+ * @param print Writes to the real stdout; console.log goes to stderr with --json
+ */
+function emitSummary(summary, options, print) {
+    if (options.interactive) return;
+
+    const json = JSON.stringify(summary, null, 2);
+    let file = options.summary;
+    if (!file) {
+        fs.mkdirSync(RUN_SUMMARIES_DIR, { recursive: true });
+        file = path.join(RUN_SUMMARIES_DIR, `${summary.network}-${summary.startedAt.replace(/[:.]/g, '-')}.json`);
+    }
+    fs.writeFileSync(file, json + '\n');
+    console.log(`\x1b[32m✓ Run summary written to ${file}\x1b[0m`);
+    if (options.json) {
+        print(json);
+    }
+}
+
+/**
+ * @dev Builds the gas report of the run from the ledger entries of every step
+ * @return Report as built by lib/gas.js buildRunReport
+ */
+function buildGasReport(summary) {
+    const transactions = deploymentSequence
+        .filter(deployment => summary.steps.some(step => step.name === deployment.name))
+        .flatMap(deployment => deployment.transactions.map(tx => ({ step: deployment.name, ...tx })));
+    return gas.buildRunReport({
+        network: summary.network,
+        chainId: deployments.readDeployments(summary.network).chainId,
+        startedAt: summary.startedAt,
+        finishedAt: summary.finishedAt
+    }, transactions);
+}
+
+// Function to display total gas costs at the end
+function displayTotalGasCosts(report) {
+    if (!TRACK_GAS_USAGE) return;
+
+    console.log('\n\x1b[34m━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\x1b[0m');
+    console.log('\x1b[1m💰 Gas Usage Summary\x1b[0m');
+    console.log('\x1b[34m━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\x1b[0m');
+
+    if (report.transactions.length === 0) {
+        console.log('\x1b[90mNo gas usage data collected.\x1b[0m');
+        return;
+    }
+
+    const symbol = report.nativeSymbol;
+    const withUsd = report.nativePriceUsd !== null;
+    console.log(`\x1b[1m Contract                Gas Used       Cost (${symbol})${withUsd ? '       Cost (USD)' : ''}\x1b[0m`);
+    console.log('─────────────────────────────────────────────────────────────');
+
+    const row = (label, gasUsed, costWei) => ` ${label.padEnd(22)} ${gasUsed.toLocaleString().padStart(12)} ` +
+        `     ${gas.formatNative(costWei).padStart(14)}${withUsd ? `     ${gas.formatUsd(costWei, report.nativePriceUsd).padStart(10)}` : ''}`;
+
+    report.components.forEach(component => {
+        console.log(row(component.component, component.gasUsed, component.costWei));
+        Object.entries(component.byCategory).forEach(([category, totals]) => {
+            console.log(`\x1b[90m${row(`  ${category} (${totals.count})`, totals.gasUsed, totals.costWei)}\x1b[0m`);
+        });
+    });
+
+    console.log('─────────────────────────────────────────────────────────────');
+    console.log(`\x1b[1m${row('TOTAL', report.total.gasUsed, report.total.costWei)}\x1b[0m`);
+    console.log(`\n\x1b[90mCosts from the effective gas price of ${report.total.transactions} receipt(s)` +
+        `${withUsd ? `, USD at ${report.nativePriceUsd} per ${symbol}` : ''}.\x1b[0m`);
+}
+
+// Saves the gas report of the run next to the deployment records; gas-report.js
+// converts it to CSV or Markdown and diffs two runs
+function saveGasCostsToFile(report) {
+    if (!TRACK_GAS_USAGE || report.transactions.length === 0) return null;
+
+    const timestamp = report.startedAt.replace(/[:.]/g, '-');
+    const filename = path.join(GAS_REPORTS_DIR, `${report.network}-${timestamp}.json`);
+
+    fs.mkdirSync(GAS_REPORTS_DIR, { recursive: true });
+    fs.writeFileSync(filename, JSON.stringify(report, null, 2) + '\n');
+    console.log(`\n\x1b[32m✓ Gas cost report saved to ${filename}\x1b[0m`);
+    return filename;
+}
+
+/**
+ * @dev Moves the current deployment records aside so a fresh run starts from an empty file
+ */
+function archiveDeploymentRecords(network) {
+    const file = deployments.deploymentsPath(network);
+    if (!fs.existsSync(file)) return;
+
+    const archiveDir = path.join(deployments.DEPLOYMENTS_DIR, 'archive');
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const archived = path.join(archiveDir, `${network}-${timestamp}.json`);
+
+    fs.mkdirSync(archiveDir, { recursive: true });
+    fs.renameSync(file, archived);
+    console.log(`\x1b[33m✓ Archived previous deployment records to ${archived}\x1b[0m`);
+}
+
+/**
+ * @dev Clears address overrides (the env vars of deploy-manifest.json) from the .env file
+ * when starting from scratch; they would point the resolver at the archived contracts
+ */
+async function clearEnvDeploymentAddresses() {
+    try {
+        // Read the current .env file
+        let envContent = '';
+        try {
+            envContent = fs.readFileSync('.env', 'utf8');
+        } catch (error) {
+            // If .env doesn't exist, create an empty one
+            fs.writeFileSync('.env', '');
+            return;
+        }
+
+        // Every address the manifest declares, whether or not a component produces it
+        const addressVars = Object.values(manifest.addresses)
+            .map(entry => entry.env)
+            .filter(Boolean);
+
+        // Create a new content without these variables
+        const lines = envContent.split('\n');
+        const filteredLines = lines.filter(line => {
+            const varName = line.split('=')[0];
+            return !addressVars.includes(varName);
+        });
+
+        // Write the filtered content back to .env
+        fs.writeFileSync('.env', filteredLines.join('\n'));
+        addressVars.forEach(varName => { delete process.env[varName]; });
+        console.log('\x1b[33m✓ Cleared address overrides from .env file\x1b[0m');
+    } catch (error) {
+        console.error(`\x1b[31mError clearing .env file: ${error.message}\x1b[0m`);
+    }
+}
+
+/**
+ * @dev Plans the selected steps on an in-process fork of the network (scripts/dry-run.js)
+ * instead of deploying; the plan goes to stdout, or as JSON to the --summary file
+ * @return Exit code of the dry run, 1 if a step reverted or was blocked
+ */
+function runDryRun(options) {
+    const command = 'npx hardhat run scripts/dry-run.js --network hardhat';
+    console.log(`Planning ${deploymentSequence[options.fromIndex].name} to ${deploymentSequence[options.toIndex].name} on a fork of ${options.network}`);
+    try {
+        execSync(command, {
+            stdio: 'inherit',
+            env: {
+                ...process.env,
+                DRY_RUN_NETWORK: options.network,
+                DRY_RUN_FROM: deploymentSequence[options.fromIndex].name,
+                DRY_RUN_TO: deploymentSequence[options.toIndex].name,
+                DEPLOY_MODE: options.mode,
+                ...(options.summary ? { DRY_RUN_PLAN: options.summary } : {})
+            }
+        });
+        return runOptions.EXIT_SUCCESS;
+    } catch (error) {
+        return runOptions.EXIT_DEPLOYMENT_FAILED;
+    }
+}
+
+async function main() {
+    let options;
+    try {
+        loadDeploymentSequence();
+        options = runOptions.resolveRunOptions(process.argv.slice(2), deploymentSequence);
+    } catch (error) {
+        console.error(`\x1b[31m${error.message}\x1b[0m`);
+        if (error instanceof runOptions.UsageError) {
+            console.error(`\n${runOptions.USAGE}`);
+        }
+        return runOptions.EXIT_INVALID_OPTIONS;
+    }
+
+    if (options.help) {
+        console.log(runOptions.USAGE);
+        return runOptions.EXIT_SUCCESS;
+    }
+    if (options.dryRun) {
+        return runDryRun(options);
+    }
+
+    // With --json stdout only carries the summary; progress and the scripts' output go to stderr
+    const print = console.log.bind(console);
+    if (options.json) {
+        console.log = console.error.bind(console);
+    }
+
+    let node = null;
+    let summary;
+    try {
+        if (options.interactive) {
+            options = await promptRunOptions();
+        }
+
+        if (options.startNode) {
+            node = await startLocalNode();
+            // A new node starts from an empty chain, so the old localhost records are stale. Only the
+            // record file moves aside; .env overrides are cleared by --archive-records alone
+            if (!options.archiveRecords) {
+                archiveDeploymentRecords(options.network);
+            }
+        }
+
+        summary = await runSequentialDeployments(options);
+    } finally {
+        stopLocalNode(node);
+        closePrompts();
+    }
+
+    // Display total gas costs at the end and keep the report for later diffs
+    const gasReport = buildGasReport(summary);
+    displayTotalGasCosts(gasReport);
+    summary.gasReport = saveGasCostsToFile(gasReport);
+
+    emitSummary(summary, options, print);
+    return summary.exitCode;
+}
+
+main()
+    .then((exitCode) => {
+        process.exitCode = exitCode;
+    })
+    .catch((error) => {
+        console.error(error);
+        process.exitCode = runOptions.EXIT_DEPLOYMENT_FAILED;
+    });
@@ -0,0 +1,115 @@
+// scripts/simulate-safe-batch.js - Executes a Safe Transaction Builder batch as the Safe on a fork of the network, before it goes to the signers
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+require("dotenv").config();
+
+// Run with --network hardhat. SAFE_SIM_NETWORK=amoy selects the network to fork,
+// SAFE_BATCH the batch (default deployments/safe-batches/<network>.json),
+// SAFE_SIM_BLOCK pins the fork, SAFE_SIM_REPORT=<file> also writes the results as JSON.
+// Parameters are read from the target's profile, or PARAMS_PROFILE when it is set.
+const TARGET = process.env.SAFE_SIM_NETWORK;
+
+// Argument as given in contractInputsValues, in the form ethers encodes
+function inputValue(input, value) {
+    if (input.type.endsWith("]") || input.type.startsWith("tuple")) return JSON.parse(value);
+    if (input.type === "bool") return value === "true";
+    return value;
+}
+
+// Calldata of a batch entry; entries edited in the Transaction Builder may only carry the decoded method
+function callData(ethers, entry) {
+    if (entry.data) return entry.data;
+    const { name, inputs, payable } = entry.contractMethod;
+    const fragment = { type: "function", name, inputs, outputs: [], stateMutability: payable ? "payable" : "nonpayable" };
+    return new ethers.Interface([fragment]).encodeFunctionData(name,
+        inputs.map(input => inputValue(input, entry.contractInputsValues[input.name])));
+}
+
+async function main() {
+    if (!TARGET) {
+        throw new Error("Set SAFE_SIM_NETWORK to the network the batch is for, e.g. SAFE_SIM_NETWORK=amoy");
+    }
+
+    const sourceDir = process.env.DEPLOYMENTS_DIR || path.join(__dirname, "..", "deployments");
+    const batchFile = process.env.SAFE_BATCH || path.join(sourceDir, "safe-batches", `${TARGET}.json`);
+    if (!fs.existsSync(batchFile)) {
+        throw new Error(`No Safe batch at ${batchFile}, create one with ADMIN_MODE=safe or point SAFE_BATCH at it`);
+    }
+
+    // As in the dry run, the fork works on a scratch copy of the target's records
+    const forkDir = fs.mkdtempSync(path.join(os.tmpdir(), "safe-simulation-"));
+    process.env.DEPLOYMENTS_DIR = forkDir;
+    // The fork runs as the hardhat network, whose own profile is the localhost one
+    if (!process.env.PARAMS_PROFILE) process.env.PARAMS_PROFILE = TARGET;
+
+    const { ethers } = require("hardhat");
+    const deployments = require("./lib/deployments");
+    const { FORK_NETWORK, forkNetwork, seedForkRecords } = require("./lib/dry-run");
+    const { readBatch, decodeCall } = require("./lib/safe-batch");
+    const { revertReason } = require("./lib/deploy-helpers");
+    const { inspectWiring } = require("./lib/wiring");
+
+    try {
+        seedForkRecords(sourceDir, forkDir, TARGET);
+        const batch = readBatch(batchFile);
+        const recordedChainId = deployments.readDeployments(FORK_NETWORK).chainId;
+        if (recordedChainId && recordedChainId !== batch.chainId) {
+            throw new Error(`${batchFile} is for chain ${batch.chainId}, but the ${TARGET} records are for chain ${recordedChainId}`);
+        }
+
+        const safe = batch.meta.createdFromSafeAddress;
+        const { forkBlock } = await forkNetwork(TARGET, {
+            blockNumber: process.env.SAFE_SIM_BLOCK ? parseInt(process.env.SAFE_SIM_BLOCK, 10) : null,
+            deployer: safe,
+            fund: true
+        });
+        const [signer] = await ethers.getSigners();
+        console.log(`\n\x1b[1mSimulating ${batch.transactions.length} call(s) from Safe ${safe}\x1b[0m on a fork of ${TARGET} at block ${forkBlock}, profile ${process.env.PARAMS_PROFILE}`);
+
+        // Each call runs on top of the previous ones, as MultiSend executes them
+        const interfaces = {};
+        const results = [];
+        for (const [i, entry] of batch.transactions.entries()) {
+            const call = { to: entry.to, data: callData(ethers, entry), value: BigInt(entry.value || 0) };
+            const { description } = await decodeCall(FORK_NETWORK, call, interfaces);
+            try {
+                const receipt = await (await signer.sendTransaction(call)).wait();
+                results.push({ index: i + 1, description, status: "ok", gasUsed: receipt.gasUsed.toString(), error: null });
+                console.log(`   \x1b[32m✓\x1b[0m ${i + 1}. ${description}  \x1b[90m${Number(receipt.gasUsed).toLocaleString()} gas\x1b[0m`);
+            } catch (error) {
+                const reason = revertReason(error, Object.values(interfaces));
+                results.push({ index: i + 1, description, status: "reverted", gasUsed: "0", error: reason });
+                console.log(`   \x1b[31m✗\x1b[0m ${i + 1}. ${description}\n      ${reason}`);
+            }
+        }
+
+        const reverted = results.filter(result => result.status === "reverted");
+        if (reverted.length > 0) {
+            console.log(`\n\x1b[31m${reverted.length} call(s) revert. The Safe executes the batch through MultiSend, ` +
+                "so on-chain the whole batch would revert.\x1b[0m");
+        }
+
+        // Wiring as it would be once the batch is executed
+        const wiring = await inspectWiring(FORK_NETWORK);
+        const open = wiring.findings.filter(finding => finding.severity !== "ok");
+        console.log(`\n\x1b[1mWiring after the batch\x1b[0m: ${wiring.errors} error(s), ${wiring.warnings} warning(s)`);
+        open.forEach(finding => console.log(`   ${finding.severity === "error" ? "\x1b[31m✗\x1b[0m" : "\x1b[33m!\x1b[0m"} ${finding.message}`));
+
+        const report = { network: TARGET, batch: batchFile, safe, forkBlock, results, wiring: { errors: wiring.errors, warnings: wiring.warnings, findings: open } };
+        if (process.env.SAFE_SIM_REPORT) {
+            fs.writeFileSync(process.env.SAFE_SIM_REPORT, JSON.stringify(report, null, 2) + "\n");
+            console.log(`Report written to ${process.env.SAFE_SIM_REPORT}`);
+        }
+        return report;
+    } finally {
+        fs.rmSync(forkDir, { recursive: true, force: true });
+    }
+}
+
+main()
+    .then((report) => process.exit(report.results.some(result => result.status === "reverted") ? 1 : 0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -1,5 +1,6 @@
-// scripts/deploy-test-stablecoin.js
+// scripts/test-deploy-stablecoin.js
 const { ethers } = require("hardhat");
+const { createDeployment } = require("./lib/deploy-helpers");
 
 async function main() {
     console.log("Deploying TestStablecoin...");
@@ -9,13 +10,8 @@ async function main() {
     console.log("Deploying with account:", deployer.address);
     
     // Create a simple ERC20 for testing
-    const TestStablecoin = await ethers.getContractFactory("TestUSDC");
-    const stablecoin = await TestStablecoin.deploy();
-
-    await stablecoin.waitForDeployment();
-    const deploymentTx = await ethers.provider.getTransactionReceipt(stablecoin.deploymentTransaction().hash);
-    console.log("Gas used:", deploymentTx.gasUsed.toString());
-    const stablecoinAddress = await stablecoin.getAddress();
+    const deployment = createDeployment("StableCoin");
+    const { contract: stablecoin, address: stablecoinAddress } = await deployment.deploy([], { factory: "TestUSDC", proxy: false });
     console.log("TestStablecoin deployed to:", stablecoinAddress);
 
     // Log total supply and deployer balance
@@ -26,13 +22,16 @@ async function main() {
     console.log("Deployer balance:", ethers.formatEther(deployerBalance, 6), "tUSDC");
     
     console.log("TestStablecoin initialized and minted to deployer");
-    console.log("\n--- IMPORTANT: Update your .env file with these values ---");
-    console.log(`STABLE_COIN_ADDRESS=${stablecoinAddress}`);
+    return deployment.finish();
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error(error);
+            process.exit(1);
+        });
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((error) => {
-        console.error(error);
-        process.exit(1);
-    });
\ No newline at end of file
+module.exports = { main };
@@ -0,0 +1,166 @@
+// scripts/tge-runbook.js - Preflights and runs the TokenCrowdSale TGE, or its abort and refunds, and reports what buyers can claim
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const deployments = require("./lib/deployments");
+const { loadManifest } = require("./lib/manifest");
+const { createAddressResolver } = require("./lib/addresses");
+const { createDeployment, revertReason } = require("./lib/deploy-helpers");
+const { PRICE_DECIMALS } = require("./lib/tiers");
+const { readSaleEvents, unsoldTokens, preflight, buyerReport } = require("./lib/tge");
+require("dotenv").config();
+
+// TGE_ACTION=preflight (default) only runs the checks, complete wires the vesting contract,
+// calls completeTGE and starts TokenVesting's TGE, sweep sends the unsold tokens to the treasury,
+// abort calls abortTGE so buyers can claimRefund, report writes the buyer report without sending.
+// TGE_REPORT=<file> is where the report goes (default deployments/tge/<network>.json),
+// TGE_FROM_BLOCK is where the event scan starts when TokenCrowdSale has no deployment record
+const ACTION = (process.env.TGE_ACTION || "preflight").toLowerCase();
+const ACTIONS = ["preflight", "complete", "sweep", "abort", "report"];
+
+const ERC20_BALANCE_ABI = ["function balanceOf(address account) view returns (uint256)"];
+
+function date(seconds) {
+    return new Date(Number(seconds) * 1000).toISOString().replace(".000Z", "Z");
+}
+
+function printChecks(checks, action) {
+    console.log("\n\x1b[1mPreflight\x1b[0m");
+    for (const check of checks) {
+        const blocking = check.blocks.includes(action);
+        const mark = check.ok ? "\x1b[32m✓\x1b[0m" : check.fixable && blocking ? "\x1b[33m~\x1b[0m" : blocking ? "\x1b[31m✗\x1b[0m" : "\x1b[90m-\x1b[0m";
+        console.log(`   ${mark} ${check.name.padEnd(32)} ${check.detail}`);
+    }
+}
+
+async function writeReport(crowdsale, sale, meta) {
+    const { rows, refundToken } = await buyerReport(crowdsale, sale);
+    const usd = amount => ethers.formatUnits(amount, PRICE_DECIMALS);
+    const refund = amount => amount === null ? null : ethers.formatUnits(amount, refundToken.decimals);
+
+    console.log(`\n\x1b[1m${rows.length} buyer(s)\x1b[0m`);
+    console.log(`   ${"buyer".padEnd(42)} ${"TEACH bought".padStart(18)} ${"USD".padStart(12)} ${"claimable".padStart(18)}  schedule`);
+    rows.forEach(row => {
+        const status = row.refunded ? "\x1b[90mrefunded\x1b[0m"
+            : row.refund !== null ? `refund ${refund(row.refund)} ${refundToken.symbol}` : row.scheduleId.toString();
+        console.log(`   ${row.buyer} ${ethers.formatEther(row.tokens).padStart(18)} ${usd(row.usdAmount).padStart(12)} ` +
+            `${ethers.formatEther(row.claimable).padStart(18)}  ${status}`);
+    });
+
+    const report = {
+        ...meta,
+        tgeCompleted: await crowdsale.tgeCompleted(),
+        tgeAborted: await crowdsale.tgeAborted(),
+        refundToken: refundToken ? refundToken.token : null,
+        swept: sale.swept.map(amount => ethers.formatEther(amount)),
+        buyers: rows.map(row => ({
+            buyer: row.buyer,
+            tokens: ethers.formatEther(row.tokens),
+            usdAmount: usd(row.usdAmount),
+            vestingScheduleId: row.scheduleId.toString(),
+            claimable: ethers.formatEther(row.claimable),
+            refundOwed: row.refund !== null ? refund(row.refund) : null,
+            refunded: row.refunded ? { amount: ethers.formatUnits(row.refunded.tokenAmount, refundToken ? refundToken.decimals : 18), tx: row.refunded.hash } : null
+        }))
+    };
+    const file = process.env.TGE_REPORT || path.join(deployments.DEPLOYMENTS_DIR, "tge", `${network.name}.json`);
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(report, null, 2) + "\n");
+    console.log(`\nReport written to ${file}`);
+}
+
+async function main() {
+    if (!ACTIONS.includes(ACTION)) {
+        throw new Error(`TGE_ACTION must be one of ${ACTIONS.join(", ")}, got "${ACTION}"`);
+    }
+
+    const resolver = createAddressResolver(network.name, { manifest: loadManifest() });
+    const addresses = await resolver.require(["TokenCrowdSale", "TokenVesting"]);
+
+    // Created before the contracts are attached, so that ADMIN_MODE=safe queues the calls
+    const deployment = ["complete", "sweep", "abort"].includes(ACTION) ? createDeployment("TokenCrowdSale") : null;
+    const crowdsale = (await ethers.getContractFactory("TokenCrowdSale")).attach(addresses.TokenCrowdSale);
+    const vesting = (await ethers.getContractFactory("TokenVesting")).attach(addresses.TokenVesting);
+
+    // The components the crowdsale itself calls, rather than what the records say
+    const tierManager = (await ethers.getContractFactory("TierManager")).attach(await crowdsale.tierManager());
+    const emergencyManager = (await ethers.getContractFactory("EmergencyManager")).attach(await crowdsale.emergencyManager());
+    const token = new ethers.Contract(await crowdsale.token(), ERC20_BALANCE_ABI, ethers.provider);
+
+    const block = await ethers.provider.getBlock("latest");
+    const record = deployments.getDeployment(network.name, "TokenCrowdSale");
+    const fromBlock = record && record.blockNumber ? record.blockNumber : parseInt(process.env.TGE_FROM_BLOCK || "0", 10);
+    const sale = await readSaleEvents(crowdsale, fromBlock, block.number);
+    console.log(`TokenCrowdSale ${addresses.TokenCrowdSale} on ${network.name} at block ${block.number} (${date(block.timestamp)})`);
+
+    const meta = { network: network.name, crowdsale: addresses.TokenCrowdSale, blockNumber: block.number, timestamp: block.timestamp };
+    if (ACTION === "report") {
+        await writeReport(crowdsale, sale, meta);
+        return 0;
+    }
+
+    const checks = await preflight(
+        { crowdsale, tierManager, vesting, token, emergencyManager },
+        { vestingAddress: addresses.TokenVesting, sale, now: block.timestamp }
+    );
+    const route = ACTION === "preflight" ? "complete" : ACTION;
+    printChecks(checks, route);
+    const blocking = checks.filter(check => !check.ok && !check.fixable && check.blocks.includes(route));
+
+    if (ACTION === "preflight") {
+        const ready = ["complete", "abort"].filter(action => !checks.some(check => !check.ok && !check.fixable && check.blocks.includes(action)));
+        console.log(`\n${ready.length > 0 ? `Ready to ${ready.join(" or ")}` : "\x1b[31mNeither completing nor aborting is possible yet\x1b[0m"}. ` +
+            "Run with TGE_ACTION=complete, sweep or abort.");
+        return ready.length > 0 ? 0 : 1;
+    }
+    if (blocking.length > 0) {
+        console.log(`\n\x1b[31mNot running ${ACTION}, fix the problems above first\x1b[0m`);
+        return 1;
+    }
+
+    try {
+        if (ACTION === "complete") {
+            await deployment.link({
+                label: "TokenCrowdSale",
+                contract: crowdsale,
+                getter: "vestingContract",
+                setter: "setVestingContract",
+                target: addresses.TokenVesting
+            });
+            await deployment.step("Completing the TGE", () => crowdsale.tgeCompleted(), () => crowdsale.completeTGE());
+            // claimableTokens reads TokenVesting, which releases nothing until its own TGE is set
+            await deployment.step("Starting the TGE in TokenVesting", () => vesting.tgeOccurred(), async () =>
+                vesting.setTGE((await ethers.provider.getBlock("latest")).timestamp));
+        } else if (ACTION === "sweep") {
+            // The sweep leaves the tiers' remaining counts as they are, so only the event shows it ran
+            const unsold = await unsoldTokens(tierManager);
+            await deployment.step(
+                `Sweeping ${ethers.formatEther(unsold)} unsold TEACH to the treasury`,
+                async () => sale.swept.length > 0 || unsold === 0n,
+                () => crowdsale.sweepUnallocatedTokens()
+            );
+        } else {
+            await deployment.step("Aborting the TGE", () => crowdsale.tgeAborted(), () => crowdsale.abortTGE());
+        }
+    } catch (error) {
+        throw new Error(`${ACTION} failed: ${revertReason(error.cause || error, [crowdsale.interface, vesting.interface])}`);
+    }
+    deployment.finish();
+
+    if (ACTION === "complete") {
+        console.log("\nNext: TGE_ACTION=sweep sends the unsold tokens to the treasury");
+    } else if (ACTION === "abort") {
+        console.log("\nBuyers now call claimRefund() on the crowdsale; it pays from the treasury's allowance");
+    }
+    const after = await ethers.provider.getBlock("latest");
+    await writeReport(crowdsale, await readSaleEvents(crowdsale, fromBlock, after.number),
+        { ...meta, blockNumber: after.number, timestamp: after.timestamp });
+    return 0;
+}
+
+main()
+    .then((exitCode) => process.exit(exitCode))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
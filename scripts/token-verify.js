@@ -1,38 +1,16 @@
-// scripts/verify-teachtoken.js
+// scripts/token-verify.js - Verifies TeachToken only; verify-deployments.js covers every record
 const hre = require("hardhat");
+const { verifyDeployments } = require("./lib/verification");
 require("dotenv").config();
 
 async function main() {
-  const contractAddress = process.env.TOKEN_ADDRESS;
-
-  if (!contractAddress) {
-    console.error("Please set TOKEN_ADDRESS in your .env file");
-    return;
-  }
-
-  console.log("Verifying TeachToken on Etherscan:", contractAddress);
-
-  try {
-    // Wait for 60 seconds to ensure the contract is properly propagated on the blockchain
-    console.log("Waiting 60 seconds before verification...");
-    await new Promise(resolve => setTimeout(resolve, 60000));
-
-    // Verify the contract on Etherscan
-    await hre.run("verify:verify", {
-      address: contractAddress,
-      constructorArguments: [],
-      contract: "contracts/TeachToken.sol:TeachToken"
-    });
-
-    console.log("TeachToken verified successfully on Etherscan!");
-  } catch (error) {
-    console.error("Error during verification:", error);
-  }
+    console.log("Verifying TeachToken on", hre.network.name);
+    return verifyDeployments(hre.network.name, { only: ["TeachToken"] });
 }
 
 main()
-    .then(() => process.exit(0))
+    .then((result) => process.exit(result.failed > 0 ? 1 : 0))
     .catch((error) => {
-      console.error(error);
-      process.exit(1);
-    });
\ No newline at end of file
+        console.error(error);
+        process.exit(1);
+    });
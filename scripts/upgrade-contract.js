@@ -0,0 +1,202 @@
+// scripts/upgrade-contract.js - UUPS upgrade of a registered contract with storage layout validation and registry bookkeeping
+const { ethers, upgrades, network } = require("hardhat");
+const deployments = require("./lib/deployments");
+const { loadManifest } = require("./lib/manifest");
+const { createAddressResolver } = require("./lib/addresses");
+const { createDeployment, registryName, sameAddress } = require("./lib/deploy-helpers");
+const { receiptsSince, sumGas, transactionEntry } = require("./lib/gas");
+const { adminMode } = require("./lib/safe-batch");
+require("dotenv").config();
+
+// UPGRADE_NAME=TOKEN_STAKING selects the registry name to upgrade,
+// UPGRADE_CONTRACT=TokenStakingV2 the new implementation (defaults to the contract's own name),
+// UPGRADE_DRY_RUN=true stops after the storage layout check.
+// UPGRADE_NAME=ContractRegistry upgrades the registry itself, which is not registered in itself;
+// registries deployed before recordUpgrade existed need this once before any other upgrade.
+const UPGRADE_NAME = process.env.UPGRADE_NAME;
+const DRY_RUN = process.env.UPGRADE_DRY_RUN === "true";
+const REGISTRY = "ContractRegistry";
+
+/**
+ * @dev Whether the live registry implementation has recordUpgrade; its selector is in the
+ * dispatcher of every implementation that does
+ * @param registry Attached ContractRegistry, whose ABI gives the recordUpgrade selector
+ * @param registryAddress Registry proxy
+ */
+async function supportsRecordUpgrade(registry, registryAddress) {
+    const implementation = await upgrades.erc1967.getImplementationAddress(registryAddress);
+    const code = await ethers.provider.getCode(implementation);
+    return code.includes(registry.interface.getFunction("recordUpgrade").selector.slice(2));
+}
+
+async function printHistory(registry, hash, proxyAddress, label) {
+    const version = await registry.getContractVersion(hash);
+    const history = await registry.getImplementationHistory(hash);
+    console.log(`\n${label} (version ${version}):`);
+    history.forEach((address, i) => {
+        // registerContract stores the proxy itself as the first entry
+        const note = sameAddress(address, proxyAddress) ? " (proxy, at registration)" : "";
+        console.log(`   v${i + 1}: ${address}${note}`);
+    });
+}
+
+/**
+ * @dev Deploys the new implementation and queues upgradeToAndCall and recordUpgrade in the
+ * Safe batch; the deployment record is updated by a later run once the Safe executed them
+ */
+async function queueUpgrade(deployment, { factoryName, factory, proxyAddress, oldImplementation, registry, hash }) {
+    console.log(`\nDeploying ${factoryName} implementation for the Safe to upgrade to...`);
+    const newImplementation = await upgrades.prepareUpgrade(proxyAddress, factory, { kind: "uups" });
+    console.log("New implementation:", newImplementation);
+    if (sameAddress(newImplementation, oldImplementation)) {
+        console.log("Implementation unchanged (identical bytecode), nothing to queue");
+        return deployment.finish();
+    }
+
+    // Attached anew: contracts attached before createDeployment send from the deployer instead of queueing
+    const proxy = (await ethers.getContractFactory(factoryName)).attach(proxyAddress);
+    const safeRegistry = (await ethers.getContractFactory("ContractRegistry")).attach(await registry.getAddress());
+    await deployment.step(
+        `Upgrading ${UPGRADE_NAME} to ${factoryName}`,
+        async () => sameAddress(await upgrades.erc1967.getImplementationAddress(proxyAddress), newImplementation),
+        () => proxy.upgradeToAndCall(newImplementation, "0x"),
+        { category: "upgrade" }
+    );
+    if (!hash) return deployment.finish();
+    await deployment.step(
+        `Recording upgrade of ${UPGRADE_NAME} in Registry`,
+        async () => {
+            const history = await registry.getImplementationHistory(hash);
+            return sameAddress(history[history.length - 1], newImplementation);
+        },
+        () => safeRegistry.recordUpgrade(hash, newImplementation),
+        { category: "upgrade" }
+    );
+    return deployment.finish();
+}
+
+async function main() {
+    if (!UPGRADE_NAME) {
+        throw new Error("Set UPGRADE_NAME to the registry name of the contract to upgrade, e.g. UPGRADE_NAME=TOKEN_STAKING");
+    }
+
+    const manifest = loadManifest();
+    const upgradingRegistry = UPGRADE_NAME === REGISTRY;
+    const entry = upgradingRegistry
+        ? [REGISTRY, manifest.addresses[REGISTRY]]
+        : Object.entries(manifest.addresses).find(([, address]) => address.registryKey === UPGRADE_NAME);
+    if (!entry) {
+        throw new Error(`${UPGRADE_NAME} is not a registry name declared in deploy-manifest.json`);
+    }
+    const [name, declaration] = entry;
+    const factoryName = process.env.UPGRADE_CONTRACT || declaration.contract || name;
+
+    const [deployer] = await ethers.getSigners();
+    console.log(`Upgrading ${UPGRADE_NAME} (${name}) to ${factoryName} on ${network.name} with the account:`, deployer.address);
+
+    const { ContractRegistry: registryAddress } = await createAddressResolver(network.name, { manifest }).require(["ContractRegistry"]);
+    const ContractRegistry = await ethers.getContractFactory("ContractRegistry");
+    const registry = ContractRegistry.attach(registryAddress);
+    const hash = upgradingRegistry ? null : registryName(UPGRADE_NAME);
+    if (hash && !(await supportsRecordUpgrade(registry, registryAddress))) {
+        throw new Error(
+            `ContractRegistry ${registryAddress} predates recordUpgrade and cannot record the upgrade. ` +
+            `Upgrade the registry first with UPGRADE_NAME=${REGISTRY}.`
+        );
+    }
+
+    // The registry is the source of truth for which proxy is live, an override must not redirect the upgrade
+    const proxyAddress = hash ? await registry.getContractAddress(hash) : registryAddress;
+    const recorded = deployments.getAddress(network.name, name);
+    if (recorded && !sameAddress(recorded, proxyAddress)) {
+        throw new Error(`${UPGRADE_NAME} is registered to ${proxyAddress} but ${name} is recorded at ${recorded}. Resolve this first.`);
+    }
+
+    const oldImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+    console.log("Proxy:", proxyAddress);
+    console.log("Current implementation:", oldImplementation);
+    if (hash) {
+        await printHistory(registry, hash, proxyAddress, "Implementation history before");
+    }
+
+    // Storage layout check against the implementation the plugin recorded for this network
+    const factory = await ethers.getContractFactory(factoryName);
+    console.log(`\nValidating storage layout of ${factoryName}...`);
+    try {
+        await upgrades.validateUpgrade(proxyAddress, factory, { kind: "uups" });
+    } catch (error) {
+        throw new Error(
+            `${factoryName} is not a safe upgrade of ${name}: ${error.message}\n` +
+            `If the proxy was deployed from another machine, import it first with upgrades.forceImport using the deployed version's artifacts.`
+        );
+    }
+    console.log("Storage layout is compatible");
+
+    if (DRY_RUN) {
+        console.log("\nUPGRADE_DRY_RUN=true, stopping before the upgrade");
+        return;
+    }
+
+    const deployment = createDeployment(name, hash ? { registryAddress, registryKey: UPGRADE_NAME } : {});
+
+    // ADMIN_MODE=safe: the deployer only deploys the implementation, the Safe upgrades and records it
+    if (adminMode() === "safe") {
+        return queueUpgrade(deployment, { factoryName, factory, proxyAddress, oldImplementation, registry, hash });
+    }
+
+    console.log(`\nUpgrading proxy to ${factoryName}...`);
+    const fromNonce = await deployer.getNonce("latest");
+    const fromBlock = await ethers.provider.getBlockNumber();
+    const upgraded = await upgrades.upgradeProxy(proxyAddress, factory, { kind: "uups" });
+    await upgraded.waitForDeployment();
+    const newImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+    console.log("New implementation:", newImplementation);
+
+    // Implementation deployment and upgradeToAndCall, booked on the record's gas ledger
+    const upgradeTransactions = (await receiptsSince(deployer.address, fromNonce, fromBlock + 1, await ethers.provider.getBlockNumber()))
+        .map(receipt => transactionEntry("upgrade", `Upgrading ${name} to ${factoryName}`, receipt));
+    if (recorded && upgradeTransactions.length > 0) {
+        deployments.recordTransactions(network.name, name, upgradeTransactions);
+        deployments.recordGasUsed(network.name, name, sumGas(upgradeTransactions));
+    }
+
+    if (sameAddress(newImplementation, oldImplementation)) {
+        console.log("Implementation unchanged (identical bytecode), nothing to record");
+        return;
+    }
+
+    // Keep version and implementation history in the registry accurate
+    if (hash) {
+        await deployment.step(
+            `Recording upgrade of ${UPGRADE_NAME} in Registry`,
+            async () => {
+                const history = await registry.getImplementationHistory(hash);
+                return sameAddress(history[history.length - 1], newImplementation);
+            },
+            () => registry.recordUpgrade(hash, newImplementation),
+            { category: "upgrade" }
+        );
+    }
+
+    if (recorded) {
+        const record = deployments.getDeployment(network.name, name);
+        deployments.saveDeployment(network.name, name, {
+            implementation: newImplementation,
+            previousImplementations: [...(record.previousImplementations || []), oldImplementation],
+            upgradedTo: factoryName,
+            upgradedAt: new Date().toISOString()
+        });
+    }
+
+    if (hash) {
+        await printHistory(registry, hash, proxyAddress, "Implementation history after");
+    }
+    return deployment.finish();
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,42 @@
+// scripts/verify-deployments.js - Source verification of every recorded contract, implementation and proxy link
+const fs = require("fs");
+const { network } = require("hardhat");
+const { verifyDeployments } = require("./lib/verification");
+require("dotenv").config();
+
+// VERIFY_ONLY=TeachToken,TokenStaking restricts the run to some records,
+// VERIFY_REPORT=<file> also writes the results as JSON
+const ONLY = (process.env.VERIFY_ONLY || "").split(",").map(name => name.trim()).filter(Boolean);
+
+const SECTIONS = { verified: "Verified", skipped: "Skipped", failed: "Failed" };
+
+async function main() {
+    console.log(`Verifying deployments on ${network.name}${ONLY.length > 0 ? ` (${ONLY.join(", ")})` : ""}...`);
+    const result = await verifyDeployments(network.name, { only: ONLY });
+
+    Object.entries(SECTIONS).forEach(([status, title]) => {
+        const results = result.results.filter(entry => entry.status === status);
+        if (results.length === 0) return;
+
+        console.log(`\n\x1b[1m${title}\x1b[0m`);
+        results.forEach(entry => {
+            console.log(`   ${entry.name.padEnd(24)} ${entry.kind.padEnd(15)} ${entry.address}${entry.reason ? `  ${entry.reason}` : ""}`);
+        });
+    });
+
+    console.log(`\n${result.verified} verified, ${result.skipped} skipped, ${result.failed} failed`);
+
+    if (process.env.VERIFY_REPORT) {
+        fs.writeFileSync(process.env.VERIFY_REPORT, JSON.stringify(result, null, 2) + "\n");
+        console.log(`Report written to ${process.env.VERIFY_REPORT}`);
+    }
+
+    return result;
+}
+
+main()
+    .then((result) => process.exit(result.failed > 0 ? 1 : 0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,160 @@
+// scripts/vesting-ledger.js - Lists every TokenVesting schedule and exports the ledger and per-beneficiary statements
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const deployments = require("./lib/deployments");
+const { loadManifest } = require("./lib/manifest");
+const { createAddressResolver } = require("./lib/addresses");
+const { readSchedules, readScheduleHistory, unlockTimeline, nextUnlock } = require("./lib/vesting");
+require("dotenv").config();
+
+// VESTING_BLOCK=<number> reads the ledger as of that block (default latest),
+// VESTING_LEDGER=<file.csv|file.json> exports it, VESTING_STATEMENTS=<dir> writes one statement
+// per beneficiary, VESTING_BENEFICIARY=<address> limits the run to one beneficiary,
+// VESTING_FROM_BLOCK is where the event scan starts when TokenVesting has no deployment record
+const LEDGER_COLUMNS = [
+    "scheduleId", "beneficiary", "group", "type", "revocable", "revoked", "total", "claimed", "claimable",
+    "locked", "nextUnlock", "nextUnlockAmount", "claims", "lastClaimAt", "revokedAt", "returnedOnRevoke"
+];
+
+function isoDate(timestamp) {
+    return timestamp === null || timestamp === undefined ? "" : new Date(Number(timestamp) * 1000).toISOString();
+}
+
+// One ledger row per schedule, amounts as decimal TEACH strings
+function ledgerRow(schedule, history, timeline) {
+    const next = nextUnlock(schedule, timeline);
+    const locked = schedule.revoked ? 0n : schedule.totalAmount - schedule.claimedAmount - schedule.claimableAmount;
+    const lastClaim = history.claims[history.claims.length - 1];
+    return {
+        scheduleId: schedule.id.toString(),
+        beneficiary: schedule.beneficiary,
+        group: schedule.group,
+        type: schedule.vestingType,
+        revocable: schedule.revocable,
+        revoked: schedule.revoked,
+        total: ethers.formatEther(schedule.totalAmount),
+        claimed: ethers.formatEther(schedule.claimedAmount),
+        claimable: ethers.formatEther(schedule.claimableAmount),
+        locked: ethers.formatEther(locked > 0n ? locked : 0n),
+        nextUnlock: next ? isoDate(next.time) : "",
+        nextUnlockAmount: next ? ethers.formatEther(next.amount) : "",
+        claims: history.claims.length,
+        lastClaimAt: lastClaim ? isoDate(lastClaim.timestamp) : "",
+        revokedAt: history.revoked ? isoDate(history.revoked.timestamp) : "",
+        returnedOnRevoke: history.revoked ? ethers.formatEther(history.revoked.unclaimedAmount) : ""
+    };
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function writeLedger(file, rows, meta) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    if (path.extname(file).toLowerCase() === ".json") {
+        fs.writeFileSync(file, JSON.stringify({ ...meta, schedules: rows }, null, 2) + "\n");
+    } else {
+        const lines = [LEDGER_COLUMNS.join(","), ...rows.map(row => LEDGER_COLUMNS.map(column => csvField(row[column])).join(","))];
+        fs.writeFileSync(file, lines.join("\n") + "\n");
+    }
+}
+
+// Markdown statement of one beneficiary's schedules, their claims and unlock timelines
+function statement(beneficiary, entries, meta) {
+    const total = key => ethers.formatEther(entries.reduce((sum, { schedule }) => sum + schedule[key], 0n));
+    const lines = [
+        `# Vesting statement for ${beneficiary}`,
+        "",
+        `TokenVesting ${meta.vesting} on ${meta.network}, as of block ${meta.blockNumber} (${isoDate(meta.timestamp)})`,
+        "",
+        `Total granted: ${total("totalAmount")} TEACH, claimed: ${total("claimedAmount")} TEACH, claimable now: ${total("claimableAmount")} TEACH`
+    ];
+
+    for (const { schedule, history, timeline } of entries) {
+        lines.push("", `## Schedule ${schedule.id}: ${schedule.vestingType.toLowerCase()}, ${schedule.group}` +
+            `${schedule.revoked ? " (revoked)" : schedule.revocable ? " (revocable)" : ""}`, "");
+        lines.push(`Granted ${ethers.formatEther(schedule.totalAmount)} TEACH on ${isoDate(schedule.startTime)}.`);
+        if (history.revoked) {
+            lines.push(`Revoked on ${isoDate(history.revoked.timestamp)}; ${ethers.formatEther(history.revoked.unclaimedAmount)} TEACH unvested returned.`);
+        }
+
+        lines.push("", "| Unlock | Date | Amount (TEACH) | Status |", "| --- | --- | --- | --- |");
+        timeline.forEach(unlock => {
+            const date = unlock.time !== null ? isoDate(unlock.time).slice(0, 10) : (unlock.kind === "milestone" ? "when achieved" : "at TGE");
+            const status = schedule.revoked && !unlock.unlocked ? "forfeited" : unlock.unlocked ? "unlocked" : "locked";
+            lines.push(`| ${unlock.label} | ${date} | ${ethers.formatEther(unlock.amount)} | ${status} |`);
+        });
+
+        if (history.claims.length > 0) {
+            lines.push("", "| Claimed on | Amount (TEACH) | Transaction |", "| --- | --- | --- |");
+            history.claims.forEach(claim => lines.push(`| ${isoDate(claim.timestamp)} | ${ethers.formatEther(claim.amount)} | ${claim.hash} |`));
+        }
+    }
+    return lines.join("\n") + "\n";
+}
+
+async function main() {
+    const resolver = createAddressResolver(network.name, { manifest: loadManifest() });
+    const { TokenVesting: vestingAddress } = await resolver.require(["TokenVesting"]);
+    const vesting = (await ethers.getContractFactory("TokenVesting")).attach(vestingAddress);
+
+    const block = await ethers.provider.getBlock(process.env.VESTING_BLOCK ? parseInt(process.env.VESTING_BLOCK, 10) : "latest");
+    if (!block) {
+        throw new Error(`Block ${process.env.VESTING_BLOCK} does not exist yet on ${network.name}`);
+    }
+    const record = deployments.getDeployment(network.name, "TokenVesting");
+    const fromBlock = record && record.blockNumber ? record.blockNumber : parseInt(process.env.VESTING_FROM_BLOCK || "0", 10);
+    const meta = { network: network.name, vesting: vestingAddress, blockNumber: block.number, timestamp: block.timestamp };
+    console.log(`TokenVesting ${vestingAddress} on ${network.name} at block ${block.number} (${isoDate(block.timestamp)})`);
+
+    const tgeOccurred = await vesting.tgeOccurred({ blockTag: block.number });
+    const tgeTime = tgeOccurred ? Number(await vesting.tgeTime({ blockTag: block.number })) : null;
+    let schedules = await readSchedules(vesting, block.number);
+    if (process.env.VESTING_BENEFICIARY) {
+        const beneficiary = ethers.getAddress(process.env.VESTING_BENEFICIARY);
+        schedules = schedules.filter(schedule => schedule.beneficiary === beneficiary);
+    }
+    const histories = await readScheduleHistory(vesting, fromBlock, block.number);
+
+    const entries = schedules.map(schedule => {
+        const history = histories[schedule.id] || { claims: [], revoked: null };
+        const timeline = unlockTimeline(schedule, tgeTime, block.timestamp);
+        return { schedule, history, timeline, row: ledgerRow(schedule, history, timeline) };
+    });
+
+    console.log(`${entries.length} schedule(s), TGE ${tgeTime !== null ? isoDate(tgeTime) : "not set"}\n`);
+    console.log(`   ${"id".padEnd(5)} ${"beneficiary".padEnd(42)} ${"group".padEnd(11)} ${"type".padEnd(9)} ` +
+        `${"total".padStart(16)} ${"claimed".padStart(16)} ${"claimable".padStart(16)}  next unlock`);
+    entries.forEach(({ row }) => {
+        const status = row.revoked ? "\x1b[90mrevoked\x1b[0m" : (row.nextUnlock ? row.nextUnlock.slice(0, 10) : "-");
+        console.log(`   ${row.scheduleId.padEnd(5)} ${row.beneficiary} ${row.group.padEnd(11)} ${row.type.padEnd(9)} ` +
+            `${row.total.padStart(16)} ${row.claimed.padStart(16)} ${row.claimable.padStart(16)}  ${status}`);
+    });
+
+    if (process.env.VESTING_LEDGER) {
+        writeLedger(process.env.VESTING_LEDGER, entries.map(entry => entry.row), meta);
+        console.log(`\nLedger written to ${process.env.VESTING_LEDGER}`);
+    }
+
+    if (process.env.VESTING_STATEMENTS) {
+        const byBeneficiary = new Map();
+        entries.forEach(entry => {
+            if (!byBeneficiary.has(entry.schedule.beneficiary)) byBeneficiary.set(entry.schedule.beneficiary, []);
+            byBeneficiary.get(entry.schedule.beneficiary).push(entry);
+        });
+        fs.mkdirSync(process.env.VESTING_STATEMENTS, { recursive: true });
+        for (const [beneficiary, own] of byBeneficiary) {
+            fs.writeFileSync(path.join(process.env.VESTING_STATEMENTS, `${beneficiary}.md`), statement(beneficiary, own, meta));
+        }
+        console.log(`${byBeneficiary.size} statement(s) written to ${process.env.VESTING_STATEMENTS}`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,61 @@
+// scripts/wiring-doctor.js - Read-only check of registry entries and contract links, printing the transactions that fix them
+const fs = require("fs");
+const { network } = require("hardhat");
+const { inspectWiring } = require("./lib/wiring");
+require("dotenv").config();
+
+const SYMBOLS = { ok: "\x1b[32m✓\x1b[0m", warning: "\x1b[33m!\x1b[0m", error: "\x1b[31m✗\x1b[0m" };
+
+const SECTIONS = {
+    "deployment": "Deployed code",
+    "registry": "ContractRegistry entries",
+    "registry-aware": "Registry pointers",
+    "link": "Contract links"
+};
+
+async function main() {
+    console.log(`Checking wiring on ${network.name} (read-only)...`);
+    const result = await inspectWiring(network.name);
+
+    Object.entries(SECTIONS).forEach(([check, title]) => {
+        const findings = result.findings.filter(finding => finding.check === check);
+        if (findings.length === 0) return;
+
+        console.log(`\n\x1b[1m${title}\x1b[0m`);
+        findings.forEach(finding => {
+            console.log(` ${SYMBOLS[finding.severity]} ${finding.status.padEnd(12)} ${finding.message}`);
+        });
+    });
+
+    const fixes = result.findings.filter(finding => finding.fix);
+    if (fixes.length > 0) {
+        console.log("\n\x1b[1mTransactions that fix the findings above\x1b[0m");
+        fixes.forEach((finding, i) => {
+            console.log(` ${i + 1}. ${finding.fix.description}`);
+            console.log(`    to: ${finding.fix.to}`);
+            console.log(`    data: ${finding.fix.data}`);
+        });
+    }
+
+    const unfixable = result.findings.filter(finding => finding.severity === "error" && !finding.fix);
+    if (unfixable.length > 0) {
+        console.log(`\n${unfixable.length} error(s) cannot be fixed by a single transaction, see above.`);
+    }
+
+    console.log(`\n${result.errors} error(s), ${result.warnings} warning(s)`);
+
+    // WIRING_REPORT=<file> also writes the findings as JSON
+    if (process.env.WIRING_REPORT) {
+        fs.writeFileSync(process.env.WIRING_REPORT, JSON.stringify(result, null, 2) + "\n");
+        console.log(`Report written to ${process.env.WIRING_REPORT}`);
+    }
+
+    return result;
+}
+
+main()
+    .then((result) => process.exit(result.errors > 0 ? 1 : 0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -0,0 +1,95 @@
+// test/Registry/ContractRegistry.test.js - recordUpgrade bookkeeping and the UUPS upgrade path of the registry
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const NAME = ethers.encodeBytes32String("TOKEN_STAKING");
+const NO_INTERFACE = "0x00000000";
+const UPGRADER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("UPGRADER_ROLE"));
+
+describe("ContractRegistry", function () {
+    async function deployRegistryFixture() {
+        const [admin, other] = await ethers.getSigners();
+        const ContractRegistry = await ethers.getContractFactory("ContractRegistry");
+        const registry = await upgrades.deployProxy(ContractRegistry, [], { kind: "uups" });
+        await registry.waitForDeployment();
+
+        // Stand-ins for a registered proxy and the implementations it is upgraded to
+        const MockContract = await ethers.getContractFactory("MockContract");
+        const proxy = await MockContract.deploy();
+        const implementationV2 = await MockContract.deploy();
+        const implementationV3 = await MockContract.deploy();
+        await registry.registerContract(NAME, await proxy.getAddress(), NO_INTERFACE);
+
+        return { registry, ContractRegistry, proxy, implementationV2, implementationV3, admin, other };
+    }
+
+    describe("recordUpgrade", function () {
+        it("moves version and history on while the proxy stays registered", async function () {
+            const { registry, proxy, implementationV2, implementationV3 } = await loadFixture(deployRegistryFixture);
+            const proxyAddress = await proxy.getAddress();
+
+            await expect(registry.recordUpgrade(NAME, await implementationV2.getAddress()))
+                .to.emit(registry, "ContractUpgraded")
+                .withArgs(NAME, await implementationV2.getAddress(), 2);
+            await registry.recordUpgrade(NAME, await implementationV3.getAddress());
+
+            expect(await registry.getContractAddress(NAME)).to.equal(proxyAddress);
+            expect(await registry.getContractVersion(NAME)).to.equal(3);
+            expect(await registry.getImplementationHistory(NAME)).to.deep.equal([
+                proxyAddress,
+                await implementationV2.getAddress(),
+                await implementationV3.getAddress()
+            ]);
+        });
+
+        it("only lets UPGRADER_ROLE record upgrades", async function () {
+            const { registry, implementationV2, other } = await loadFixture(deployRegistryFixture);
+
+            await expect(registry.connect(other).recordUpgrade(NAME, await implementationV2.getAddress()))
+                .to.be.revertedWithCustomError(registry, "AccessControlUnauthorizedAccount")
+                .withArgs(other.address, UPGRADER_ROLE);
+        });
+
+        it("rejects unregistered names, zero addresses, accounts without code and repeats", async function () {
+            const { registry, implementationV2, other } = await loadFixture(deployRegistryFixture);
+            const implementation = await implementationV2.getAddress();
+
+            await expect(registry.recordUpgrade(ethers.encodeBytes32String("UNKNOWN"), implementation))
+                .to.be.revertedWithCustomError(registry, "NotRegistered");
+            await expect(registry.recordUpgrade(NAME, ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(registry, "ZeroAddress");
+            await expect(registry.recordUpgrade(NAME, other.address))
+                .to.be.revertedWithCustomError(registry, "NotAContract");
+
+            await registry.recordUpgrade(NAME, implementation);
+            await expect(registry.recordUpgrade(NAME, implementation))
+                .to.be.revertedWithCustomError(registry, "SameAddress");
+        });
+    });
+
+    describe("upgrade path", function () {
+        it("keeps registrations, versions and roles across a UUPS upgrade of the registry", async function () {
+            const { registry, ContractRegistry, proxy, implementationV2, admin } = await loadFixture(deployRegistryFixture);
+            const registryAddress = await registry.getAddress();
+            await registry.recordUpgrade(NAME, await implementationV2.getAddress());
+
+            // A new implementation even for identical bytecode, so that upgradeToAndCall really runs
+            const implementationBefore = await upgrades.erc1967.getImplementationAddress(registryAddress);
+            const upgraded = await upgrades.upgradeProxy(registryAddress, ContractRegistry, { kind: "uups", redeployImplementation: "always" });
+            expect(await upgrades.erc1967.getImplementationAddress(registryAddress)).to.not.equal(implementationBefore);
+
+            expect(await upgraded.getContractAddress(NAME)).to.equal(await proxy.getAddress());
+            expect(await upgraded.getContractVersion(NAME)).to.equal(2);
+            expect(await upgraded.getImplementationHistory(NAME)).to.have.lengthOf(2);
+            expect(await upgraded.hasRole(UPGRADER_ROLE, admin.address)).to.equal(true);
+        });
+
+        it("only lets ADMIN_ROLE upgrade the registry", async function () {
+            const { registry, ContractRegistry, other } = await loadFixture(deployRegistryFixture);
+
+            await expect(upgrades.upgradeProxy(await registry.getAddress(), ContractRegistry.connect(other), { kind: "uups", redeployImplementation: "always" }))
+                .to.be.revertedWithCustomError(registry, "AccessControlUnauthorizedAccount");
+        });
+    });
+});
@@ -0,0 +1,65 @@
+// test/Vesting/TokenVesting.test.js - Milestone schedules as the vesting importer creates them
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+const AMOUNT = ethers.parseEther("1000");
+const PARTNERS = 2;
+const MILESTONE = 2;
+
+describe("TokenVesting", function () {
+    async function deployVestingFixture() {
+        const [admin, beneficiary] = await ethers.getSigners();
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("Teach", "TEACH", AMOUNT * 10n);
+        const TokenVesting = await ethers.getContractFactory("TokenVesting");
+        const vesting = await upgrades.deployProxy(TokenVesting, [await token.getAddress()], { kind: "uups" });
+        await vesting.waitForDeployment();
+        await token.transfer(await vesting.getAddress(), AMOUNT * 10n);
+        return { vesting, admin, beneficiary };
+    }
+
+    // Creates a milestone schedule and returns its id from the ScheduleCreated event
+    async function createMilestoneSchedule(vesting, beneficiary, tgePercentage) {
+        const receipt = await (await vesting.createMilestoneVestingSchedule(beneficiary, AMOUNT, tgePercentage, PARTNERS, false)).wait();
+        const created = receipt.logs.map(log => vesting.interface.parseLog(log)).find(log => log && log.name === "ScheduleCreated");
+        return created.args.scheduleId;
+    }
+
+    describe("createMilestoneVestingSchedule", function () {
+        it("creates a schedule for a beneficiary", async function () {
+            const { vesting, beneficiary } = await loadFixture(deployVestingFixture);
+
+            await expect(vesting.createMilestoneVestingSchedule(beneficiary.address, AMOUNT, 10, PARTNERS, false))
+                .to.emit(vesting, "ScheduleCreated")
+                .withArgs(1, beneficiary.address, PARTNERS, AMOUNT);
+            expect(await vesting.getSchedulesForBeneficiary(beneficiary.address)).to.deep.equal([1n]);
+            const schedule = await vesting.vestingSchedules(1);
+            expect(schedule.vestingType).to.equal(MILESTONE);
+            expect(schedule.tgePercentage).to.equal(10);
+        });
+
+        it("rejects the zero address", async function () {
+            const { vesting } = await loadFixture(deployVestingFixture);
+
+            await expect(vesting.createMilestoneVestingSchedule(ethers.ZeroAddress, AMOUNT, 10, PARTNERS, false))
+                .to.be.revertedWithCustomError(vesting, "ZeroAddress");
+        });
+    });
+
+    describe("addMilestone", function () {
+        it("adds milestones up to 100% together with the TGE share", async function () {
+            const { vesting, beneficiary } = await loadFixture(deployVestingFixture);
+            const scheduleId = await createMilestoneSchedule(vesting, beneficiary.address, 10);
+
+            await expect(vesting.addMilestone(scheduleId, "Pilot in 10 schools", 30))
+                .to.emit(vesting, "MilestoneAdded")
+                .withArgs(scheduleId, "Pilot in 10 schools", 30);
+            await vesting.addMilestone(scheduleId, "Curriculum integration", 60);
+
+            expect((await vesting.scheduleMilestones(scheduleId, 1)).percentage).to.equal(60);
+            await expect(vesting.addMilestone(scheduleId, "One too many", 1))
+                .to.be.revertedWithCustomError(vesting, "AboveMaxPercentage");
+        });
+    });
+});
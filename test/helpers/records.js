@@ -0,0 +1,28 @@
+// test/helpers/records.js - Keeps tests from leaving deployment records of the in-process network behind
+const fs = require("fs");
+const deployments = require("../../scripts/lib/deployments");
+
+/**
+ * @dev Registers mocha hooks that set the network's deployment record file aside before the
+ * suite and put it back afterwards, so the suite starts from no records
+ * @param network Hardhat network name, normally "hardhat"
+ */
+function useScratchRecords(network) {
+    const file = deployments.deploymentsPath(network);
+    let saved = null;
+
+    before(function () {
+        saved = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+        fs.rmSync(file, { force: true });
+    });
+
+    after(function () {
+        if (saved === null) {
+            fs.rmSync(file, { force: true });
+        } else {
+            fs.writeFileSync(file, saved);
+        }
+    });
+}
+
+module.exports = { useScratchRecords };
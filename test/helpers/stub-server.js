@@ -0,0 +1,38 @@
+// test/helpers/stub-server.js - Local HTTP stand-in for external services (block explorers, webhooks)
+const http = require("http");
+
+/**
+ * @dev Starts an HTTP server on a free local port
+ * @param handler (request) => { status, body } or a promise of it; request is { method, path, query, body }
+ * with query and body parsed from the URL and the form or JSON payload
+ * @return { url, requests, close } where requests lists every request the server answered
+ */
+async function startStubServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = "";
+        req.on("data", chunk => { raw += chunk; });
+        req.on("end", async () => {
+            const url = new URL(req.url, "http://127.0.0.1");
+            const type = req.headers["content-type"] || "";
+            const body = raw === "" ? {}
+                : type.includes("application/json") ? JSON.parse(raw)
+                : Object.fromEntries(new URLSearchParams(raw));
+            const request = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body };
+            requests.push(request);
+
+            const { status = 200, body: answer = {} } = await handler(request);
+            res.writeHead(status, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(answer));
+        });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startStubServer };
@@ -0,0 +1,96 @@
+// test/scripts/addresses.test.js - Address resolution: env overrides, then ContractRegistry, then the deployment records
+const { expect } = require("chai");
+const { ethers, upgrades, network } = require("hardhat");
+const deployments = require("../../scripts/lib/deployments");
+const { createAddressResolver } = require("../../scripts/lib/addresses");
+const { registryName } = require("../../scripts/lib/deploy-helpers");
+const { useScratchRecords } = require("../helpers/records");
+
+const NO_INTERFACE = "0x00000000";
+
+// Env vars of the addresses below in deploy-manifest.json, cleared so a local .env cannot leak in
+const ENV = ["REGISTRY_ADDRESS", "TOKEN_ADDRESS", "TOKEN_STAKING_ADDRESS", "TIER_MANAGER_ADDRESS", "EMERGENCY_MANAGER_ADDRESS"];
+
+describe("address resolution", function () {
+    useScratchRecords(network.name);
+    let registry;
+    let registered;
+    let recorded;
+    let other;
+    let saved;
+
+    before(async function () {
+        const ContractRegistry = await ethers.getContractFactory("ContractRegistry");
+        registry = await upgrades.deployProxy(ContractRegistry, [], { kind: "uups" });
+        await registry.waitForDeployment();
+
+        // Stand-ins for the contracts behind the addresses
+        const MockContract = await ethers.getContractFactory("MockContract");
+        [registered, recorded, other] = await Promise.all([MockContract.deploy(), MockContract.deploy(), MockContract.deploy()])
+            .then(mocks => Promise.all(mocks.map(mock => mock.getAddress())));
+
+        // TeachToken is registered and recorded at different addresses, TokenStaking only recorded
+        await registry.registerContract(registryName("TEACH_TOKEN"), registered, NO_INTERFACE);
+        deployments.saveDeployment(network.name, "ContractRegistry", { address: await registry.getAddress() });
+        deployments.saveDeployment(network.name, "TeachToken", { address: recorded });
+        deployments.saveDeployment(network.name, "TokenStaking", { address: recorded });
+    });
+
+    beforeEach(function () {
+        saved = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+        ENV.forEach(name => { delete process.env[name]; });
+    });
+
+    afterEach(function () {
+        Object.entries(saved).forEach(([name, value]) => {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        });
+    });
+
+    // A resolver whose warnings are collected
+    const resolver = () => {
+        const warnings = [];
+        return { warnings, ...createAddressResolver(network.name, { warn: message => warnings.push(message) }) };
+    };
+
+    it("prefers the registry over the deployment record", async function () {
+        expect(await resolver().resolve("TeachToken")).to.deep.equal({ name: "TeachToken", address: registered, source: "registry", canonical: registered });
+    });
+
+    it("falls back to the record for unregistered contracts and for the registry itself", async function () {
+        const { resolve } = resolver();
+        expect(await resolve("TokenStaking")).to.include({ address: recorded, source: "record" });
+        expect(await resolve("ContractRegistry")).to.include({ address: await registry.getAddress(), source: "record" });
+    });
+
+    it("lets an env var override both, with a warning when it disagrees", async function () {
+        process.env.TOKEN_ADDRESS = other;
+        process.env.TOKEN_STAKING_ADDRESS = recorded.toLowerCase();
+        const { resolve, warnings } = resolver();
+
+        expect(await resolve("TeachToken")).to.deep.equal({ name: "TeachToken", address: other, source: "env", canonical: registered });
+        expect(await resolve("TokenStaking")).to.include({ address: recorded.toLowerCase(), source: "env" });
+        expect(warnings).to.deep.equal([`TOKEN_ADDRESS=${other} overrides TeachToken, but the registry has ${registered}`]);
+    });
+
+    it("reads the registry address from its override too", async function () {
+        process.env.REGISTRY_ADDRESS = other;
+
+        const resolved = await resolver().resolve("TeachToken");
+        expect(resolved).to.include({ address: recorded, source: "record" });
+    });
+
+    it("rejects an override that is not an address and names that are not declared", async function () {
+        process.env.TOKEN_ADDRESS = "0x1234";
+        const { resolve } = resolver();
+
+        expect((await resolve("TeachToken").catch(failure => failure)).message).to.equal('TOKEN_ADDRESS overrides TeachToken but "0x1234" is not an address');
+        expect((await resolve("Oracle").catch(failure => failure)).message).to.equal("Oracle is not an address declared in deploy-manifest.json");
+    });
+
+    it("lists every address that require cannot resolve", async function () {
+        const error = await resolver().require(["TeachToken", "TierManager", "EmergencyManager"]).catch(failure => failure);
+        expect(error.message).to.match(/^Cannot resolve TierManager, EmergencyManager on hardhat: not registered, not recorded/);
+    });
+});
@@ -0,0 +1,86 @@
+// test/scripts/deploy-helpers.test.js - Resumable deployments: reuse of live contracts, idempotent steps and the gas ledger
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const deployments = require("../../scripts/lib/deployments");
+const { DeploymentError, createDeployment } = require("../../scripts/lib/deploy-helpers");
+const { useScratchRecords } = require("../helpers/records");
+
+// MockStaking stands in for the component, its pause flag for a wiring step
+const FACTORY = { factory: "MockStaking", proxy: false };
+
+describe("deploy helpers", function () {
+    useScratchRecords(network.name);
+    let saved;
+
+    beforeEach(function () {
+        saved = { ADMIN_MODE: process.env.ADMIN_MODE, DEPLOY_MODE: process.env.DEPLOY_MODE };
+        delete process.env.ADMIN_MODE;
+        delete process.env.DEPLOY_MODE;
+    });
+
+    afterEach(function () {
+        Object.entries(saved).forEach(([name, value]) => {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        });
+    });
+
+    const pauseStep = (deployment, contract) => deployment.step(
+        "Pausing staking",
+        async () => await contract.stakingPaused(),
+        () => contract.pauseStaking()
+    );
+
+    it("reuses the recorded contract and skips finished steps when resumed", async function () {
+        const first = createDeployment("TokenStaking");
+        const { contract, address, reused } = await first.deploy([], FACTORY);
+        await pauseStep(first, contract);
+        const { steps } = first.finish();
+        expect(reused).to.equal(false);
+        expect(steps.map(step => step.status)).to.deep.equal(["sent", "sent"]);
+
+        const second = createDeployment("TokenStaking");
+        const resumed = await second.deploy([], FACTORY);
+        await pauseStep(second, resumed.contract);
+        const summary = second.finish();
+        expect(resumed).to.include({ address, reused: true });
+        expect(summary.steps.map(step => step.status)).to.deep.equal(["skipped", "skipped"]);
+        expect(summary.gasUsed).to.equal(0n);
+    });
+
+    it("books follow-up transactions on the record of the component", async function () {
+        process.env.DEPLOY_MODE = "fresh";
+        const deployment = createDeployment("TokenStaking");
+        const { contract } = await deployment.deploy([], FACTORY);
+        const before = deployments.getDeployment(network.name, "TokenStaking");
+        await pauseStep(deployment, contract);
+        const { steps } = deployment.finish();
+
+        const record = deployments.getDeployment(network.name, "TokenStaking");
+        const wiring = record.transactions[record.transactions.length - 1];
+        expect(wiring).to.include({ category: "wiring", description: "Pausing staking", txHash: steps[1].txHash });
+        expect(BigInt(record.totalGasUsed) - BigInt(before.totalGasUsed)).to.equal(steps[1].gasUsed);
+    });
+
+    it("redeploys a recorded contract that has no code", async function () {
+        deployments.saveDeployment(network.name, "TokenStaking", { address: ethers.Wallet.createRandom().address });
+
+        const { address, reused } = await createDeployment("TokenStaking").deploy([], FACTORY);
+        expect(reused).to.equal(false);
+        expect(deployments.getAddress(network.name, "TokenStaking")).to.equal(address);
+    });
+
+    it("names the failed step and keeps what was sent before it on the record", async function () {
+        process.env.DEPLOY_MODE = "fresh";
+        const deployment = createDeployment("TokenStaking");
+        const { contract } = await deployment.deploy([], FACTORY);
+        await pauseStep(deployment, contract);
+
+        const error = await deployment.step("Enabling withdrawals", async () => false, () => { throw new Error("nope"); })
+            .catch(failure => failure);
+        expect(error).to.be.instanceOf(DeploymentError);
+        expect(error).to.include({ component: "TokenStaking", step: "Enabling withdrawals", message: "TokenStaking: Enabling withdrawals failed: nope" });
+        const { transactions } = deployments.getDeployment(network.name, "TokenStaking");
+        expect(transactions.map(tx => tx.description)).to.deep.equal(["Deploying TokenStaking", "Pausing staking"]);
+    });
+});
@@ -0,0 +1,48 @@
+// test/scripts/deployments.test.js - Per-network deployment records: merging, lookups and the gas ledger
+const { expect } = require("chai");
+const deployments = require("../../scripts/lib/deployments");
+const { useScratchRecords } = require("../helpers/records");
+
+// A network of its own, so the records of the in-process network stay untouched
+const NETWORK = "records-test";
+const TOKEN = "0x1111111111111111111111111111111111111111";
+const STAKING = "0x2222222222222222222222222222222222222222";
+
+describe("deployment records", function () {
+    useScratchRecords(NETWORK);
+
+    it("starts from an empty record file", function () {
+        expect(deployments.readDeployments(NETWORK)).to.deep.equal({ network: NETWORK, chainId: null, contracts: {} });
+        expect(deployments.getDeployment(NETWORK, "TeachToken")).to.equal(null);
+        expect(deployments.getAddress(NETWORK, "TeachToken")).to.equal(null);
+    });
+
+    it("merges saved fields into the record and stores bigints as strings", function () {
+        deployments.saveDeployment(NETWORK, "TeachToken", { address: TOKEN, args: [1n, [2n]], gasUsed: 100n });
+        const record = deployments.saveDeployment(NETWORK, "TeachToken", { verifiedAt: "2026-01-01T00:00:00.000Z" });
+
+        expect(record).to.include({ address: TOKEN, gasUsed: "100", verifiedAt: "2026-01-01T00:00:00.000Z" });
+        expect(record.args).to.deep.equal(["1", ["2"]]);
+        expect(record.updatedAt).to.be.a("string");
+        expect(deployments.getAddress(NETWORK, "TeachToken")).to.equal(TOKEN);
+    });
+
+    it("adds follow-up gas and appends ledger entries", function () {
+        deployments.saveDeployment(NETWORK, "TokenStaking", { address: STAKING, totalGasUsed: 1000 });
+        deployments.recordGasUsed(NETWORK, "TokenStaking", 250n);
+        deployments.recordTransactions(NETWORK, "TokenStaking", [{ txHash: "0x01", gasUsed: "150" }]);
+        deployments.recordTransactions(NETWORK, "TokenStaking", [{ txHash: "0x02", gasUsed: "100" }]);
+
+        const record = deployments.getDeployment(NETWORK, "TokenStaking");
+        expect(record.totalGasUsed).to.equal("1250");
+        expect(record.transactions.map(tx => tx.txHash)).to.deep.equal(["0x01", "0x02"]);
+        expect(record.transactions[0].at).to.be.a("string");
+        expect(() => deployments.recordGasUsed(NETWORK, "TierManager", 1n)).to.throw(`No deployment record for TierManager on ${NETWORK}`);
+    });
+
+    it("requires several addresses at once and names every one without a record", function () {
+        expect(deployments.requireAddresses(NETWORK, ["TeachToken", "TokenStaking"])).to.deep.equal({ TeachToken: TOKEN, TokenStaking: STAKING });
+        expect(() => deployments.requireAddresses(NETWORK, ["TeachToken", "TierManager", "DexRegistry"]))
+            .to.throw(/^No deployment record for TierManager, DexRegistry on records-test \(.*records-test\.json\)\. Deploy them first\.$/);
+    });
+});
@@ -0,0 +1,132 @@
+// test/scripts/dexes.test.js - DEX onboarding files and the order of the DexRegistry changes planned from them
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ZERO_ADDRESS, loadDexConfig, planDexChanges } = require("../../scripts/lib/dexes");
+
+const address = digit => `0x${String(digit).repeat(40)}`;
+
+// Configured DEX as loadDexConfig returns it
+const configured = (name, allocation, fields = {}) => ({
+    name, router: address(1), factory: address(2), stakingRewards: ZERO_ADDRESS, allocation, pair: "auto", active: true, ...fields
+});
+
+// DEX as readDexes returns it
+const onChain = (id, name, allocation, fields = {}) => ({
+    id, name, router: address(1), factory: address(2), pair: address(9), stakingRewards: ZERO_ADDRESS, allocation, active: true, ...fields
+});
+
+const summary = ({ changes }) => changes.map(change => `${change.kind} ${change.name}#${change.id}`);
+
+describe("DEX onboarding", function () {
+    describe("loadDexConfig", function () {
+        let dir;
+        let saved;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "dexes-"));
+            saved = process.env.QUICKSWAP_ROUTER;
+        });
+
+        afterEach(function () {
+            if (saved === undefined) delete process.env.QUICKSWAP_ROUTER;
+            else process.env.QUICKSWAP_ROUTER = saved;
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        const load = dexes => {
+            const file = path.join(dir, "dexes.json");
+            fs.writeFileSync(file, JSON.stringify({ dexes }));
+            return loadDexConfig(file);
+        };
+
+        it("reads addresses from env, defaults the pair to auto and leaves out inactive DEXes from the total", function () {
+            process.env.QUICKSWAP_ROUTER = address(3);
+            const dexes = load([
+                { name: "QuickSwap", router: { env: "QUICKSWAP_ROUTER" }, factory: address(4), allocation: 60 },
+                { name: "SushiSwap", router: address(5), factory: address(6), allocation: 40, pair: null },
+                { name: "Retired", router: address(7), factory: address(8), allocation: 25, active: false }
+            ]);
+
+            expect(dexes[0]).to.deep.equal({
+                name: "QuickSwap", router: address(3), factory: address(4), stakingRewards: ZERO_ADDRESS, allocation: 60, pair: "auto", active: true
+            });
+            expect(dexes.map(dex => [dex.name, dex.pair, dex.active])).to.deep.equal([
+                ["QuickSwap", "auto", true],
+                ["SushiSwap", null, true],
+                ["Retired", "auto", false]
+            ]);
+        });
+
+        it("rejects allocations of the active DEXes that do not add up to 100%", function () {
+            expect(() => load([
+                { name: "QuickSwap", router: address(1), factory: address(2), allocation: 60 },
+                { name: "SushiSwap", router: address(3), factory: address(4), allocation: 30 }
+            ])).to.throw(/allocations of the active DEXes add up to 90%, they must add up to 100%/);
+            expect(() => load([
+                { name: "QuickSwap", router: address(1), factory: address(2), allocation: 70 },
+                { name: "SushiSwap", router: address(3), factory: address(4), allocation: 40 }
+            ])).to.throw(/add up to 110%/);
+        });
+
+        it("lists every problem of the file at once", function () {
+            expect(() => load([
+                { name: "QuickSwap", router: { env: "QUICKSWAP_ROUTER" }, factory: "0x12", allocation: 50.5 },
+                { name: "QuickSwap", router: address(1), factory: address(2), allocation: 50 }
+            ])).to.throw([
+                "  - QuickSwap.router: QUICKSWAP_ROUTER is not set",
+                '  - QuickSwap.factory must be a 0x address or { "env": ... }, got "0x12"',
+                "  - QuickSwap.allocation must be a whole percentage from 0 to 100, got 50.5",
+                "  - QuickSwap: listed twice",
+                "  - allocations of the active DEXes add up to 50%, they must add up to 100%"
+            ].join("\n"));
+        });
+    });
+
+    describe("planDexChanges", function () {
+        it("plans nothing when the registry matches the config", function () {
+            const plan = planDexChanges([configured("QuickSwap", 60), configured("SushiSwap", 40)], [onChain(0, "QuickSwap", 60), onChain(1, "SushiSwap", 40)]);
+            expect(plan).to.deep.equal({ changes: [], problems: [] });
+        });
+
+        it("deactivates and cuts allocations before it raises, activates or adds, and sets pairs last", function () {
+            const config = [
+                configured("QuickSwap", 30),
+                configured("SushiSwap", 50),
+                configured("Dormant", 20),
+                configured("Uniswap", 0),
+                configured("Retired", 10, { active: false })
+            ];
+            const registry = [
+                onChain(0, "QuickSwap", 50),
+                onChain(1, "SushiSwap", 20, { pair: ZERO_ADDRESS }),
+                onChain(2, "Dormant", 20, { active: false }),
+                onChain(3, "Retired", 10),
+                onChain(4, "Forgotten", 20)
+            ];
+
+            expect(summary(planDexChanges(config, registry))).to.deep.equal([
+                "update QuickSwap#0",
+                "deactivate Retired#3",
+                "deactivate Forgotten#4",
+                "update SushiSwap#1",
+                "activate Dormant#2",
+                "add Uniswap#5",
+                "pair SushiSwap#1",
+                "pair Uniswap#5"
+            ]);
+        });
+
+        it("refuses to replace a pair and to match DEXes that share a name", function () {
+            const { problems } = planDexChanges(
+                [configured("QuickSwap", 100, { pair: address(5) })],
+                [onChain(0, "QuickSwap", 100), onChain(1, "QuickSwap", 0, { active: false })]
+            );
+            expect(problems).to.deep.equal([
+                "DexRegistry has more than one DEX named QuickSwap (ids 0 and 1); rename one of them with updateDex first",
+                `QuickSwap: DexRegistry already has pair ${address(9)}, it cannot be changed to ${address(5)}`
+            ]);
+        });
+    });
+});
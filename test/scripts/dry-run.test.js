@@ -0,0 +1,83 @@
+// test/scripts/dry-run.test.js - Dry-run plans: seeding the fork's records and describing the transactions of a step
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { FORK_NETWORK, describeTransaction, seedForkRecords } = require("../../scripts/lib/dry-run");
+const { loadManifest } = require("../../scripts/lib/manifest");
+const { registryName } = require("../../scripts/lib/deploy-helpers");
+
+const NO_INTERFACE = "0x00000000";
+
+describe("dry run", function () {
+    describe("seedForkRecords", function () {
+        let dir;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "dry-run-"));
+            fs.mkdirSync(path.join(dir, "source"));
+            fs.mkdirSync(path.join(dir, "fork"));
+        });
+
+        afterEach(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it("copies the target's records as the records of the fork network", function () {
+            const records = { network: "amoy", chainId: "80002", contracts: { TeachToken: { address: "0x1111111111111111111111111111111111111111" } } };
+            fs.writeFileSync(path.join(dir, "source", "amoy.json"), JSON.stringify(records));
+
+            seedForkRecords(path.join(dir, "source"), path.join(dir, "fork"), "amoy");
+            const seeded = JSON.parse(fs.readFileSync(path.join(dir, "fork", `${FORK_NETWORK}.json`), "utf8"));
+            expect(seeded).to.deep.equal({ ...records, network: FORK_NETWORK });
+        });
+
+        it("leaves the fork without records when the target has none", function () {
+            seedForkRecords(path.join(dir, "source"), path.join(dir, "fork"), "amoy");
+            expect(fs.readdirSync(path.join(dir, "fork"))).to.deep.equal([]);
+        });
+    });
+
+    describe("describeTransaction", function () {
+        async function deployRegistryFixture() {
+            const ContractRegistry = await ethers.getContractFactory("ContractRegistry");
+            const registry = await upgrades.deployProxy(ContractRegistry, [], { kind: "uups" });
+            const deployReceipt = await registry.deploymentTransaction().wait();
+            const mock = await (await ethers.getContractFactory("MockContract")).deploy();
+            const records = { ContractRegistry: { address: await registry.getAddress(), implementation: null } };
+            return { registry, deployReceipt, mock, records };
+        }
+
+        const plan = (receipt, records) => describeTransaction(receipt, records, loadManifest(), {});
+
+        it("names the recorded contract a deployment created", async function () {
+            const { deployReceipt, records } = await loadFixture(deployRegistryFixture);
+
+            expect(await plan(deployReceipt, records)).to.include({
+                category: "deploy", contract: "ContractRegistry", to: null, method: null, description: "Deploying ContractRegistry"
+            });
+            expect(await plan(deployReceipt, {})).to.include({ contract: null, description: `Deploying contract at ${deployReceipt.contractAddress}` });
+        });
+
+        it("decodes calls to recorded contracts and books them under the ledger's category", async function () {
+            const { registry, mock, records } = await loadFixture(deployRegistryFixture);
+            const name = registryName("TEACH_TOKEN");
+            const receipt = await (await registry.registerContract(name, await mock.getAddress(), NO_INTERFACE)).wait();
+
+            const described = await plan(receipt, records);
+            expect(described).to.include({ category: "registerContract", contract: "ContractRegistry", method: "registerContract", txHash: receipt.hash });
+            expect(described.args).to.deep.equal([name, await mock.getAddress(), NO_INTERFACE]);
+            expect(described.description).to.equal(`ContractRegistry.registerContract(${name}, ${await mock.getAddress()}, ${NO_INTERFACE})`);
+        });
+
+        it("falls back to the target address for calls it cannot decode", async function () {
+            const { mock } = await loadFixture(deployRegistryFixture);
+            const [sender] = await ethers.getSigners();
+            const receipt = await (await sender.sendTransaction({ to: await mock.getAddress(), value: 1n })).wait();
+
+            expect(await plan(receipt, {})).to.include({ category: "wiring", contract: null, method: null, description: `Call to ${await mock.getAddress()}` });
+        });
+    });
+});
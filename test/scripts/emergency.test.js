@@ -0,0 +1,121 @@
+// test/scripts/emergency.test.js - Playbook validation, and start-recovery run on a fork of a live network
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { reset } = require("@nomicfoundation/hardhat-network-helpers");
+const deployments = require("../../scripts/lib/deployments");
+const { loadManifest } = require("../../scripts/lib/manifest");
+const { createAddressResolver } = require("../../scripts/lib/addresses");
+const { forkNetwork, seedForkRecords } = require("../../scripts/lib/dry-run");
+const { loadPlaybooks, planStep, readPaused, RECOVERY_NEEDS_PAUSE } = require("../../scripts/lib/emergency");
+const { useScratchRecords } = require("../helpers/records");
+
+// EMERGENCY_FORK=<network> runs start-recovery on a fork of that network (its url must be in the
+// Hardhat config), as EMERGENCY_FORK_ADMIN or its first configured account
+const FORK = process.env.EMERGENCY_FORK;
+
+// Contracts the start-recovery steps call
+const TOUCHED = ["EmergencyManager", ...Object.keys(RECOVERY_NEEDS_PAUSE)];
+
+describe("emergency playbooks", function () {
+    describe("loadPlaybooks", function () {
+        let dir;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "playbooks-"));
+        });
+
+        afterEach(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        const load = playbooks => {
+            const file = path.join(dir, "playbooks.json");
+            fs.writeFileSync(file, JSON.stringify(playbooks));
+            return loadPlaybooks(file);
+        };
+
+        it("loads the shipped playbooks", function () {
+            const steps = loadPlaybooks()["start-recovery"].steps;
+            expect(steps.map(step => `${step.action} ${step.contract || step.state || ""}`.trim())).to.deep.equal([
+                "emergencyState CRITICAL_EMERGENCY",
+                "initiateRecovery ContractRegistry",
+                "initiateRecovery PlatformMarketplace",
+                "pause PlatformMarketplace",
+                "pause PlatformStabilityFund",
+                "pause TeachToken",
+                "pauseSystem",
+                "initiateRecovery TeachToken",
+                "initiateRecovery PlatformStabilityFund"
+            ]);
+        });
+
+        it("rejects recovery opened before or after the pause its contract needs", function () {
+            expect(() => load({
+                early: { steps: [{ action: "initiateRecovery", contracts: ["TeachToken"] }] },
+                late: { steps: [{ action: "pauseSystem" }, { action: "initiateRecovery", contract: "ContractRegistry" }] }
+            })).to.throw(/early step 1: TeachToken only opens recovery while paused[\s\S]*late step 2: ContractRegistry cannot open recovery while paused/);
+        });
+
+        it("refuses to pause TokenVesting, which cannot be unpaused", function () {
+            expect(() => load({ vesting: { steps: [{ action: "pause", contracts: ["TokenVesting"] }] } }))
+                .to.throw(/vesting step 1: pause cannot target TokenVesting/);
+        });
+    });
+
+    describe("start-recovery on a fork", function () {
+        useScratchRecords(network.name);
+        let getSigners;
+        let live;
+
+        before(async function () {
+            if (!FORK) this.skip();
+            this.timeout(300000);
+            getSigners = ethers.getSigners;
+            seedForkRecords(deployments.DEPLOYMENTS_DIR, deployments.DEPLOYMENTS_DIR, FORK);
+            await forkNetwork(FORK, { deployer: process.env.EMERGENCY_FORK_ADMIN || null, fund: true });
+
+            const [admin] = await ethers.getSigners();
+            const manifest = loadManifest();
+            const addresses = await createAddressResolver(network.name, { manifest, warn: () => {} }).require(TOUCHED);
+            live = {};
+            for (const name of TOUCHED) {
+                const artifact = manifest.addresses[name].contract || name;
+                live[name] = { address: addresses[name], artifact, contract: (await ethers.getContractFactory(artifact, admin)).attach(addresses[name]) };
+            }
+        });
+
+        after(async function () {
+            if (!getSigners) return;
+            // Back to a fresh local chain; reset also drops the fixtures of other suites taken before the fork
+            ethers.getSigners = getSigners;
+            await reset();
+        });
+
+        it("pauses and opens recovery everywhere from a running platform", async function () {
+            this.timeout(300000);
+            const { contract: registry } = live.ContractRegistry;
+            expect(await registry.systemPaused(), "the fork must start from a running platform").to.equal(false);
+            expect(await readPaused(live.PlatformMarketplace.contract, live.PlatformMarketplace.artifact)).to.equal(false);
+
+            const [admin] = await ethers.getSigners();
+            for (const step of loadPlaybooks()["start-recovery"].steps) {
+                const planned = await planStep(step, live, admin.address);
+                expect(planned.skipped, `${step.action} ${step.contract || ""}`).to.equal(undefined);
+                for (const { description, isDone, send } of planned) {
+                    if (await isDone()) continue;
+                    await (await send()).wait();
+                    expect(await isDone(), description).to.equal(true);
+                }
+            }
+
+            for (const name of Object.keys(RECOVERY_NEEDS_PAUSE)) {
+                expect(await live[name].contract.inEmergencyRecovery(), name).to.equal(true);
+            }
+            expect(await registry.systemPaused()).to.equal(true);
+            expect(await readPaused(live.TeachToken.contract, live.TeachToken.artifact)).to.equal(true);
+        });
+    });
+});
@@ -0,0 +1,138 @@
+// test/scripts/gas.test.js - Gas totals of a run report, cost formatting and run diffs
+const { expect } = require("chai");
+const { transactionsBetween, formatNative, buildRunReport, reportToCsv, diffReports } = require("../../scripts/lib/gas");
+
+const GWEI = 10n ** 9n;
+
+// Ledger entry as transactionEntry writes it, tagged with its component
+function entry(component, category, gasUsed, gasPriceGwei = 30n, txHash = `0x${component}${category}${gasUsed}`) {
+    const price = gasPriceGwei * GWEI;
+    return {
+        component,
+        category,
+        description: `${category} ${component}`,
+        txHash,
+        blockNumber: 1,
+        gasUsed: gasUsed.toString(),
+        effectiveGasPrice: price.toString(),
+        costWei: (BigInt(gasUsed) * price).toString()
+    };
+}
+
+const RUN = { network: "amoy", chainId: "80002", startedAt: "2026-01-01T00:00:00.000Z", finishedAt: "2026-01-01T00:10:00.000Z" };
+
+describe("gas", function () {
+    let savedPrice;
+
+    beforeEach(function () {
+        savedPrice = process.env.NATIVE_PRICE_USD;
+        delete process.env.NATIVE_PRICE_USD;
+    });
+
+    afterEach(function () {
+        if (savedPrice === undefined) delete process.env.NATIVE_PRICE_USD;
+        else process.env.NATIVE_PRICE_USD = savedPrice;
+    });
+
+    describe("formatNative", function () {
+        it("prints wei as the native amount without rounding", function () {
+            expect(formatNative(0n)).to.equal("0");
+            expect(formatNative(10n ** 18n)).to.equal("1");
+            expect(formatNative(1234500000000000000n)).to.equal("1.2345");
+            expect(formatNative("1")).to.equal("0.000000000000000001");
+            expect(formatNative(-5n * 10n ** 17n)).to.equal("-0.5");
+        });
+    });
+
+    describe("buildRunReport", function () {
+        it("sums gas and cost per component, per category and for the run", function () {
+            const transactions = [
+                entry("TeachToken", "deploy", 3000000),
+                entry("TeachToken", "deploy", 500000),
+                entry("TeachToken", "registerContract", 80000),
+                entry("TokenStaking", "wiring", 45000, 40n)
+            ];
+            const report = buildRunReport(RUN, transactions);
+
+            expect(report).to.include({ network: "amoy", chainId: "80002", nativeSymbol: "POL", nativePriceUsd: null });
+            expect(report.components).to.deep.equal([
+                {
+                    component: "TeachToken",
+                    gasUsed: 3580000,
+                    costWei: (3580000n * 30n * GWEI).toString(),
+                    byCategory: {
+                        deploy: { count: 2, gasUsed: 3500000, costWei: (3500000n * 30n * GWEI).toString() },
+                        registerContract: { count: 1, gasUsed: 80000, costWei: (80000n * 30n * GWEI).toString() }
+                    }
+                },
+                {
+                    component: "TokenStaking",
+                    gasUsed: 45000,
+                    costWei: (45000n * 40n * GWEI).toString(),
+                    byCategory: { wiring: { count: 1, gasUsed: 45000, costWei: (45000n * 40n * GWEI).toString() } }
+                }
+            ]);
+            expect(report.total).to.deep.equal({
+                transactions: 4,
+                gasUsed: 3625000,
+                costWei: "109200000000000000",
+                cost: "0.1092",
+                usd: null
+            });
+        });
+
+        it("prices the run in USD with NATIVE_PRICE_USD", function () {
+            process.env.NATIVE_PRICE_USD = "0.5";
+            const report = buildRunReport(RUN, [entry("TeachToken", "deploy", 1000000, 100n)]);
+            expect(report.total).to.include({ cost: "0.1", usd: "0.05" });
+        });
+
+        it("writes one CSV line per transaction", function () {
+            const report = buildRunReport(RUN, [{ step: 1, ...entry("TeachToken", "deploy", 1000000) }]);
+            const [header, line] = reportToCsv(report).trim().split("\n");
+            expect(header).to.equal("step,component,category,description,txHash,blockNumber,gasUsed,effectiveGasPrice,costWei,cost");
+            expect(line.split(",")).to.deep.equal(["1", "TeachToken", "deploy", "deploy TeachToken", "0xTeachTokendeploy1000000", "1", "1000000", "30000000000", "30000000000000000", "0.03"]);
+        });
+    });
+
+    describe("transactionsBetween", function () {
+        it("returns the ledger entries added after the first snapshot, tagged with their contract", function () {
+            const first = { txHash: "0x01", gasUsed: "100" };
+            const second = { txHash: "0x02", gasUsed: "200" };
+            const third = { txHash: "0x03", gasUsed: "300" };
+            const before = { contracts: { TeachToken: { transactions: [first] } } };
+            const after = { contracts: { TeachToken: { transactions: [first, second] }, TokenStaking: { transactions: [third] } } };
+
+            expect(transactionsBetween(before, after)).to.deep.equal([
+                { component: "TeachToken", ...second },
+                { component: "TokenStaking", ...third }
+            ]);
+        });
+    });
+
+    describe("diffReports", function () {
+        it("compares gas per component and category, with null for rows missing from a run", function () {
+            const base = buildRunReport(RUN, [
+                entry("TeachToken", "wiring", 50000),
+                entry("TeachToken", "deploy", 1000000),
+                entry("TierManager", "deploy", 800000)
+            ]);
+            const head = buildRunReport(RUN, [
+                entry("TeachToken", "deploy", 1100000),
+                entry("TeachToken", "wiring", 50000),
+                entry("DexRegistry", "deploy", 600000)
+            ]);
+            const diff = diffReports(base, head);
+
+            expect(diff.rows.map(row => [row.component, row.category, row.baseGas, row.headGas, row.delta])).to.deep.equal([
+                ["DexRegistry", "deploy", null, 600000, 600000],
+                ["TeachToken", "deploy", 1000000, 1100000, 100000],
+                ["TeachToken", "wiring", 50000, 50000, 0],
+                ["TierManager", "deploy", 800000, null, -800000]
+            ]);
+            expect(diff.rows[0].percent).to.equal(null);
+            expect(diff.rows[1].percent).to.equal(10);
+            expect(diff.total).to.deep.equal({ baseGas: 1850000, headGas: 1750000, delta: -100000, percent: (-100000 / 1850000) * 100 });
+        });
+    });
+});
@@ -0,0 +1,102 @@
+// test/scripts/indexer.test.js - Event store sync against the in-process Hardhat node: resume, backfill and reorgs
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { openStore, getMeta, createIndexer, queryEvents, summarizeEvents } = require("../../scripts/lib/indexer");
+
+const AMOUNT = ethers.parseEther("1");
+
+describe("indexer", function () {
+    let dir;
+    let db;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+        db = openStore(path.join(dir, "events.sqlite"));
+    });
+
+    afterEach(function () {
+        db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function deployTokensFixture() {
+        const [deployer, alice, bob] = await ethers.getSigners();
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const deploy = async symbol => {
+            const token = await MockERC20.deploy(symbol, symbol, 0);
+            const receipt = await token.deploymentTransaction().wait();
+            return { token, fromBlock: receipt.blockNumber };
+        };
+        return { first: await deploy("ONE"), second: await deploy("TWO"), deployer, alice, bob };
+    }
+
+    // Indexer input for a deployed token
+    const indexed = async (name, { token, fromBlock }) =>
+        ({ name, address: (await token.getAddress()).toLowerCase(), fromBlock, iface: token.interface });
+
+    it("stores decoded events and resumes after the cursor", async function () {
+        const { first, alice, bob } = await loadFixture(deployTokensFixture);
+        const indexer = createIndexer(db, ethers.provider, [await indexed("First", first)]);
+
+        // The constructor's zero mint to the deployer is the first event
+        await first.token.mint(alice.address, AMOUNT);
+        const initial = await indexer.sync();
+        expect(initial).to.include({ reorg: null, backfilled: 0, stored: 2, cursor: await ethers.provider.getBlockNumber() });
+
+        await first.token.mint(bob.address, AMOUNT * 2n);
+        expect((await indexer.sync()).stored).to.equal(1);
+        expect((await indexer.sync()).stored).to.equal(0);
+
+        const [transfer] = queryEvents(db, { events: ["Transfer"], where: [["to", bob.address]] });
+        expect(transfer).to.include({ contract: "First", event: "Transfer" });
+        expect(transfer.args).to.deep.equal({ from: ethers.ZeroAddress, to: bob.address, value: (AMOUNT * 2n).toString() });
+        expect(summarizeEvents(db)).to.deep.equal([{ contract: "First", event: "Transfer", count: 3, firstBlock: first.fromBlock, lastBlock: transfer.blockNumber }]);
+    });
+
+    it("backfills a contract that is added after the store was started", async function () {
+        const { first, second, alice } = await loadFixture(deployTokensFixture);
+        await second.token.mint(alice.address, AMOUNT);
+        await createIndexer(db, ethers.provider, [await indexed("First", first)]).sync();
+        expect(queryEvents(db, { contracts: ["Second"] })).to.have.lengthOf(0);
+
+        const result = await createIndexer(db, ethers.provider, [await indexed("First", first), await indexed("Second", second)]).sync();
+        expect(result.backfilled).to.equal(2);
+        expect(queryEvents(db, { contracts: ["Second"], where: [["to", alice.address]] })).to.have.lengthOf(1);
+    });
+
+    it("rewinds blocks that were reorganised away", async function () {
+        const { first, deployer, alice, bob } = await loadFixture(deployTokensFixture);
+        const indexer = createIndexer(db, ethers.provider, [await indexed("First", first)]);
+        await first.token.mint(alice.address, AMOUNT);
+        const { cursor: common } = await indexer.sync();
+
+        // A block that is indexed, then replaced by another block of the same height
+        const snapshot = await takeSnapshot();
+        await first.token.mint(alice.address, AMOUNT * 3n);
+        const { cursor: replaced } = await indexer.sync();
+        await snapshot.restore();
+        await first.token.mint(bob.address, AMOUNT * 5n);
+
+        const result = await indexer.sync();
+        expect(result.reorg).to.deep.equal({ from: replaced, to: common });
+        expect(result.cursor).to.equal(replaced);
+        expect(getMeta(db, "cursorHash")).to.equal((await ethers.provider.getBlock(replaced)).hash);
+        expect(queryEvents(db).map(event => [event.args.to, event.args.value])).to.deep.equal([
+            [deployer.address, "0"],
+            [alice.address, AMOUNT.toString()],
+            [bob.address, (AMOUNT * 5n).toString()]
+        ]);
+    });
+
+    it("refuses a store of another chain", async function () {
+        const { first } = await loadFixture(deployTokensFixture);
+        db.prepare("INSERT INTO meta (key, value) VALUES ('chainId', '1')").run();
+
+        const error = await createIndexer(db, ethers.provider, [await indexed("First", first)]).sync().catch(failure => failure);
+        expect(error.message).to.match(/^The store holds chain 1, the provider is on chain 31337/);
+    });
+});
@@ -0,0 +1,110 @@
+// test/scripts/keeper.test.js - Keeper rounds against the in-process Hardhat node: cooldowns, caps and the job log
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadJobs, readState, createKeeper } = require("../../scripts/lib/keeper");
+
+const HOUR = 3600;
+
+// MockStaking's argument-less setters stand in for maintenance calls
+const JOBS = {
+    pause: { contract: "TokenStaking", method: "pauseStaking", condition: "always", cooldown: "1h", gasLimit: 100000 },
+    "gas-capped": { contract: "TokenStaking", method: "enableEmergencyWithdrawal", condition: "always", cooldown: "1h", gasLimit: 1000 },
+    "fee-capped": { contract: "TokenStaking", method: "enableEmergencyWithdrawal", condition: "always", cooldown: "1h", gasLimit: 100000, maxFeeGwei: "0.000000001" },
+    missing: { contract: "PlatformStabilityFund", method: "recordPriceObservation", condition: "observationDue", cooldown: "5m", gasLimit: 150000 }
+};
+
+describe("keeper", function () {
+    let dir;
+    let files;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "keeper-"));
+        files = { stateFile: path.join(dir, "state.json"), logFile: path.join(dir, "jobs.log") };
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function deployStakingFixture() {
+        const [deployer] = await ethers.getSigners();
+        const MockStaking = await ethers.getContractFactory("MockStaking");
+        const staking = await MockStaking.deploy();
+        await staking.waitForDeployment();
+        return { staking, deployer };
+    }
+
+    // A keeper over the named jobs of JOBS, loaded the way scripts/keeper.js loads keeper-jobs.json
+    function keeperFor(names, { staking, deployer }) {
+        const jobsFile = path.join(dir, "jobs.json");
+        fs.writeFileSync(jobsFile, JSON.stringify(Object.fromEntries(names.map(name => [name, JOBS[name]]))));
+        const jobs = loadJobs(jobsFile);
+        const signers = Object.fromEntries(names.map(name => [name, deployer]));
+        return createKeeper(jobs, { TokenStaking: staking }, signers, files);
+    }
+
+    const logLines = () => fs.readFileSync(files.logFile, "utf8").trim().split("\n").map(line => JSON.parse(line));
+
+    it("skips a job that ran until its cooldown passed", async function () {
+        const fixture = await loadFixture(deployStakingFixture);
+        const keeper = keeperFor(["pause"], fixture);
+
+        const first = await keeper.runRound();
+        expect(first.pause.status).to.equal("sent");
+        expect(await fixture.staking.stakingPaused()).to.equal(true);
+        const { lastRun } = readState(files.stateFile).jobs.pause;
+
+        await ethers.provider.send("evm_increaseTime", [HOUR - 10]);
+        await ethers.provider.send("evm_mine", []);
+        expect((await keeper.runRound()).pause).to.deep.equal({ status: "cooldown", detail: `due again at ${lastRun + HOUR}` });
+
+        await ethers.provider.send("evm_increaseTime", [10]);
+        await ethers.provider.send("evm_mine", []);
+        expect((await keeper.runRound()).pause.status).to.equal("sent");
+        expect(readState(files.stateFile).jobs.pause).to.include({ runs: 2, lastStatus: "sent", failures: 0 });
+    });
+
+    it("defers a job whose gas estimate is above its gasLimit without sending it", async function () {
+        const fixture = await loadFixture(deployStakingFixture);
+        const keeper = keeperFor(["gas-capped"], fixture);
+        const nonce = await ethers.provider.getTransactionCount(fixture.deployer.address);
+
+        const { "gas-capped": result } = await keeper.runRound();
+        expect(result.status).to.equal("deferred");
+        expect(result.detail).to.match(/^needs \d+ gas, above the cap of 1000$/);
+        expect(await fixture.staking.emergencyWithdrawalEnabled()).to.equal(false);
+        expect(await ethers.provider.getTransactionCount(fixture.deployer.address)).to.equal(nonce);
+        expect(readState(files.stateFile).jobs["gas-capped"]).to.include({ runs: 0, lastRun: null, lastStatus: "deferred" });
+    });
+
+    it("defers a job while the gas price is above its maxFeeGwei", async function () {
+        const fixture = await loadFixture(deployStakingFixture);
+
+        const { "fee-capped": result } = await keeperFor(["fee-capped"], fixture).runRound();
+        expect(result.status).to.equal("deferred");
+        expect(result.detail).to.match(/above the cap of 0\.000000001$/);
+        expect(await fixture.staking.emergencyWithdrawalEnabled()).to.equal(false);
+    });
+
+    it("logs every job that acted or tried to, and nothing else", async function () {
+        const fixture = await loadFixture(deployStakingFixture);
+        const keeper = keeperFor(["pause", "gas-capped", "missing"], fixture);
+
+        const first = await keeper.runRound();
+        expect(first.missing).to.deep.equal({ status: "skipped", detail: "PlatformStabilityFund is not deployed" });
+        await keeper.runRound();
+
+        const lines = logLines();
+        expect(lines.map(line => [line.job, line.status])).to.deep.equal([
+            ["pause", "sent"],
+            ["gas-capped", "deferred"],
+            ["gas-capped", "deferred"]
+        ]);
+        expect(lines[0]).to.include({ signer: fixture.deployer.address, tx: first.pause.tx, block: first.pause.block });
+        expect(lines[0].at).to.be.a("number");
+    });
+});
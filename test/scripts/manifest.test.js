@@ -0,0 +1,130 @@
+// test/scripts/manifest.test.js - Manifest validation and the dependency order of its components
+const { expect } = require("chai");
+const {
+    loadManifest,
+    validateManifest,
+    resolveDeploymentOrder,
+    findMissingDependencies
+} = require("../../scripts/lib/manifest");
+
+const ADDRESSES = {
+    Registry: { env: "REGISTRY_ADDRESS" },
+    Token: { env: "TOKEN_ADDRESS" },
+    Sale: { env: "SALE_ADDRESS" },
+    Stable: { env: "STABLE_ADDRESS", external: true }
+};
+
+const component = (name, produces, requires = []) => ({ name, script: `scripts/deploy-${name.toLowerCase()}.js`, produces, requires });
+
+const names = components => components.map(c => c.name);
+
+describe("manifest", function () {
+    describe("resolveDeploymentOrder", function () {
+        it("keeps the shipped manifest in declaration order", function () {
+            const manifest = loadManifest();
+            expect(names(resolveDeploymentOrder(manifest))).to.deep.equal(names(manifest.components));
+        });
+
+        it("runs every producer before its consumers", function () {
+            const manifest = {
+                addresses: ADDRESSES,
+                components: [
+                    component("Sale", ["Sale"], ["Token", "Registry"]),
+                    component("Token", ["Token"], ["Registry"]),
+                    component("Registry", ["Registry"])
+                ]
+            };
+            expect(names(resolveDeploymentOrder(manifest))).to.deep.equal(["Registry", "Token", "Sale"]);
+        });
+
+        it("breaks ties by declaration order", function () {
+            const manifest = {
+                addresses: ADDRESSES,
+                components: [
+                    component("Sale", ["Sale"], ["Registry"]),
+                    component("Token", ["Token"]),
+                    component("Registry", ["Registry"])
+                ]
+            };
+            expect(names(resolveDeploymentOrder(manifest))).to.deep.equal(["Token", "Registry", "Sale"]);
+        });
+
+        it("ignores external addresses and a component requiring what it produces", function () {
+            const manifest = {
+                addresses: ADDRESSES,
+                components: [
+                    component("Token", ["Token"], ["Token", "Stable"]),
+                    component("Registry", ["Registry"])
+                ]
+            };
+            expect(names(resolveDeploymentOrder(manifest))).to.deep.equal(["Token", "Registry"]);
+        });
+
+        it("names the components of a dependency cycle", function () {
+            const manifest = {
+                addresses: ADDRESSES,
+                components: [
+                    component("Registry", ["Registry"]),
+                    component("Token", ["Token"], ["Sale"]),
+                    component("Sale", ["Sale"], ["Token"])
+                ]
+            };
+            expect(() => resolveDeploymentOrder(manifest))
+                .to.throw("Deployment manifest has a dependency cycle between: Token, Sale");
+        });
+    });
+
+    describe("validateManifest", function () {
+        it("accepts the shipped manifest", function () {
+            expect(() => loadManifest()).not.to.throw();
+        });
+
+        it("rejects a requirement on an undeclared address", function () {
+            const manifest = { addresses: ADDRESSES, components: [component("Token", ["Token"], ["Oracle"])] };
+            expect(() => validateManifest(manifest)).to.throw(/Token references undeclared address Oracle/);
+        });
+
+        it("rejects a requirement that no component produces", function () {
+            const manifest = { addresses: ADDRESSES, components: [component("Token", ["Token"], ["Registry"])] };
+            expect(() => validateManifest(manifest)).to.throw(/Token requires Registry, which no component produces/);
+        });
+
+        it("lists every problem at once", function () {
+            const manifest = {
+                addresses: ADDRESSES,
+                components: [
+                    component("Token", ["Token"]),
+                    component("Token", ["Token"]),
+                    { name: "Sale" }
+                ],
+                links: [{ from: "Sale", getter: "token", to: "Token" }]
+            };
+            expect(() => validateManifest(manifest)).to.throw([
+                "Invalid deployment manifest:",
+                "  - Component Token is declared more than once",
+                "  - Token is produced by both Token and Token",
+                "  - Component {\"name\":\"Sale\"} needs a name and a script",
+                "  - Link {\"from\":\"Sale\",\"getter\":\"token\",\"to\":\"Token\"} needs a getter and a setter"
+            ].join("\n"));
+        });
+    });
+
+    describe("findMissingDependencies", function () {
+        const order = [
+            component("Registry", ["Registry"]),
+            component("Token", ["Token"], ["Registry"]),
+            component("Sale", ["Sale"], ["Token", "Registry", "Stable"])
+        ];
+
+        it("counts addresses produced earlier in the run", function () {
+            expect(findMissingDependencies(order, 0, key => key === "Stable")).to.deep.equal([]);
+        });
+
+        it("reports what a run starting later cannot find", function () {
+            expect(findMissingDependencies(order, 1, key => key === "Stable")).to.deep.equal([
+                { component: "Token", missing: ["Registry"] },
+                { component: "Sale", missing: ["Registry"] }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+// test/scripts/params.test.js - Parameter profiles: schema, "extends", durations and decimal amounts
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { PARAMS_DIR, readProfile, validateProfile, parseDecimal, parseDuration } = require("../../scripts/lib/params");
+
+const NOW = Date.parse("2026-01-01T00:00:00Z") / 1000;
+const DAY = 86400;
+
+describe("parameter profiles", function () {
+    describe("parseDecimal", function () {
+        it("scales decimal text to the unit", function () {
+            expect(parseDecimal("0.12", 6)).to.equal(120000n);
+            expect(parseDecimal("100000", 18)).to.equal(100000n * 10n ** 18n);
+            expect(parseDecimal("1.000001", 6)).to.equal(1000001n);
+        });
+
+        it("returns null for more decimals than the unit has", function () {
+            expect(parseDecimal("0.0000001", 6)).to.equal(null);
+        });
+    });
+
+    describe("parseDuration", function () {
+        it("takes seconds or a number with a unit", function () {
+            expect(parseDuration(90)).to.equal(90);
+            expect(parseDuration("30m")).to.equal(1800);
+            expect(parseDuration("12h")).to.equal(43200);
+            expect(parseDuration("3d")).to.equal(3 * DAY);
+            expect(parseDuration("2w")).to.equal(14 * DAY);
+        });
+
+        it("returns null for anything that is not a positive duration", function () {
+            [0, -5, 1.5, "0d", "3", "3y", "1.5d", "d", null].forEach(raw => {
+                expect(parseDuration(raw), JSON.stringify(raw)).to.equal(null);
+            });
+        });
+    });
+
+    describe("readProfile", function () {
+        let dir;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "params-"));
+        });
+
+        afterEach(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        const write = (name, profile) => fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(profile));
+
+        it("overrides the sections of the extended profile field by field", function () {
+            write("base", { description: "base", marketplace: { feePercent: 300, feeRecipient: "deployer" }, pricing: { initialPrice: "0.12" } });
+            write("child", { extends: "base", description: "child", marketplace: { feePercent: 200 } });
+
+            expect(readProfile("child", dir)).to.deep.equal({
+                marketplace: { feePercent: 200, feeRecipient: "deployer" },
+                pricing: { initialPrice: "0.12" }
+            });
+        });
+
+        it("names the profiles of an extends loop", function () {
+            write("a", { extends: "b" });
+            write("b", { extends: "c" });
+            write("c", { extends: "a" });
+
+            expect(() => readProfile("a", dir)).to.throw("Parameter profiles extend each other in a loop: a -> b -> c -> a");
+        });
+
+        it("rejects a missing profile, also as a parent", function () {
+            write("orphan", { extends: "nowhere" });
+
+            expect(() => readProfile("orphan", dir)).to.throw(/^No parameter profile nowhere/);
+        });
+
+        it("reads the shipped profiles without problems", function () {
+            fs.readdirSync(PARAMS_DIR).filter(file => file.endsWith(".json")).forEach(file => {
+                const name = file.replace(/\.json$/, "");
+                const { problems } = validateProfile(readProfile(name), { now: NOW, checkFuture: false });
+                expect(problems, name).to.deep.equal([]);
+            });
+        });
+    });
+
+    describe("validateProfile", function () {
+        const profile = () => readProfile("localhost");
+
+        it("parses amounts, durations and times relative to the run", function () {
+            const { values, problems } = validateProfile(profile(), { sections: ["pricing", "governance", "crowdsale"], now: NOW });
+
+            expect(problems).to.deep.equal([]);
+            expect(values.pricing.initialPrice).to.equal(120000n);
+            expect(values.governance).to.include({ proposalThreshold: 100000n * 10n ** 18n, minVotingPeriod: 3 * DAY, quorumThreshold: 400 });
+            expect(values.crowdsale).to.include({ presaleStart: NOW + DAY, presaleEnd: NOW + 30 * DAY });
+        });
+
+        it("reports unknown sections and fields, missing fields and bad values", function () {
+            const raw = profile();
+            raw.oracle = {};
+            raw.pricing = { initialPrice: "0.0000001", discount: 5 };
+            raw.marketplace = { feePercent: 3001 };
+            raw.governance.minVotingPeriod = "3 days";
+
+            const { problems } = validateProfile(raw, { sections: ["pricing", "marketplace", "governance"], now: NOW });
+            expect(problems).to.deep.equal([
+                "unknown section oracle",
+                "pricing.discount is not a known parameter",
+                "pricing.initialPrice has more than 6 decimals",
+                "marketplace.feePercent must be an integer between 0 and 3000, got 3001",
+                "marketplace.feeRecipient is missing",
+                'governance.minVotingPeriod must be a positive number of seconds or a string such as "3d", got "3 days"'
+            ]);
+        });
+
+        it("checks the relations between fields, also across sections", function () {
+            const raw = profile();
+            raw.governance.minVotingPeriod = "8d";
+            raw.presaleTiers.tier3End = "+31d";
+
+            const { problems } = validateProfile(raw, { now: NOW });
+            expect(problems).to.deep.equal([
+                "governance: minVotingPeriod must not exceed maxVotingPeriod",
+                "presaleTiers: the tiers must lie within crowdsale.presaleStart and crowdsale.presaleEnd"
+            ]);
+        });
+
+        it("reports fixed times that have passed unless checkFuture is off", function () {
+            const raw = profile();
+            raw.crowdsale.presaleStart = "2025-12-01T00:00:00Z";
+
+            expect(validateProfile(raw, { sections: ["crowdsale"], now: NOW }).problems)
+                .to.deep.equal(["crowdsale.presaleStart (2025-12-01T00:00:00.000Z) is not in the future"]);
+            expect(validateProfile(raw, { sections: ["crowdsale"], now: NOW, checkFuture: false }).problems).to.deep.equal([]);
+        });
+    });
+});
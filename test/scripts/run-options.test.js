@@ -0,0 +1,112 @@
+// test/scripts/run-options.test.js - Command line and config file options of the headless deployment runner
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { UsageError, parseCommandLine, resolveRunOptions } = require("../../scripts/lib/run-options");
+
+const SEQUENCE = [{ name: "ContractRegistry" }, { name: "TeachToken" }, { name: "TokenStaking" }, { name: "TierManager" }];
+
+describe("run options", function () {
+    let dir;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "run-options-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const writeConfig = config => {
+        const file = path.join(dir, "run.json");
+        fs.writeFileSync(file, typeof config === "string" ? config : JSON.stringify(config));
+        return file;
+    };
+
+    // The UsageError a call throws
+    const usageError = run => {
+        try {
+            run();
+        } catch (error) {
+            expect(error).to.be.instanceOf(UsageError);
+            return error.message;
+        }
+        throw new Error("expected a UsageError");
+    };
+
+    describe("parseCommandLine", function () {
+        it("maps flags to camelCase options and leaves out flags that were not given", function () {
+            expect(parseCommandLine(["--on-error", "continue", "--archive-records", "--from", "2"])).to.deep.equal({
+                help: false,
+                ci: false,
+                config: null,
+                options: { from: "2", onError: "continue", archiveRecords: true }
+            });
+        });
+
+        it("rejects unknown flags as a usage error", function () {
+            expect(usageError(() => parseCommandLine(["--netwrk", "amoy"]))).to.match(/--netwrk/);
+        });
+    });
+
+    describe("resolveRunOptions", function () {
+        it("runs interactively without options and shows help with -h", function () {
+            expect(resolveRunOptions([], SEQUENCE)).to.deep.equal({ help: false, interactive: true });
+            expect(resolveRunOptions(["-h", "--ci"], SEQUENCE)).to.deep.equal({ help: true, interactive: false });
+        });
+
+        it("fills the defaults for --ci", function () {
+            expect(resolveRunOptions(["--ci"], SEQUENCE)).to.deep.equal({
+                network: "localhost",
+                mode: "resume",
+                from: null,
+                to: null,
+                onError: "fail-fast",
+                admin: "send",
+                archiveRecords: false,
+                startNode: false,
+                dryRun: false,
+                summary: null,
+                json: false,
+                help: false,
+                interactive: false,
+                fromIndex: 0,
+                toIndex: 3
+            });
+        });
+
+        it("lets the command line override the config file", function () {
+            const config = writeConfig({ network: "amoy", mode: "fresh", onError: "continue" });
+            const options = resolveRunOptions(["--config", config, "--mode", "resume"], SEQUENCE);
+            expect(options).to.include({ network: "amoy", mode: "resume", onError: "continue", interactive: false });
+        });
+
+        it("takes steps by number or component name", function () {
+            expect(resolveRunOptions(["--from", "2", "--to", "TokenStaking"], SEQUENCE)).to.include({ fromIndex: 1, toIndex: 2 });
+        });
+
+        it("rejects steps out of range, unknown or in the wrong order", function () {
+            expect(usageError(() => resolveRunOptions(["--from", "0"], SEQUENCE))).to.equal("--from 0 is out of range (1-4)");
+            expect(usageError(() => resolveRunOptions(["--to", "Oracle"], SEQUENCE))).to.equal("--to Oracle is not a step of the deployment manifest");
+            expect(usageError(() => resolveRunOptions(["--from", "TierManager", "--to", "2"], SEQUENCE)))
+                .to.equal("--from TierManager comes after --to TeachToken");
+        });
+
+        it("rejects invalid values and conflicting flags", function () {
+            expect(usageError(() => resolveRunOptions(["--mode", "fast"], SEQUENCE))).to.equal('mode must be one of resume, fresh, got "fast"');
+            expect(usageError(() => resolveRunOptions(["--admin", "dao"], SEQUENCE))).to.equal('admin must be one of send, safe, got "dao"');
+            expect(usageError(() => resolveRunOptions(["--start-node", "--network", "amoy"], SEQUENCE)))
+                .to.equal("--start-node only works with the localhost network");
+            expect(usageError(() => resolveRunOptions(["--dry-run", "--archive-records"], SEQUENCE))).to.match(/^--dry-run never touches/);
+            expect(usageError(() => resolveRunOptions(["--dry-run", "--admin", "safe"], SEQUENCE))).to.match(/^--dry-run plans direct sends/);
+        });
+
+        it("rejects config files that are not a JSON object of known options", function () {
+            expect(usageError(() => resolveRunOptions(["--config", writeConfig("{ nope")], SEQUENCE))).to.match(/^Cannot read config file/);
+            expect(usageError(() => resolveRunOptions(["--config", writeConfig([])], SEQUENCE))).to.match(/must contain a JSON object$/);
+            expect(usageError(() => resolveRunOptions(["--config", writeConfig({ network: "amoy", retries: 3 })], SEQUENCE)))
+                .to.match(/^Unknown option\(s\) in .*: retries$/);
+        });
+    });
+});
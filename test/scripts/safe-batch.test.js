@@ -0,0 +1,102 @@
+// test/scripts/safe-batch.test.js - Safe Transaction Builder batches: decoding of queued calls and deduplication
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const deployments = require("../../scripts/lib/deployments");
+const { decodeCall, queueCall, readBatch } = require("../../scripts/lib/safe-batch");
+const { registryName } = require("../../scripts/lib/deploy-helpers");
+const { useScratchRecords } = require("../helpers/records");
+
+const SAFE = "0x00000000000000000000000000000000000005af";
+const TARGET = "0x1111111111111111111111111111111111111111";
+const UNKNOWN = "0x2222222222222222222222222222222222222222";
+
+describe("Safe batches", function () {
+    useScratchRecords(network.name);
+    let dir;
+    let saved;
+    let ContractRegistry;
+
+    // Calls are decoded from the record alone, the registry does not have to be deployed
+    const registryAddress = "0x3333333333333333333333333333333333333333";
+
+    before(async function () {
+        deployments.saveDeployment(network.name, "ContractRegistry", { address: registryAddress });
+        ContractRegistry = await ethers.getContractFactory("ContractRegistry");
+    });
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "safe-batch-"));
+        saved = { SAFE_BATCH: process.env.SAFE_BATCH, MULTISIG_ADDRESS: process.env.MULTISIG_ADDRESS };
+        process.env.SAFE_BATCH = path.join(dir, "batch.json");
+        process.env.MULTISIG_ADDRESS = SAFE;
+    });
+
+    afterEach(function () {
+        Object.entries(saved).forEach(([name, value]) => {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        });
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const registerCall = key => ({
+        to: registryAddress,
+        data: ContractRegistry.interface.encodeFunctionData("registerContract", [registryName(key), TARGET, "0x00000000"]),
+        value: 0n
+    });
+
+    describe("decodeCall", function () {
+        it("names the recorded contract, the method and the arguments", async function () {
+            const decoded = await decodeCall(network.name, registerCall("TEACH_TOKEN"));
+
+            expect(decoded).to.include({ contract: "ContractRegistry", method: "registerContract" });
+            expect(decoded.args).to.deep.equal([registryName("TEACH_TOKEN"), TARGET, "0x00000000"]);
+            expect(decoded.description).to.equal(`ContractRegistry.registerContract(${registryName("TEACH_TOKEN")}, ${TARGET}, 0x00000000)`);
+        });
+
+        it("falls back to the address or the selector for what it cannot decode", async function () {
+            expect(await decodeCall(network.name, { to: UNKNOWN, data: "0x12345678" }))
+                .to.deep.equal({ contract: null, method: null, fragment: null, args: [], description: `Call to ${UNKNOWN}` });
+            expect((await decodeCall(network.name, { to: registryAddress, data: "0x12345678" })).description)
+                .to.equal("Call to ContractRegistry (0x12345678)");
+        });
+    });
+
+    describe("queueCall", function () {
+        it("writes a Transaction Builder batch for the Safe with the decoded call", async function () {
+            const queued = await queueCall(network.name, registerCall("TEACH_TOKEN"), "Registering TeachToken");
+            expect(queued).to.include({ file: process.env.SAFE_BATCH, added: true, index: 0 });
+
+            const batch = readBatch(process.env.SAFE_BATCH);
+            expect(batch.chainId).to.equal((await ethers.provider.getNetwork()).chainId.toString());
+            expect(batch.meta.createdFromSafeAddress).to.equal(SAFE);
+            const [transaction] = batch.transactions;
+            expect(transaction).to.include({ to: registryAddress, value: "0", data: registerCall("TEACH_TOKEN").data });
+            expect(transaction.contractMethod.name).to.equal("registerContract");
+            expect(transaction.contractInputsValues).to.deep.equal({ _name: registryName("TEACH_TOKEN"), _address: TARGET, _interfaceId: "0x00000000" });
+        });
+
+        it("adds a call that is already in the batch only once", async function () {
+            await queueCall(network.name, registerCall("TEACH_TOKEN"), "Registering TeachToken");
+            await queueCall(network.name, registerCall("TOKEN_STAKING"), "Registering TokenStaking");
+            const repeated = await queueCall(network.name, registerCall("TEACH_TOKEN"), "Registering TeachToken again");
+
+            expect(repeated).to.include({ added: false, index: 0 });
+            const batch = readBatch(process.env.SAFE_BATCH);
+            expect(batch.transactions).to.have.lengthOf(2);
+            expect(batch.meta.description.split("\n").map(line => line.split(":")[0]))
+                .to.deep.equal(["1. Registering TeachToken", "2. Registering TokenStaking"]);
+        });
+
+        it("refuses to add to the batch of another Safe", async function () {
+            await queueCall(network.name, registerCall("TEACH_TOKEN"), "Registering TeachToken");
+            process.env.MULTISIG_ADDRESS = UNKNOWN;
+
+            const error = await queueCall(network.name, registerCall("TOKEN_STAKING"), "Registering TokenStaking").catch(failure => failure);
+            expect(error.message).to.equal(`${process.env.SAFE_BATCH} is a batch for Safe ${SAFE}, not ${UNKNOWN}; move it away first`);
+        });
+    });
+});
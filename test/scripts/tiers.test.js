@@ -0,0 +1,90 @@
+// test/scripts/tiers.test.js - Presale tier calendar: overlaps, bounds of the sale window and the steps that apply it
+const { expect } = require("chai");
+const { readProfile, validateProfile } = require("../../scripts/lib/params");
+const { tierCalendar, checkCalendar, calendarSteps } = require("../../scripts/lib/tiers");
+
+const NOW = Date.parse("2026-01-01T00:00:00Z") / 1000;
+const DAY = 86400;
+
+// Four consecutive week-long tiers from day 1, as in the localhost profile
+const calendar = () => [0, 1, 2, 3].map(tier => ({ tier, start: NOW + (1 + 7 * tier) * DAY, end: NOW + (8 + 7 * tier) * DAY }));
+const WINDOW = { presaleStart: NOW + DAY, presaleEnd: NOW + 30 * DAY };
+
+describe("presale tiers", function () {
+    describe("tierCalendar", function () {
+        it("lists the windows of the presaleTiers section by tier id", function () {
+            const { values } = validateProfile(readProfile("localhost"), { sections: ["presaleTiers"], now: NOW });
+            expect(tierCalendar(values.presaleTiers)).to.deep.equal(calendar());
+        });
+    });
+
+    describe("profile rules", function () {
+        const problemsWith = tiers => {
+            const profile = readProfile("localhost");
+            Object.assign(profile.presaleTiers, tiers);
+            return validateProfile(profile, { sections: ["crowdsale", "presaleTiers"], now: NOW }).problems;
+        };
+
+        it("rejects overlapping tiers and tiers that end before they start", function () {
+            expect(problemsWith({ tier1End: "+16d", tier2Start: "+14d", tier2End: "+14d" })).to.deep.equal([
+                "presaleTiers: tier2Start must be before tier2End",
+                "presaleTiers: tier 1 must end before tier 2 starts"
+            ]);
+        });
+
+        it("lets a tier start the moment the previous one ends", function () {
+            expect(problemsWith({ tier0End: "+8d", tier1Start: "+8d" })).to.deep.equal([]);
+        });
+
+        it("keeps the tiers within the crowdsale window", function () {
+            expect(problemsWith({ tier0Start: "+12h" })).to.deep.equal([
+                "presaleTiers: the tiers must lie within crowdsale.presaleStart and crowdsale.presaleEnd"
+            ]);
+        });
+    });
+
+    describe("checkCalendar", function () {
+        it("accepts a calendar inside the window with one entry per tier", function () {
+            expect(checkCalendar(calendar(), WINDOW, 4)).to.deep.equal([]);
+        });
+
+        it("reports every way a calendar misses the on-chain sale", function () {
+            const window = { presaleStart: NOW + 2 * DAY, presaleEnd: NOW + 20 * DAY };
+            expect(checkCalendar(calendar(), window, 5)).to.deep.equal([
+                "the calendar has 4 tier(s), TierManager has 5",
+                "tier 0 starts 2026-01-02T00:00:00.000Z, before the presale opens 2026-01-03T00:00:00.000Z",
+                "tier 3 ends 2026-01-30T00:00:00.000Z, after the presale closes 2026-01-21T00:00:00.000Z"
+            ]);
+        });
+    });
+
+    describe("calendarSteps", function () {
+        // TierManager stand-in recording the setters that are sent
+        const tierManager = { sent: [] };
+        ["setTierTimes", "setTierDeadline", "setTierStatus"].forEach(method => {
+            tierManager[method] = (...args) => tierManager.sent.push([method, ...args]);
+        });
+
+        it("sets the window of every tier, and the deadline and status by whether it has ended", async function () {
+            const [past, current] = calendar();
+            const steps = calendarSteps(tierManager, [past, current], past.end + 1);
+
+            expect(steps.map(step => step.description)).to.deep.equal([
+                "Setting tier 0 window",
+                "Deactivating tier 0",
+                "Setting tier 1 window",
+                "Setting tier 1 deadline",
+                "Activating tier 1"
+            ]);
+            tierManager.sent = [];
+            steps.forEach(step => step.send());
+            expect(tierManager.sent).to.deep.equal([
+                ["setTierTimes", 0, past.start, past.end],
+                ["setTierStatus", 0, false],
+                ["setTierTimes", 1, current.start, current.end],
+                ["setTierDeadline", 1, current.end],
+                ["setTierStatus", 1, true]
+            ]);
+        });
+    });
+});
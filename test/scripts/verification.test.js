@@ -0,0 +1,144 @@
+// test/scripts/verification.test.js - Explorer verification against a local stand-in of the Etherscan API
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const deployments = require("../../scripts/lib/deployments");
+const { createExplorerClient, verifyDeployments } = require("../../scripts/lib/verification");
+const { startStubServer } = require("../helpers/stub-server");
+const { useScratchRecords } = require("../helpers/records");
+
+const BACKOFF = { attempts: 4, initialDelayMs: 1, maxDelayMs: 5 };
+const ADDRESS = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+
+const ok = result => ({ body: { status: "1", message: "OK", result } });
+const notOk = result => ({ body: { status: "0", message: "NOTOK", result } });
+
+/*
+ * Explorer stand-in answering by action. answers maps an action to a list of responses that are
+ * handed out in order, the last one repeating.
+ */
+async function startExplorer(answers) {
+    const served = {};
+    return startStubServer(request => {
+        const action = request.query.action || request.body.action;
+        const list = answers[action];
+        if (!list) return { status: 400, body: { status: "0", result: `unexpected action ${action}` } };
+        served[action] = (served[action] || 0) + 1;
+        return list[Math.min(served[action], list.length) - 1];
+    });
+}
+
+const calls = (explorer, action) => explorer.requests.filter(request => (request.query.action || request.body.action) === action);
+
+describe("verification", function () {
+    let explorer;
+
+    afterEach(async function () {
+        if (explorer) await explorer.close();
+        explorer = null;
+    });
+
+    describe("createExplorerClient", function () {
+        const submission = { address: ADDRESS, contractName: "contracts/Mocks/MockContract.sol:MockContract", compilerVersion: "v0.8.29", input: {} };
+        const client = () => createExplorerClient({ apiUrl: explorer.url, apiKey: "key", chainId: 137, backoff: BACKOFF });
+
+        it("reports a contract the explorer already shows source for as verified", async function () {
+            explorer = await startExplorer({ getsourcecode: [ok([{ SourceCode: "contract MockContract {}" }])] });
+
+            expect(await client().isVerified(ADDRESS)).to.equal(true);
+            expect(calls(explorer, "getsourcecode")[0].query).to.include({ address: ADDRESS, chainid: "137", apikey: "key" });
+        });
+
+        it("treats an already verified answer to the submission as done", async function () {
+            explorer = await startExplorer({ verifysourcecode: [notOk("Contract source code already verified")] });
+
+            expect(await client().verifySource(submission)).to.equal("already-verified");
+            expect(calls(explorer, "checkverifystatus")).to.have.lengthOf(0);
+        });
+
+        it("polls a pending verification job until it passes", async function () {
+            explorer = await startExplorer({
+                verifysourcecode: [ok("guid-1")],
+                checkverifystatus: [notOk("Pending in queue"), notOk("Pending in queue"), ok("Pass - Verified")]
+            });
+
+            expect(await client().verifySource(submission)).to.equal("verified");
+            const polls = calls(explorer, "checkverifystatus");
+            expect(polls).to.have.lengthOf(3);
+            expect(polls[0].query.guid).to.equal("guid-1");
+            expect(calls(explorer, "verifysourcecode")[0].body).to.include({ contractaddress: ADDRESS, codeformat: "solidity-standard-json-input" });
+        });
+
+        it("retries a rate limited explorer", async function () {
+            explorer = await startExplorer({ getsourcecode: [{ status: 429, body: {} }, ok([{ SourceCode: "" }])] });
+
+            expect(await client().isVerified(ADDRESS)).to.equal(false);
+            expect(calls(explorer, "getsourcecode")).to.have.lengthOf(2);
+        });
+
+        it("fails at once on a verification failure", async function () {
+            explorer = await startExplorer({
+                verifysourcecode: [ok("guid-2")],
+                checkverifystatus: [notOk("Fail - Unable to verify")]
+            });
+
+            const error = await client().verifySource(submission).catch(failure => failure);
+            expect(error.message).to.equal("Fail - Unable to verify");
+            expect(calls(explorer, "checkverifystatus")).to.have.lengthOf(1);
+        });
+
+        it("gives up on a job that stays pending", async function () {
+            explorer = await startExplorer({
+                verifysourcecode: [ok("guid-3")],
+                checkverifystatus: [notOk("Pending in queue")]
+            });
+
+            const error = await client().verifySource(submission).catch(failure => failure);
+            expect(error.message).to.equal(`Pending in queue (after ${BACKOFF.attempts} attempts)`);
+        });
+    });
+
+    describe("verifyDeployments", function () {
+        useScratchRecords(network.name);
+
+        before(async function () {
+            const MockContract = await ethers.getContractFactory("MockContract");
+            const contract = await MockContract.deploy();
+            await contract.waitForDeployment();
+            await deployments.recordDeployment("MockContract", contract, { proxy: false });
+        });
+
+        it("skips a recorded contract the explorer already verified", async function () {
+            explorer = await startExplorer({ getsourcecode: [ok([{ SourceCode: "contract MockContract {}" }])] });
+
+            const result = await verifyDeployments(network.name, { only: ["MockContract"], apiUrl: explorer.url });
+            expect(result).to.include({ verified: 0, skipped: 1, failed: 0 });
+            expect(result.results[0]).to.include({ name: "MockContract", kind: "contract", status: "skipped", reason: "already verified" });
+            expect(calls(explorer, "verifysourcecode")).to.have.lengthOf(0);
+        });
+
+        it("submits the build info of an unverified contract", async function () {
+            explorer = await startExplorer({
+                getsourcecode: [ok([{ SourceCode: "" }])],
+                verifysourcecode: [ok("guid-4")],
+                checkverifystatus: [ok("Pass - Verified")]
+            });
+
+            const result = await verifyDeployments(network.name, { only: ["MockContract"], apiUrl: explorer.url });
+            expect(result).to.include({ verified: 1, skipped: 0, failed: 0 });
+            const [submitted] = calls(explorer, "verifysourcecode");
+            expect(submitted.body.contractname).to.equal("contracts/Mocks/MockContract.sol:MockContract");
+            expect(JSON.parse(submitted.body.sourceCode).sources).to.have.property("contracts/Mocks/MockContract.sol");
+        });
+
+        it("reports a failed verification without throwing", async function () {
+            explorer = await startExplorer({
+                getsourcecode: [ok([{ SourceCode: "" }])],
+                verifysourcecode: [notOk("Invalid constructor arguments")]
+            });
+
+            const result = await verifyDeployments(network.name, { only: ["MockContract"], apiUrl: explorer.url });
+            expect(result).to.include({ verified: 0, skipped: 0, failed: 1 });
+            expect(result.results[0].reason).to.equal("Invalid constructor arguments");
+        });
+    });
+});
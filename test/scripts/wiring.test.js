@@ -0,0 +1,100 @@
+// test/scripts/wiring.test.js - Wiring doctor findings against contracts deployed on the in-process Hardhat node
+const { expect } = require("chai");
+const { ethers, upgrades, network } = require("hardhat");
+const deployments = require("../../scripts/lib/deployments");
+const { inspectWiring } = require("../../scripts/lib/wiring");
+const { NO_INTERFACE, registryName } = require("../../scripts/lib/deploy-helpers");
+const { useScratchRecords } = require("../helpers/records");
+
+// The part of deploy-manifest.json the fixture deploys, plus TeachToken, which is recorded but has no code
+const MANIFEST = {
+    addresses: {
+        ContractRegistry: { env: "REGISTRY_ADDRESS" },
+        TeachToken: { env: "TOKEN_ADDRESS", registryKey: "TEACH_TOKEN" },
+        TierManager: { env: "TIER_MANAGER_ADDRESS", registryKey: "TIER_MANAGER" },
+        TokenCrowdSale: { env: "TOKEN_CROWDSALE_ADDRESS", registryKey: "TOKEN_CROWDSALE" }
+    },
+    components: [],
+    links: [
+        { from: "TokenCrowdSale", getter: "tierManager", setter: "setTierManager", to: "TierManager" },
+        { from: "TierManager", getter: "crowdsaleContract", setter: "setCrowdsale", to: "TokenCrowdSale" }
+    ]
+};
+
+describe("wiring doctor", function () {
+    useScratchRecords(network.name);
+    let result;
+    let addresses;
+
+    before(async function () {
+        const [deployer] = await ethers.getSigners();
+        const deploy = async (name, args = []) => {
+            const contract = await upgrades.deployProxy(await ethers.getContractFactory(name), args, { kind: "uups" });
+            await contract.waitForDeployment();
+            deployments.saveDeployment(network.name, name, { address: await contract.getAddress() });
+            return contract;
+        };
+        const registry = await deploy("ContractRegistry");
+        const tierManager = await deploy("TierManager");
+        const crowdsale = await deploy("TokenCrowdSale", [deployer.address]);
+        const stranger = await (await ethers.getContractFactory("MockContract")).deploy();
+        deployments.saveDeployment(network.name, "TeachToken", { address: ethers.Wallet.createRandom().address });
+        addresses = {
+            registry: await registry.getAddress(),
+            tierManager: await tierManager.getAddress(),
+            crowdsale: await crowdsale.getAddress(),
+            stranger: await stranger.getAddress()
+        };
+
+        // TierManager is registered and points at the crowdsale, the crowdsale is neither registered nor linked back;
+        // TOKEN_STAKING is registered to a contract that is not in the records
+        await registry.registerContract(registryName("TIER_MANAGER"), addresses.tierManager, NO_INTERFACE);
+        await registry.registerContract(registryName("TOKEN_STAKING"), addresses.stranger, NO_INTERFACE);
+        await tierManager.setCrowdsale(addresses.crowdsale);
+
+        result = await inspectWiring(network.name, MANIFEST);
+    });
+
+    const findingsOf = check => result.findings
+        .filter(finding => finding.check === check)
+        .map(({ subject, status, severity }) => [subject, status, severity]);
+
+    it("reports recorded contracts without code", function () {
+        expect(findingsOf("deployment")).to.deep.equal([["TeachToken", "no-code", "error"]]);
+    });
+
+    it("checks the registry entry of every component and flags names it cannot account for", function () {
+        expect(findingsOf("registry")).to.deep.equal([
+            ["TIER_MANAGER", "ok", "ok"],
+            ["TOKEN_CROWDSALE", "unregistered", "error"],
+            ["TOKEN_STAKING", "unknown", "warning"]
+        ]);
+        const { fix } = result.findings.find(finding => finding.subject === "TOKEN_CROWDSALE");
+        expect(fix).to.include({ contract: "ContractRegistry", to: addresses.registry, method: "registerContract" });
+        expect(fix.args).to.deep.equal([registryName("TOKEN_CROWDSALE"), addresses.crowdsale, NO_INTERFACE]);
+        expect(fix.description).to.equal(`ContractRegistry(${addresses.registry}).registerContract(keccak256("TOKEN_CROWDSALE"), ${addresses.crowdsale}, ${NO_INTERFACE})`);
+    });
+
+    it("offers setRegistry for registry-aware contracts that do not point at the registry", function () {
+        expect(findingsOf("registry-aware")).to.deep.equal([
+            ["TierManager.registry", "missing", "error"],
+            ["TokenCrowdSale.registry", "missing", "error"]
+        ]);
+        const { fix } = result.findings.find(finding => finding.subject === "TierManager.registry");
+        expect(fix).to.include({ to: addresses.tierManager, method: "setRegistry" });
+    });
+
+    it("reports a link that is only set one way, with the setter that completes it", function () {
+        expect(findingsOf("link")).to.deep.equal([
+            ["TokenCrowdSale.tierManager", "one-way", "error"],
+            ["TierManager.crowdsaleContract", "ok", "ok"]
+        ]);
+        const { fix, message } = result.findings.find(finding => finding.subject === "TokenCrowdSale.tierManager");
+        expect(message).to.match(/^TierManager points at TokenCrowdSale but not back: TokenCrowdSale.tierManager is not set/);
+        expect(fix).to.include({ to: addresses.crowdsale, method: "setTierManager", description: `TokenCrowdSale(${addresses.crowdsale}).setTierManager(${addresses.tierManager})` });
+    });
+
+    it("counts errors and warnings", function () {
+        expect(result).to.include({ network: network.name, errors: 5, warnings: 1 });
+    });
+});